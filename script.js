@@ -10,7 +10,30 @@
     // 1. 설정 및 상수 (Configuration)
     // ========================================
     const CONFIG = {
+        APP_VERSION: '2.0.0',
+        BACKUP_FORMAT_VERSION: 2, // 1: 버전 정보 없는 이전 내보내기 형식
         STORAGE_KEY: 'bucketListProfiles',
+        DB_NAME: 'bucketDreams',
+        DB_VERSION: 4,
+        HISTORY_LIMIT: 50, // 프로필별 실행 취소 기록 수
+        TRASH_RETENTION_DAYS: 30, // 휴지통 기본 보관 기간
+        TRASH_RETENTION_OPTIONS: [7, 30, 90, 365],
+        PIN_MIN_LENGTH: 4,
+        PIN_ITERATIONS: 600000, // PBKDF2 반복 횟수 (OWASP 권장값)
+        SHARE_URL_MAX_LENGTH: 8000, // 공유 링크 최대 길이 (넘으면 썸네일 제외)
+        SHARE_THUMBNAIL_WIDTH: 160,
+        REMINDER_HOUR: 9, // 알림 시각 (로컬 시간)
+        REMINDER_LOOKAHEAD_DAYS: 60, // 미리 계산해 두는 알림 기간
+        REMINDER_GRACE_MS: 2 * 24 * 60 * 60 * 1000, // 놓친 알림을 늦게라도 보내는 기간
+        REMINDER_CHECK_INTERVAL: 15 * 60 * 1000,
+        MOTIVATION_DECLINE_CHECKINS: 3, // 연속으로 동기가 떨어지면 경고하는 체크인 수
+        JOURNEY_TASK_WINDOW_DAYS: 7, // 체크인 뒤 세부 계획 완료를 세는 기간
+        // PDF에 넣는 한글 폰트 (나눔고딕에서 완성형 한글 11,172자 전체와 기본 기호만 남긴 서브셋, SIL OFL - fonts/OFL.txt)
+        // 앱과 함께 배포하고 서비스 워커가 미리 캐시하므로 오프라인에서도 만들 수 있음
+        PDF_FONT_URLS: {
+            normal: './fonts/NanumGothic-subset.ttf',
+            bold: './fonts/NanumGothicBold-subset.ttf'
+        },
         AUTO_LOGOUT_TIME: 30 * 60 * 1000, // 30분
         MAX_IMAGE_SIZE: 10 * 1024 * 1024, // 10MB
         IMAGE_TYPES: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
@@ -59,7 +82,7 @@
         // 날짜 포맷
         formatDate(date) {
             if (!date) return '';
-            const d = new Date(date);
+            const d = this.isDateKey(date) ? this.parseDateKey(date) : new Date(date);
             return d.toLocaleDateString('ko-KR', {
                 year: 'numeric',
                 month: 'long',
@@ -70,10 +93,43 @@
         // 짧은 날짜 포맷 (MM/DD)
         formatShortDate(date) {
             if (!date) return '';
-            const d = new Date(date);
+            const d = this.isDateKey(date) ? this.parseDateKey(date) : new Date(date);
             return `${d.getMonth() + 1}/${d.getDate()}`;
         },
 
+        // 로컬 날짜 키 (YYYY-MM-DD) - toISOString()은 UTC 기준이라 자정 전후로 날짜가 바뀜
+        toDateKey(date = new Date()) {
+            if (this.isDateKey(date)) return date;
+            const d = new Date(date);
+            const month = String(d.getMonth() + 1).padStart(2, '0');
+            const day = String(d.getDate()).padStart(2, '0');
+            return `${d.getFullYear()}-${month}-${day}`;
+        },
+
+        // 날짜 키 → 로컬 자정 Date
+        parseDateKey(key) {
+            const [year, month, day] = key.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        },
+
+        isDateKey(value) {
+            return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        },
+
+        // 날짜 키에 일수 더하기
+        addDays(key, days) {
+            const d = this.parseDateKey(key);
+            d.setDate(d.getDate() + days);
+            return this.toDateKey(d);
+        },
+
+        // 두 날짜 키 사이의 일수 (서머타임 영향 없음)
+        daysBetween(fromKey, toKey) {
+            const [y1, m1, d1] = fromKey.split('-').map(Number);
+            const [y2, m2, d2] = toKey.split('-').map(Number);
+            return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / 86400000);
+        },
+
         // 상대 시간 계산
         getRelativeTime(date) {
             const now = new Date();
@@ -91,11 +147,31 @@
             return `${Math.floor(days / 365)}년 전`;
         },
 
-        // HTML 이스케이프
+        // HTML 이스케이프 (속성 값에도 넣으므로 따옴표까지)
         escapeHtml(text) {
             const div = document.createElement('div');
             div.textContent = text;
-            return div.innerHTML;
+            return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        },
+
+        // 바이트 → base64
+        bytesToBase64(bytes) {
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        },
+
+        // 바이트 → URL 안전 base64
+        bytesToBase64Url(bytes) {
+            return this.bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        },
+
+        base64UrlToBytes(text) {
+            const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+            return Uint8Array.from(binary, char => char.charCodeAt(0));
         },
 
         // 디바운스
@@ -144,6 +220,27 @@
         // 랜덤 선택
         getRandomItem(array) {
             return array[Math.floor(Math.random() * array.length)];
+        },
+
+        // 텍스트를 파일로 내려받기
+        downloadFile(content, filename, type = 'text/plain') {
+            const blob = new Blob([content], { type: `${type};charset=utf-8` });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.download = filename;
+            link.href = url;
+            link.click();
+            URL.revokeObjectURL(url);
+        },
+
+        // 파일 → 텍스트
+        readFileAsText(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsText(file);
+            });
         }
     };
 
@@ -210,4305 +307,12796 @@
     };
 
     // ========================================
-    // 4. 이미지 처리 (Image Processor)
+    // 3-1. IndexedDB 저장소 (Database)
     // ========================================
-    const ImageProcessor = {
-        // 이미지 설정
-        settings: { ...CONFIG.DEFAULT_IMAGE_SETTINGS },
+    const Database = {
+        db: null,
 
-        // 이미지 유효성 검사
-        validateImage(file) {
-            if (!CONFIG.IMAGE_TYPES.includes(file.type)) {
-                throw new Error('JPG, PNG, WebP 파일만 업로드 가능합니다.');
-            }
-            
-            if (file.size > CONFIG.MAX_IMAGE_SIZE) {
-                throw new Error('파일 크기는 10MB 이하만 가능합니다.');
-            }
+        // 마지막으로 기록된 레코드의 직렬화 값 (변경된 레코드만 다시 쓰기 위함)
+        snapshot: new Map(),
 
-            // 파일 이름 보안 검증
-            const fileName = file.name.toLowerCase();
-            const dangerousExtensions = ['.exe', '.bat', '.cmd', '.scr', '.pif', '.com'];
-            if (dangerousExtensions.some(ext => fileName.includes(ext))) {
-                throw new Error('허용되지 않는 파일 형식입니다.');
+        // 쓰기 순서를 보장하기 위한 대기열
+        writeQueue: Promise.resolve(),
+
+        // 스키마 마이그레이션 단계 (버전 번호 → 업그레이드 함수)
+        // 새 버전을 추가할 때는 CONFIG.DB_VERSION을 올리고 여기에 단계를 추가합니다.
+        migrations: {
+            1(db) {
+                // 프로필 레코드: { id, order, goalIds, data }
+                db.createObjectStore('profiles', { keyPath: 'id' });
+
+                // 목표 레코드: { profileId, id, data }
+                const goals = db.createObjectStore('goals', { keyPath: ['profileId', 'id'] });
+                goals.createIndex('profileId', 'profileId');
+
+                // 메타 정보 (마이그레이션 기록 등)
+                db.createObjectStore('meta', { keyPath: 'key' });
+            },
+
+            2(db) {
+                // 첨부파일 레코드: { hash, blob, type, size, createdAt }
+                db.createObjectStore('attachments', { keyPath: 'hash' });
+            },
+
+            3(db) {
+                // 프로필끼리 함께 쓰는 기기 데이터 레코드: { key, value } (SharedData)
+                db.createObjectStore('shared', { keyPath: 'key' });
+            },
+
+            4(db, tx) {
+                // 잠긴 프로필이 암호화한 첨부: { hash(무작위), owner, data(iv + 암호문), type, createdAt }
+                tx.objectStore('attachments').createIndex('owner', 'owner');
             }
-            
-            return true;
         },
 
-        // 이미지 압축
-        async compressImage(file, options = {}) {
-            const settings = { ...this.settings, ...options };
-            
-            // 자동 압축이 비활성화된 경우 원본 반환
-            if (!settings.autoCompress) {
-                return new Promise((resolve) => {
-                    const reader = new FileReader();
-                    reader.onloadend = () => resolve(reader.result);
-                    reader.readAsDataURL(file);
-                });
+        // 지원 여부 확인
+        isSupported() {
+            return typeof indexedDB !== 'undefined';
+        },
+
+        // DB 열기 (필요 시 마이그레이션 실행)
+        open() {
+            if (this.db) return Promise.resolve(this.db);
+            if (!this.isSupported()) {
+                return Promise.reject(new Error('IndexedDB를 지원하지 않는 브라우저입니다.'));
             }
-            
+
             return new Promise((resolve, reject) => {
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                const img = new Image();
-                
-                img.onload = function() {
-                    // 비율 계산
-                    let width = img.width;
-                    let height = img.height;
-                    
-                    if (width > settings.maxWidth) {
-                        height = (settings.maxWidth / width) * height;
-                        width = settings.maxWidth;
+                const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+
+                request.onupgradeneeded = (e) => {
+                    const db = request.result;
+                    for (let version = e.oldVersion + 1; version <= e.newVersion; version++) {
+                        const migrate = this.migrations[version];
+                        if (migrate) {
+                            console.log(`DB 마이그레이션: v${version}`);
+                            migrate(db, request.transaction);
+                        }
                     }
-                    
-                    canvas.width = width;
-                    canvas.height = height;
-                    
-                    // 이미지 그리기
-                    ctx.drawImage(img, 0, 0, width, height);
-                    
-                    // 압축된 데이터 URL 반환
-                    canvas.toBlob((blob) => {
-                        const reader = new FileReader();
-                        reader.onloadend = () => resolve(reader.result);
-                        reader.onerror = reject;
-                        reader.readAsDataURL(blob);
-                    }, `image/${settings.format}`, settings.quality);
                 };
-                
-                img.onerror = reject;
-                
-                // FileReader로 이미지 로드
-                const reader = new FileReader();
-                reader.onloadend = () => {
-                    img.src = reader.result;
+
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    // 다른 탭에서 새 버전으로 업그레이드하면 연결을 닫아 차단하지 않음
+                    this.db.onversionchange = () => {
+                        this.db.close();
+                        this.db = null;
+                    };
+                    resolve(this.db);
                 };
-                reader.onerror = reject;
-                reader.readAsDataURL(file);
+
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => console.warn('DB 업그레이드가 다른 탭에 의해 대기 중입니다.');
             });
         },
 
-        // 이미지 크기 계산
-        getImageSize(dataUrl) {
-            const base64 = dataUrl.split(',')[1];
-            const bytes = atob(base64).length;
-            return (bytes / 1024 / 1024).toFixed(2); // MB
+        // IDBRequest → Promise
+        promisify(request) {
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         },
 
-        // 설정 업데이트
-        updateSettings(newSettings) {
-            this.settings = { ...this.settings, ...newSettings };
-            Storage.set('imageSettings', this.settings);
+        // 트랜잭션 완료 대기
+        complete(tx) {
+            return new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            });
         },
 
-        // 설정 로드
-        loadSettings() {
-            const saved = Storage.get('imageSettings');
-            if (saved) {
-                this.settings = { ...this.settings, ...saved };
-            }
-        }
-    };
-
-    // ========================================
-    // 5. 데이터 모델 (Data Model)
-    // ========================================
-    const DataModel = {
-        // 상태
-        state: {
-            profiles: [],
-            currentProfile: null,
-            activeFilter: 'all',
-            activeTab: 'goals',
-            searchQuery: '',
-            sortOrder: 'date-desc'
+        // 메타 정보
+        async getMeta(key) {
+            const db = await this.open();
+            const record = await this.promisify(
+                db.transaction('meta', 'readonly').objectStore('meta').get(key)
+            );
+            return record ? record.value : null;
         },
 
-        // 프로필 관리
-        loadProfiles() {
-            const data = Storage.get(CONFIG.STORAGE_KEY);
-            
-            // 데이터가 배열인지 확인
-            if (Array.isArray(data)) {
-                this.state.profiles = data;
-            } else {
-                this.state.profiles = [];
-            }
-            
-            return this.state.profiles;
+        async setMeta(key, value) {
+            const db = await this.open();
+            const tx = db.transaction('meta', 'readwrite');
+            tx.objectStore('meta').put({ key, value });
+            return this.complete(tx);
         },
 
-        saveProfiles() {
-            return Storage.set(CONFIG.STORAGE_KEY, this.state.profiles);
-        },
+        // 전체 프로필 로드 (프로필 + 목표 레코드 조립)
+        async loadProfiles() {
+            const db = await this.open();
+            await this.migrateLegacyStorage();
 
-        createProfile(name) {
-            const profile = {
-                id: Utils.generateId(),
-                name: name.trim(),
-                bucketList: [],
-                createdAt: new Date().toISOString(),
-                lastActive: new Date().toISOString(),
-                settings: {
-                    imageQuality: 0.8,
-                    imageMaxWidth: 1200,
-                    autoLogout: true
-                },
-                achievements: [],
-                reflections: []
-            };
-            this.state.profiles.push(profile);
-            this.saveProfiles();
-            return profile;
+            const tx = db.transaction(['profiles', 'goals'], 'readonly');
+            const [profileRecords, goalRecords] = await Promise.all([
+                this.promisify(tx.objectStore('profiles').getAll()),
+                this.promisify(tx.objectStore('goals').getAll())
+            ]);
+
+            // 프로필별 목표 묶기
+            const goalsByProfile = {};
+            goalRecords.forEach(record => {
+                goalsByProfile[record.profileId] = goalsByProfile[record.profileId] || {};
+                goalsByProfile[record.profileId][record.id] = record.data;
+                this.snapshot.set(this.goalKey(record.profileId, record.id), JSON.stringify(record.data));
+            });
+
+            return profileRecords
+                .sort((a, b) => a.order - b.order)
+                .map(record => {
+                    const goals = goalsByProfile[record.id] || {};
+                    this.snapshot.set(record.id, JSON.stringify({
+                        id: record.id,
+                        order: record.order,
+                        goalIds: record.goalIds,
+                        data: record.data
+                    }));
+                    return {
+                        ...record.data,
+                        bucketList: record.goalIds.map(id => goals[id]).filter(Boolean)
+                    };
+                });
         },
 
-        setCurrentProfile(profile) {
-            this.state.currentProfile = profile;
-            if (profile) {
-                profile.lastActive = new Date().toISOString();
-                this.saveProfiles();
+        // 프로필 저장 (변경된 레코드만 기록)
+        saveProfiles(profiles) {
+            // 호출 시점의 상태를 직렬화해 두고 쓰기는 순서대로 처리
+            const changes = this.collectChanges(profiles);
+            if (changes.putProfiles.length === 0 && changes.putGoals.length === 0 &&
+                changes.deleteProfiles.length === 0 && changes.deleteGoals.length === 0) {
+                return this.writeQueue;
             }
+
+            this.writeQueue = this.writeQueue
+                .then(() => this.writeChanges(changes))
+                .catch(err => {
+                    console.error('DB save error:', err);
+                    // 실패한 레코드는 다음 저장 때 다시 기록되도록 스냅샷에서 제거
+                    changes.putProfiles.forEach(r => this.snapshot.delete(r.id));
+                    changes.putGoals.forEach(r => this.snapshot.delete(this.goalKey(r.profileId, r.id)));
+                    View.showNotification('데이터 저장 중 오류가 발생했습니다.', 'error');
+                });
+
+            return this.writeQueue;
         },
 
-        deleteProfile(profileId) {
-            this.state.profiles = this.state.profiles.filter(p => p.id !== profileId);
-            if (this.state.currentProfile?.id === profileId) {
-                this.state.currentProfile = null;
-            }
-            this.saveProfiles();
+        // 스냅샷과 비교해 변경분 계산
+        collectChanges(profiles) {
+            const changes = { putProfiles: [], putGoals: [], deleteProfiles: [], deleteGoals: [] };
+            const seen = new Set();
+
+            profiles.forEach((profile, order) => {
+                const record = this.toProfileRecord(profile, order);
+                const serialized = JSON.stringify(record);
+                seen.add(profile.id);
+
+                if (this.snapshot.get(profile.id) !== serialized) {
+                    changes.putProfiles.push(record);
+                    this.snapshot.set(profile.id, serialized);
+                }
+
+                (profile.bucketList || []).forEach(goal => {
+                    const key = this.goalKey(profile.id, goal.id);
+                    const goalSerialized = JSON.stringify(goal);
+                    seen.add(key);
+
+                    if (this.snapshot.get(key) !== goalSerialized) {
+                        changes.putGoals.push({ profileId: profile.id, id: goal.id, data: JSON.parse(goalSerialized) });
+                        this.snapshot.set(key, goalSerialized);
+                    }
+                });
+            });
+
+            // 사라진 레코드 삭제
+            [...this.snapshot.keys()].forEach(key => {
+                if (seen.has(key)) return;
+                this.snapshot.delete(key);
+                const separator = key.indexOf('/');
+                if (separator !== -1) {
+                    changes.deleteGoals.push([key.slice(0, separator), key.slice(separator + 1)]);
+                } else {
+                    changes.deleteProfiles.push(key);
+                }
+            });
+
+            return changes;
         },
 
-        // 목표 관리
-        addGoal(text, category, recurring = null) {
-            if (!this.state.currentProfile) return null;
+        // 변경분 기록 (단일 트랜잭션)
+        async writeChanges(changes) {
+            const db = await this.open();
+            const tx = db.transaction(['profiles', 'goals'], 'readwrite');
+            const profileStore = tx.objectStore('profiles');
+            const goalStore = tx.objectStore('goals');
 
-            const goal = {
-                id: Utils.generateId(),
-                text: text.trim(),
-                category: category,
-                completed: false,
-                createdAt: new Date().toISOString(),
-                completedAt: null,
-                completionNote: null,
-                completionEmotion: null,
-                completionImage: null,
-                emotionalJourney: [],
-                tasks: [],
-                taskProgress: 0,
-                milestones: [],
-                priority: 'medium',
-                tags: [],
-                reminders: [],
-                recurring: recurring ? {
-                    type: recurring.type,
-                    interval: recurring.interval,
-                    nextDue: recurring.nextDue || this.calculateNextDueDate(recurring.type),
-                    completedDates: [],
-                    totalCompletions: 0,
-                    isActive: true
-                } : null
-            };
+            changes.putProfiles.forEach(record => profileStore.put(record));
+            changes.putGoals.forEach(record => goalStore.put(record));
+            changes.deleteProfiles.forEach(id => profileStore.delete(id));
+            changes.deleteGoals.forEach(key => goalStore.delete(key));
 
-            this.state.currentProfile.bucketList.push(goal);
-            this.saveProfiles();
-            return goal;
+            return this.complete(tx);
         },
 
-        // 다음 반복 날짜 계산
-        calculateNextDueDate(recurringType) {
-            const now = new Date();
-            const config = CONFIG.RECURRING_TYPES[recurringType];
-            if (!config) return null;
+        // 프로필 레코드 (목표 본문은 별도 레코드로 분리)
+        toProfileRecord(profile, order) {
+            const { bucketList, ...data } = profile;
+            return {
+                id: profile.id,
+                order: order,
+                goalIds: (bucketList || []).map(g => g.id),
+                data: JSON.parse(JSON.stringify(data))
+            };
+        },
 
-            const nextDate = new Date(now);
-            switch (recurringType) {
-                case 'daily':
-                    nextDate.setDate(nextDate.getDate() + 1);
-                    break;
-                case 'weekly':
-                    nextDate.setDate(nextDate.getDate() + 7);
-                    break;
-                case 'monthly':
-                    nextDate.setMonth(nextDate.getMonth() + 1);
-                    break;
-                case 'yearly':
-                    nextDate.setFullYear(nextDate.getFullYear() + 1);
-                    break;
-            }
-            return nextDate.toISOString();
+        goalKey(profileId, goalId) {
+            return `${profileId}/${goalId}`;
         },
 
-        // 반복 목표 완료 처리
-        completeRecurringGoal(goalId) {
-            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal || !goal.recurring) return null;
+        // 기존 localStorage 데이터 1회 자동 이전
+        async migrateLegacyStorage() {
+            const migrated = await this.getMeta('legacyMigration');
+            if (migrated) return;
 
-            const today = new Date().toISOString().split('T')[0];
-            
-            // 이미 오늘 완료했는지 확인
-            if (goal.recurring.completedDates.includes(today)) {
-                return null; // 이미 완료됨
+            const legacy = Storage.get(CONFIG.STORAGE_KEY);
+            const profiles = Array.isArray(legacy) ? legacy : [];
+
+            if (profiles.length > 0) {
+                await this.saveProfiles(profiles);
+                // 저장 실패 시에는 원본을 남겨두고 다음 실행 때 다시 시도
+                const stored = await this.promisify(
+                    this.db.transaction('profiles', 'readonly').objectStore('profiles').count()
+                );
+                if (stored < profiles.length) {
+                    throw new Error('기존 데이터 이전에 실패했습니다.');
+                }
             }
 
-            // 완료 정보 업데이트
-            goal.recurring.completedDates.push(today);
-            goal.recurring.totalCompletions = (goal.recurring.totalCompletions || 0) + 1;
-            goal.recurring.nextDue = this.calculateNextDueDate(goal.recurring.type);
-            
-            // 목표는 완료하지 않고 계속 활성 상태 유지
-            goal.completed = false;
-            
-            this.saveProfiles();
-            return goal;
+            await this.setMeta('legacyMigration', {
+                migratedAt: new Date().toISOString(),
+                profileCount: profiles.length
+            });
+
+            // 용량 확보를 위해 기존 키 제거
+            Storage.remove(CONFIG.STORAGE_KEY);
+            console.log(`localStorage → IndexedDB 이전 완료 (${profiles.length}개 프로필)`);
         },
 
-        // 반복 목표 비활성화
-        deactivateRecurringGoal(goalId) {
-            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal || !goal.recurring) return null;
+        // 공유 데이터 로드 → { 키: 값 } (예전에 localStorage에 두던 키는 1회 이전)
+        async loadShared(legacyKeys) {
+            const db = await this.open();
+            const records = await this.promisify(
+                db.transaction('shared', 'readonly').objectStore('shared').getAll()
+            );
+            const values = Object.fromEntries(records.map(record => [record.key, record.value]));
+
+            const legacy = legacyKeys.filter(key => values[key] === undefined && Storage.get(key) !== null);
+            if (legacy.length > 0) {
+                const tx = db.transaction('shared', 'readwrite');
+                legacy.forEach(key => {
+                    values[key] = Storage.get(key);
+                    tx.objectStore('shared').put({ key, value: values[key] });
+                });
+                await this.complete(tx);
+            }
+            // 기록이 끝난 뒤에만 제거 (실패하면 다음 실행 때 다시 시도)
+            legacyKeys.forEach(key => Storage.remove(key));
+            return values;
+        },
+
+        // 공유 데이터 저장 (호출 시점의 값으로, 프로필 저장과 같은 대기열에서 순서대로)
+        saveShared(key, value) {
+            const record = { key, value: JSON.parse(JSON.stringify(value)) };
+
+            this.writeQueue = this.writeQueue
+                .then(async () => {
+                    const db = await this.open();
+                    const tx = db.transaction('shared', 'readwrite');
+                    tx.objectStore('shared').put(record);
+                    return this.complete(tx);
+                })
+                .catch(err => {
+                    console.error('DB save error:', err);
+                    View.showNotification('데이터 저장 중 오류가 발생했습니다.', 'error');
+                });
 
-            goal.recurring.isActive = false;
-            goal.completed = true;
-            goal.completedAt = new Date().toISOString();
-            
-            this.saveProfiles();
-            return goal;
+            return this.writeQueue;
         },
 
-        // 오늘 완료 가능한 반복 목표 확인
-        canCompleteToday(goalId) {
-            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal || !goal.recurring) return false;
+        // 저장 공간 사용량 (MB)
+        async estimateUsage() {
+            if (navigator.storage && navigator.storage.estimate) {
+                const { usage } = await navigator.storage.estimate();
+                return (usage / 1024 / 1024).toFixed(2);
+            }
+            return Storage.getStorageSize();
+        }
+    };
+
+    // ========================================
+    // 3-2. 첨부파일 저장소 (Attachment Store)
+    // ========================================
+    const AttachmentStore = {
+        // 목표에 저장되는 참조 형식: 'att:<sha256>' (잠긴 프로필의 첨부는 같은 길이의 무작위 ID)
+        REF_PREFIX: 'att:',
+
+        // 백업 파일에서 암호화된 첨부를 나타내는 data URL 형식
+        SEALED_TYPE: 'application/vnd.bucket-dreams.sealed',
+
+        // 해시 → object URL 캐시
+        urls: new Map(),
+
+        // 복호화해서 URL을 만든 첨부의 해시 → 프로필 ID (다시 잠글 때 URL 해제)
+        sealedUrls: new Map(),
 
-            const today = new Date().toISOString().split('T')[0];
-            return !goal.recurring.completedDates.includes(today);
+        gcTimer: null,
+
+        // 첨부 참조인지 확인
+        isRef(value) {
+            return typeof value === 'string' && value.startsWith(this.REF_PREFIX);
         },
 
-        updateGoal(goalId, updates) {
-            if (!this.state.currentProfile) return null;
+        getHash(ref) {
+            return ref.slice(this.REF_PREFIX.length);
+        },
 
-            const goal = this.state.currentProfile.bucketList.find(g => g.id === goalId);
-            if (!goal) return null;
+        // 별도 저장소 사용 가능 여부 (localStorage 모드에서는 data URL을 그대로 보관)
+        isAvailable() {
+            return DataModel.storageBackend === 'indexeddb';
+        },
 
-            Object.assign(goal, updates);
-            
-            // 태스크 진행률 재계산
-            if (goal.tasks && goal.tasks.length > 0) {
-                const completedTasks = goal.tasks.filter(t => t.completed).length;
-                goal.taskProgress = Utils.calculatePercentage(completedTasks, goal.tasks.length);
+        // data URL → Blob
+        dataUrlToBlob(dataUrl) {
+            const [header, base64] = dataUrl.split(',');
+            const type = (header.match(/data:([^;]+)/) || [])[1] || 'application/octet-stream';
+            const binary = atob(base64);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
             }
+            return new Blob([bytes], { type });
+        },
 
-            this.saveProfiles();
-            return goal;
+        // Blob → data URL
+        blobToDataUrl(blob) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onloadend = () => resolve(reader.result);
+                reader.onerror = reject;
+                reader.readAsDataURL(blob);
+            });
         },
 
-        deleteGoal(goalId) {
-            if (!this.state.currentProfile) return;
+        // Blob → ArrayBuffer
+        blobToArrayBuffer(blob) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onloadend = () => resolve(reader.result);
+                reader.onerror = reject;
+                reader.readAsArrayBuffer(blob);
+            });
+        },
 
-            this.state.currentProfile.bucketList = 
-                this.state.currentProfile.bucketList.filter(g => g.id !== goalId);
-            this.saveProfiles();
+        // 내용 해시 (SHA-256)
+        async hashBuffer(buffer) {
+            const digest = await crypto.subtle.digest('SHA-256', buffer);
+            return Array.from(new Uint8Array(digest))
+                .map(b => b.toString(16).padStart(2, '0'))
+                .join('');
         },
 
-        completeGoal(goalId, completionData) {
-            const updates = {
-                completed: true,
-                completedAt: completionData.date || new Date().toISOString(),
-                completionNote: completionData.note,
-                completionEmotion: completionData.emotion,
-                completionImage: completionData.image
-            };
+        // 첨부 저장 (같은 내용은 한 번만 저장) → 참조 문자열 반환
+        // ownerId: 첨부를 넣는 프로필. 잠긴 프로필이면 그 키로 암호화해서 따로 저장
+        async put(source, ownerId = null) {
+            if (!source) return null;
+            if (this.isRef(source)) return source;
 
-            // 달성 기록 추가
-            if (this.state.currentProfile) {
-                this.state.currentProfile.achievements = this.state.currentProfile.achievements || [];
-                this.state.currentProfile.achievements.push({
-                    goalId: goalId,
-                    date: updates.completedAt,
-                    emotion: completionData.emotion
-                });
+            if (!this.isAvailable()) {
+                return typeof source === 'string' ? source : this.blobToDataUrl(source);
             }
 
-            return this.updateGoal(goalId, updates);
-        },
+            const blob = typeof source === 'string' ? this.dataUrlToBlob(source) : source;
+            if (ownerId && Vault.keys.has(ownerId)) {
+                return this.putSealed(blob, ownerId);
+            }
 
-        // 감정 여정
-        addEmotionalEntry(goalId, emotion, motivation, energy, note = '') {
-            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return null;
+            const buffer = await this.blobToArrayBuffer(blob);
+            const hash = await this.hashBuffer(buffer);
 
-            const entry = {
-                id: Utils.generateId(),
-                date: new Date().toISOString(),
-                emotion: emotion,
-                motivation: motivation,
-                energy: energy,
-                note: note
+            const db = await Database.open();
+            const tx = db.transaction('attachments', 'readwrite');
+            const store = tx.objectStore('attachments');
+            const existing = store.getKey(hash);
+            existing.onsuccess = () => {
+                if (existing.result === undefined) {
+                    // Blob 저장을 지원하지 않는 브라우저가 있어 ArrayBuffer로 보관
+                    store.put({
+                        hash,
+                        data: buffer,
+                        type: blob.type,
+                        size: blob.size,
+                        createdAt: new Date().toISOString()
+                    });
+                }
             };
+            await Database.complete(tx);
 
-            goal.emotionalJourney = goal.emotionalJourney || [];
-            goal.emotionalJourney.push(entry);
-            this.saveProfiles();
-            
-            return entry;
+            return this.REF_PREFIX + hash;
         },
 
-        // 태스크 관리
-        addTask(goalId, taskData) {
-            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return null;
+        // 잠긴 프로필의 첨부 저장 (내용 해시는 드러나지 않게 무작위 ID, 같은 내용도 따로 저장)
+        async putSealed(blob, ownerId) {
+            const bytes = new Uint8Array(await this.blobToArrayBuffer(blob));
+            const hash = Array.from(Vault.randomBytes(32), b => b.toString(16).padStart(2, '0')).join('');
+            await this.putRecord({
+                hash,
+                owner: ownerId,
+                data: await Vault.encryptBytes(Vault.keys.get(ownerId), bytes),
+                type: blob.type,
+                createdAt: new Date().toISOString()
+            });
+            return this.REF_PREFIX + hash;
+        },
 
-            const task = {
-                id: Utils.generateId(),
-                text: taskData.text.trim(),
-                completed: false,
-                createdAt: new Date().toISOString(),
-                completedAt: null,
-                priority: taskData.priority || 'medium',
-                estimatedTime: taskData.estimatedTime || null,
-                actualTime: null,
-                notes: taskData.notes || ''
-            };
+        async putRecord(record) {
+            const db = await Database.open();
+            const tx = db.transaction('attachments', 'readwrite');
+            tx.objectStore('attachments').put(record);
+            await Database.complete(tx);
+        },
 
-            goal.tasks = goal.tasks || [];
-            goal.tasks.push(task);
-            
-            // 진행률 업데이트
-            this.updateGoal(goalId, {});
-            
-            return task;
+        async getRecord(ref) {
+            const db = await Database.open();
+            return Database.promisify(
+                db.transaction('attachments', 'readonly').objectStore('attachments').get(this.getHash(ref))
+            );
         },
 
-        updateTask(goalId, taskId, updates) {
-            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return null;
+        // Blob 조회 (잠긴 프로필의 첨부는 풀려 있는 동안만)
+        async getBlob(ref) {
+            if (!this.isRef(ref)) {
+                return ref ? this.dataUrlToBlob(ref) : null;
+            }
+            const record = await this.getRecord(ref);
+            if (!record) return null;
+            if (!record.owner) return new Blob([record.data], { type: record.type });
 
-            const task = goal.tasks?.find(t => t.id === taskId);
-            if (!task) return null;
+            const key = Vault.keys.get(record.owner);
+            if (!key) return null;
+            this.sealedUrls.set(record.hash, record.owner);
+            return new Blob([await Vault.decryptBytes(key, record.data)], { type: record.type });
+        },
 
-            Object.assign(task, updates);
-            
-            if (updates.completed) {
-                task.completedAt = new Date().toISOString();
+        // 프로필의 평문 첨부를 프로필 키로 암호화한 사본으로 바꿈 (원본은 다른 곳에서 안 쓰면 정리 때 삭제) → 바꾼 수
+        async sealProfile(profile) {
+            if (!this.isAvailable() || !Vault.keys.has(profile.id)) return 0;
+
+            const mapping = {};
+            for (const goal of this.goalsOf(profile)) {
+                for (const ref of this.refsOf(goal)) {
+                    if (!this.isRef(ref) || mapping[ref]) continue;
+                    const record = await this.getRecord(ref);
+                    if (!record || record.owner) continue;
+                    mapping[ref] = await this.putSealed(new Blob([record.data], { type: record.type }), profile.id);
+                }
             }
+            return this.replaceRefs(profile, mapping);
+        },
 
-            // 진행률 업데이트
-            this.updateGoal(goalId, {});
-            
-            return task;
+        // PIN을 해제할 때: 암호화한 첨부를 다시 평문 첨부로 → 바꾼 수
+        async unsealProfile(profile) {
+            if (!this.isAvailable() || !Vault.keys.has(profile.id)) return 0;
+
+            const mapping = {};
+            for (const goal of this.goalsOf(profile)) {
+                for (const ref of this.refsOf(goal)) {
+                    if (!this.isRef(ref) || mapping[ref]) continue;
+                    const record = await this.getRecord(ref);
+                    if (record?.owner !== profile.id) continue;
+                    mapping[ref] = await this.put(await this.getBlob(ref));
+                }
+            }
+            return this.replaceRefs(profile, mapping);
         },
 
-        deleteTask(goalId, taskId) {
-            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal || !goal.tasks) return;
+        replaceRefs(profile, mapping) {
+            const count = Object.keys(mapping).length;
+            if (count > 0) {
+                this.remapRefs([profile], mapping);
+                this.scheduleGarbageCollection();
+            }
+            return count;
+        },
 
-            goal.tasks = goal.tasks.filter(t => t.id !== taskId);
-            
-            // 진행률 업데이트
-            this.updateGoal(goalId, {});
+        // 다시 잠근 프로필의 복호화된 이미지 URL 해제
+        revokeOwner(profileId) {
+            this.sealedUrls.forEach((owner, hash) => {
+                if (owner !== profileId) return;
+                this.revokeUrl(hash);
+                this.sealedUrls.delete(hash);
+            });
         },
 
-        // 마일스톤 관리
-        addMilestone(goalId, milestoneData) {
-            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return null;
+        // 프로필이 암호화해 둔 첨부 레코드
+        async sealedRecordsOf(profileId) {
+            const db = await Database.open();
+            return Database.promisify(
+                db.transaction('attachments', 'readonly').objectStore('attachments').index('owner').getAll(profileId)
+            );
+        },
 
-            const milestone = {
-                id: Utils.generateId(),
-                title: milestoneData.title,
-                targetDate: milestoneData.targetDate,
-                taskIds: milestoneData.taskIds || [],
-                achieved: false,
-                achievedDate: null
-            };
+        // 암호화된 첨부 ↔ 백업용 data URL (암호문 그대로, 프로필 ID와 원래 형식은 매개변수로)
+        sealedToDataUrl(record) {
+            return `data:${this.SEALED_TYPE};owner=${encodeURIComponent(record.owner)};type=${encodeURIComponent(record.type || '')};base64,` +
+                Utils.bytesToBase64(new Uint8Array(record.data));
+        },
 
-            goal.milestones = goal.milestones || [];
-            goal.milestones.push(milestone);
-            this.saveProfiles();
-            
-            return milestone;
+        parseSealed(hash, dataUrl) {
+            const match = /^data:([^;]+);owner=([^;]+);type=([^;]*);base64,(.*)$/.exec(dataUrl);
+            if (!match || match[1] !== this.SEALED_TYPE || !/^[0-9a-f]{64}$/.test(hash)) return null;
+            const binary = atob(match[4]);
+            return {
+                hash,
+                owner: decodeURIComponent(match[2]),
+                type: decodeURIComponent(match[3]),
+                data: Uint8Array.from(binary, char => char.charCodeAt(0)).buffer,
+                createdAt: new Date().toISOString()
+            };
         },
 
-        // 통계 계산
-        getStats() {
-            if (!this.state.currentProfile) {
-                return { total: 0, completed: 0, percentage: 0, byCategory: {} };
-            }
+        // 표시용 URL (object URL 캐시)
+        async getUrl(ref) {
+            if (!this.isRef(ref)) return ref;
 
-            const bucketList = this.state.currentProfile.bucketList || [];
-            const total = bucketList.length;
-            const completed = bucketList.filter(g => g.completed).length;
-            const percentage = Utils.calculatePercentage(completed, total);
+            const hash = this.getHash(ref);
+            if (this.urls.has(hash)) return this.urls.get(hash);
 
-            // 카테고리별 통계
-            const byCategory = {};
-            Object.keys(CONFIG.CATEGORIES).forEach(cat => {
-                const catGoals = bucketList.filter(g => g.category === cat);
-                byCategory[cat] = {
-                    total: catGoals.length,
-                    completed: catGoals.filter(g => g.completed).length
-                };
-            });
+            const blob = await this.getBlob(ref);
+            if (!blob) return null;
 
-            // 동기 지수 계산
-            const motivationIndex = this.calculateMotivationIndex();
+            const url = URL.createObjectURL(blob);
+            this.urls.set(hash, url);
+            return url;
+        },
 
-            return { total, completed, percentage, byCategory, motivationIndex };
+        // 프로필의 모든 목표 (휴지통의 목표 포함)
+        goalsOf(profile) {
+            const trashed = (profile.trash || [])
+                .filter(item => item.type === 'goal')
+                .map(item => item.goal);
+            return [...(profile.bucketList || []), ...trashed];
         },
 
-        // 동기 지수 계산
-        calculateMotivationIndex() {
-            if (!this.state.currentProfile) return 5.0;
+        // 목표가 가진 첨부 참조 목록
+        refsOf(goal) {
+            const refs = [];
+            if (goal.completionImage) refs.push(goal.completionImage);
+            (goal.quickNotes || []).forEach(note => {
+                if (note.type === 'photo' && note.data) refs.push(note.data);
+            });
+            return refs;
+        },
 
-            const bucketList = this.state.currentProfile.bucketList || [];
-            const goalsWithEmotion = bucketList.filter(goal => 
-                goal.emotionalJourney && goal.emotionalJourney.length > 0
-            );
+        // 프로필 전체의 첨부 참조 (예전 버전이 잠긴 프로필에 평문으로 남겨 둔 refs 포함)
+        refsOfProfile(profile) {
+            if (profile.locked === true && Array.isArray(profile.refs)) {
+                return profile.refs;
+            }
+            return this.goalsOf(profile).flatMap(goal => this.refsOf(goal));
+        },
 
-            if (goalsWithEmotion.length === 0) return 5.0;
+        // 현재 참조 중인 모든 해시
+        collectReferencedHashes() {
+            const hashes = new Set();
+            const profiles = DataModel.getStoredProfiles();
 
-            let totalMotivation = 0;
-            let count = 0;
+            // 게스트 프로필은 목록에 없으므로 별도로 포함
+            const current = DataModel.state.currentProfile;
+            if (current && !profiles.includes(current)) {
+                profiles.push(current);
+            }
 
-            goalsWithEmotion.forEach(goal => {
-                const recentEntries = goal.emotionalJourney.slice(-3);
-                recentEntries.forEach(entry => {
-                    if (entry.motivation && !isNaN(entry.motivation)) {
-                        totalMotivation += Number(entry.motivation);
-                        count++;
-                    }
-                });
+            profiles.forEach(profile => {
+                this.refsOfProfile(profile)
+                    .filter(ref => this.isRef(ref))
+                    .forEach(ref => hashes.add(this.getHash(ref)));
             });
 
-            return count > 0 ? (totalMotivation / count).toFixed(1) : 5.0;
+            // 실행 취소로 되살릴 수 있는 목표의 첨부도 유지
+            History.collectAttachmentRefs().forEach(ref => hashes.add(this.getHash(ref)));
+
+            return hashes;
         },
 
-        // 필터링 및 정렬
-        getFilteredGoals(filter = 'all', searchQuery = '', sortOrder = 'date-desc') {
-            if (!this.state.currentProfile) return [];
+        // 고아 첨부 정리 예약 (연속 삭제 시 한 번만 실행)
+        scheduleGarbageCollection() {
+            if (!this.isAvailable()) return;
+            clearTimeout(this.gcTimer);
+            this.gcTimer = setTimeout(() => {
+                this.collectGarbage().catch(err => console.error('Attachment GC error:', err));
+            }, 1000);
+        },
 
-            let bucketList = this.state.currentProfile.bucketList || [];
-            
-            // 필터링
-            if (filter !== 'all') {
-                if (filter === 'completed') {
-                    bucketList = bucketList.filter(g => g.completed);
-                } else if (filter === 'active') {
-                    bucketList = bucketList.filter(g => !g.completed);
-                } else {
-                    // 카테고리 필터
-                    bucketList = bucketList.filter(g => g.category === filter);
-                }
-            }
+        // 어떤 목표에서도 참조하지 않는 첨부 삭제
+        async collectGarbage() {
+            // 대기 중인 저장이 끝난 뒤 판단
+            await Database.writeQueue;
 
-            // 검색
-            if (searchQuery) {
-                const query = searchQuery.toLowerCase();
-                bucketList = bucketList.filter(g => 
-                    g.text.toLowerCase().includes(query) ||
-                    (g.completionNote && g.completionNote.toLowerCase().includes(query))
-                );
-            }
+            const referenced = this.collectReferencedHashes();
+            const profiles = DataModel.getStoredProfiles();
+            const db = await Database.open();
+            const tx = db.transaction('attachments', 'readwrite');
+            const store = tx.objectStore('attachments');
+            const owners = new Map();
+            let removed = 0;
 
-            // 정렬
-            bucketList.sort((a, b) => {
-                switch (sortOrder) {
-                    case 'date-desc':
-                        return new Date(b.createdAt) - new Date(a.createdAt);
-                    case 'date-asc':
-                        return new Date(a.createdAt) - new Date(b.createdAt);
-                    case 'category':
-                        return a.category.localeCompare(b.category);
-                    case 'completed':
-                        return (b.completed ? 1 : 0) - (a.completed ? 1 : 0);
-                    default:
-                        return 0;
+            // 암호화된 첨부는 주인이 잠겨 있으면 참조를 알 수 없어 남기고, 주인이 없어지면 삭제
+            const keep = hash => {
+                if (!owners.has(hash)) return referenced.has(hash);
+                const owner = profiles.find(profile => profile.id === owners.get(hash));
+                return !!owner && (Vault.isSealed(owner) || referenced.has(hash));
+            };
+
+            const ownerRequest = store.index('owner').openKeyCursor();
+            ownerRequest.onsuccess = () => {
+                const ownerCursor = ownerRequest.result;
+                if (ownerCursor) {
+                    owners.set(ownerCursor.primaryKey, ownerCursor.key);
+                    ownerCursor.continue();
+                    return;
                 }
-            });
 
-            return bucketList;
+                const request = store.openKeyCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    if (!keep(cursor.primaryKey)) {
+                        store.delete(cursor.primaryKey);
+                        this.revokeUrl(cursor.primaryKey);
+                        removed++;
+                    }
+                    cursor.continue();
+                };
+            };
+
+            await Database.complete(tx);
+            if (removed > 0) {
+                console.log(`사용하지 않는 첨부파일 ${removed}개 정리`);
+            }
+            return removed;
         },
 
-        // 데이터 내보내기
-        exportData(profileId = null) {
-            if (profileId) {
-                const profile = this.state.profiles.find(p => p.id === profileId);
-                return profile ? JSON.stringify(profile, null, 2) : null;
+        revokeUrl(hash) {
+            if (this.urls.has(hash)) {
+                URL.revokeObjectURL(this.urls.get(hash));
+                this.urls.delete(hash);
             }
-            return JSON.stringify(this.state.profiles, null, 2);
         },
 
-        // 데이터 가져오기
-        importData(jsonData) {
-            try {
-                const data = JSON.parse(jsonData);
-                
-                // 단일 프로필인 경우
-                if (data.id && data.bucketList) {
-                    const exists = this.state.profiles.find(p => p.id === data.id);
-                    if (exists) {
-                        if (confirm('같은 ID의 프로필이 이미 존재합니다. 덮어쓰시겠습니까?')) {
-                            Object.assign(exists, data);
-                        }
-                    } else {
-                        this.state.profiles.push(data);
-                    }
-                } 
-                // 여러 프로필인 경우
-                else if (Array.isArray(data)) {
-                    if (confirm('모든 기존 데이터가 교체됩니다. 계속하시겠습니까?')) {
-                        this.state.profiles = data;
+        // 내보내기용 첨부 모음 { hash: dataUrl } (같은 이미지는 한 번만 포함, 잠긴 프로필의 첨부는 암호문 그대로)
+        async exportFor(profiles) {
+            const attachments = {};
+
+            for (const profile of profiles) {
+                if (profile.locked === true && this.isAvailable()) {
+                    (await this.sealedRecordsOf(profile.id)).forEach(record => {
+                        attachments[record.hash] = this.sealedToDataUrl(record);
+                    });
+                }
+                for (const ref of this.refsOfProfile(profile)) {
+                    if (!this.isRef(ref)) continue;
+                    const hash = this.getHash(ref);
+                    if (attachments[hash]) continue;
+
+                    const blob = await this.getBlob(ref);
+                    if (blob) {
+                        attachments[hash] = await this.blobToDataUrl(blob);
                     }
                 }
-                
-                this.saveProfiles();
-                return true;
-            } catch (e) {
-                console.error('Import error:', e);
-                return false;
             }
-        }
-    };
 
-    // ========================================
-    // 6. AI 추천 시스템 (AI Recommendation)
-    // ========================================
-    const AIRecommendation = {
-        // 추천 데이터베이스
-        recommendations: {
-            travel: [
-                "오로라 보기 (노르웨이, 핀란드)",
-                "세계 7대 불가사의 방문하기",
-                "트랜스시베리아 횡단 열차 타기",
-                "산티아고 순례길 걷기",
-                "발리에서 한 달 살기"
-            ],
-            hobby: [
-                "나만의 유튜브 채널 만들기",
-                "수제 맥주 만들기",
-                "디지털 아트 배우기",
-                "소설 한 편 완성하기",
-                "텃밭 가꾸기"
-            ],
-            career: [
-                "전문 자격증 취득하기",
-                "TED 강연하기",
-                "스타트업 창업하기",
-                "멘토 되어 후배 도와주기",
-                "업계 컨퍼런스에서 발표하기"
-            ],
-            relationship: [
-                "가족과 함께 여행가기",
-                "오래된 친구에게 편지 쓰기",
-                "봉사활동 정기적으로 참여하기",
-                "동창회 주최하기",
-                "부모님 자서전 만들어드리기"
-            ],
-            health: [
-                "마라톤 완주하기",
-                "100일 운동 챌린지 완성하기",
-                "명상 습관 만들기",
-                "체중 목표 달성하기",
-                "금연/금주 성공하기"
-            ],
-            other: [
-                "나무 1000그루 심기",
-                "특허 출원하기",
-                "기부 문화 만들기",
-                "타임캡슐 묻기",
-                "자서전 쓰기"
-            ]
+            return attachments;
         },
 
-        // 개인화된 추천 생성
-        getPersonalizedRecommendations(profile) {
-            if (!profile || !profile.bucketList) return [];
-
-            const recommendations = [];
-            const existingGoals = profile.bucketList.map(g => g.text.toLowerCase());
-
-            // 카테고리별 분석
-            const categoryCount = {};
-            profile.bucketList.forEach(goal => {
-                categoryCount[goal.category] = (categoryCount[goal.category] || 0) + 1;
-            });
-
-            // 선호 카테고리 파악
-            const preferredCategories = Object.entries(categoryCount)
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 3)
-                .map(([cat]) => cat);
-
-            // 추천 생성
-            preferredCategories.forEach(category => {
-                const catRecommendations = this.recommendations[category] || [];
-                const filtered = catRecommendations.filter(rec => 
-                    !existingGoals.some(goal => goal.includes(rec.toLowerCase()))
-                );
-                
-                if (filtered.length > 0) {
-                    recommendations.push({
-                        category: category,
-                        text: Utils.getRandomItem(filtered),
-                        reason: this.getRecommendationReason(category, profile)
-                    });
+        // 가져온 첨부 저장 후 목표의 참조를 실제 저장 위치로 맞춤
+        async importFor(profiles, attachments = {}) {
+            const mapping = {};
+            for (const [hash, dataUrl] of Object.entries(attachments)) {
+                const sealed = this.parseSealed(hash, dataUrl);
+                if (sealed) {
+                    // 잠긴 프로필 안에서 가리키는 ID를 바꿀 수 없으므로 그대로 저장
+                    if (this.isAvailable()) await this.putRecord(sealed);
+                    continue;
                 }
-            });
-
-            // 시즌별 추천 추가
-            const seasonalRec = this.getSeasonalRecommendation();
-            if (seasonalRec) {
-                recommendations.push(seasonalRec);
+                mapping[this.REF_PREFIX + hash] = await this.put(dataUrl);
             }
+            this.remapRefs(profiles, mapping);
 
-            return recommendations.slice(0, 3); // 최대 3개
+            // 이전 형식의 내보내기 파일은 이미지가 목표 안에 들어 있음
+            await this.migrateInlineImages(profiles);
         },
 
-        // 추천 이유 생성
-        getRecommendationReason(category, profile) {
-            const completedInCategory = profile.bucketList
-                .filter(g => g.category === category && g.completed).length;
+        // 인라인 data URL 이미지를 첨부 저장소로 옮김 (기존 데이터 1회 정리)
+        async migrateInlineImages(profiles) {
+            if (!this.isAvailable()) return 0;
 
-            if (completedInCategory > 0) {
-                return `${CONFIG.CATEGORIES[category].name} 분야에서 이미 ${completedInCategory}개를 달성하셨네요!`;
+            const mapping = {};
+            for (const profile of profiles) {
+                for (const goal of this.goalsOf(profile)) {
+                    for (const ref of this.refsOf(goal)) {
+                        if (typeof ref === 'string' && ref.startsWith('data:') && !mapping[ref]) {
+                            mapping[ref] = await this.put(ref);
+                        }
+                    }
+                }
             }
-            return `${CONFIG.CATEGORIES[category].name} 분야의 새로운 도전입니다.`;
-        },
-
-        // 시즌별 추천
-        getSeasonalRecommendation() {
-            const month = new Date().getMonth();
-            const season = month >= 3 && month <= 5 ? 'spring' :
-                         month >= 6 && month <= 8 ? 'summer' :
-                         month >= 9 && month <= 11 ? 'fall' : 'winter';
-
-            const seasonal = {
-                spring: { text: "벚꽃 명소 여행가기", category: "travel" },
-                summer: { text: "서핑 배우기", category: "hobby" },
-                fall: { text: "단풍놀이 가기", category: "travel" },
-                winter: { text: "스키/스노보드 배우기", category: "hobby" }
-            };
 
-            return {
-                ...seasonal[season],
-                reason: "이 계절에 딱 맞는 활동이에요! 🌸"
-            };
+            this.remapRefs(profiles, mapping);
+            return Object.keys(mapping).length;
         },
 
-        // 동기부여 메시지
-        getMotivationalMessage(goal) {
-            const messages = {
-                travel: [
-                    "새로운 세상이 당신을 기다리고 있어요! ✈️",
-                    "모든 여행은 자신을 발견하는 여정입니다 🌍",
-                    "가장 좋은 시간은 바로 지금입니다 🎒"
-                ],
-                hobby: [
-                    "새로운 취미는 삶을 더욱 풍요롭게 합니다 🎨",
-                    "열정은 언제나 아름답습니다 ✨",
-                    "시작이 반입니다. 도전해보세요! 🎯"
-                ],
-                career: [
-                    "당신의 꿈은 충분히 가치있습니다 💼",
-                    "성장하는 당신이 멋집니다 📈",
-                    "한 걸음씩 나아가세요 🚀"
-                ],
-                relationship: [
-                    "사랑하는 사람들과의 시간은 보물입니다 ❤️",
-                    "관계는 삶의 가장 큰 선물입니다 🤝",
-                    "함께하는 순간이 행복입니다 👨‍👩‍👧‍👦"
-                ],
-                health: [
-                    "건강한 몸에 건강한 정신이 깃듭니다 💪",
-                    "오늘의 운동이 내일의 활력입니다 🏃‍♂️",
-                    "자신을 사랑하는 가장 좋은 방법입니다 ❤️"
-                ],
-                other: [
-                    "당신만의 특별한 꿈을 응원합니다 🌟",
-                    "불가능은 없습니다. 도전하세요! 💫",
-                    "세상을 바꾸는 것은 작은 실천부터 시작됩니다 🌱"
-                ]
-            };
-
-            const categoryMessages = messages[goal.category] || messages.other;
-            return Utils.getRandomItem(categoryMessages);
+        // 참조 문자열 치환
+        remapRefs(profiles, mapping) {
+            profiles.forEach(profile => {
+                this.goalsOf(profile).forEach(goal => {
+                    if (mapping[goal.completionImage]) {
+                        goal.completionImage = mapping[goal.completionImage];
+                    }
+                    (goal.quickNotes || []).forEach(note => {
+                        if (note.type === 'photo' && mapping[note.data]) {
+                            note.data = mapping[note.data];
+                        }
+                    });
+                });
+            });
         }
     };
 
     // ========================================
-    // 7. PDF 생성기 (PDF Generator)
+    // 3-3. 공유 데이터 (SharedData)
     // ========================================
-    const PDFGenerator = {
-        // PDF 생성
-        async generatePDF(goals, profileName) {
-            if (typeof jspdf === 'undefined') {
-                throw new Error('PDF 라이브러리가 로드되지 않았습니다.');
-            }
-
-            const { jsPDF } = jspdf;
-            const doc = new jsPDF();
-
-            // 한글 폰트 설정 (Base64 인코딩된 폰트 필요)
-            // 실제 구현시 한글 폰트 추가 필요
-
-            // 제목
-            doc.setFontSize(20);
-            doc.text(`${profileName}님의 버킷리스트`, 105, 20, { align: 'center' });
-
-            // 날짜
-            doc.setFontSize(10);
-            doc.text(`생성일: ${Utils.formatDate(new Date())}`, 105, 30, { align: 'center' });
-
-            // 통계
-            const completed = goals.filter(g => g.completed).length;
-            const total = goals.length;
-            const percentage = Utils.calculatePercentage(completed, total);
-
-            doc.setFontSize(12);
-            doc.text(`총 ${total}개 목표 중 ${completed}개 완료 (${percentage}%)`, 20, 45);
+    // 가족 구성원·도전·응원처럼 특정 프로필에 속하지 않고 기기의 프로필들이 함께 쓰는 데이터.
+    // 시작할 때 한 번 읽어 메모리에 두고, 바꿀 때마다 프로필과 같은 저장소(IndexedDB, 안 되면 localStorage)에 기록한다.
+    // 전체 백업에는 data.shared { 키: 값 } 으로 들어간다.
+    const SharedData = {
+        KEYS: ['household', 'challenges', 'encouragements'],
 
-            // 목표 리스트
-            let yPosition = 60;
-            goals.forEach((goal, index) => {
-                if (yPosition > 250) {
-                    doc.addPage();
-                    yPosition = 20;
-                }
+        values: {},
 
-                const status = goal.completed ? '[완료]' : '[진행중]';
-                const category = CONFIG.CATEGORIES[goal.category]?.name || '기타';
-                
-                doc.setFontSize(10);
-                doc.text(`${index + 1}. ${status} ${goal.text} (${category})`, 20, yPosition);
-                
-                if (goal.completed && goal.completionNote) {
-                    doc.setFontSize(8);
-                    doc.text(`   완료일: ${Utils.formatDate(goal.completedAt)}`, 25, yPosition + 5);
-                    doc.text(`   소감: ${goal.completionNote}`, 25, yPosition + 10);
-                    yPosition += 15;
-                } else {
-                    yPosition += 10;
+        async load() {
+            if (DataModel.storageBackend === 'indexeddb') {
+                try {
+                    this.values = await Database.loadShared(this.KEYS);
+                    return;
+                } catch (e) {
+                    console.error('Shared data load error:', e);
                 }
-            });
-
-            return doc;
+            }
+            this.values = Object.fromEntries(this.KEYS.map(key => [key, Storage.get(key)]));
         },
 
-        // 달성 카드 생성 (Canvas API 사용)
-        async generateAchievementCard(goal, profileName) {
-            return new Promise((resolve) => {
-                const canvas = document.createElement('canvas');
-                canvas.width = 800;
-                canvas.height = 600;
-                const ctx = canvas.getContext('2d');
-
-                // 배경 그라데이션 (Apple 스타일)
-                const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-                gradient.addColorStop(0, '#007AFF');
-                gradient.addColorStop(1, '#5856D6');
-                ctx.fillStyle = gradient;
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-                // 배경 패턴 (선택사항)
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
-                for (let i = 0; i < 20; i++) {
-                    ctx.beginPath();
-                    ctx.arc(
-                        Math.random() * canvas.width,
-                        Math.random() * canvas.height,
-                        Math.random() * 40 + 10,
-                        0,
-                        2 * Math.PI
-                    );
-                    ctx.fill();
-                }
-
-                // 텍스트 설정
-                ctx.textAlign = 'center';
-                ctx.fillStyle = 'white';
-
-                // 제목
-                ctx.font = 'bold 48px -apple-system, BlinkMacSystemFont, sans-serif';
-                ctx.fillText('🎉 목표 달성!', canvas.width / 2, 120);
-
-                // 목표 텍스트
-                ctx.font = '32px -apple-system, BlinkMacSystemFont, sans-serif';
-                const goalText = goal.text;
-                if (goalText.length > 30) {
-                    const words = goalText.split(' ');
-                    const lines = [];
-                    let currentLine = '';
-                    
-                    words.forEach(word => {
-                        if ((currentLine + word).length < 30) {
-                            currentLine += word + ' ';
-                        } else {
-                            lines.push(currentLine.trim());
-                            currentLine = word + ' ';
-                        }
-                    });
-                    lines.push(currentLine.trim());
-                    
-                    lines.forEach((line, index) => {
-                        ctx.fillText(line, canvas.width / 2, 200 + (index * 40));
-                    });
-                } else {
-                    ctx.fillText(goalText, canvas.width / 2, 200);
-                }
-
-                // 달성일
-                ctx.font = '24px -apple-system, BlinkMacSystemFont, sans-serif';
-                ctx.fillText(`달성일: ${Utils.formatDate(goal.completedAt)}`, canvas.width / 2, 320);
-
-                // 완료 메모
-                if (goal.completionNote) {
-                    ctx.font = 'italic 20px -apple-system, BlinkMacSystemFont, sans-serif';
-                    ctx.fillText(`"${goal.completionNote}"`, canvas.width / 2, 380);
-                }
-
-                // 카테고리 배지
-                const category = CONFIG.CATEGORIES[goal.category];
-                if (category) {
-                    ctx.font = '24px -apple-system, BlinkMacSystemFont, sans-serif';
-                    ctx.fillText(`${category.icon} ${category.name}`, canvas.width / 2, 450);
-                }
-
-                // 사용자 이름
-                ctx.font = '18px -apple-system, BlinkMacSystemFont, sans-serif';
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-                ctx.fillText(`- ${profileName} -`, canvas.width / 2, 520);
-
-                // 하단 브랜딩
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
-                ctx.font = '16px -apple-system, BlinkMacSystemFont, sans-serif';
-                ctx.fillText('Made with 🤍 by 버킷드림', canvas.width / 2, 570);
-
-                resolve(canvas.toDataURL('image/png', 0.9));
-            });
+        get(key) {
+            return this.values[key] ?? null;
         },
 
-        // 통계 카드 생성
-        async generateStatsCard(profileName, stats) {
-            return new Promise((resolve) => {
-                const canvas = document.createElement('canvas');
-                canvas.width = 800;
-                canvas.height = 600;
-                const ctx = canvas.getContext('2d');
-
-                // 배경 그라데이션
-                const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-                gradient.addColorStop(0, '#34C759');
-                gradient.addColorStop(1, '#30D158');
-                ctx.fillStyle = gradient;
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
+        set(key, value) {
+            this.values[key] = value;
+            if (DataModel.storageBackend === 'indexeddb') {
+                return Database.saveShared(key, value);
+            }
+            return Storage.set(key, value);
+        },
 
-                // 제목
-                ctx.textAlign = 'center';
-                ctx.fillStyle = 'white';
-                ctx.font = 'bold 42px -apple-system, BlinkMacSystemFont, sans-serif';
-                ctx.fillText('📊 나의 버킷리스트', canvas.width / 2, 80);
-
-                // 통계 정보
-                ctx.font = '32px -apple-system, BlinkMacSystemFont, sans-serif';
-                ctx.fillText(`총 ${stats.total}개의 목표`, canvas.width / 2, 160);
-                ctx.fillText(`${stats.completed}개 완료`, canvas.width / 2, 220);
-                ctx.fillText(`${stats.percentage}% 달성률`, canvas.width / 2, 280);
-
-                // 진행률 바
-                const barWidth = 500;
-                const barHeight = 20;
-                const barX = (canvas.width - barWidth) / 2;
-                const barY = 320;
-
-                // 배경 바
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-                ctx.fillRect(barX, barY, barWidth, barHeight);
-
-                // 진행률 바
-                ctx.fillStyle = 'white';
-                ctx.fillRect(barX, barY, (barWidth * stats.percentage) / 100, barHeight);
-
-                // 카테고리별 통계
-                ctx.font = '20px -apple-system, BlinkMacSystemFont, sans-serif';
-                ctx.fillText('카테고리별 현황', canvas.width / 2, 400);
-
-                // 사용자 이름
-                ctx.font = '18px -apple-system, BlinkMacSystemFont, sans-serif';
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-                ctx.fillText(`- ${profileName} -`, canvas.width / 2, 520);
-
-                // 하단 브랜딩
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
-                ctx.font = '16px -apple-system, BlinkMacSystemFont, sans-serif';
-                ctx.fillText('Made with 🤍 by 버킷드림', canvas.width / 2, 570);
-
-                resolve(canvas.toDataURL('image/png', 0.9));
-            });
+        // 백업에 넣을 값 (한 번도 쓰지 않은 키는 제외)
+        toBackup() {
+            return Object.fromEntries(
+                this.KEYS
+                    .filter(key => this.get(key) !== null)
+                    .map(key => [key, JSON.parse(JSON.stringify(this.get(key)))])
+            );
         }
     };
 
     // ========================================
-    // 8. 차트 관리자 (Chart Manager)
+    // 4. 이미지 처리 (Image Processor)
     // ========================================
-    const ChartManager = {
-        charts: {},
+    const ImageProcessor = {
+        // 이미지 설정
+        settings: { ...CONFIG.DEFAULT_IMAGE_SETTINGS },
 
-        // 차트 초기화
-        initCharts() {
-            if (typeof Chart === 'undefined') {
-                console.warn('Chart.js가 로드되지 않았습니다.');
-                return;
+        // 이미지 유효성 검사
+        validateImage(file) {
+            if (!CONFIG.IMAGE_TYPES.includes(file.type)) {
+                throw new Error('JPG, PNG, WebP 파일만 업로드 가능합니다.');
+            }
+            
+            if (file.size > CONFIG.MAX_IMAGE_SIZE) {
+                throw new Error('파일 크기는 10MB 이하만 가능합니다.');
             }
 
-            // 기본 설정
-            Chart.defaults.font.family = "'Noto Sans KR', sans-serif";
-            Chart.defaults.color = '#333';
-        },
-
-        // 달성률 차트
-        createAchievementChart(canvasId, stats) {
-            const canvas = document.getElementById(canvasId);
-            if (!canvas) return;
+            // 파일 이름 보안 검증
+            const fileName = file.name.toLowerCase();
+            const dangerousExtensions = ['.exe', '.bat', '.cmd', '.scr', '.pif', '.com'];
+            if (dangerousExtensions.some(ext => fileName.includes(ext))) {
+                throw new Error('허용되지 않는 파일 형식입니다.');
+            }
+            
+            return true;
+        },
 
-            const ctx = canvas.getContext('2d');
+        // 이미지 압축
+        async compressImage(file, options = {}) {
+            const settings = { ...this.settings, ...options };
             
-            // 기존 차트 제거
-            if (this.charts[canvasId]) {
-                this.charts[canvasId].destroy();
+            // 자동 압축이 비활성화된 경우 원본 반환
+            if (!settings.autoCompress) {
+                return new Promise((resolve) => {
+                    const reader = new FileReader();
+                    reader.onloadend = () => resolve(reader.result);
+                    reader.readAsDataURL(file);
+                });
             }
-
-            this.charts[canvasId] = new Chart(ctx, {
-                type: 'doughnut',
-                data: {
-                    labels: ['완료', '진행중'],
-                    datasets: [{
-                        data: [stats.completed, stats.total - stats.completed],
-                        backgroundColor: ['#4facfe', '#e0e0e0'],
-                        borderWidth: 0
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            position: 'bottom'
-                        },
-                        tooltip: {
-                            callbacks: {
-                                label: function(context) {
-                                    const label = context.label || '';
-                                    const value = context.parsed || 0;
-                                    const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                                    const percentage = ((value / total) * 100).toFixed(1);
-                                    return `${label}: ${value}개 (${percentage}%)`;
-                                }
-                            }
-                        }
+            
+            return new Promise((resolve, reject) => {
+                const canvas = document.createElement('canvas');
+                const ctx = canvas.getContext('2d');
+                const img = new Image();
+                
+                img.onload = function() {
+                    // 비율 계산
+                    let width = img.width;
+                    let height = img.height;
+                    
+                    if (width > settings.maxWidth) {
+                        height = (settings.maxWidth / width) * height;
+                        width = settings.maxWidth;
                     }
-                }
+                    
+                    canvas.width = width;
+                    canvas.height = height;
+                    
+                    // 이미지 그리기
+                    ctx.drawImage(img, 0, 0, width, height);
+                    
+                    // 압축된 데이터 URL 반환
+                    canvas.toBlob((blob) => {
+                        const reader = new FileReader();
+                        reader.onloadend = () => resolve(reader.result);
+                        reader.onerror = reject;
+                        reader.readAsDataURL(blob);
+                    }, `image/${settings.format}`, settings.quality);
+                };
+                
+                img.onerror = reject;
+                
+                // FileReader로 이미지 로드
+                const reader = new FileReader();
+                reader.onloadend = () => {
+                    img.src = reader.result;
+                };
+                reader.onerror = reject;
+                reader.readAsDataURL(file);
             });
         },
 
-        // 카테고리 분포 차트
-        createCategoryChart(canvasId, categoryStats) {
-            const canvas = document.getElementById(canvasId);
-            if (!canvas) return;
+        // 이미지 크기 계산
+        getImageSize(dataUrl) {
+            const base64 = dataUrl.split(',')[1];
+            const bytes = atob(base64).length;
+            return (bytes / 1024 / 1024).toFixed(2); // MB
+        },
 
-            const ctx = canvas.getContext('2d');
-            
-            // 기존 차트 제거
-            if (this.charts[canvasId]) {
-                this.charts[canvasId].destroy();
+        // 설정 업데이트
+        updateSettings(newSettings) {
+            this.settings = { ...this.settings, ...newSettings };
+            Storage.set('imageSettings', this.settings);
+        },
+
+        // 설정 로드
+        loadSettings() {
+            const saved = Storage.get('imageSettings');
+            if (saved) {
+                this.settings = { ...this.settings, ...saved };
             }
+        }
+    };
 
-            const categories = Object.keys(categoryStats);
-            const data = categories.map(cat => categoryStats[cat].total);
-            const colors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40'];
+    // ========================================
+    // 4-1. 반복 일정 계산 (Recurrence)
+    // ========================================
+    // 규칙 형식 (RRULE과 비슷한 구조, 날짜는 모두 로컬 날짜 키 'YYYY-MM-DD')
+    // { freq: 'daily' | 'weekly' | 'monthly' | 'yearly', interval: N,
+    //   byWeekday: [0-6] (주간), byMonthDay: 1-31 또는 byNthWeekday: { nth: 1-4 | -1, weekday } (월간),
+    //   startDate, until, count }
+    const Recurrence = {
+        WEEKDAY_NAMES: ['일', '월', '화', '수', '목', '금', '토'],
+        NTH_NAMES: { 1: '첫째', 2: '둘째', 3: '셋째', 4: '넷째', '-1': '마지막' },
+        FREQ_UNITS: { daily: '일', weekly: '주', monthly: '개월', yearly: '년' },
+
+        // 놓친 일정을 찾을 때 되돌아보는 최대 일수
+        MISSED_LOOKBACK_DAYS: 60,
+
+        // 반복 검색 상한 (끝없는 규칙 보호)
+        MAX_SCAN_DAYS: 366 * 10,
+
+        // 기존 { type, nextDue } 형식을 규칙으로 변환
+        normalize(recurring, fallbackStart) {
+            if (!recurring) return null;
+            if (recurring.rule) return recurring.rule;
+
+            const startDate = fallbackStart ? Utils.toDateKey(fallbackStart) : Utils.toDateKey();
+            return this.createRule({ freq: recurring.type || 'daily', startDate });
+        },
+
+        // 기본값을 채운 규칙 생성
+        createRule(options = {}) {
+            const startDate = options.startDate || Utils.toDateKey();
+            const start = Utils.parseDateKey(startDate);
+            const freq = this.FREQ_UNITS[options.freq] ? options.freq : 'daily';
+
+            const rule = {
+                freq,
+                interval: Math.max(1, parseInt(options.interval, 10) || 1),
+                startDate,
+                until: options.until || null,
+                count: options.count ? Math.max(1, parseInt(options.count, 10)) : null
+            };
 
-            this.charts[canvasId] = new Chart(ctx, {
-                type: 'pie',
-                data: {
-                    labels: categories.map(cat => CONFIG.CATEGORIES[cat]?.name || cat),
-                    datasets: [{
-                        data: data,
-                        backgroundColor: colors,
-                        borderWidth: 2,
-                        borderColor: '#fff'
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            position: 'right'
-                        }
-                    }
+            if (freq === 'weekly') {
+                const days = (options.byWeekday || []).map(Number).filter(d => d >= 0 && d <= 6);
+                rule.byWeekday = days.length > 0 ? [...new Set(days)].sort() : [start.getDay()];
+            }
+
+            if (freq === 'monthly') {
+                if (options.byNthWeekday) {
+                    rule.byNthWeekday = {
+                        nth: Number(options.byNthWeekday.nth),
+                        weekday: Number(options.byNthWeekday.weekday)
+                    };
+                } else {
+                    rule.byMonthDay = Number(options.byMonthDay) || start.getDate();
                 }
-            });
+            }
+
+            return rule;
         },
 
-        // 감정 패턴 차트
-        createEmotionChart(canvasId, emotionData) {
-            const canvas = document.getElementById(canvasId);
-            if (!canvas) return;
+        // 시작일 기준 n번째 요일 정보 ("둘째 화요일" 등)
+        getNthWeekday(dateKey) {
+            const date = Utils.parseDateKey(dateKey);
+            // 다섯째 주는 '마지막'으로 취급 (다섯째 요일이 없는 달이 많음)
+            const nth = date.getDate() > 28 ? -1 : Math.ceil(date.getDate() / 7);
+            return { nth, weekday: date.getDay() };
+        },
 
-            const ctx = canvas.getContext('2d');
-            
-            // 기존 차트 제거
-            if (this.charts[canvasId]) {
-                this.charts[canvasId].destroy();
-            }
+        // 해당 날짜가 규칙의 패턴에 맞는지 (종료 조건 중 횟수는 제외)
+        matches(rule, dateKey) {
+            if (dateKey < rule.startDate) return false;
+            if (rule.until && dateKey > rule.until) return false;
 
-            this.charts[canvasId] = new Chart(ctx, {
-                type: 'radar',
-                data: {
-                    labels: Object.values(CONFIG.EMOTIONS).map(e => e.name),
-                    datasets: [{
-                        label: '감정 빈도',
-                        data: emotionData,
-                        backgroundColor: 'rgba(79, 172, 254, 0.2)',
-                        borderColor: 'rgba(79, 172, 254, 1)',
-                        borderWidth: 2,
-                        pointBackgroundColor: 'rgba(79, 172, 254, 1)',
-                        pointBorderColor: '#fff',
-                        pointHoverBackgroundColor: '#fff',
-                        pointHoverBorderColor: 'rgba(79, 172, 254, 1)'
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    scales: {
-                        r: {
-                            beginAtZero: true,
-                            max: 10,
-                            ticks: { display: false },
-                            grid: { color: 'rgba(0, 0, 0, 0.1)' }
+            const start = Utils.parseDateKey(rule.startDate);
+            const date = Utils.parseDateKey(dateKey);
+            const interval = rule.interval || 1;
+
+            switch (rule.freq) {
+                case 'daily':
+                    return Utils.daysBetween(rule.startDate, dateKey) % interval === 0;
+
+                case 'weekly': {
+                    const weekdays = rule.byWeekday || [start.getDay()];
+                    if (!weekdays.includes(date.getDay())) return false;
+
+                    // 주 시작은 월요일
+                    const startMonday = Utils.addDays(rule.startDate, -((start.getDay() + 6) % 7));
+                    const dateMonday = Utils.addDays(dateKey, -((date.getDay() + 6) % 7));
+                    const weeks = Utils.daysBetween(startMonday, dateMonday) / 7;
+                    return weeks % interval === 0;
+                }
+
+                case 'monthly': {
+                    const months = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+                    if (months % interval !== 0) return false;
+
+                    if (rule.byNthWeekday) {
+                        const { nth, weekday } = rule.byNthWeekday;
+                        if (date.getDay() !== weekday) return false;
+                        if (nth === -1) {
+                            const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                            return date.getDate() + 7 > daysInMonth;
                         }
-                    },
-                    plugins: {
-                        legend: { display: false }
+                        return Math.ceil(date.getDate() / 7) === nth;
                     }
+
+                    // 31일처럼 없는 날짜가 있는 달은 건너뜀
+                    return date.getDate() === (rule.byMonthDay || start.getDate());
                 }
-            });
-        },
 
-        // 시간 패턴 차트
-        createTimePatternChart(canvasId, timeData) {
-            const canvas = document.getElementById(canvasId);
-            if (!canvas) return;
+                case 'yearly': {
+                    const years = date.getFullYear() - start.getFullYear();
+                    return years % interval === 0 &&
+                        date.getMonth() === start.getMonth() &&
+                        date.getDate() === start.getDate();
+                }
 
-            const ctx = canvas.getContext('2d');
-            
-            // 기존 차트 제거
-            if (this.charts[canvasId]) {
-                this.charts[canvasId].destroy();
+                default:
+                    return false;
             }
+        },
 
-            this.charts[canvasId] = new Chart(ctx, {
-                type: 'line',
-                data: {
-                    labels: timeData.labels,
-                    datasets: [{
-                        label: '월별 달성 목표',
-                        data: timeData.values,
-                        borderColor: '#4facfe',
-                        backgroundColor: 'rgba(79, 172, 254, 0.1)',
-                        tension: 0.4,
-                        fill: true
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: { display: false }
-                    },
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            ticks: {
-                                stepSize: 1
-                            }
-                        }
-                    }
+        // 기간 내 일정 목록 (횟수 제한 반영, limit 개를 찾으면 멈춤)
+        between(rule, fromKey, toKey, limit = Infinity) {
+            const results = [];
+            if (!rule || toKey < rule.startDate) return results;
+
+            // 횟수 제한이 있으면 몇 번째인지 세기 위해 시작일부터 훑음
+            let cursor = rule.count ? rule.startDate : (fromKey > rule.startDate ? fromKey : rule.startDate);
+            const end = rule.until && rule.until < toKey ? rule.until : toKey;
+            let index = 0;
+            let scanned = 0;
+
+            while (cursor <= end && scanned < this.MAX_SCAN_DAYS * 2) {
+                if (this.matches(rule, cursor)) {
+                    index++;
+                    if (rule.count && index > rule.count) break;
+                    if (cursor >= fromKey) results.push(cursor);
+                    if (results.length >= limit) break;
                 }
-            });
+                cursor = Utils.addDays(cursor, 1);
+                scanned++;
+            }
+
+            return results;
         },
 
-        // 모든 차트 제거
-        destroyAllCharts() {
-            Object.values(this.charts).forEach(chart => {
-                if (chart) chart.destroy();
-            });
-            this.charts = {};
+        // 기준일 이후 (inclusive면 당일 포함) 첫 일정
+        next(rule, afterKey, inclusive = false) {
+            if (!rule) return null;
+
+            const from = inclusive ? afterKey : Utils.addDays(afterKey, 1);
+            const to = Utils.addDays(from, this.MAX_SCAN_DAYS);
+            return this.between(rule, from, to, 1)[0] || null;
+        },
+
+        // 더 이상 일정이 없는지
+        isFinished(rule, todayKey = Utils.toDateKey()) {
+            return this.next(rule, todayKey, true) === null;
+        },
+
+        // 완료하지 않고 지나간 일정 (최근 것부터)
+        getMissed(recurring, todayKey = Utils.toDateKey()) {
+            const rule = recurring?.rule;
+            if (!rule) return [];
+
+            const yesterday = Utils.addDays(todayKey, -1);
+            const from = Utils.addDays(todayKey, -this.MISSED_LOOKBACK_DAYS);
+            const done = new Set(recurring.completedDates || []);
+
+            return this.between(rule, from, yesterday)
+                .filter(key => !done.has(key))
+                .reverse();
+        },
+
+        // 사람이 읽는 설명 ("2주마다 월·수·금", "매월 둘째 화요일")
+        describe(rule) {
+            if (!rule) return '';
+
+            const interval = rule.interval || 1;
+            const unit = this.FREQ_UNITS[rule.freq];
+            const prefix = interval > 1
+                ? `${interval}${unit}마다`
+                : CONFIG.RECURRING_TYPES[rule.freq].name;
+
+            let detail = '';
+            if (rule.freq === 'weekly' && rule.byWeekday) {
+                detail = rule.byWeekday.map(d => this.WEEKDAY_NAMES[d]).join('·');
+            } else if (rule.freq === 'monthly') {
+                detail = rule.byNthWeekday
+                    ? `${this.NTH_NAMES[rule.byNthWeekday.nth]} ${this.WEEKDAY_NAMES[rule.byNthWeekday.weekday]}요일`
+                    : `${rule.byMonthDay}일`;
+            } else if (rule.freq === 'yearly') {
+                detail = Utils.formatShortDate(rule.startDate);
+            }
+
+            let text = detail ? `${prefix} ${detail}` : prefix;
+            if (rule.count) text += ` · ${rule.count}회`;
+            if (rule.until) text += ` · ${Utils.formatShortDate(rule.until)}까지`;
+            return text;
         }
     };
 
     // ========================================
-    // 9. 뷰 렌더링 (View Rendering)
+    // 4-2. 연속 기록 (Streaks)
     // ========================================
-    const View = {
-        // DOM 요소 캐시
-        elements: {},
+    const Streaks = {
+        // 통계를 계산할 때 되돌아보는 최대 일수
+        LOOKBACK_DAYS: 365,
 
-        // DOM 요소 초기화
-        initElements() {
-            this.elements = {
-                // 프로필 관련
-                profileSelector: document.getElementById('profileSelector'),
-                currentUserName: document.getElementById('currentUserName'),
-                
-                // 탭 관련
-                tabButtons: document.querySelectorAll('.nav-tab'),
-                tabContents: document.querySelectorAll('.tab-content'),
-                
-                // 목표 관련
-                goalInput: document.getElementById('goalInput'),
-                categorySelect: document.getElementById('categorySelect'),
-                bucketList: document.getElementById('bucketList'),
-                filterButtons: document.querySelectorAll('.filter-btn'),
-                
-                // 통계
-                totalCount: document.getElementById('totalCount'),
-                completedCount: document.getElementById('completedCount'),
-                progressPercent: document.getElementById('progressPercent'),
-                motivationIndex: document.getElementById('motivationIndex'),
-                
-                // 검색
-                searchInput: document.getElementById('searchInput'),
-                
-                // 정렬
-                sortSelect: document.getElementById('sortSelect'),
-                
-                // 모달
-                modals: document.querySelectorAll('.modal'),
-                
-                // 추천
-                recommendationCards: document.getElementById('recommendationCards'),
-                
-                // 갤러리
-                galleryGrid: document.getElementById('galleryGrid'),
-                
-                // 여정
-                achievementTimeline: document.getElementById('achievementTimeline'),
-                categoryProgressGrid: document.getElementById('categoryProgressGrid'),
-                
-                // 인사이트
-                achievementChart: document.getElementById('achievementChart'),
-                emotionChart: document.getElementById('emotionChart'),
-                timePatternChart: document.getElementById('timePatternChart'),
-                categoryDistributionChart: document.getElementById('categoryDistributionChart')
+        // 반복 목표의 연속 기록 (일정 기준)
+        forGoal(recurring, todayKey = Utils.toDateKey()) {
+            const rule = recurring?.rule;
+            const empty = { current: 0, longest: 0, atRisk: false, dueToday: false, rates: this.emptyRates() };
+            if (!rule) return empty;
+
+            const from = Utils.addDays(todayKey, -this.LOOKBACK_DAYS);
+            const scheduled = Recurrence.between(rule, from, todayKey);
+            if (scheduled.length === 0) return empty;
+
+            const done = new Set(recurring.completedDates || []);
+            const dueToday = scheduled[scheduled.length - 1] === todayKey;
+            const doneToday = done.has(todayKey);
+
+            // 오늘 일정은 아직 끝나지 않았으므로 완료하지 않았어도 기록을 끊지 않음
+            const past = dueToday && !doneToday ? scheduled.slice(0, -1) : scheduled;
+
+            let current = 0;
+            for (let i = past.length - 1; i >= 0 && done.has(past[i]); i--) {
+                current++;
+            }
+
+            return {
+                current,
+                longest: this.longestRun(scheduled.map(key => done.has(key))),
+                atRisk: dueToday && !doneToday && current > 0,
+                dueToday,
+                rates: this.calculateRates(scheduled, done, todayKey, dueToday && !doneToday)
             };
         },
 
-        // 프로필 선택자 렌더링
-        renderProfileSelector(profiles = []) {
-            const container = document.getElementById('profileOptions');
-            if (!container) return;
+        // 기간별 달성률 (이번 주 / 이번 달 / 최근 1년)
+        calculateRates(scheduled, done, todayKey, excludeToday) {
+            const today = Utils.parseDateKey(todayKey);
+            const weekStart = Utils.addDays(todayKey, -((today.getDay() + 6) % 7));
+            const monthStart = todayKey.slice(0, 8) + '01';
+            const counted = excludeToday ? scheduled.filter(key => key !== todayKey) : scheduled;
 
-            // 프로필이 없어도 버튼은 표시
-            container.innerHTML = profiles.map(profile => {
-                const stats = this.calculateProfileStats(profile);
-                return `
-                    <div class="profile-card" data-profile-id="${profile.id}">
-                        <div class="profile-name">${Utils.escapeHtml(profile.name)}</div>
-                        <div class="profile-stats">
-                            ${stats.total} 목표 · ${stats.completed} 완료
-                        </div>
-                        <div class="profile-last-active">
-                            ${Utils.getRelativeTime(profile.lastActive)}
-                        </div>
-                    </div>
-                `;
-            }).join('');
+            const rate = (fromKey) => {
+                const inPeriod = counted.filter(key => key >= fromKey);
+                if (inPeriod.length === 0) return null;
+                return Utils.calculatePercentage(inPeriod.filter(key => done.has(key)).length, inPeriod.length);
+            };
 
-            // 새 프로필 추가 버튼
-            container.innerHTML += `
-                <div class="profile-card add-profile" id="addProfileBtn">
-                    <div class="profile-icon">➕</div>
-                    <div class="profile-name">새 사용자</div>
-                </div>
-            `;
+            return {
+                week: rate(weekStart),
+                month: rate(monthStart),
+                year: rate(counted[0] || todayKey)
+            };
+        },
 
-            // 게스트 모드 버튼
-            container.innerHTML += `
-                <div class="profile-card guest-profile" id="guestModeBtn">
-                    <div class="profile-icon">👤</div>
-                    <div class="profile-name">게스트 모드</div>
-                    <div class="profile-note">데이터가 저장되지 않습니다</div>
-                </div>
-            `;
+        emptyRates() {
+            return { week: null, month: null, year: null };
         },
 
-        // 프로필 통계 계산
-        calculateProfileStats(profile) {
-            const bucketList = profile.bucketList || [];
+        longestRun(flags) {
+            let longest = 0;
+            let run = 0;
+            flags.forEach(flag => {
+                run = flag ? run + 1 : 0;
+                longest = Math.max(longest, run);
+            });
+            return longest;
+        },
+
+        // 프로필의 활동한 날짜 (반복 완료, 목표 달성, 태스크 완료, 감정 기록)
+        collectActivityDays(profile) {
+            return new Set(DataModel.getActivityLog(profile).keys());
+        },
+
+        // 프로필 전체 연속 활동 기록
+        forProfile(profile, todayKey = Utils.toDateKey()) {
+            const days = this.collectActivityDays(profile);
+            const activeToday = days.has(todayKey);
+
+            let current = 0;
+            let cursor = activeToday ? todayKey : Utils.addDays(todayKey, -1);
+            while (days.has(cursor)) {
+                current++;
+                cursor = Utils.addDays(cursor, -1);
+            }
+
+            const sorted = [...days].sort();
+            let longest = 0;
+            let run = 0;
+            sorted.forEach((key, i) => {
+                run = i > 0 && Utils.daysBetween(sorted[i - 1], key) === 1 ? run + 1 : 1;
+                longest = Math.max(longest, run);
+            });
+
+            // 반복 목표 전체의 기간별 달성률
+            const scheduledGoals = (profile?.bucketList || [])
+                .filter(goal => goal.recurring?.isActive)
+                .map(goal => this.forGoal(goal.recurring, todayKey));
+
+            const averageRate = (period) => {
+                const values = scheduledGoals.map(s => s.rates[period]).filter(v => v !== null);
+                return values.length > 0
+                    ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+                    : null;
+            };
+
             return {
-                total: bucketList.length,
-                completed: bucketList.filter(g => g.completed).length
+                current,
+                longest,
+                activeToday,
+                atRisk: current > 0 && !activeToday,
+                goalsAtRisk: scheduledGoals.filter(s => s.atRisk).length,
+                rates: {
+                    week: averageRate('week'),
+                    month: averageRate('month'),
+                    year: averageRate('year')
+                }
             };
+        }
+    };
+
+    // ========================================
+    // 5. 데이터 모델 (Data Model)
+    // ========================================
+    const DataModel = {
+        // 상태
+        state: {
+            profiles: [],
+            deletedProfiles: [], // 휴지통에 있는 프로필 (deletedAt 보유)
+            currentProfile: null,
+            activeFilter: 'all',
+            activeTab: 'goals',
+            searchQuery: '',
+            sortOrder: 'date-desc',
+            dateFilter: null, // 히트맵에서 선택한 날짜 키
+            tagFilter: [] // 목표 목록에서 고른 태그 (모두 가진 목표만)
         },
 
-        // 통계 업데이트
-        updateStats(stats) {
-            if (this.elements.totalCount) {
-                this.elements.totalCount.textContent = stats.total;
+        // 저장소 종류 ('indexeddb' | 'localStorage')
+        storageBackend: 'localStorage',
+
+        // 프로필 관리
+        async loadProfiles() {
+            let data;
+
+            try {
+                data = await Database.loadProfiles();
+                this.storageBackend = 'indexeddb';
+            } catch (e) {
+                // IndexedDB를 쓸 수 없는 환경 (사생활 보호 모드 등)은 localStorage 사용
+                console.error('IndexedDB load error:', e);
+                data = Storage.get(CONFIG.STORAGE_KEY);
+                this.storageBackend = 'localStorage';
             }
-            if (this.elements.completedCount) {
-                this.elements.completedCount.textContent = stats.completed;
+            await SharedData.load();
+            Encouragement.dropGoalText();
+
+            // 데이터가 배열인지 확인
+            if (Array.isArray(data)) {
+                this.state.profiles = data.filter(p => !p.deletedAt);
+                this.state.deletedProfiles = data.filter(p => p.deletedAt);
+            } else {
+                this.state.profiles = [];
+                this.state.deletedProfiles = [];
             }
-            if (this.elements.progressPercent) {
-                this.elements.progressPercent.textContent = stats.percentage + '%';
+
+            if (this.upgradeRecurringGoals(this.getStoredProfiles()) > 0) {
+                this.saveProfiles();
             }
-            if (this.elements.motivationIndex) {
-                this.elements.motivationIndex.textContent = stats.motivationIndex || '5.0';
+
+            // 목표에 직접 들어 있던 이미지는 첨부 저장소로 이전
+            try {
+                if (await AttachmentStore.migrateInlineImages(this.getStoredProfiles()) > 0) {
+                    this.saveProfiles();
+                }
+            } catch (e) {
+                console.error('Attachment migration error:', e);
             }
+
+            if (this.purgeExpiredTrash() > 0) {
+                this.saveProfiles();
+            }
+
+            return this.state.profiles;
         },
 
-        // 버킷리스트 렌더링
-        renderBucketList(goals) {
-            const container = this.elements.bucketList;
-            if (!container) return;
+        // label: 실행 취소 기록에 남길 작업 이름
+        // keepUpdatedAt: 가져오기·병합처럼 목표의 수정 시각을 들어온 값 그대로 둘 때
+        saveProfiles(label, { keepUpdatedAt = false } = {}) {
+            if (!keepUpdatedAt) this.touchChangedGoals();
+            History.commit(label);
+            Reminders.scheduleSync();
 
-            if (goals.length === 0) {
-                container.innerHTML = `
-                    <div class="empty-state">
-                        <h3>아직 목표가 없습니다</h3>
-                        <p>첫 번째 버킷리스트를 추가해보세요!</p>
-                    </div>
-                `;
-                return;
+            // 잠긴 프로필은 다시 암호화한 뒤 저장 (이전 암호문이 먼저 기록되지 않도록 한 번만)
+            if (Vault.keys.size > 0) {
+                return Vault.seal().then(() => this.persist());
             }
+            return this.persist();
+        },
 
-            container.innerHTML = goals.map(goal => this.createGoalElement(goal)).join('');
-            
-            // 애니메이션 효과
-            container.querySelectorAll('.goal-item').forEach((item, index) => {
-                item.style.animationDelay = `${index * 0.05}s`;
-                item.classList.add('fade-in');
+        // 저장소에 기록 (잠긴 프로필은 암호문으로)
+        persist() {
+            const stored = this.getStoredProfiles().map(profile => Vault.toStored(profile));
+
+            if (this.storageBackend === 'indexeddb') {
+                Database.saveProfiles(stored);
+                return true;
+            }
+            return Storage.set(CONFIG.STORAGE_KEY, stored);
+        },
+
+        // 마지막 저장 이후 바뀐 목표에 수정 시각 기록 (가져오기 병합 때 최신 판단)
+        touchChangedGoals() {
+            const profile = this.state.currentProfile;
+            const baseline = profile && History.getStack(profile.id).baseline;
+            if (!baseline) return;
+
+            const before = new Map(
+                (JSON.parse(baseline).bucketList || []).map(goal => [goal.id, JSON.stringify(goal)])
+            );
+            const now = new Date().toISOString();
+            profile.bucketList.forEach(goal => {
+                if (before.get(goal.id) !== JSON.stringify(goal)) {
+                    goal.updatedAt = now;
+                }
             });
-            
-            // 새 목표 플래그 초기화
-            if (this.newGoalId) {
-                setTimeout(() => {
-                    this.newGoalId = null;
-                }, 500);
+        },
+
+        // 저장 대상 (휴지통의 프로필 포함)
+        getStoredProfiles() {
+            return [...this.state.profiles, ...this.state.deletedProfiles];
+        },
+
+        createProfile(name) {
+            const profile = {
+                id: Utils.generateId(),
+                name: name.trim(),
+                bucketList: [],
+                createdAt: new Date().toISOString(),
+                lastActive: new Date().toISOString(),
+                settings: {
+                    imageQuality: 0.8,
+                    imageMaxWidth: 1200,
+                    autoLogout: true,
+                    trashRetentionDays: CONFIG.TRASH_RETENTION_DAYS
+                },
+                achievements: [],
+                reflections: []
+            };
+            this.state.profiles.push(profile);
+            this.saveProfiles();
+            return profile;
+        },
+
+        setCurrentProfile(profile) {
+            // 다른 프로필로 바꾸거나 로그아웃하면 풀어 둔 프로필은 다시 잠금
+            const previous = this.state.currentProfile;
+            if (previous && previous !== profile && Vault.keys.has(previous.id)) {
+                Vault.relock(previous.id);
+            }
+
+            this.state.currentProfile = profile;
+            this.state.dateFilter = null;
+            this.state.tagFilter = [];
+            if (profile) {
+                profile.lastActive = new Date().toISOString();
+                History.reset(profile);
+                this.saveProfiles();
             }
         },
-        
-        // 인라인 완료 처리
-        handleInlineComplete(goalId) {
-            if (confirm('이 목표를 완료하셨나요? 🎉')) {
-                this.handleGoalComplete(goalId);
+
+        // 같은 ID의 프로필 객체 교체 (잠금을 풀거나 다시 잠글 때)
+        replaceProfile(profileId, replace) {
+            ['profiles', 'deletedProfiles'].forEach(key => {
+                this.state[key] = this.state[key].map(profile =>
+                    profile.id === profileId ? replace(profile) : profile
+                );
+            });
+            if (this.state.currentProfile?.id === profileId) {
+                this.state.currentProfile = null;
             }
         },
-        
-        // 목표일 설정 모달
-        handleScheduleModal(goalId) {
-            const modal = document.createElement('div');
-            modal.className = 'modal schedule-modal';
-            modal.innerHTML = `
-                <div class="modal-content">
-                    <h3>목표 달성 예정일 설정</h3>
-                    
-                    <div class="date-input-group">
-                        <label for="targetDate">목표 달성 예정일</label>
-                        <input type="date" id="targetDate" min="${new Date().toISOString().split('T')[0]}">
-                    </div>
-                    
-                    <div class="date-input-group">
-                        <label for="milestoneDate">중간 점검일 (선택)</label>
-                        <input type="date" id="milestoneDate">
-                    </div>
-                    
-                    <div class="reminder-options">
-                        <h4>알림 설정</h4>
-                        <div class="reminder-checkbox">
-                            <input type="checkbox" id="reminder7days">
-                            <label for="reminder7days">7일 전 알림</label>
-                        </div>
-                        <div class="reminder-checkbox">
-                            <input type="checkbox" id="reminder1day">
-                            <label for="reminder1day">1일 전 알림</label>
-                        </div>
-                    </div>
-                    
-                    <div class="modal-buttons">
-                        <button class="btn-primary" onclick="Controller.saveSchedule('${goalId}')">저장</button>
-                        <button class="btn-secondary" onclick="Controller.closeModal()">취소</button>
-                    </div>
-                </div>
-            `;
-            
-            document.body.appendChild(modal);
-            modal.style.display = 'flex';
-        },
-        
-        // 일정 저장
-        saveSchedule(goalId) {
-            const targetDate = document.getElementById('targetDate').value;
-            const milestoneDate = document.getElementById('milestoneDate').value;
-            const reminder7days = document.getElementById('reminder7days').checked;
-            const reminder1day = document.getElementById('reminder1day').checked;
-            
-            if (!targetDate) {
-                View.showNotification('목표 달성 예정일을 설정해주세요.', 'warning');
-                return;
-            }
-            
-            // 목표 업데이트
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (goal) {
-                goal.targetDate = targetDate;
-                goal.milestoneDate = milestoneDate;
-                goal.reminders = {
-                    reminder7days,
-                    reminder1day
-                };
-                
-                DataModel.saveProfiles();
-                this.render();
-                this.closeModal();
-                View.showNotification('목표일이 설정되었습니다!', 'success');
+
+        // 프로필 삭제 (휴지통으로 이동)
+        deleteProfile(profileId) {
+            const index = this.trashProfile(profileId);
+            if (index === -1) return;
+
+            if (this.state.currentProfile?.id === profileId) {
+                this.state.currentProfile = null;
             }
+            History.stacks.delete(profileId);
+            History.recordProfileDelete(profileId, index);
+            this.saveProfiles();
         },
-        
-        // 더보기 메뉴 표시
-        handleMoreMenu(goalId, button) {
-            // 기존 메뉴 제거
-            const existingMenu = document.querySelector('.context-menu');
-            if (existingMenu) {
-                existingMenu.remove();
-            }
-            
-            const menu = document.createElement('div');
-            menu.className = 'context-menu';
-            menu.innerHTML = `
-                <button onclick="Controller.handleGoalEdit('${goalId}')">
-                    ✏️ 세부사항 편집
-                </button>
-                <button onclick="Controller.duplicateGoal('${goalId}')">
-                    📋 복제하기
-                </button>
-                <hr>
-                <button class="danger" onclick="Controller.confirmGoalDelete('${goalId}')">
-                    🗑️ 삭제하기
-                </button>
-            `;
-            
-            document.body.appendChild(menu);
-            this.positionContextMenu(menu, button);
-            
-            // 외부 클릭 시 메뉴 닫기
-            setTimeout(() => {
-                document.addEventListener('click', (e) => {
-                    if (!menu.contains(e.target) && e.target !== button) {
-                        menu.remove();
-                    }
-                }, { once: true });
-            }, 100);
+
+        // 프로필을 휴지통으로 옮기고 원래 위치 반환
+        trashProfile(profileId) {
+            const index = this.state.profiles.findIndex(p => p.id === profileId);
+            if (index === -1) return -1;
+
+            const [profile] = this.state.profiles.splice(index, 1);
+            profile.deletedAt = new Date().toISOString();
+            this.state.deletedProfiles.push(profile);
+            return index;
         },
-        
-        // 컨텍스트 메뉴 위치 조정
-        positionContextMenu(menu, button) {
-            const rect = button.getBoundingClientRect();
-            const menuHeight = menu.offsetHeight;
-            const menuWidth = menu.offsetWidth;
-            
-            let top = rect.bottom + 8;
-            let left = rect.left;
-            
-            if (top + menuHeight > window.innerHeight) {
-                top = rect.top - menuHeight - 8;
+
+        // 휴지통의 프로필 복원
+        restoreProfile(profileId, index = this.state.profiles.length) {
+            const profile = this.state.deletedProfiles.find(p => p.id === profileId);
+            if (!profile) return null;
+
+            this.state.deletedProfiles = this.state.deletedProfiles.filter(p => p.id !== profileId);
+            delete profile.deletedAt;
+            this.state.profiles.splice(Math.min(index, this.state.profiles.length), 0, profile);
+            return profile;
+        },
+
+        // 휴지통의 프로필 영구 삭제
+        purgeProfile(profileId) {
+            this.state.deletedProfiles = this.state.deletedProfiles.filter(p => p.id !== profileId);
+            History.removeProfileEntries(profileId);
+            this.saveProfiles();
+            AttachmentStore.scheduleGarbageCollection();
+        },
+
+        // 목표 관리
+        addGoal(text, category, recurring = null) {
+            if (!this.state.currentProfile) return null;
+
+            const goal = this.createGoal(text, category, recurring);
+            this.state.currentProfile.bucketList.push(goal);
+            this.saveProfiles('목표 추가');
+            return goal;
+        },
+
+        // 새 목표 객체 (저장하지 않음)
+        createGoal(text, category, recurring = null) {
+            return {
+                id: Utils.generateId(),
+                text: text.trim(),
+                category: category,
+                completed: false,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+                completedAt: null,
+                completionNote: null,
+                completionEmotion: null,
+                completionImage: null,
+                emotionalJourney: [],
+                tasks: [],
+                taskProgress: 0,
+                milestones: [],
+                priority: 'medium',
+                tags: [],
+                reminders: [],
+                recurring: recurring ? this.createRecurring(recurring) : null
+            };
+        },
+
+        // 목록 파일에서 읽은 목표 추가 (drafts: ListFormats.readCsv/readMarkdown 결과, 한 번에 저장)
+        importGoals(drafts) {
+            const profile = this.state.currentProfile;
+            if (!profile) return [];
+
+            const now = new Date().toISOString();
+            const toIso = key => key ? Utils.parseDateKey(key).toISOString() : null;
+            const goals = drafts.map(draft => {
+                const goal = this.createGoal(draft.text, draft.category);
+                goal.completed = draft.completed;
+                goal.createdAt = toIso(draft.createdAt) || now;
+                goal.completedAt = draft.completed ? (toIso(draft.completedAt) || now) : null;
+                if (draft.targetDate) goal.targetDate = draft.targetDate;
+                goal.completionNote = draft.completionNote;
+                goal.tags = Tags.clean(draft.tags);
+                goal.tasks = draft.tasks.map(task => ({
+                    ...this.createTask(task),
+                    completed: task.completed,
+                    completedAt: task.completed ? (toIso(task.completedAt) || now) : null
+                }));
+                goal.taskProgress = Utils.calculatePercentage(
+                    goal.tasks.filter(task => task.completed).length, goal.tasks.length
+                );
+                goal.milestones = draft.milestones.map(milestone => ({
+                    ...this.createMilestone({ title: milestone.title, targetDate: milestone.date }),
+                    achieved: milestone.achieved,
+                    achievedDate: milestone.achieved ? (toIso(milestone.date) || now) : null
+                }));
+                return goal;
+            });
+
+            profile.bucketList.push(...goals);
+            this.saveProfiles('목록 가져오기');
+            return goals;
+        },
+
+        // 반복 설정 생성 (recurring: { rule } 또는 기존 { type })
+        createRecurring(recurring) {
+            const rule = recurring.rule || Recurrence.createRule({ freq: recurring.type });
+            const result = {
+                type: rule.freq,
+                rule,
+                completedDates: [],
+                totalCompletions: 0,
+                isActive: true
+            };
+            result.nextDue = this.calculateNextDueDate(result);
+            return result;
+        },
+
+        // 다음 반복 날짜 계산 (완료하지 않은 가장 가까운 일정, 날짜 키)
+        calculateNextDueDate(recurring, fromKey = Utils.toDateKey()) {
+            if (!recurring?.rule) return null;
+
+            const done = new Set(recurring.completedDates || []);
+
+            // 이미 완료한 일정은 건너뜀 (기준일 이후 완료 수 + 1개만 찾으면 충분)
+            const skip = [...done].filter(key => key >= fromKey).length;
+            const upcoming = Recurrence.between(
+                recurring.rule, fromKey, Utils.addDays(fromKey, Recurrence.MAX_SCAN_DAYS), skip + 1
+            );
+            return upcoming.find(key => !done.has(key)) || null;
+        },
+
+        // 반복 규칙이 없는 이전 형식의 반복 목표 변환
+        upgradeRecurringGoals(profiles) {
+            let upgraded = 0;
+
+            profiles.forEach(profile => {
+                (profile.bucketList || []).forEach(goal => {
+                    if (!goal.recurring || goal.recurring.rule) return;
+
+                    goal.recurring.rule = Recurrence.normalize(goal.recurring, goal.createdAt);
+                    goal.recurring.type = goal.recurring.rule.freq;
+                    goal.recurring.completedDates = goal.recurring.completedDates || [];
+                    delete goal.recurring.interval;
+                    goal.recurring.nextDue = this.calculateNextDueDate(goal.recurring);
+                    upgraded++;
+                });
+            });
+
+            return upgraded;
+        },
+
+        // 반복 목표 완료 처리
+        completeRecurringGoal(goalId, dateKey = Utils.toDateKey()) {
+            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal || !goal.recurring) return null;
+
+            // 이미 완료했는지 확인
+            if (goal.recurring.completedDates.includes(dateKey)) {
+                return null; // 이미 완료됨
             }
+
+            // 완료 정보 업데이트
+            goal.recurring.completedDates.push(dateKey);
+            goal.recurring.completedDates.sort();
+            goal.recurring.totalCompletions = (goal.recurring.totalCompletions || 0) + 1;
+            goal.recurring.nextDue = this.calculateNextDueDate(goal.recurring);
             
-            if (left + menuWidth > window.innerWidth) {
-                left = rect.right - menuWidth;
+            if (goal.recurring.nextDue === null) {
+                // 종료일이나 횟수에 도달하면 목표 달성으로 처리
+                goal.recurring.isActive = false;
+                goal.completed = true;
+                goal.completedAt = new Date().toISOString();
+            } else {
+                // 목표는 완료하지 않고 계속 활성 상태 유지
+                goal.completed = false;
             }
             
-            menu.style.position = 'fixed';
-            menu.style.top = `${top}px`;
-            menu.style.left = `${left}px`;
+            this.saveProfiles('반복 목표 완료');
+            Challenges.record(this.state.currentProfile);
+            return goal;
         },
-        
-        // 목표 복제
-        duplicateGoal(goalId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (goal) {
-                const duplicatedGoal = {
-                    ...goal,
-                    id: Utils.generateId(),
-                    text: goal.text + ' (복사본)',
-                    completed: false,
-                    createdAt: new Date().toISOString(),
-                    completedAt: null,
-                    completionNote: null,
-                    completionEmotion: null,
-                    completionImage: null,
-                    emotionalJourney: [],
-                    taskProgress: 0
-                };
-                
-                DataModel.state.currentProfile.bucketList.push(duplicatedGoal);
-                DataModel.saveProfiles();
-                this.render();
-                View.showNotification('목표가 복제되었습니다!', 'success');
-            }
+
+        // 반복 목표 비활성화
+        deactivateRecurringGoal(goalId) {
+            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal || !goal.recurring) return null;
+
+            goal.recurring.isActive = false;
+            goal.completed = true;
+            goal.completedAt = new Date().toISOString();
+            
+            this.saveProfiles('반복 종료');
+            return goal;
         },
-        
-        // 삭제 확인
-        confirmGoalDelete(goalId) {
-            if (confirm('정말로 이 목표를 삭제하시겠습니까?\n이 작업은 되돌릴 수 없습니다.')) {
-                this.handleGoalDelete(goalId);
-            }
+
+        // 오늘 완료 가능한 반복 목표 확인
+        canCompleteToday(goalId) {
+            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal || !goal.recurring) return false;
+
+            return !goal.recurring.completedDates.includes(Utils.toDateKey());
         },
-        
-        // 카테고리 변경
-        handleCategoryChange(goalId, newCategory) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (goal) {
-                goal.category = newCategory;
-                DataModel.saveProfiles();
-                this.render();
-                View.showNotification('카테고리가 변경되었습니다.', 'success');
-            }
+
+        updateGoal(goalId, updates, label = '목표 수정') {
+            if (!this.state.currentProfile) return null;
+
+            const goal = this.state.currentProfile.bucketList.find(g => g.id === goalId);
+            if (!goal) return null;
+
+            Object.assign(goal, updates);
+            this.updateTaskProgress(goal);
+
+            this.saveProfiles(label);
+            return goal;
         },
-        
-        // 모달 닫기
-        closeModal() {
-            const modal = document.querySelector('.modal');
-            if (modal) {
-                modal.remove();
+
+        // 태스크 진행률 재계산
+        updateTaskProgress(goal) {
+            if (goal.tasks && goal.tasks.length > 0) {
+                const completedTasks = goal.tasks.filter(t => t.completed).length;
+                goal.taskProgress = Utils.calculatePercentage(completedTasks, goal.tasks.length);
             }
         },
-        
-        // 우선순위 드래그 앤 드롭 초기화
-        initPriorityDragDrop() {
-            let draggedElement = null;
-            
-            document.addEventListener('dragstart', (e) => {
-                if (e.target.classList.contains('goal-card')) {
-                    draggedElement = e.target;
-                    e.target.classList.add('dragging');
-                    e.dataTransfer.effectAllowed = 'move';
-                    
-                    // 드래그 이미지 커스터마이징
-                    const dragImage = e.target.cloneNode(true);
-                    dragImage.style.transform = 'rotate(2deg)';
-                    dragImage.style.opacity = '0.8';
-                    document.body.appendChild(dragImage);
-                    e.dataTransfer.setDragImage(dragImage, e.offsetX, e.offsetY);
-                    setTimeout(() => dragImage.remove(), 0);
-                }
-            });
-            
-            document.addEventListener('dragend', (e) => {
-                if (e.target.classList.contains('goal-card')) {
-                    e.target.classList.remove('dragging');
-                    this.updatePriorities();
-                    this.saveGoalOrder();
-                }
-            });
-            
-            document.addEventListener('dragover', (e) => {
-                if (draggedElement) {
-                    e.preventDefault();
-                    e.dataTransfer.dropEffect = 'move';
-                    
-                    const afterElement = this.getDragAfterElement(
-                        document.querySelector('.goals-grid'), 
-                        e.clientY
-                    );
-                    
-                    if (afterElement == null) {
-                        document.querySelector('.goals-grid').appendChild(draggedElement);
-                    } else {
-                        document.querySelector('.goals-grid').insertBefore(draggedElement, afterElement);
-                    }
-                }
-            });
-            
-            document.addEventListener('drop', (e) => {
-                if (draggedElement) {
-                    e.preventDefault();
-                }
-            });
+
+        // 가족 구성원과 목표 공유 (memberIds: 함께할 프로필 ID, 빈 배열이면 공유 해제)
+        shareGoal(goalId, memberIds) {
+            return this.updateGoal(goalId, { sharedWith: memberIds }, memberIds.length > 0 ? '목표 공유' : '목표 공유 해제');
         },
-        
-        // 드래그 후 요소 위치 계산
-        getDragAfterElement(container, y) {
-            const draggableElements = [...container.querySelectorAll('.goal-card:not(.dragging)')];
-            
-            return draggableElements.reduce((closest, child) => {
-                const box = child.getBoundingClientRect();
-                const offset = y - box.top - box.height / 2;
-                
-                if (offset < 0 && offset > closest.offset) {
-                    return { offset: offset, element: child };
-                } else {
-                    return closest;
-                }
-            }, { offset: Number.NEGATIVE_INFINITY }).element;
+
+        // 태그 관리 (목표·세부 계획의 태그 배열은 바꿀 때마다 새로 만듦: 복제한 목표와 공유하지 않도록)
+        setGoalTags(goalId, tags) {
+            return this.updateGoal(goalId, { tags: Tags.parse(tags.join(',')) }, '태그 변경');
         },
-        
-        // 우선순위 업데이트
-        updatePriorities() {
-            const goalCards = document.querySelectorAll('.goal-card');
-            goalCards.forEach((card, index) => {
-                const goalId = card.dataset.id;
-                const priorityNumber = card.querySelector('.priority-number');
-                const newPriority = index + 1;
-                
-                if (priorityNumber) {
-                    priorityNumber.textContent = newPriority;
-                }
-                
-                // 데이터 모델 업데이트
-                const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-                if (goal) {
-                    goal.priority = newPriority;
-                }
+
+        setTaskTags(goalId, taskId, tags) {
+            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            const task = goal?.tasks?.find(t => t.id === taskId);
+            if (!task) return null;
+
+            task.tags = Tags.parse(tags.join(','));
+            goal.updatedAt = new Date().toISOString();
+            this.saveProfiles('태그 변경');
+            return task;
+        },
+
+        // 이름 바꾸기. 이미 있는 태그 이름이면 두 태그를 합침 (합쳤으면 true)
+        renameTag(from, to) {
+            const profile = this.state.currentProfile;
+            const name = Tags.normalize(to);
+            if (!profile) return false;
+            if (!name) throw new Error('태그 이름을 입력해주세요.');
+            if (name === from) return false;
+
+            const merged = Tags.names(profile).includes(name);
+            const replace = tags => Tags.unique(tags.map(tag => (tag === from ? name : tag)));
+            profile.bucketList.forEach(goal => {
+                if (goal.tags?.includes(from)) goal.tags = replace(goal.tags);
+                (goal.tasks || []).forEach(task => {
+                    if (task.tags?.includes(from)) task.tags = replace(task.tags);
+                });
+            });
+
+            if (profile.tagColors?.[from]) {
+                if (!profile.tagColors[name]) profile.tagColors[name] = profile.tagColors[from];
+                delete profile.tagColors[from];
+            }
+
+            this.state.tagFilter = Tags.unique(this.state.tagFilter.map(tag => (tag === from ? name : tag)));
+            this.saveProfiles(merged ? '태그 합치기' : '태그 이름 변경');
+            return merged;
+        },
+
+        // 모든 목표·세부 계획에서 태그 제거
+        deleteTag(tag) {
+            const profile = this.state.currentProfile;
+            if (!profile) return;
+
+            profile.bucketList.forEach(goal => {
+                if (goal.tags?.includes(tag)) goal.tags = goal.tags.filter(t => t !== tag);
+                (goal.tasks || []).forEach(task => {
+                    if (task.tags?.includes(tag)) task.tags = task.tags.filter(t => t !== tag);
+                });
             });
+            if (profile.tagColors) delete profile.tagColors[tag];
+
+            this.state.tagFilter = this.state.tagFilter.filter(t => t !== tag);
+            this.saveProfiles('태그 삭제');
         },
-        
-        // 목표 순서 저장
-        saveGoalOrder() {
-            DataModel.saveProfiles();
-            View.showNotification('우선순위가 변경되었습니다', 'success');
+
+        setTagColor(tag, color) {
+            const profile = this.state.currentProfile;
+            if (!profile) return;
+            if (!Tags.isColor(color)) throw new Error('색은 #rrggbb 형식이어야 합니다.');
+
+            profile.tagColors = { ...profile.tagColors, [tag]: color };
+            this.saveProfiles('태그 색 변경');
         },
-        
-        // 진행률 위젯 렌더링
-        renderProgressWidget(goal) {
-            const progress = this.calculateProgress(goal);
-            
-            if (!progress.hasTasks && !progress.hasTargetDate) {
-                return '';
+
+        // 목표 삭제 (휴지통으로 이동)
+        deleteGoal(goalId) {
+            const profile = this.state.currentProfile;
+            if (!profile) return;
+
+            const index = profile.bucketList.findIndex(g => g.id === goalId);
+            if (index === -1) return;
+
+            const [goal] = profile.bucketList.splice(index, 1);
+            this.addToTrash(profile, { type: 'goal', id: goal.id, index, goal });
+            this.saveProfiles('목표 삭제');
+        },
+
+        completeGoal(goalId, completionData) {
+            const updates = {
+                completed: true,
+                completedAt: completionData.date || new Date().toISOString(),
+                completionNote: completionData.note,
+                completionEmotion: completionData.emotion,
+                completionImage: completionData.image
+            };
+
+            // 달성 기록 추가
+            if (this.state.currentProfile) {
+                this.state.currentProfile.achievements = this.state.currentProfile.achievements || [];
+                this.state.currentProfile.achievements.push({
+                    goalId: goalId,
+                    date: updates.completedAt,
+                    emotion: completionData.emotion
+                });
             }
-            
-            return `
-                <div class="goal-progress-widget">
-                    <div class="mini-progress-bar">
-                        <div class="progress-fill" style="width: ${progress.overall}%"></div>
-                        ${this.renderMilestones(goal)}
-                    </div>
-                    <div class="progress-details">
-                        <span class="progress-text">${progress.overall}% 완료</span>
-                        ${progress.daysLeft !== null ? `
-                            <span class="days-left ${this.getDaysLeftClass(progress.daysLeft)}">
-                                ${progress.daysLeft > 0 ? `D-${progress.daysLeft}` : progress.daysLeft === 0 ? 'D-Day' : `D+${Math.abs(progress.daysLeft)}`}
-                            </span>
-                        ` : ''}
-                    </div>
-                </div>
-            `;
+
+            const goal = this.updateGoal(goalId, updates, '목표 달성');
+            Challenges.record(this.state.currentProfile);
+            return goal;
         },
-        
-        // 진행률 계산
-        calculateProgress(goal) {
-            const tasks = goal.tasks || [];
-            const completedTasks = tasks.filter(t => t.completed).length;
-            const totalTasks = tasks.length;
-            
-            // 태스크 기반 진행률
-            const taskProgress = totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0;
-            
-            // 시간 기반 진행률 (목표일이 설정된 경우)
-            let timeProgress = 0;
-            if (goal.targetDate) {
-                const start = new Date(goal.createdAt);
-                const end = new Date(goal.targetDate);
-                const now = new Date();
-                
-                const totalTime = end - start;
-                const elapsedTime = now - start;
-                
-                timeProgress = Math.min((elapsedTime / totalTime) * 100, 100);
+
+        // 감정 여정
+        addEmotionalEntry(goalId, emotion, motivation, energy, note = '') {
+            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return null;
+
+            const entry = {
+                id: Utils.generateId(),
+                date: new Date().toISOString(),
+                emotion: emotion,
+                motivation: motivation,
+                energy: energy,
+                note: note
+            };
+
+            goal.emotionalJourney = goal.emotionalJourney || [];
+            goal.emotionalJourney.push(entry);
+            this.saveProfiles('감정 기록');
+
+            return entry;
+        },
+
+        // 월간 회고 답변 저장 (달마다 하나, 빈 답변은 지움)
+        saveReflection(month, answers) {
+            const profile = this.state.currentProfile;
+            if (!profile) return null;
+
+            const filled = Object.fromEntries(
+                Object.entries(answers).map(([id, text]) => [id, text.trim()]).filter(([, text]) => text)
+            );
+            profile.reflections = profile.reflections || [];
+            let reflection = profile.reflections.find(r => r.month === month);
+            const now = new Date().toISOString();
+
+            if (reflection) {
+                reflection.answers = filled;
+                reflection.updatedAt = now;
+            } else {
+                reflection = { id: Utils.generateId(), month, answers: filled, createdAt: now, updatedAt: now };
+                profile.reflections.push(reflection);
             }
+            this.saveProfiles('월간 회고 저장');
+
+            return reflection;
+        },
+
+        // 태스크 관리
+        addTask(goalId, taskData) {
+            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return null;
+
+            const task = this.createTask(taskData);
+            goal.tasks = goal.tasks || [];
+            goal.tasks.push(task);
             
-            // 종합 진행률 (태스크와 시간의 가중평균)
-            const overallProgress = goal.targetDate 
-                ? (taskProgress * 0.7 + timeProgress * 0.3)
-                : taskProgress;
+            // 진행률 업데이트
+            this.updateGoal(goalId, {}, '세부 계획 추가');
             
+            return task;
+        },
+
+        // 새 세부 계획 객체 (저장하지 않음)
+        createTask(taskData) {
             return {
-                overall: Math.round(overallProgress),
-                tasks: Math.round(taskProgress),
-                time: Math.round(timeProgress),
-                daysLeft: this.calculateDaysLeft(goal.targetDate),
-                hasTasks: totalTasks > 0,
-                hasTargetDate: !!goal.targetDate
+                id: Utils.generateId(),
+                text: taskData.text.trim(),
+                completed: false,
+                createdAt: new Date().toISOString(),
+                completedAt: null,
+                priority: taskData.priority || 'medium',
+                estimatedTime: taskData.estimatedTime || null,
+                actualTime: null,
+                notes: taskData.notes || ''
             };
         },
-        
-        // 남은 일수 계산
-        calculateDaysLeft(targetDate) {
-            if (!targetDate) return null;
+
+        updateTask(goalId, taskId, updates) {
+            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return null;
+
+            const task = goal.tasks?.find(t => t.id === taskId);
+            if (!task) return null;
+
+            Object.assign(task, updates);
             
-            const now = new Date();
-            const target = new Date(targetDate);
-            const diffTime = target - now;
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+            if (updates.completed) {
+                task.completedAt = new Date().toISOString();
+                // 공유 목표는 누가 완료했는지 기록 (구성원별 기여도)
+                if (goal.sharedWith?.length) {
+                    task.completedBy = this.state.currentProfile.id;
+                }
+            }
+
+            // 진행률 업데이트
+            this.updateGoal(goalId, {}, '세부 계획 수정');
+            if ('completed' in updates) {
+                Challenges.record(this.state.currentProfile);
+            }
             
-            return diffDays;
+            return task;
         },
-        
-        // 마일스톤 렌더링
-        renderMilestones(goal) {
-            const tasks = goal.tasks || [];
-            if (tasks.length === 0) return '';
-            
-            const milestones = [];
-            const quarterPoints = [25, 50, 75];
-            
-            quarterPoints.forEach(point => {
-                const completedCount = tasks.filter(t => t.completed).length;
-                const totalCount = tasks.length;
-                const currentProgress = (completedCount / totalCount) * 100;
-                
-                milestones.push(`
-                    <span class="milestone ${currentProgress >= point ? 'completed' : ''}" 
-                          style="left: ${point}%"></span>
-                `);
-            });
+
+        // 다른 구성원의 공유 목표에서 세부 계획 완료/취소 (주인이 현재 프로필이면 updateTask)
+        // 남의 프로필이라 실행 취소 기록에는 남지 않음
+        updateSharedTask(ownerId, goalId, taskId, completed) {
+            if (ownerId === this.state.currentProfile?.id) {
+                return this.updateTask(goalId, taskId, { completed });
+            }
+
+            const owner = this.state.profiles.find(profile => profile.id === ownerId);
+            const goal = owner?.bucketList.find(g => g.id === goalId);
+            const task = goal?.tasks?.find(t => t.id === taskId);
+            if (!task || !goal.sharedWith?.includes(this.state.currentProfile?.id)) return null;
+
+            task.completed = completed;
+            if (completed) {
+                task.completedAt = new Date().toISOString();
+                task.completedBy = this.state.currentProfile.id;
+            }
+            this.updateTaskProgress(goal);
+            goal.updatedAt = new Date().toISOString();
+
+            this.saveProfiles();
+            Challenges.record(this.state.currentProfile);
+            return task;
+        },
+
+        // 태스크 삭제 (휴지통으로 이동)
+        deleteTask(goalId, taskId) {
+            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal || !goal.tasks) return;
+
+            const index = goal.tasks.findIndex(t => t.id === taskId);
+            if (index === -1) return;
+
+            const [task] = goal.tasks.splice(index, 1);
+            this.addToTrash(this.state.currentProfile, { type: 'task', id: task.id, index, goalId, task });
             
-            return `
-                <div class="progress-milestones">
-                    ${milestones.join('')}
-                </div>
-            `;
+            // 진행률 업데이트
+            this.updateGoal(goalId, {}, '세부 계획 삭제');
         },
-        
-        // 남은 일수 클래스 결정
-        getDaysLeftClass(days) {
-            if (days === null) return '';
-            if (days < 0) return 'overdue';
-            if (days <= 7) return 'warning';
-            if (days <= 30) return 'caution';
-            return 'plenty';
+
+        // 휴지통 관리
+        // 항목 형식: { type: 'goal' | 'task', id, deletedAt, index, goal | goalId + task }
+        addToTrash(profile, item) {
+            profile.trash = profile.trash || [];
+            profile.trash.unshift({ ...item, deletedAt: new Date().toISOString() });
         },
-        
-        // 빠른 메모 위젯 렌더링
-        renderQuickNoteWidget(goal) {
-            const notes = goal.quickNotes || [];
-            const noteCount = notes.length;
-            
-            return `
-                <div class="quick-note-widget">
-                    <button class="quick-note-trigger" data-goal-id="${goal.id}">
-                        <span class="note-icon">📝</span>
-                        ${noteCount > 0 ? `<span class="note-count">${noteCount}</span>` : ''}
-                    </button>
-                    
-                    <div class="quick-note-panel" data-goal-id="${goal.id}">
-                        <div class="note-input-wrapper">
-                            <textarea 
-                                class="quick-note-input" 
-                                placeholder="빠른 메모 추가..."
-                                rows="3"
-                                data-goal-id="${goal.id}"
-                            ></textarea>
-                            <div class="note-actions">
-                                <button class="btn-add-note" data-goal-id="${goal.id}">추가</button>
-                                <button class="btn-voice-note" data-goal-id="${goal.id}">🎤</button>
-                                <button class="btn-photo-note" data-goal-id="${goal.id}">📷</button>
-                            </div>
-                        </div>
-                        
-                        <div class="recent-notes">
-                            ${notes.slice(0, 5).map(note => `
-                                <div class="note-item" data-note-id="${note.id}">
-                                    <span class="note-date">${this.formatNoteDate(note.createdAt)}</span>
-                                    <span class="note-text">${Utils.escapeHtml(note.text)}</span>
-                                    <button class="btn-delete-note" data-goal-id="${goal.id}" data-note-id="${note.id}">×</button>
-                                </div>
-                            `).join('')}
-                        </div>
-                    </div>
-                </div>
-            `;
+
+        getTrashRetentionDays(profile) {
+            return profile?.settings?.trashRetentionDays || CONFIG.TRASH_RETENTION_DAYS;
         },
-        
-        // 메모 날짜 포맷팅
-        formatNoteDate(dateString) {
-            const date = new Date(dateString);
-            const now = new Date();
-            const diffTime = now - date;
-            const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-            
-            if (diffDays === 0) return '오늘';
-            if (diffDays === 1) return '어제';
-            if (diffDays < 7) return `${diffDays}일 전`;
-            if (diffDays < 30) return `${Math.floor(diffDays / 7)}주 전`;
-            return `${Math.floor(diffDays / 30)}개월 전`;
+
+        setTrashRetentionDays(days) {
+            const profile = this.state.currentProfile;
+            if (!profile) return;
+
+            profile.settings = profile.settings || {};
+            profile.settings.trashRetentionDays = days;
+            this.purgeExpiredTrash();
+            this.saveProfiles('휴지통 보관 기간 변경');
         },
-        
-        // 빠른 메모 패널 토글
-        toggleQuickNotePanel(goalId) {
-            const panel = document.querySelector(`.quick-note-panel[data-goal-id="${goalId}"]`);
-            if (panel) {
-                panel.classList.toggle('active');
-                
-                // 다른 패널들 닫기
-                document.querySelectorAll('.quick-note-panel').forEach(p => {
-                    if (p !== panel) {
-                        p.classList.remove('active');
-                    }
-                });
+
+        // 휴지통 항목 복원
+        restoreTrashItem(itemId) {
+            const profile = this.state.currentProfile;
+            const item = profile?.trash?.find(t => t.id === itemId);
+            if (!item) return { success: false };
+
+            if (item.type === 'goal') {
+                profile.bucketList.splice(Math.min(item.index, profile.bucketList.length), 0, item.goal);
+            } else {
+                const goal = profile.bucketList.find(g => g.id === item.goalId);
+                if (!goal) {
+                    return { success: false, reason: 'missing-goal' };
+                }
+                goal.tasks = goal.tasks || [];
+                goal.tasks.splice(Math.min(item.index, goal.tasks.length), 0, item.task);
             }
-        },
-        
-        // 빠른 메모 추가
-        handleAddQuickNote(goalId) {
-            const input = document.querySelector(`.quick-note-input[data-goal-id="${goalId}"]`);
-            const text = input.value.trim();
-            
-            if (!text) {
-                View.showNotification('메모 내용을 입력해주세요.', 'warning');
-                return;
+
+            profile.trash = profile.trash.filter(t => t.id !== itemId);
+
+            if (item.type === 'task') {
+                this.updateGoal(item.goalId, {}, '휴지통에서 복원');
+            } else {
+                this.saveProfiles('휴지통에서 복원');
             }
-            
-            this.addQuickNote(goalId, text);
-            input.value = '';
+            return { success: true, item };
         },
-        
-        // 메모 추가 로직
-        addQuickNote(goalId, text, type = 'text', data = null) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
-            
-            if (!goal.quickNotes) {
-                goal.quickNotes = [];
+
+        // 휴지통 항목 영구 삭제
+        purgeTrashItem(itemId) {
+            const profile = this.state.currentProfile;
+            if (!profile?.trash) return;
+
+            profile.trash = profile.trash.filter(t => t.id !== itemId);
+            this.saveProfiles('영구 삭제');
+            AttachmentStore.scheduleGarbageCollection();
+        },
+
+        emptyTrash() {
+            const profile = this.state.currentProfile;
+            if (!profile) return;
+
+            profile.trash = [];
+            this.saveProfiles('휴지통 비우기');
+            AttachmentStore.scheduleGarbageCollection();
+        },
+
+        // 보관 기간이 지난 항목 정리 (모든 프로필)
+        purgeExpiredTrash(now = Date.now()) {
+            const dayMs = 24 * 60 * 60 * 1000;
+            const isExpired = (deletedAt, profile) =>
+                now - new Date(deletedAt).getTime() > this.getTrashRetentionDays(profile) * dayMs;
+            let purged = 0;
+
+            const profiles = [...this.state.profiles];
+            const current = this.state.currentProfile;
+            if (current && !profiles.includes(current)) {
+                profiles.push(current);
+            }
+
+            profiles.forEach(profile => {
+                if (!profile.trash || profile.trash.length === 0) return;
+                const kept = profile.trash.filter(item => !isExpired(item.deletedAt, profile));
+                purged += profile.trash.length - kept.length;
+                profile.trash = kept;
+            });
+
+            const keptProfiles = this.state.deletedProfiles.filter(p => !isExpired(p.deletedAt, p));
+            purged += this.state.deletedProfiles.length - keptProfiles.length;
+            this.state.deletedProfiles = keptProfiles;
+
+            if (purged > 0) {
+                AttachmentStore.scheduleGarbageCollection();
             }
+            return purged;
+        },
+
+        // 마일스톤 관리
+        addMilestone(goalId, milestoneData) {
+            const goal = this.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return null;
+
+            const milestone = this.createMilestone(milestoneData);
+            goal.milestones = goal.milestones || [];
+            goal.milestones.push(milestone);
+            this.saveProfiles('마일스톤 추가');
             
-            const note = {
+            return milestone;
+        },
+
+        // 새 마일스톤 객체 (저장하지 않음)
+        createMilestone(milestoneData) {
+            return {
                 id: Utils.generateId(),
-                text: text,
-                type: type,
-                data: data,
-                createdAt: new Date().toISOString()
+                title: milestoneData.title,
+                targetDate: milestoneData.targetDate,
+                taskIds: milestoneData.taskIds || [],
+                achieved: false,
+                achievedDate: null
             };
-            
-            goal.quickNotes.unshift(note);
-            DataModel.saveProfiles();
-            this.render();
-            
-            View.showNotification('메모가 추가되었습니다.', 'success');
         },
-        
-        // 음성 메모
-        handleVoiceNote(goalId) {
-            if (!('webkitSpeechRecognition' in window)) {
-                View.showNotification('음성 인식이 지원되지 않는 브라우저입니다.', 'error');
-                return;
-            }
-            
-            const recognition = new webkitSpeechRecognition();
-            recognition.lang = 'ko-KR';
-            recognition.continuous = false;
-            recognition.interimResults = false;
-            
-            const voiceBtn = document.querySelector(`.btn-voice-note[data-goal-id="${goalId}"]`);
-            voiceBtn.classList.add('recording');
-            voiceBtn.textContent = '🔴';
-            
-            recognition.start();
-            
-            recognition.onresult = (event) => {
-                const transcript = event.results[0][0].transcript;
-                const input = document.querySelector(`.quick-note-input[data-goal-id="${goalId}"]`);
-                input.value = transcript;
-                voiceBtn.classList.remove('recording');
-                voiceBtn.textContent = '🎤';
-                
-                // 자동으로 메모 추가
-                this.addQuickNote(goalId, transcript, 'voice');
-            };
-            
-            recognition.onerror = () => {
-                voiceBtn.classList.remove('recording');
-                voiceBtn.textContent = '🎤';
-                View.showNotification('음성 인식에 실패했습니다.', 'error');
+
+        // 날짜별 활동 기록 (날짜 키 → [{ type, goalId, category, text }])
+        getActivityLog(profile, category = 'all') {
+            const log = new Map();
+            const add = (date, event) => {
+                if (!date) return;
+                const key = Utils.toDateKey(date);
+                if (!log.has(key)) log.set(key, []);
+                log.get(key).push(event);
             };
+
+            (profile?.bucketList || []).forEach(goal => {
+                if (category !== 'all' && goal.category !== category) return;
+                const base = { goalId: goal.id, category: goal.category, goalText: goal.text };
+
+                if (goal.completed && goal.completedAt) {
+                    add(goal.completedAt, { ...base, type: 'goal', text: goal.text });
+                }
+                (goal.recurring?.completedDates || []).forEach(key => {
+                    add(key, { ...base, type: 'recurring', text: goal.text });
+                });
+                (goal.tasks || []).forEach(task => {
+                    if (task.completed && task.completedAt) {
+                        add(task.completedAt, { ...base, type: 'task', text: task.text });
+                    }
+                });
+                (goal.emotionalJourney || []).forEach(entry => {
+                    const emotion = CONFIG.EMOTIONS[entry.emotion];
+                    add(entry.date, {
+                        ...base,
+                        type: 'emotion',
+                        text: emotion ? `${emotion.emoji} ${emotion.name}` : goal.text
+                    });
+                });
+            });
+
+            return log;
         },
-        
-        // 사진 메모
-        handlePhotoNote(goalId) {
-            const fileInput = document.createElement('input');
-            fileInput.type = 'file';
-            fileInput.accept = 'image/*';
-            fileInput.capture = 'environment';
+
+        // 통계 계산
+        getStats() {
+            if (!this.state.currentProfile) {
+                return { total: 0, completed: 0, percentage: 0, byCategory: {} };
+            }
+
+            const bucketList = this.state.currentProfile.bucketList || [];
+            const total = bucketList.length;
+            const completed = bucketList.filter(g => g.completed).length;
+            const percentage = Utils.calculatePercentage(completed, total);
+
+            // 카테고리별 통계
+            const byCategory = {};
+            Object.keys(CONFIG.CATEGORIES).forEach(cat => {
+                const catGoals = bucketList.filter(g => g.category === cat);
+                byCategory[cat] = {
+                    total: catGoals.length,
+                    completed: catGoals.filter(g => g.completed).length
+                };
+            });
+
+            // 동기 지수 계산
+            const motivationIndex = this.calculateMotivationIndex();
+
+            return { total, completed, percentage, byCategory, motivationIndex };
+        },
+
+        // 동기 지수 계산
+        calculateMotivationIndex() {
+            if (!this.state.currentProfile) return 5.0;
+
+            const bucketList = this.state.currentProfile.bucketList || [];
+            const goalsWithEmotion = bucketList.filter(goal => 
+                goal.emotionalJourney && goal.emotionalJourney.length > 0
+            );
+
+            if (goalsWithEmotion.length === 0) return 5.0;
+
+            let totalMotivation = 0;
+            let count = 0;
+
+            goalsWithEmotion.forEach(goal => {
+                const recentEntries = goal.emotionalJourney.slice(-3);
+                recentEntries.forEach(entry => {
+                    if (entry.motivation && !isNaN(entry.motivation)) {
+                        totalMotivation += Number(entry.motivation);
+                        count++;
+                    }
+                });
+            });
+
+            return count > 0 ? (totalMotivation / count).toFixed(1) : 5.0;
+        },
+
+        // 필터링 및 정렬
+        getFilteredGoals(filter = 'all', searchQuery = '', sortOrder = 'date-desc', dateKey = null, tags = []) {
+            if (!this.state.currentProfile) return [];
+
+            let bucketList = this.state.currentProfile.bucketList || [];
+
+            // 날짜 필터 (그날 활동이 있었던 목표)
+            if (dateKey) {
+                const events = this.getActivityLog(this.state.currentProfile).get(dateKey) || [];
+                const goalIds = new Set(events.map(event => event.goalId));
+                bucketList = bucketList.filter(g => goalIds.has(g.id));
+            }
             
-            fileInput.addEventListener('change', async (e) => {
-                const file = e.target.files[0];
-                if (!file) return;
-                
-                try {
-                    const dataUrl = await this.fileToDataUrl(file);
-                    this.addQuickNote(goalId, '사진 메모', 'photo', dataUrl);
-                } catch (error) {
-                    View.showNotification('사진 업로드에 실패했습니다.', 'error');
+            // 필터링
+            if (filter !== 'all') {
+                if (filter === 'completed') {
+                    bucketList = bucketList.filter(g => g.completed);
+                } else if (filter === 'active') {
+                    bucketList = bucketList.filter(g => !g.completed);
+                } else {
+                    // 카테고리 필터
+                    bucketList = bucketList.filter(g => g.category === filter);
+                }
+            }
+
+            // 태그 필터 (고른 태그를 모두 가진 목표)
+            bucketList = Tags.filter(bucketList, tags);
+
+            // 검색
+            if (searchQuery) {
+                const query = searchQuery.toLowerCase();
+                bucketList = bucketList.filter(g => 
+                    g.text.toLowerCase().includes(query) ||
+                    (g.completionNote && g.completionNote.toLowerCase().includes(query)) ||
+                    (g.tags || []).some(tag => tag.toLowerCase().includes(query))
+                );
+            }
+
+            // 정렬
+            bucketList.sort((a, b) => {
+                switch (sortOrder) {
+                    case 'date-desc':
+                        return new Date(b.createdAt) - new Date(a.createdAt);
+                    case 'date-asc':
+                        return new Date(a.createdAt) - new Date(b.createdAt);
+                    case 'category':
+                        return a.category.localeCompare(b.category);
+                    case 'completed':
+                        return (b.completed ? 1 : 0) - (a.completed ? 1 : 0);
+                    default:
+                        return 0;
                 }
             });
-            
-            fileInput.click();
+
+            return bucketList;
         },
-        
-        // 파일을 DataURL로 변환
-        fileToDataUrl(file) {
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = e => resolve(e.target.result);
-                reader.onerror = reject;
-                reader.readAsDataURL(file);
+
+        // 데이터 내보내기 (첨부 이미지는 attachments에 한 번씩만 포함, passphrase가 있으면 파일 전체 암호화)
+        // 잠긴 프로필은 풀려 있어도 암호문 그대로 내보냄
+        async exportData(profileId = null, passphrase = null) {
+            await Vault.sealing;
+            const profiles = (profileId
+                ? this.state.profiles.filter(p => p.id === profileId)
+                : this.state.profiles
+            ).map(profile => Vault.toStored(profile));
+            if (profiles.length === 0) return null;
+
+            const data = { profiles, attachments: await AttachmentStore.exportFor(profiles) };
+            // 가족처럼 프로필끼리 함께 쓰는 데이터는 전체 백업에만 넣음
+            if (!profileId) data.shared = SharedData.toBackup();
+            const envelope = await Backup.createEnvelope(data, profileId ? 'profile' : 'all', passphrase);
+            return JSON.stringify(envelope, null, 2);
+        },
+
+        // 데이터 가져오기 (mode: Backup.MODES 중 하나, 미리보기 없이 바로 반영)
+        async importData(jsonData, mode = 'merge', passphrase = null) {
+            const backup = await Backup.read(jsonData, passphrase);
+            if (backup.errors.length > 0) {
+                console.error('Import error:', backup.errors);
+                return false;
+            }
+
+            await Backup.apply(backup, mode);
+            return true;
+        }
+    };
+
+    // ========================================
+    // 5-1. 실행 취소 기록 (History)
+    // ========================================
+    const History = {
+        // 프로필 ID → { undo: [], redo: [], baseline }
+        stacks: new Map(),
+
+        // 기록 대상 스택 (프로필 선택 화면에서는 '')
+        getStack(key = DataModel.state.currentProfile?.id || '') {
+            if (!this.stacks.has(key)) {
+                this.stacks.set(key, { undo: [], redo: [], baseline: null });
+            }
+            return this.stacks.get(key);
+        },
+
+        // 비교용 직렬화 (마지막 접속 시각은 기록하지 않음)
+        serialize(profile) {
+            const { lastActive, ...data } = profile;
+            return JSON.stringify(data);
+        },
+
+        // 현재 상태를 기준점으로 (프로필 선택 시)
+        reset(profile) {
+            if (!profile) return;
+            this.getStack(profile.id).baseline = this.serialize(profile);
+        },
+
+        clear() {
+            this.stacks.clear();
+        },
+
+        push(stack, entry) {
+            stack.undo.push(entry);
+            if (stack.undo.length > CONFIG.HISTORY_LIMIT) {
+                stack.undo.shift();
+            }
+            stack.redo = [];
+        },
+
+        // 저장 시점마다 기준점과 비교해 변경분 기록
+        commit(label = '변경') {
+            const profile = DataModel.state.currentProfile;
+            if (!profile) return null;
+
+            const stack = this.getStack(profile.id);
+            const after = this.serialize(profile);
+
+            if (stack.baseline === null) {
+                stack.baseline = after;
+                return null;
+            }
+            if (after === stack.baseline) return null;
+
+            const entry = {
+                kind: 'profile',
+                label,
+                profileId: profile.id,
+                before: stack.baseline,
+                after
+            };
+            this.push(stack, entry);
+            stack.baseline = after;
+            return entry;
+        },
+
+        // 프로필 삭제 기록 (프로필 자체는 휴지통에 보관됨)
+        recordProfileDelete(profileId, index) {
+            const entry = {
+                kind: 'profile-delete',
+                label: '프로필 삭제',
+                profileId,
+                index
+            };
+            this.push(this.getStack(), entry);
+            return entry;
+        },
+
+        // 영구 삭제된 프로필의 삭제 기록 제거
+        removeProfileEntries(profileId) {
+            this.stacks.forEach(stack => {
+                const keep = entry => !(entry.kind === 'profile-delete' && entry.profileId === profileId);
+                stack.undo = stack.undo.filter(keep);
+                stack.redo = stack.redo.filter(keep);
             });
         },
-        
-        // 빠른 메모 삭제
-        handleDeleteQuickNote(goalId, noteId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (goal && goal.quickNotes) {
-                goal.quickNotes = goal.quickNotes.filter(n => n.id !== noteId);
+
+        canUndo() {
+            return this.getStack().undo.length > 0;
+        },
+
+        canRedo() {
+            return this.getStack().redo.length > 0;
+        },
+
+        undo() {
+            const stack = this.getStack();
+            const entry = stack.undo.pop();
+            if (!entry) return null;
+
+            this.apply(entry, 'undo');
+            stack.redo.push(entry);
+            return entry;
+        },
+
+        redo() {
+            const stack = this.getStack();
+            const entry = stack.redo.pop();
+            if (!entry) return null;
+
+            this.apply(entry, 'redo');
+            stack.undo.push(entry);
+            return entry;
+        },
+
+        apply(entry, direction) {
+            if (entry.kind === 'profile-delete') {
+                if (direction === 'undo') {
+                    DataModel.restoreProfile(entry.profileId, entry.index);
+                } else {
+                    DataModel.trashProfile(entry.profileId);
+                }
                 DataModel.saveProfiles();
-                this.render();
-                View.showNotification('메모가 삭제되었습니다.', 'info');
+                return;
             }
+
+            const profile = DataModel.state.currentProfile;
+            if (!profile || profile.id !== entry.profileId) return;
+
+            const json = direction === 'undo' ? entry.before : entry.after;
+            const data = JSON.parse(json);
+
+            // 같은 객체를 유지해야 profiles 목록의 참조가 그대로 남음
+            Object.keys(profile).forEach(key => {
+                if (key !== 'lastActive') delete profile[key];
+            });
+            Object.assign(profile, data);
+
+            // 기준점을 먼저 맞춰 저장 시 새 기록이 생기지 않게 함
+            this.getStack(profile.id).baseline = json;
+            DataModel.saveProfiles();
         },
 
-        // 목표 요소 생성
-        createGoalElement(goal) {
-            const categoryInfo = CONFIG.CATEGORIES[goal.category] || CONFIG.CATEGORIES.other;
-            const isCompleted = goal.completed;
-            const hasImage = goal.completionImage;
-            const hasTasks = goal.tasks && goal.tasks.length > 0;
-            const hasEmotionalJourney = goal.emotionalJourney && goal.emotionalJourney.length > 0;
-            const isRecurring = goal.recurring && goal.recurring.isActive;
-            
-            // 태스크 정보 가져오기
-            const tasks = goal.tasks || [];
-            const completedTasks = tasks.filter(t => t.completed).length;
-            const totalTasks = tasks.length;
-            const taskProgress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-            
-            // 초기 감정 가져오기
-            const initialEmotion = goal.emotionalJourney && goal.emotionalJourney.length > 0 
-                ? goal.emotionalJourney[0].emotion 
-                : null;
-            
-            // 반복 목표 정보 가져오기
-            let recurringInfo = '';
-            if (isRecurring) {
-                const recurringType = CONFIG.RECURRING_TYPES[goal.recurring.type];
-                const nextDue = goal.recurring.nextDue ? new Date(goal.recurring.nextDue) : null;
-                const totalCompletions = goal.recurring.totalCompletions || 0;
-                const isOverdue = nextDue && nextDue < new Date();
-                
-                recurringInfo = `
-                    <div class="recurring-info">
-                        <span class="recurring-badge ${isOverdue ? 'overdue' : ''}">
-                            ${recurringType.icon} ${recurringType.name}
-                        </span>
-                        <span class="recurring-stats">
-                            완료 ${totalCompletions}회
-                            ${nextDue ? `· 다음: ${Utils.formatDate(nextDue)}` : ''}
-                        </span>
-                    </div>
-                `;
+        // 기록 안에서 참조 중인 첨부 (정리 대상에서 제외)
+        collectAttachmentRefs() {
+            const refs = new Set();
+            const pattern = new RegExp(`${AttachmentStore.REF_PREFIX}[0-9a-f]{64}`, 'g');
+
+            this.stacks.forEach(stack => {
+                [...stack.undo, ...stack.redo].forEach(entry => {
+                    [entry.before, entry.after].forEach(json => {
+                        (json && json.match(pattern) || []).forEach(ref => refs.add(ref));
+                    });
+                });
+            });
+
+            return refs;
+        }
+    };
+
+    // ========================================
+    // 5-2. 알림 스케줄러 (Reminders)
+    // ========================================
+    // 목표일·중간 점검일·마일스톤·반복 목표의 알림 일정을 계산해 Cache Storage에 저장한다.
+    // 앱이 열려 있으면 앱이, 닫혀 있으면 서비스 워커(periodicsync)가 같은 일정을 읽어 알림을 띄운다.
+    const Reminders = {
+        CACHE_NAME: 'bucket-dreams-reminders',
+        STORE_URL: './reminders.json',
+        SYNC_TAG: 'reminder-check',
+        syncTimer: null,
+        checkTimer: null,
+
+        isSupported() {
+            return 'Notification' in window;
+        },
+
+        // 목표 하나의 알림 목록
+        forGoal(profile, goal, today = Utils.toDateKey()) {
+            if (goal.completed) return [];
+
+            const reminders = [];
+            const add = (type, dateKey, title, body) => {
+                if (!dateKey) return;
+                reminders.push({
+                    id: `${profile.id}:${goal.id}:${type}:${dateKey}`,
+                    profileId: profile.id,
+                    goalId: goal.id,
+                    type,
+                    date: dateKey,
+                    fireAt: this.getFireTime(dateKey),
+                    title,
+                    body
+                });
+            };
+
+            const settings = goal.reminders || {};
+            if (goal.targetDate) {
+                if (settings.reminder7days) {
+                    add('target-7', Utils.addDays(goal.targetDate, -7),
+                        '⏰ 목표일까지 7일 남았어요', `'${goal.text}' 목표일은 ${Utils.formatDate(goal.targetDate)}입니다.`);
+                }
+                if (settings.reminder1day) {
+                    add('target-1', Utils.addDays(goal.targetDate, -1),
+                        '⏰ 내일이 목표일이에요', `'${goal.text}' 마무리를 준비해보세요.`);
+                }
             }
 
-            return `
-                <article class="goal-card ${isCompleted ? 'completed' : ''} ${this.newGoalId === goal.id ? 'new' : ''}" 
-                         data-id="${goal.id}" 
-                         data-category="${goal.category}"
-                         ${isRecurring ? 'data-recurring="true"' : ''}
-                         draggable="true">
-                    <div class="drag-handle">
-                        <span class="priority-number">${goal.priority || 1}</span>
-                        <span class="drag-icon">⋮⋮</span>
-                    </div>
-                    <div class="category-bar ${goal.category}"></div>
-                    
-                    <div class="goal-header">
-                        <div class="goal-main-info">
-                            <h3 class="goal-text">${Utils.escapeHtml(goal.text)}</h3>
-                            <select class="category-selector" data-goal-id="${goal.id}">
-                                ${Object.entries(CONFIG.CATEGORIES).map(([key, cat]) => `
-                                    <option value="${key}" ${goal.category === key ? 'selected' : ''}>
-                                        ${cat.icon} ${cat.name}
-                                    </option>
-                                `).join('')}
-                            </select>
-                            ${recurringInfo}
-                        </div>
-                        <div class="goal-status">
-                            ${!isCompleted ? `
-                                <button class="btn-complete-inline" data-goal-id="${goal.id}">
-                                    ${isRecurring ? '✅ 오늘 완료' : '✅ 완료'}
-                                </button>
-                            ` : `
-                                <span class="completion-badge">🎉 완료됨</span>
-                            `}
-                        </div>
-                    </div>
-                    
-                    ${hasTasks || !isCompleted ? `
-                        <div class="tasks-section">
-                            <div class="tasks-header">
-                                <span class="tasks-title">세부 태스크 ${hasTasks ? `(${completedTasks}/${totalTasks})` : ''}</span>
-                                <button class="btn-add-task btn-task" data-goal-id="${goal.id}">+ 태스크 추가</button>
-                            </div>
-                            
-                            ${hasTasks ? `
-                                <div class="task-list" data-goal-id="${goal.id}">
-                                    ${tasks.map(task => `
-                                        <div class="task-item ${task.completed ? 'completed' : ''}" data-task-id="${task.id}" draggable="true">
-                                            <div class="task-item-header">
-                                                <span class="drag-handle">≡</span>
-                                                <input type="checkbox" 
-                                                       class="task-checkbox" 
-                                                       data-goal-id="${goal.id}" 
-                                                       data-task-id="${task.id}"
-                                                       ${task.completed ? 'checked' : ''}>
-                                                <span class="task-text">${Utils.escapeHtml(task.text)}</span>
-                                                <button class="task-expand-btn ${task.notes && task.notes.length > 0 ? 'expanded' : ''}" 
-                                                        data-task-id="${task.id}">▶</button>
-                                                <button class="btn-delete-task" 
-                                                        data-goal-id="${goal.id}" 
-                                                        data-task-id="${task.id}"
-                                                        title="삭제">×</button>
-                                            </div>
-                                            <div class="task-details ${task.notes && task.notes.length > 0 ? 'show' : ''}">
-                                                <div class="task-notes">
-                                                    ${task.notes ? task.notes.map(note => `
-                                                        <div class="task-note" data-note-id="${note.id}">
-                                                            <span class="note-date">${Utils.formatShortDate(note.date)}</span>
-                                                            <span class="note-text">${Utils.escapeHtml(note.text)}</span>
-                                                            <button class="btn-delete-note" 
-                                                                    data-goal-id="${goal.id}" 
-                                                                    data-task-id="${task.id}"
-                                                                    data-note-id="${note.id}"
-                                                                    title="노트 삭제">×</button>
-                                                        </div>
-                                                    `).join('') : ''}
-                                                </div>
-                                                <button class="btn-add-note" data-goal-id="${goal.id}" data-task-id="${task.id}">+ 기록 추가</button>
-                                            </div>
-                                        </div>
-                                    `).join('')}
-                                </div>
-                            ` : ''}
-                            
-                            ${!isCompleted ? `
-                                <button class="inline-task-add" onclick="Controller.showInlineTaskAdd(this, '${goal.id}')">
-                                    <span>+</span>
-                                    <span>태스크 추가</span>
-                                </button>
-                                <div class="inline-task-add-form" data-goal-id="${goal.id}">
-                                    <input type="text" class="inline-task-input" 
-                                           placeholder="새 태스크 입력..." 
-                                           data-goal-id="${goal.id}">
-                                    <button class="task-save-btn" onclick="Controller.saveInlineTask('${goal.id}')">추가</button>
-                                    <button class="task-edit-cancel-btn" onclick="Controller.cancelInlineTask('${goal.id}')">취소</button>
-                                </div>
-                            ` : ''}
-                        </div>
-                        
-                        ${hasTasks ? `
-                            <div class="progress-section">
-                                <div class="progress-bar">
-                                    <div class="progress-fill" style="width: ${taskProgress}%"></div>
-                                </div>
-                                <div class="progress-text">
-                                    <span>진행률</span>
-                                    <span>${taskProgress}%</span>
-                                </div>
-                            </div>
-                        ` : ''}
-                    ` : ''}
-                    
-                    ${this.renderProgressWidget(goal)}
-                    
-                    <div class="goal-actions">
-                        <button class="btn-schedule" data-goal-id="${goal.id}" title="목표 달성 예정일 설정">
-                            📅 목표일 설정
-                        </button>
-                        <button class="btn-tasks" data-goal-id="${goal.id}" title="세부 계획 관리">
-                            📋 세부 계획
-                        </button>
-                        <button class="btn-more" data-goal-id="${goal.id}" title="추가 옵션">
-                            ⋮ 더보기
-                        </button>
-                    </div>
-                    
-                    ${this.renderQuickNoteWidget(goal)}
-                    
-                    ${isCompleted && goal.completionNote ? `
-                        <div class="goal-completion-banner" style="margin-top: 16px; padding: 12px; background: #f0f9ff; border-radius: 8px;">
-                            <div class="completion-header" style="display: flex; justify-content: space-between; margin-bottom: 8px;">
-                                <span class="completion-date" style="font-size: 12px; color: #64748b;">${Utils.formatDate(goal.completedAt)}</span>
-                                ${goal.completionEmotion ? `
-                                    <span class="completion-emotion">
-                                        ${CONFIG.EMOTIONS[goal.completionEmotion]?.emoji || '😊'}
-                                    </span>
-                                ` : ''}
-                            </div>
-                            <p class="completion-note" style="font-size: 14px; color: #475569; margin: 0;">${Utils.escapeHtml(goal.completionNote)}</p>
-                        </div>
-                    ` : ''}
-                </article>
-            `;
-        },
+            if (goal.milestoneDate) {
+                add('checkpoint', goal.milestoneDate,
+                    '📍 오늘은 중간 점검일이에요', `'${goal.text}' 진행 상황을 확인해보세요.`);
+            }
 
-        // 추천 카드 렌더링
-        renderRecommendations(recommendations) {
-            const container = this.elements.recommendationCards;
-            if (!container) return;
+            (goal.milestones || []).forEach(milestone => {
+                if (milestone.achieved || !milestone.targetDate) return;
+                add(`milestone-${milestone.id}`, milestone.targetDate,
+                    `🚩 마일스톤 목표일: ${milestone.title}`, `'${goal.text}'의 마일스톤 목표일입니다.`);
+            });
 
-            if (recommendations.length === 0) {
-                container.innerHTML = '<p style="color: #718096; font-size: 14px;">추천을 생성중입니다...</p>';
-                return;
+            if (goal.recurring) {
+                const nextDue = DataModel.calculateNextDueDate(goal.recurring, today);
+                add('recurring', nextDue,
+                    `🔁 ${goal.text}`, `오늘 할 반복 목표입니다. (${Recurrence.describe(goal.recurring.rule)})`);
             }
 
-            container.innerHTML = recommendations.map(rec => `
-                <div class="recommendation-chip btn-add-recommendation" 
-                     data-text="${Utils.escapeHtml(rec.text)}" 
-                     data-category="${rec.category}"
-                     title="${Utils.escapeHtml(rec.reason)}">
-                    ${CONFIG.CATEGORIES[rec.category]?.icon || '✨'} ${Utils.escapeHtml(rec.text)}
-                </div>
-            `).join('');
+            return reminders;
         },
 
-        // 갤러리 렌더링
-        renderGallery(completedGoals) {
-            const container = this.elements.galleryGrid;
-            if (!container) return;
+        // 모든 프로필의 다가오는 알림 (지난 알림은 유예 기간까지만 유지)
+        // 잠금 프로필은 목표 내용 없이 저장하고, 잠겨 있는 동안은 previous(지난번 저장분)를 그대로 둠
+        collect(profiles, now = Date.now(), previous = []) {
+            const today = Utils.toDateKey(now);
+            const horizon = now + CONFIG.REMINDER_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
 
-            if (completedGoals.length === 0) {
-                container.innerHTML = `
-                    <div class="empty-state">
-                        <h3>완료된 목표가 없습니다</h3>
-                        <p>첫 번째 목표를 달성해보세요!</p>
-                    </div>
-                `;
-                return;
-            }
+            return profiles
+                .flatMap(profile => {
+                    if (Vault.isSealed(profile)) {
+                        return previous.filter(reminder => reminder.profileId === profile.id);
+                    }
+                    const reminders = (profile.bucketList || []).flatMap(goal => this.forGoal(profile, goal, today));
+                    return Vault.hasLock(profile) ? reminders.map(reminder => this.conceal(reminder)) : reminders;
+                })
+                .filter(reminder => reminder.fireAt <= horizon && now - reminder.fireAt < CONFIG.REMINDER_GRACE_MS)
+                .sort((a, b) => a.fireAt - b.fireAt);
+        },
 
-            container.innerHTML = completedGoals.map(goal => {
-                const categoryInfo = CONFIG.CATEGORIES[goal.category] || CONFIG.CATEGORIES.other;
-                const emotion = CONFIG.EMOTIONS[goal.completionEmotion];
-                
-                return `
-                    <div class="gallery-item" data-goal-id="${goal.id}">
-                        ${goal.completionImage ? `
-                            <div class="gallery-image">
-                                <img src="${goal.completionImage}" alt="${Utils.escapeHtml(goal.text)}" loading="lazy">
-                            </div>
-                        ` : `
-                            <div class="gallery-placeholder">
-                                <span class="placeholder-icon">${categoryInfo.icon}</span>
-                            </div>
-                        `}
-                        <div class="gallery-content">
-                            <h4>${Utils.escapeHtml(goal.text)}</h4>
-                            <p class="gallery-date">${Utils.formatDate(goal.completedAt)}</p>
-                            ${emotion ? `
-                                <span class="gallery-emotion">
-                                    ${emotion.emoji} ${emotion.name}
-                                </span>
-                            ` : ''}
-                            ${goal.completionNote ? `
-                                <p class="gallery-note">${Utils.escapeHtml(goal.completionNote)}</p>
-                            ` : ''}
-                        </div>
-                        <div class="gallery-actions">
-                            <button class="btn-share-achievement" data-goal-id="${goal.id}">
-                                공유하기
-                            </button>
-                        </div>
-                    </div>
-                `;
-            }).join('');
+        // 잠금 프로필 알림: 알림 저장소는 암호화되지 않으므로 목표 이름 대신 일반 문구
+        conceal(reminder) {
+            return {
+                ...reminder,
+                title: '🔒 잠긴 프로필의 알림',
+                body: '잠금을 풀고 오늘 확인할 목표 일정을 살펴보세요.'
+            };
         },
 
-        // 여정 타임라인 렌더링
-        renderJourneyTimeline(completedGoals) {
-            const container = this.elements.achievementTimeline;
-            if (!container) return;
+        // 날짜 키 → 알림 시각 (로컬 시간 기준)
+        getFireTime(dateKey) {
+            const date = Utils.parseDateKey(dateKey);
+            date.setHours(CONFIG.REMINDER_HOUR, 0, 0, 0);
+            return date.getTime();
+        },
 
-            if (completedGoals.length === 0) {
-                container.innerHTML = `
-                    <div class="timeline-empty">
-                        <div class="timeline-empty-icon">🌟</div>
-                        <div class="timeline-empty-title">아직 달성한 목표가 없습니다</div>
-                        <div class="timeline-empty-subtitle">첫 번째 목표를 달성해서 여정을 시작해보세요!</div>
-                    </div>
-                `;
-                return;
+        // 알림 저장소 ({ reminders, delivered: { id: 보낸 시각 } })
+        async readStore() {
+            try {
+                if ('caches' in window) {
+                    const cache = await caches.open(this.CACHE_NAME);
+                    const response = await cache.match(this.STORE_URL);
+                    if (response) return await response.json();
+                } else {
+                    const stored = Storage.get(this.CACHE_NAME);
+                    if (stored) return stored;
+                }
+            } catch (e) {
+                console.error('Reminder store read error:', e);
             }
+            return { reminders: [], delivered: {} };
+        },
 
-            container.innerHTML = completedGoals
-                .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
-                .slice(0, 10)
-                .map((goal, index) => {
-                    const categoryInfo = CONFIG.CATEGORIES[goal.category] || CONFIG.CATEGORIES.other;
-                    
-                    return `
-                        <div class="timeline-item" style="animation-delay: ${index * 0.1}s">
-                            <div class="timeline-content">
-                                <div class="timeline-date">${Utils.formatDate(goal.completedAt)}</div>
-                                <div class="timeline-goal">${Utils.escapeHtml(goal.text)}</div>
-                                <div class="timeline-category category-${goal.category}">
-                                    ${categoryInfo.icon} ${categoryInfo.name}
-                                </div>
-                                ${goal.completionNote ? `
-                                    <div class="timeline-emotion">${Utils.escapeHtml(goal.completionNote)}</div>
-                                ` : ''}
-                            </div>
-                            <div class="timeline-dot"></div>
-                        </div>
-                    `;
-                }).join('');
+        async writeStore(store) {
+            if ('caches' in window) {
+                const cache = await caches.open(this.CACHE_NAME);
+                await cache.put(this.STORE_URL, new Response(JSON.stringify(store), {
+                    headers: { 'Content-Type': 'application/json' }
+                }));
+            } else {
+                Storage.set(this.CACHE_NAME, store);
+            }
         },
 
-        // 모달 표시/숨기기
-        showModal(modalId) {
-            const modal = document.getElementById(modalId);
-            if (!modal) return;
+        // 저장 직후 일정 갱신 (연속 저장은 한 번으로 묶음)
+        scheduleSync() {
+            if (!this.isSupported()) return;
+            clearTimeout(this.syncTimer);
+            this.syncTimer = setTimeout(() => {
+                this.sync().catch(err => console.error('Reminder sync error:', err));
+            }, 1000);
+        },
 
-            modal.style.display = 'block';
-            modal.setAttribute('aria-hidden', 'false');
-            document.body.style.overflow = 'hidden';
-            
-            // 포커스 트랩
-            const focusableElements = modal.querySelectorAll(
-                'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        // 일정 다시 계산 후 저장 (보낸 기록은 유예 기간이 지나면 정리)
+        async sync() {
+            const now = Date.now();
+            const store = await this.readStore();
+            const delivered = Object.fromEntries(
+                Object.entries(store.delivered || {})
+                    .filter(([_, sentAt]) => now - sentAt < CONFIG.REMINDER_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000)
             );
-            if (focusableElements.length > 0) {
-                focusableElements[0].focus();
-            }
+
+            await this.writeStore({
+                reminders: this.collect(DataModel.state.profiles, now, store.reminders || []),
+                delivered
+            });
         },
 
-        hideModal(modalId) {
-            const modal = document.getElementById(modalId);
-            if (!modal) return;
+        // 때가 된 알림 표시
+        async check(now = Date.now()) {
+            const store = await this.readStore();
+            const due = store.reminders.filter(reminder =>
+                reminder.fireAt <= now &&
+                now - reminder.fireAt < CONFIG.REMINDER_GRACE_MS &&
+                !store.delivered?.[reminder.id]
+            );
+            if (due.length === 0) return [];
 
-            modal.style.display = 'none';
-            modal.setAttribute('aria-hidden', 'true');
-            document.body.style.overflow = '';
-        },
+            const shown = [];
+            for (const reminder of due) {
+                const result = await this.show(reminder);
+                if (!result) continue;
 
-        // 알림 표시
-        showNotification(message, type = 'info') {
-            // 기존 알림 제거
-            const existingNotification = document.querySelector('.notification');
-            if (existingNotification) {
-                existingNotification.remove();
+                store.delivered = { ...store.delivered, [reminder.id]: now };
+                shown.push(reminder);
+                // 앱 내 알림은 한 번에 하나만 보이므로 나머지는 다음 확인 때
+                if (result === 'toast') break;
             }
 
-            // 새 알림 생성
-            const notification = document.createElement('div');
-            notification.className = `notification notification-${type}`;
-            notification.innerHTML = `
-                <span class="notification-icon">
-                    ${type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : 'ℹ️'}
-                </span>
-                <span class="notification-message">${Utils.escapeHtml(message)}</span>
-            `;
-            
-            document.body.appendChild(notification);
-            
-            // 애니메이션
-            requestAnimationFrame(() => {
-                notification.classList.add('show');
-            });
-            
-            // 자동 제거
-            setTimeout(() => {
-                notification.classList.remove('show');
-                setTimeout(() => notification.remove(), 300);
-            }, 3000);
+            await this.writeStore(store);
+            return shown;
         },
 
-        // 탭 전환
-        switchTab(tabName) {
-            // 탭 버튼 업데이트
-            this.elements.tabButtons.forEach(btn => {
-                const isActive = btn.dataset.tab === tabName;
-                btn.classList.toggle('active', isActive);
-                btn.setAttribute('aria-selected', isActive);
-                btn.setAttribute('tabindex', isActive ? '0' : '-1');
-            });
+        // 알림 권한이 있으면 시스템 알림, 없으면 화면을 보고 있을 때만 앱 내 알림
+        async show(reminder) {
+            const url = `./?profile=${encodeURIComponent(reminder.profileId)}&goal=${encodeURIComponent(reminder.goalId)}`;
 
-            // 탭 컨텐츠 업데이트
-            this.elements.tabContents.forEach(content => {
-                const isActive = content.id === `${tabName}-tab`;
-                content.classList.toggle('active', isActive);
-                content.style.display = isActive ? 'block' : 'none';
-                content.setAttribute('aria-hidden', !isActive);
-            });
+            if (this.isSupported() && Notification.permission === 'granted') {
+                const options = {
+                    body: reminder.body,
+                    icon: './icons/icon-192.png',
+                    badge: './icons/icon-192.png',
+                    tag: reminder.id,
+                    data: { url, profileId: reminder.profileId, goalId: reminder.goalId }
+                };
 
-            DataModel.state.activeTab = tabName;
-            
-            // 탭별 초기화
-            this.initializeTab(tabName);
+                const registration = 'serviceWorker' in navigator
+                    ? await navigator.serviceWorker.getRegistration()
+                    : null;
+                if (registration) {
+                    await registration.showNotification(reminder.title, options);
+                } else {
+                    const notification = new Notification(reminder.title, options);
+                    notification.onclick = () => {
+                        window.focus();
+                        Controller.openGoal(reminder.profileId, reminder.goalId);
+                    };
+                }
+                return 'system';
+            }
+
+            if (document.visibilityState === 'visible') {
+                View.showNotification(`${reminder.title} - ${reminder.body}`, 'info', {
+                    label: '보기',
+                    onClick: () => Controller.openGoal(reminder.profileId, reminder.goalId)
+                });
+                return 'toast';
+            }
+            return null;
         },
 
-        // 탭 초기화
-        initializeTab(tabName) {
-            switch (tabName) {
-                case 'journey':
-                    Controller.initJourneyTab();
-                    break;
-                case 'gallery':
-                    Controller.initGalleryTab();
-                    break;
-                case 'insights':
-                    Controller.initInsightsTab();
-                    break;
-                case 'social':
-                    Controller.initSocialTab();
-                    break;
-                case 'data':
-                    Controller.initDataTab();
-                    break;
+        // 알림 권한 요청 (사용자 동작 안에서 호출)
+        async requestPermission() {
+            if (!this.isSupported()) return 'unsupported';
+            if (Notification.permission === 'default') {
+                await Notification.requestPermission();
             }
+            if (Notification.permission === 'granted') {
+                await this.registerBackgroundCheck();
+            }
+            return Notification.permission;
         },
 
-        // 로딩 표시
-        showLoading(message = '로딩중...') {
-            const loading = document.createElement('div');
-            loading.className = 'loading-overlay';
-            loading.innerHTML = `
-                <div class="loading-spinner"></div>
-                <p>${Utils.escapeHtml(message)}</p>
-            `;
-            document.body.appendChild(loading);
+        // 앱이 닫혀 있을 때의 확인 (Periodic Background Sync 지원 브라우저만)
+        async registerBackgroundCheck() {
+            if (!('serviceWorker' in navigator)) return;
+            try {
+                const registration = await navigator.serviceWorker.getRegistration();
+                if (registration && 'periodicSync' in registration) {
+                    await registration.periodicSync.register(this.SYNC_TAG, {
+                        minInterval: CONFIG.REMINDER_CHECK_INTERVAL
+                    });
+                }
+            } catch (e) {
+                console.log('백그라운드 알림 확인 등록 실패:', e);
+            }
         },
 
-        hideLoading() {
-            const loading = document.querySelector('.loading-overlay');
-            if (loading) loading.remove();
+        // 앱 실행 중 주기적 확인
+        start() {
+            if (!this.isSupported()) return;
+
+            const run = () => this.sync()
+                .then(() => this.check())
+                .catch(err => console.error('Reminder check error:', err));
+
+            run();
+            clearInterval(this.checkTimer);
+            this.checkTimer = setInterval(run, CONFIG.REMINDER_CHECK_INTERVAL);
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') run();
+            });
+
+            if (Notification.permission === 'granted') {
+                this.registerBackgroundCheck();
+            }
         }
     };
 
     // ========================================
-    // 10. 이벤트 컨트롤러 (Event Controller)
+    // 5-3. 목표 공유 링크 (ShareLink)
     // ========================================
-    const Controller = {
-        // 초기화
-        init() {
-            try {
-                // DOM 요소 초기화
-                View.initElements();
-                
-                // 이미지 설정 로드
-                ImageProcessor.loadSettings();
-                
-                // 차트 초기화
+    // 받는 사람은 보낸 사람의 저장소에 접근할 수 없으므로 목표 내용을 통째로 주소 조각(#share=)에 담는다.
+    // 조각은 서버로 전송되지 않는다.
+    const ShareLink = {
+        PARAM: 'share',
+        VERSION: 1,
+
+        // 목표 → 공유 데이터
+        async toPayload(goal, { includeThumbnail = true } = {}) {
+            const payload = {
+                v: this.VERSION,
+                t: goal.text,
+                c: goal.category,
+                n: goal.completionNote || undefined,
+                d: goal.completedAt ? Utils.toDateKey(goal.completedAt) : undefined,
+                e: goal.completionEmotion || undefined
+            };
+
+            if (includeThumbnail && goal.completionImage) {
                 try {
-                    ChartManager.initCharts();
-                } catch (chartError) {
-                    console.warn('Chart initialization skipped:', chartError);
+                    const blob = await AttachmentStore.getBlob(goal.completionImage);
+                    if (blob) {
+                        payload.i = await ImageProcessor.compressImage(blob, {
+                            autoCompress: true,
+                            maxWidth: CONFIG.SHARE_THUMBNAIL_WIDTH,
+                            format: 'jpeg',
+                            quality: 0.5
+                        });
+                    }
+                } catch (e) {
+                    console.warn('공유 썸네일 생성 실패:', e);
                 }
-                
-                // 데이터 로드
-                DataModel.loadProfiles();
-                
-                // 이벤트 바인딩
-                this.bindEvents();
-                
-                // 초기 렌더링
-                this.render();
-                
-            } catch (error) {
-                console.error('Error during initialization:', error);
             }
-            
-            // 자동 로그아웃 설정
-            this.setupAutoLogout();
-            
-            // 서비스 워커 등록
-            this.registerServiceWorker();
-        },
 
-        // 이벤트 바인딩
-        bindEvents() {
-            // 클릭 이벤트 위임
-            document.addEventListener('click', this.handleClick.bind(this));
-            
-            // 더블클릭 이벤트 위임
-            document.addEventListener('dblclick', this.handleDoubleClick.bind(this));
-            
-            // 키보드 이벤트
-            document.addEventListener('keydown', this.handleKeydown.bind(this));
-            
-            // 폼 이벤트
-            this.bindFormEvents();
-            
-            // 드래그 앤 드롭
-            this.bindDragDropEvents();
-            
-            // 태스크 드래그 앤 드롭
-            this.bindTaskDragEvents();
-            
-            // 우선순위 드래그 앤 드롭
-            this.initPriorityDragDrop();
-            
-            // 온라인/오프라인 이벤트
-            window.addEventListener('online', () => View.showNotification('온라인 상태로 전환되었습니다.', 'success'));
-            window.addEventListener('offline', () => View.showNotification('오프라인 상태입니다. 일부 기능이 제한될 수 있습니다.', 'warning'));
+            return payload;
         },
 
-        // 클릭 이벤트 핸들러
-        handleClick(e) {
-            const target = e.target;
-            
-            // 프로필 선택
-            if (target.closest('.profile-card:not(.add-profile):not(.guest-profile)')) {
-                const profileId = target.closest('.profile-card').dataset.profileId;
-                this.handleProfileSelect(profileId);
-            }
-            
-            // 새 프로필 추가
-            if (target.closest('#addProfileBtn')) {
-                this.handleNewProfile();
+        // 공유 주소 생성 (길이 제한을 넘으면 썸네일 제외)
+        async createUrl(goal) {
+            const base = `${window.location.origin}${window.location.pathname}`;
+
+            let encoded = await this.encode(await this.toPayload(goal));
+            if (encoded.length > CONFIG.SHARE_URL_MAX_LENGTH) {
+                encoded = await this.encode(await this.toPayload(goal, { includeThumbnail: false }));
             }
-            
-            // 게스트 모드
-            if (target.closest('#guestModeBtn')) {
-                this.handleGuestMode();
+
+            return `${base}#${this.PARAM}=${encoded}`;
+        },
+
+        // 공유 데이터 → 주소용 문자열 (z: deflate 압축, r: 무압축)
+        async encode(payload) {
+            const bytes = new TextEncoder().encode(JSON.stringify(payload));
+            if (typeof CompressionStream === 'undefined') {
+                return 'r' + Utils.bytesToBase64Url(bytes);
             }
+            const compressed = await this.pipe(bytes, new CompressionStream('deflate-raw'));
+            return 'z' + Utils.bytesToBase64Url(compressed);
+        },
 
-            // 목표 관련 버튼들
-            if (target.closest('.btn-complete')) {
-                const goalId = target.closest('.btn-complete').dataset.goalId;
-                this.handleGoalComplete(goalId);
+        async decode(encoded) {
+            const mode = encoded.charAt(0);
+            let bytes = Utils.base64UrlToBytes(encoded.slice(1));
+
+            if (mode === 'z') {
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('이 브라우저에서는 공유 링크를 열 수 없습니다.');
+                }
+                bytes = await this.pipe(bytes, new DecompressionStream('deflate-raw'));
+            } else if (mode !== 'r') {
+                throw new Error('공유 링크가 올바르지 않습니다.');
             }
 
-            if (target.closest('.btn-delete')) {
-                const goalId = target.closest('.btn-delete').dataset.goalId;
-                this.handleGoalDelete(goalId);
+            return this.validate(JSON.parse(new TextDecoder().decode(bytes)));
+        },
+
+        // 압축 스트림 통과
+        async pipe(bytes, transform) {
+            const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+            const chunks = [];
+            let length = 0;
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                length += value.length;
             }
 
-            if (target.closest('.btn-task')) {
-                const goalId = target.closest('.btn-task').dataset.goalId;
-                this.handleTaskManager(goalId);
+            const result = new Uint8Array(length);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                result.set(chunk, offset);
+                offset += chunk.length;
+            });
+            return result;
+        },
+
+        // 외부에서 온 데이터이므로 필요한 필드만 검증해서 꺼냄
+        validate(payload) {
+            if (!payload || payload.v !== this.VERSION || typeof payload.t !== 'string' || !payload.t.trim()) {
+                throw new Error('공유 링크가 올바르지 않습니다.');
             }
-            
-            // 빠른 태스크 추가 버튼
-            if (target.closest('.btn-quick-add')) {
-                const goalId = target.closest('.btn-quick-add').dataset.goalId;
-                const input = document.querySelector(`.quick-task-input[data-goal-id="${goalId}"]`);
-                if (input && input.value.trim()) {
-                    this.handleQuickTaskAdd(goalId, input.value.trim());
-                    input.value = '';
-                }
+
+            return {
+                text: payload.t.trim().slice(0, 200),
+                category: CONFIG.CATEGORIES[payload.c] ? payload.c : 'other',
+                completionNote: typeof payload.n === 'string' ? payload.n.slice(0, 1000) : null,
+                completedAt: Utils.isDateKey(payload.d) ? payload.d : null,
+                completionEmotion: CONFIG.EMOTIONS[payload.e] ? payload.e : null,
+                thumbnail: typeof payload.i === 'string' && /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/=]+$/.test(payload.i)
+                    ? payload.i
+                    : null
+            };
+        },
+
+        // 현재 주소의 공유 조각 (#share=...)
+        readFromLocation() {
+            const hash = window.location.hash.slice(1);
+            const prefix = `${this.PARAM}=`;
+            return hash.startsWith(prefix) ? hash.slice(prefix.length) : null;
+        }
+    };
+
+    // ========================================
+    // 5-4. 공유 시트로 받은 콘텐츠 (ShareTarget)
+    // ========================================
+    // 다른 앱에서 공유한 내용은 서비스 워커가 Cache Storage에 보관하고 #/received 로 앱을 연다.
+    const ShareTarget = {
+        CACHE_NAME: 'bucket-dreams-share-target',
+        META_URL: './share-target.json',
+        FILE_URL: './share-target-file',
+
+        // 보관된 내용을 꺼내고 비움 ({ title, text, url, file } 또는 null)
+        async take() {
+            if (!('caches' in window)) return null;
+
+            const cache = await caches.open(this.CACHE_NAME);
+            const metaResponse = await cache.match(this.META_URL);
+            if (!metaResponse) return null;
+
+            const meta = await metaResponse.json();
+            let file = null;
+            const fileResponse = await cache.match(this.FILE_URL);
+            if (fileResponse && meta.fileType) {
+                const blob = await fileResponse.blob();
+                file = new File([blob], meta.fileName || 'shared-image', { type: meta.fileType });
             }
-            
-            // 태스크 확장/축소 버튼
-            if (target.closest('.task-expand-btn')) {
-                const btn = target.closest('.task-expand-btn');
-                const taskItem = btn.closest('.task-item');
-                const taskDetails = taskItem.querySelector('.task-details');
-                
-                btn.classList.toggle('expanded');
-                taskDetails.classList.toggle('show');
+
+            await Promise.all([cache.delete(this.META_URL), cache.delete(this.FILE_URL)]);
+
+            return {
+                title: meta.title || '',
+                text: meta.text || '',
+                url: meta.url || '',
+                file
+            };
+        },
+
+        // 새 목표 제목 후보 (제목 → 본문 → 링크 순)
+        suggestGoalText(content) {
+            const text = [content.title, content.text, content.url]
+                .map(value => value.trim())
+                .find(Boolean) || '';
+            return text.split('\n')[0].slice(0, 100);
+        },
+
+        // 메모로 남길 본문 (본문과 링크)
+        getNoteText(content) {
+            const text = content.text.trim();
+            const url = content.url.trim();
+            return url && !text.includes(url) ? [text, url].filter(Boolean).join('\n') : text;
+        }
+    };
+
+    // ========================================
+    // 5-5. 백업 파일 (Backup)
+    // ========================================
+    // 내보내기 파일 = { format, formatVersion, appVersion, exportedAt, scope, checksum, data: { profiles, attachments } }
+    // 암호화한 파일은 checksum과 data 대신 { encryption: { kdf, iterations, salt, iv }, payload }를 가진다.
+    // 가져오기는 검증 → 미리보기(plan) → 반영(apply) 순서로, 미리보기 단계에서는 아무것도 저장하지 않는다.
+    const Backup = {
+        FORMAT: 'bucket-dreams-backup',
+        MODES: {
+            merge: { name: '병합', description: '같은 목표는 더 최근에 수정된 쪽을 남깁니다.' },
+            'keep-both': { name: '모두 보관', description: '내용이 다른 같은 목표는 둘 다 남깁니다.' },
+            replace: { name: '교체', description: '백업에 있는 프로필을 백업 내용으로 바꿉니다.' }
+        },
+
+        // 전체 백업의 data.shared 키별 형식: 항목 목록 꺼내기/되돌리기와 항목 검사 (항목 ID는 문자열 자체 또는 id)
+        SHARED: {
+            household: {
+                label: '가족 구성원',
+                items: value => value?.members,
+                wrap: items => ({ members: items }),
+                isValid: item => typeof item === 'string' && item.trim() !== ''
+            },
+            challenges: {
+                label: '가족 도전',
+                items: value => value,
+                wrap: items => items,
+                isValid: item => !!item && typeof item === 'object' &&
+                    typeof item.id === 'string' && typeof item.title === 'string' && !!Challenges.TYPES[item.type] &&
+                    Number.isFinite(item.target) && Utils.isDateKey(item.startDate) && Utils.isDateKey(item.endDate) &&
+                    Array.isArray(item.participants) && item.participants.every(id => typeof id === 'string') &&
+                    !!item.goals && typeof item.goals === 'object' && !!item.progress && typeof item.progress === 'object'
+            },
+            encouragements: {
+                label: '응원',
+                items: value => value,
+                // 예전 백업의 목표 이름은 가져오지 않음 (Encouragement.dropGoalText 참고)
+                wrap: items => items.map(({ goalText, ...item }) => item),
+                isValid: item => !!item && typeof item === 'object' &&
+                    ['id', 'fromId', 'toId', 'goalId'].every(field => typeof item[field] === 'string') &&
+                    (typeof item.text === 'string' || Encouragement.REACTIONS.includes(item.emoji))
+            }
+        },
+
+        // 내보내기 파일 생성 (data: { profiles, attachments, shared? }, scope: 'all' | 'profile', passphrase가 있으면 암호화)
+        async createEnvelope(data, scope, passphrase = null) {
+            const envelope = {
+                format: this.FORMAT,
+                formatVersion: CONFIG.BACKUP_FORMAT_VERSION,
+                appVersion: CONFIG.APP_VERSION,
+                exportedAt: new Date().toISOString(),
+                scope
+            };
+            const body = { checksum: await this.checksum(data), data };
+            if (!passphrase) {
+                return { ...envelope, ...body };
             }
-            
-            // 태스크 체크박스
-            if (target.classList.contains('task-checkbox')) {
-                const goalId = target.dataset.goalId;
-                const taskId = target.dataset.taskId;
-                const completed = target.checked;
-                this.handleTaskToggle(goalId, taskId, completed);
+
+            const { key, lock } = await Vault.createKey(passphrase);
+            const { iv, data: payload } = await Vault.encrypt(key, JSON.stringify(body));
+            return { ...envelope, encryption: { ...lock, iv }, payload };
+        },
+
+        // 암호화된 본문 풀기 → { checksum, data } (비밀번호가 틀리면 예외)
+        async decryptEnvelope(parsed, passphrase) {
+            const { iv, ...lock } = parsed.encryption;
+            const key = await Vault.keyFor(passphrase, lock);
+            return JSON.parse(await Vault.decrypt(key, { iv, data: parsed.payload }));
+        },
+
+        async checksum(data) {
+            if (!window.crypto?.subtle) return null;
+            const bytes = new TextEncoder().encode(JSON.stringify(data));
+            return 'sha256:' + await AttachmentStore.hashBuffer(bytes);
+        },
+
+        // 파일 내용 읽기 → { profiles, attachments, shared, scope, meta, errors, warnings, needsPassphrase }
+        async read(text, passphrase = null) {
+            const result = { profiles: [], attachments: {}, shared: null, scope: 'profile', meta: {}, errors: [], warnings: [], needsPassphrase: false };
+            const error = (path, message) => result.errors.push({ path, message });
+
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (e) {
+                error('', 'JSON 형식의 파일이 아닙니다.');
+                return result;
             }
-            
-            // 태스크 편집 저장
-            if (target.classList.contains('task-save-btn')) {
-                const goalId = target.dataset.goalId;
-                const taskId = target.dataset.taskId;
-                this.handleTaskSave(goalId, taskId);
-            }
-            
-            // 태스크 편집 취소
-            if (target.classList.contains('task-edit-cancel-btn')) {
-                const goalId = target.dataset.goalId;
-                const taskId = target.dataset.taskId;
-                this.handleTaskEditCancel(goalId, taskId);
-            }
-            
-            // 노트 추가 버튼
-            if (target.classList.contains('btn-add-note')) {
-                const goalId = target.dataset.goalId;
-                const taskId = target.dataset.taskId;
-                this.handleAddNoteClick(goalId, taskId);
-            }
-            
-            // 태스크 삭제 버튼
-            if (target.classList.contains('btn-delete-task')) {
-                const goalId = target.dataset.goalId;
-                const taskId = target.dataset.taskId;
-                this.handleTaskDelete(goalId, taskId);
-            }
-            
-            // 노트 삭제 버튼
-            if (target.classList.contains('btn-delete-note')) {
-                const goalId = target.dataset.goalId;
-                const taskId = target.dataset.taskId;
-                const noteId = target.dataset.noteId;
-                this.handleNoteDelete(goalId, taskId, noteId);
-            }
-            
-            // 인라인 완료 버튼
-            if (target.classList.contains('btn-complete-inline')) {
-                const goalId = target.dataset.goalId;
-                this.handleInlineComplete(goalId);
-            }
-            
-            // 목표일 설정 버튼
-            if (target.classList.contains('btn-schedule')) {
-                const goalId = target.dataset.goalId;
-                this.handleScheduleModal(goalId);
-            }
-            
-            // 세부 계획 버튼
-            if (target.classList.contains('btn-tasks')) {
-                const goalId = target.dataset.goalId;
-                this.handleTaskManager(goalId);
-            }
-            
-            // 더보기 버튼
-            if (target.classList.contains('btn-more')) {
-                const goalId = target.dataset.goalId;
-                this.handleMoreMenu(goalId, target);
-            }
-            
-            // 카테고리 선택기 변경
-            if (target.classList.contains('category-selector')) {
-                const goalId = target.dataset.goalId;
-                const newCategory = target.value;
-                this.handleCategoryChange(goalId, newCategory);
-            }
-            
-            // 빠른 메모 관련 이벤트
-            if (target.classList.contains('quick-note-trigger')) {
-                const goalId = target.dataset.goalId;
-                this.toggleQuickNotePanel(goalId);
-            }
-            
-            if (target.classList.contains('btn-add-note')) {
-                const goalId = target.dataset.goalId;
-                this.handleAddQuickNote(goalId);
-            }
-            
-            if (target.classList.contains('btn-voice-note')) {
-                const goalId = target.dataset.goalId;
-                this.handleVoiceNote(goalId);
-            }
-            
-            if (target.classList.contains('btn-photo-note')) {
-                const goalId = target.dataset.goalId;
-                this.handlePhotoNote(goalId);
-            }
-            
-            if (target.classList.contains('btn-delete-note') && target.dataset.noteId) {
-                const goalId = target.dataset.goalId;
-                const noteId = target.dataset.noteId;
-                this.handleDeleteQuickNote(goalId, noteId);
-            }
-
-            if (target.closest('.btn-emotion')) {
-                const goalId = target.closest('.btn-emotion').dataset.goalId;
-                this.handleEmotionCheck(goalId);
-            }
-
-            if (target.closest('.btn-share')) {
-                const goalId = target.closest('.btn-share').dataset.goalId;
-                this.handleShareGoal(goalId);
+            if (!parsed || typeof parsed !== 'object') {
+                error('', '백업 파일 형식이 아닙니다.');
+                return result;
             }
 
-            if (target.closest('.btn-view-image')) {
-                const goalId = target.closest('.btn-view-image').dataset.goalId;
-                this.handleViewImage(goalId);
-            }
+            let data;
+            if (parsed.format === this.FORMAT) {
+                result.meta = {
+                    formatVersion: parsed.formatVersion,
+                    appVersion: parsed.appVersion,
+                    exportedAt: parsed.exportedAt
+                };
+                if (!Number.isInteger(parsed.formatVersion) || parsed.formatVersion > CONFIG.BACKUP_FORMAT_VERSION) {
+                    error('formatVersion', `지원하지 않는 백업 버전입니다 (${parsed.formatVersion}). 앱을 업데이트해주세요.`);
+                    return result;
+                }
+                result.scope = parsed.scope === 'all' ? 'all' : 'profile';
+
+                if (parsed.encryption) {
+                    result.meta.encrypted = true;
+                    if (!passphrase) {
+                        result.needsPassphrase = true;
+                        error('encryption', '암호화된 백업입니다. 비밀번호를 입력해주세요.');
+                        return result;
+                    }
+                    try {
+                        Object.assign(parsed, await this.decryptEnvelope(parsed, passphrase));
+                    } catch (e) {
+                        result.needsPassphrase = true;
+                        error('encryption', '비밀번호가 올바르지 않습니다.');
+                        return result;
+                    }
+                }
+                data = parsed.data || {};
 
-            // 필터 버튼
-            if (target.closest('.filter-btn')) {
-                const filter = target.dataset.category;
-                this.handleFilterChange(filter);
+                if (parsed.checksum && parsed.checksum !== await this.checksum(data)) {
+                    result.warnings.push({ path: 'checksum', message: '체크섬이 일치하지 않습니다. 파일이 수정되었거나 손상되었을 수 있습니다.' });
+                }
+            } else {
+                // 버전 정보가 없는 이전 형식 ({ profiles, attachments } 또는 프로필 하나)
+                result.warnings.push({ path: '', message: '이전 형식의 백업 파일입니다. 체크섬 검증을 건너뜁니다.' });
+                if (Array.isArray(parsed.profiles)) {
+                    data = parsed;
+                    result.scope = 'all';
+                } else {
+                    const { attachments, ...profile } = parsed;
+                    data = { profiles: [profile], attachments };
+                }
             }
 
-            // 탭 전환
-            if (target.closest('.nav-tab')) {
-                const tab = target.dataset.tab;
-                View.switchTab(tab);
-            }
+            result.attachments = data.attachments || {};
+            result.profiles = Array.isArray(data.profiles) ? data.profiles : [];
+            this.validate(data, result);
+            if (result.scope === 'all' && data.shared) result.shared = data.shared;
+            return result;
+        },
 
-            // 추천 추가
-            if (target.closest('.btn-add-recommendation')) {
-                const text = target.dataset.text;
-                const category = target.dataset.category;
-                this.handleAddRecommendation(text, category);
-            }
+        // 필드 단위 검증 (고칠 수 있는 값은 고치고 경고로 남김)
+        validate(data, result) {
+            const error = (path, message) => result.errors.push({ path, message });
+            const warn = (path, message) => result.warnings.push({ path, message });
+            const isText = value => typeof value === 'string' && value.trim() !== '';
+            const isDate = value => value === null || value === undefined || !isNaN(new Date(value).getTime());
 
-            // 모달 닫기
-            if (target.classList.contains('modal') || target.closest('.btn-cancel')) {
-                const modal = target.closest('.modal');
-                if (modal) View.hideModal(modal.id);
+            if (!Array.isArray(data.profiles)) {
+                error('profiles', '프로필 목록이 없습니다.');
+                return;
             }
-
-            // 프로필 관리
-            if (target.closest('#profileManagerBtn')) {
-                this.handleProfileManager();
+            if (data.profiles.length === 0) {
+                error('profiles', '가져올 프로필이 없습니다.');
             }
 
-            // 이미지 설정
-            if (target.closest('#imageSettingsBtn')) {
-                this.handleImageSettings();
-            }
+            const profileIds = new Set();
+            data.profiles.forEach((profile, p) => {
+                const path = `profiles[${p}]`;
+                if (!profile || typeof profile !== 'object') {
+                    error(path, '프로필이 객체가 아닙니다.');
+                    return;
+                }
+                if (!isText(profile.id)) error(`${path}.id`, 'ID가 없습니다.');
+                else if (profileIds.has(profile.id)) error(`${path}.id`, `중복된 프로필 ID입니다 (${profile.id}).`);
+                profileIds.add(profile.id);
+                if (!isText(profile.name)) error(`${path}.name`, '이름이 없습니다.');
+                if (profile.tagColors !== undefined) {
+                    const colors = profile.tagColors && typeof profile.tagColors === 'object' ? profile.tagColors : {};
+                    profile.tagColors = {};
+                    Object.entries(colors).forEach(([tag, color]) => {
+                        const name = Tags.normalize(tag);
+                        if (name && Tags.isColor(color)) profile.tagColors[name] = color;
+                        else warn(`${path}.tagColors`, `태그 색 '${tag}'이(가) 올바르지 않아 기본 색을 씁니다.`);
+                    });
+                }
+                if (profile.locked === true) {
+                    // 잠긴 프로필은 암호문 그대로 가져옴 (내용은 PIN으로 풀 때 확인)
+                    if (!profile.lock || !isText(profile.lock.salt) || !Number.isInteger(profile.lock.iterations)) {
+                        error(`${path}.lock`, '잠금 정보가 올바르지 않습니다.');
+                    }
+                    if (!profile.cipher || !isText(profile.cipher.iv) || !isText(profile.cipher.data)) {
+                        error(`${path}.cipher`, '암호화된 내용이 없습니다.');
+                    }
+                    profile.bucketList = [];
+                    return;
+                }
+                if (!Array.isArray(profile.bucketList)) {
+                    error(`${path}.bucketList`, '목표 목록이 배열이 아닙니다.');
+                    return;
+                }
 
-            // 태스크 관련
-            if (target.closest('.task-checkbox')) {
-                const goalId = target.dataset.goalId;
-                const taskId = target.dataset.taskId;
-                this.handleTaskToggle(goalId, taskId, target.checked);
-            }
+                const goalIds = new Set();
+                profile.bucketList.forEach((goal, g) => {
+                    const goalPath = `${path}.bucketList[${g}]`;
+                    if (!goal || typeof goal !== 'object') {
+                        error(goalPath, '목표가 객체가 아닙니다.');
+                        return;
+                    }
+                    if (!isText(goal.id)) error(`${goalPath}.id`, 'ID가 없습니다.');
+                    else if (goalIds.has(goal.id)) error(`${goalPath}.id`, `중복된 목표 ID입니다 (${goal.id}).`);
+                    goalIds.add(goal.id);
+                    if (!isText(goal.text)) error(`${goalPath}.text`, '목표 내용이 없습니다.');
+                    if (!CONFIG.CATEGORIES[goal.category]) {
+                        warn(`${goalPath}.category`, `알 수 없는 카테고리 '${goal.category}'는 기타로 가져옵니다.`);
+                        goal.category = 'other';
+                    }
+                    if (goal.completed !== undefined && typeof goal.completed !== 'boolean') {
+                        error(`${goalPath}.completed`, '완료 여부가 true/false가 아닙니다.');
+                    }
+                    ['createdAt', 'completedAt', 'updatedAt'].forEach(field => {
+                        if (!isDate(goal[field])) error(`${goalPath}.${field}`, `날짜 형식이 아닙니다 (${goal[field]}).`);
+                    });
+                    if (goal.tags !== undefined && !(Array.isArray(goal.tags) && goal.tags.every(tag => typeof tag === 'string'))) {
+                        warn(`${goalPath}.tags`, '태그 목록이 올바르지 않아 태그 없이 가져옵니다.');
+                        goal.tags = [];
+                    } else if (goal.tags !== undefined) {
+                        goal.tags = Tags.clean(goal.tags);
+                    }
+                    if (goal.recurring !== undefined && goal.recurring !== null && typeof goal.recurring !== 'object') {
+                        error(`${goalPath}.recurring`, '반복 설정이 객체가 아닙니다.');
+                    }
+                    if (goal.tasks !== undefined && !Array.isArray(goal.tasks)) {
+                        error(`${goalPath}.tasks`, '태스크 목록이 배열이 아닙니다.');
+                    } else {
+                        (goal.tasks || []).forEach((task, t) => {
+                            if (!task || !isText(task.id) || typeof task.text !== 'string') {
+                                error(`${goalPath}.tasks[${t}]`, '태스크에 ID 또는 내용이 없습니다.');
+                            } else if (task.tags !== undefined) {
+                                task.tags = Tags.clean(task.tags);
+                            }
+                        });
+                    }
+                });
+            });
 
-            if (target.closest('.btn-delete-task')) {
-                const goalId = target.dataset.goalId;
-                const taskId = target.dataset.taskId;
-                this.handleTaskDelete(goalId, taskId);
+            const attachments = data.attachments;
+            if (attachments !== undefined && (typeof attachments !== 'object' || Array.isArray(attachments))) {
+                error('attachments', '첨부 목록이 객체가 아닙니다.');
+            } else {
+                Object.entries(attachments || {}).forEach(([hash, dataUrl]) => {
+                    if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
+                        error(`attachments.${hash}`, '첨부 이미지가 data URL이 아닙니다.');
+                    }
+                });
             }
 
-            // 갤러리 공유
-            if (target.closest('.btn-share-achievement')) {
-                const goalId = target.dataset.goalId;
-                this.handleShareAchievement(goalId);
-            }
-        },
-        
-        // 더블클릭 이벤트 핸들러
-        handleDoubleClick(e) {
-            const target = e.target;
-            
-            // 태스크 텍스트 더블클릭으로 편집
-            if (target.classList.contains('task-text')) {
-                const taskItem = target.closest('.task-item');
-                const goalId = taskItem.querySelector('.task-checkbox').dataset.goalId;
-                const taskId = taskItem.querySelector('.task-checkbox').dataset.taskId;
-                this.handleTaskEdit(goalId, taskId);
-            }
-            
-            // 목표 제목 더블클릭으로 편집
-            if (target.classList.contains('goal-title')) {
-                const goalCard = target.closest('.goal-card');
-                const goalId = goalCard.dataset.id;
-                this.handleGoalTitleEdit(goalId);
+            if (data.shared !== undefined && (!data.shared || typeof data.shared !== 'object' || Array.isArray(data.shared))) {
+                warn('shared', '가족 데이터가 객체가 아니어서 가져오지 않습니다.');
+                delete data.shared;
+            } else if (data.shared) {
+                this.validateShared(data.shared, warn);
             }
         },
 
-        // 키보드 이벤트 핸들러
-        handleKeydown(e) {
-            // ESC 키로 모달 닫기
-            if (e.key === 'Escape') {
-                const openModal = document.querySelector('.modal[style*="block"]');
-                if (openModal) {
-                    View.hideModal(openModal.id);
+        // 공유 데이터 검증 (올바르지 않은 항목은 빼고 경고)
+        validateShared(shared, warn) {
+            Object.keys(shared).forEach(key => {
+                const format = this.SHARED[key];
+                if (!format) {
+                    warn(`shared.${key}`, `알 수 없는 데이터 '${key}'는 가져오지 않습니다.`);
+                    delete shared[key];
+                    return;
                 }
-            }
 
-            // 탭 네비게이션 (Alt + 숫자)
-            if (e.altKey && e.key >= '1' && e.key <= '6') {
-                const tabs = ['goals', 'journey', 'gallery', 'insights', 'social', 'data'];
-                const tabIndex = parseInt(e.key) - 1;
-                if (tabs[tabIndex]) {
-                    View.switchTab(tabs[tabIndex]);
+                const items = format.items(shared[key]);
+                if (!Array.isArray(items)) {
+                    warn(`shared.${key}`, `${format.label} 목록이 올바르지 않아 가져오지 않습니다.`);
+                    delete shared[key];
+                    return;
                 }
-            }
-            
-            // 빠른 태스크 추가 (Enter 키)
-            if (e.key === 'Enter' && e.target.classList.contains('quick-task-input')) {
-                e.preventDefault();
-                const goalId = e.target.dataset.goalId;
-                if (e.target.value.trim()) {
-                    this.handleQuickTaskAdd(goalId, e.target.value.trim());
-                    e.target.value = '';
+
+                const valid = items.filter(item => format.isValid(item));
+                if (valid.length < items.length) {
+                    warn(`shared.${key}`, `올바르지 않은 ${format.label} ${items.length - valid.length}개는 건너뜁니다.`);
                 }
-            }
+                shared[key] = format.wrap(valid);
+            });
         },
 
-        // 폼 이벤트 바인딩
-        bindFormEvents() {
-            // 목표 추가
-            const addGoalBtn = document.getElementById('addGoalBtn');
-            if (addGoalBtn) {
-                addGoalBtn.addEventListener('click', () => this.handleGoalAdd());
-            }
+        // 목표의 마지막 수정 시각 (이전 데이터는 완료/생성 시각)
+        getUpdatedTime(goal) {
+            return new Date(goal.updatedAt || goal.completedAt || goal.createdAt || 0).getTime();
+        },
 
-            // 엔터키로 목표 추가
-            const goalInput = document.getElementById('goalInput');
-            if (goalInput) {
-                goalInput.addEventListener('keypress', (e) => {
-                    if (e.key === 'Enter') {
-                        e.preventDefault();
-                        this.handleGoalAdd();
+        // 미리보기: 무엇이 바뀌는지 계산만 함
+        plan(imported, mode, scope, existing = DataModel.state.profiles, trash = DataModel.state.deletedProfiles) {
+            const changes = imported.map(profile => {
+                const local = existing.find(p => p.id === profile.id);
+                // 휴지통에 같은 프로필이 있으면 백업 내용으로 꺼냄 (같은 ID가 두 번 저장되지 않도록)
+                const trashed = !local && trash.find(p => p.id === profile.id);
+                if (trashed) {
+                    return { type: 'restore', profile, local: trashed, name: trashed.name, goalCount: profile.bucketList.length };
+                }
+                if (!local) {
+                    return { type: 'add', profile, name: profile.name, goalCount: profile.bucketList.length };
+                }
+                if (mode === 'replace') {
+                    return { type: 'replace', profile, local, name: local.name, goalCount: profile.bucketList.length };
+                }
+                // 잠긴 프로필은 내용을 볼 수 없어 목표 단위로 합칠 수 없음
+                if (profile.locked === true || Vault.isSealed(local)) {
+                    return { type: 'skip', profile, local, name: local.name };
+                }
+
+                const change = { type: 'merge', profile, local, name: local.name, added: [], updated: [], copied: [], kept: 0, unchanged: 0 };
+                profile.bucketList.forEach(goal => {
+                    const localGoal = local.bucketList.find(g => g.id === goal.id);
+                    if (!localGoal) {
+                        change.added.push(goal);
+                    } else if (JSON.stringify(goal) === JSON.stringify(localGoal)) {
+                        change.unchanged++;
+                    } else if (mode === 'keep-both') {
+                        change.copied.push(goal);
+                    } else if (this.getUpdatedTime(goal) > this.getUpdatedTime(localGoal)) {
+                        change.updated.push(goal);
+                    } else {
+                        change.kept++;
                     }
                 });
+
+                // 월간 회고는 달마다 하나 - 없는 달이거나 더 최근에 고친 쪽을 가져옴
+                change.reflections = (profile.reflections || []).filter(reflection => {
+                    const localReflection = (local.reflections || []).find(r => r.month === reflection.month);
+                    return !localReflection || new Date(reflection.updatedAt) > new Date(localReflection.updatedAt);
+                });
+                return change;
+            });
+
+            // 전체 백업으로 교체하면 백업에 없는 프로필은 휴지통으로
+            if (mode === 'replace' && scope === 'all') {
+                existing
+                    .filter(local => !imported.some(p => p.id === local.id))
+                    .forEach(local => changes.push({ type: 'remove', local, name: local.name }));
             }
 
-            // 검색
-            const searchInput = document.getElementById('searchInput');
-            if (searchInput) {
-                searchInput.addEventListener('input', Utils.debounce((e) => {
-                    DataModel.state.searchQuery = e.target.value;
-                    this.render();
-                }, 300));
-            }
+            return {
+                mode,
+                changes,
+                hasChanges: changes.some(change => change.type === 'merge'
+                    ? change.added.length + change.updated.length + change.copied.length + change.reflections.length > 0
+                    : change.type !== 'skip')
+            };
+        },
 
-            // 정렬
-            const sortSelect = document.getElementById('sortSelect');
-            if (sortSelect) {
-                sortSelect.addEventListener('change', (e) => {
-                    DataModel.state.sortOrder = e.target.value;
-                    this.render();
-                });
-            }
+        // 미리보기대로 반영
+        async apply(backup, mode) {
+            await AttachmentStore.importFor(backup.profiles, backup.attachments);
+            DataModel.upgradeRecurringGoals(backup.profiles);
 
-            // 완료 모달 저장
-            const saveCompletionBtn = document.getElementById('saveCompletionBtn');
-            if (saveCompletionBtn) {
-                saveCompletionBtn.addEventListener('click', () => this.saveGoalCompletion());
-            }
+            const plan = this.plan(backup.profiles, mode, backup.scope);
+            plan.changes.forEach(change => {
+                switch (change.type) {
+                    case 'add':
+                        DataModel.state.profiles.push(change.profile);
+                        break;
+                    case 'restore':
+                        Vault.removeLock(change.local);
+                        DataModel.state.deletedProfiles = DataModel.state.deletedProfiles.filter(p => p !== change.local);
+                        History.removeProfileEntries(change.local.id);
+                        delete change.profile.deletedAt;
+                        DataModel.state.profiles.push(change.profile);
+                        break;
+                    case 'replace':
+                        // 잠긴 프로필로 바꾸면 기기의 잠금은 백업의 잠금으로 대체
+                        if (change.profile.locked === true) {
+                            Vault.removeLock(change.local);
+                            DataModel.replaceProfile(change.local.id, () => change.profile);
+                            break;
+                        }
+                        // 현재 프로필도 같은 객체를 유지하도록 내용만 교체
+                        Object.keys(change.local).forEach(key => delete change.local[key]);
+                        Object.assign(change.local, change.profile);
+                        break;
+                    case 'merge':
+                        change.added.forEach(goal => change.local.bucketList.push(goal));
+                        change.updated.forEach(goal => {
+                            const index = change.local.bucketList.findIndex(g => g.id === goal.id);
+                            change.local.bucketList[index] = goal;
+                        });
+                        change.copied.forEach(goal => {
+                            change.local.bucketList.push({ ...goal, id: Utils.generateId() });
+                        });
+                        change.local.reflections = [
+                            ...(change.local.reflections || []).filter(r => !change.reflections.some(i => i.month === r.month)),
+                            ...change.reflections
+                        ];
+                        break;
+                    case 'remove':
+                        DataModel.deleteProfile(change.local.id);
+                        break;
+                }
+            });
 
-            // 이미지 업로드
-            const imageInput = document.getElementById('completionImage');
-            if (imageInput) {
-                imageInput.addEventListener('change', (e) => this.handleImageUpload(e));
-            }
+            if (backup.shared) this.applyShared(backup.shared, mode);
 
-            // 태스크 추가
-            const addTaskBtn = document.getElementById('addTaskBtn');
-            if (addTaskBtn) {
-                addTaskBtn.addEventListener('click', () => this.handleTaskAdd());
+            // 병합 기준이 되는 수정 시각은 백업에 있던 값을 유지
+            DataModel.saveProfiles('데이터 가져오기', { keepUpdatedAt: true });
+            AttachmentStore.scheduleGarbageCollection();
+            return plan;
+        },
+
+        // 공유 데이터 반영 (교체는 백업 값으로, 나머지는 기기에 없는 항목만 더함)
+        applyShared(shared, mode) {
+            const idOf = item => (typeof item === 'string' ? item : item.id);
+
+            Object.entries(shared).forEach(([key, value]) => {
+                const format = this.SHARED[key];
+                if (mode === 'replace') {
+                    SharedData.set(key, value);
+                    return;
+                }
+
+                const local = format.items(SharedData.get(key)) || [];
+                const ids = new Set(local.map(idOf));
+                SharedData.set(key, format.wrap([...local, ...format.items(value).filter(item => !ids.has(idOf(item)))]));
+            });
+        }
+    };
+
+    // ========================================
+    // 5-6. 프로필 잠금과 암호화 (Vault)
+    // ========================================
+    // 잠긴 프로필은 { id, name, createdAt, lastActive, deletedAt, locked, lock, cipher } 형태로만 저장된다.
+    // PIN으로 PBKDF2 키를 만들어 AES-GCM으로 프로필 전체를 암호화하고, 풀린 동안에만 키를 메모리에 둔다.
+    // 첨부 이미지는 같은 키로 하나씩 암호화해 첨부 저장소에 프로필 ID(owner)와 함께 둔다 (AttachmentStore.putSealed).
+    // 예전 형식의 refs(평문 첨부 목록)는 다음에 풀 때 첨부를 암호화하면서 사라진다.
+    const Vault = {
+        // 프로필 ID → 풀린 동안의 키 / 잠금 정보 / 마지막 암호문
+        keys: new Map(),
+        locks: new Map(),
+        ciphers: new Map(),
+        sealing: Promise.resolve(),
+
+        isAvailable() {
+            return !!window.crypto?.subtle;
+        },
+
+        // PIN이 설정된 프로필인지 (잠긴 상태든 풀린 상태든)
+        hasLock(profile) {
+            return !!profile && (profile.locked === true || this.keys.has(profile.id));
+        },
+
+        // 아직 풀지 않은 프로필인지
+        isSealed(profile) {
+            return !!profile && profile.locked === true && !this.keys.has(profile.id);
+        },
+
+        randomBytes(length) {
+            return crypto.getRandomValues(new Uint8Array(length));
+        },
+
+        async deriveKey(passphrase, salt, iterations = CONFIG.PIN_ITERATIONS) {
+            const material = await crypto.subtle.importKey(
+                'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+            );
+            return crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        },
+
+        // 문자열 암호화 → { iv, data } (base64url)
+        async encrypt(key, text) {
+            const iv = this.randomBytes(12);
+            const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+            return {
+                iv: Utils.bytesToBase64Url(iv),
+                data: Utils.bytesToBase64Url(new Uint8Array(data))
+            };
+        },
+
+        // 바이트 암호화 → iv(12바이트) + 암호문
+        async encryptBytes(key, bytes) {
+            const iv = this.randomBytes(12);
+            const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+            const sealed = new Uint8Array(iv.length + data.length);
+            sealed.set(iv);
+            sealed.set(data, iv.length);
+            return sealed.buffer;
+        },
+
+        async decryptBytes(key, sealed) {
+            const bytes = new Uint8Array(sealed);
+            return crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, key, bytes.slice(12));
+        },
+
+        // 키가 틀리면 AES-GCM 인증 실패로 예외
+        async decrypt(key, { iv, data }) {
+            const plain = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: Utils.base64UrlToBytes(iv) },
+                key,
+                Utils.base64UrlToBytes(data)
+            );
+            return new TextDecoder().decode(plain);
+        },
+
+        // 비밀번호로 새 키 만들기 → { key, lock }
+        async createKey(passphrase) {
+            const salt = this.randomBytes(16);
+            const lock = {
+                kdf: 'PBKDF2-SHA256',
+                iterations: CONFIG.PIN_ITERATIONS,
+                salt: Utils.bytesToBase64Url(salt)
+            };
+            return { key: await this.deriveKey(passphrase, salt, lock.iterations), lock };
+        },
+
+        keyFor(passphrase, lock) {
+            return this.deriveKey(passphrase, Utils.base64UrlToBytes(lock.salt), lock.iterations);
+        },
+
+        // 저장용 형태 (풀린 프로필은 마지막 암호문으로 바꿔서 저장)
+        toStored(profile) {
+            if (!this.keys.has(profile.id)) return profile;
+
+            const stored = {
+                id: profile.id,
+                name: profile.name,
+                createdAt: profile.createdAt,
+                lastActive: profile.lastActive,
+                locked: true,
+                lock: this.locks.get(profile.id),
+                cipher: this.ciphers.get(profile.id),
+                bucketList: []
+            };
+            if (profile.deletedAt) stored.deletedAt = profile.deletedAt;
+            return stored;
+        },
+
+        // 풀린 프로필들을 다시 암호화 (저장할 때마다)
+        seal() {
+            const profiles = DataModel.getStoredProfiles().filter(profile => this.keys.has(profile.id));
+            if (profiles.length === 0) return this.sealing;
+
+            this.sealing = this.sealing.then(async () => {
+                for (const profile of profiles) {
+                    // 그사이 다시 잠겼거나 잠금을 해제한 프로필은 건너뜀
+                    const key = this.keys.get(profile.id);
+                    if (!key) continue;
+
+                    const { deletedAt, ...data } = profile;
+                    this.ciphers.set(profile.id, await this.encrypt(key, JSON.stringify(data)));
+                }
+            }).catch(err => console.error('Profile encryption error:', err));
+            return this.sealing;
+        },
+
+        // PIN 설정 (풀린 상태로 유지, 저장은 암호문으로)
+        async setLock(profile, passphrase) {
+            const { key, lock } = await this.createKey(passphrase);
+            this.keys.set(profile.id, key);
+            this.locks.set(profile.id, lock);
+            if (await AttachmentStore.sealProfile(profile) > 0) this.resetHistory(profile);
+            await this.seal();
+        },
+
+        // PIN 해제 (암호화한 첨부를 평문으로 되돌리고, 다음 저장부터 평문)
+        async clearLock(profile) {
+            if (await AttachmentStore.unsealProfile(profile) > 0) this.resetHistory(profile);
+            this.removeLock(profile);
+        },
+
+        // 첨부 참조가 바뀌면 이전 참조를 가리키는 실행 취소 기록은 버림
+        resetHistory(profile) {
+            History.stacks.delete(profile.id);
+            History.reset(profile);
+        },
+
+        // 잠금 정보만 지움 (백업으로 교체할 때 등)
+        removeLock(profile) {
+            this.keys.delete(profile.id);
+            this.locks.delete(profile.id);
+            this.ciphers.delete(profile.id);
+        },
+
+        // 잠긴 프로필 풀기 → 복호화된 프로필 (PIN이 틀리면 예외)
+        async unlock(stored, passphrase) {
+            const key = await this.keyFor(passphrase, stored.lock);
+            const profile = JSON.parse(await this.decrypt(key, stored.cipher));
+            if (stored.deletedAt) profile.deletedAt = stored.deletedAt;
+
+            this.keys.set(stored.id, key);
+            this.locks.set(stored.id, stored.lock);
+            this.ciphers.set(stored.id, stored.cipher);
+            // 예전에 평문으로 두었던 첨부는 이번에 암호화 (저장은 프로필을 열 때)
+            await AttachmentStore.sealProfile(profile)
+                .catch(err => console.error('첨부 암호화 실패:', err));
+            return profile;
+        },
+
+        // 풀려 있는 프로필의 PIN 확인 (잠금 해제 전 재확인용)
+        async verify(profileId, passphrase) {
+            await this.sealing;
+            try {
+                const key = await this.keyFor(passphrase, this.locks.get(profileId));
+                await this.decrypt(key, this.ciphers.get(profileId));
+                return true;
+            } catch (e) {
+                return false;
             }
+        },
 
-            // 태스크 필터
-            document.querySelectorAll('.task-filter-btn').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    document.querySelectorAll('.task-filter-btn').forEach(b => b.classList.remove('active'));
-                    e.target.classList.add('active');
-                    this.filterTasks(e.target.dataset.filter);
+        // 다시 잠그기 (암호화가 끝난 뒤 메모리의 평문을 암호문으로 교체)
+        async relock(profileId) {
+            if (!this.keys.has(profileId)) return;
+            await this.sealing;
+
+            DataModel.replaceProfile(profileId, profile => this.toStored(profile));
+            this.keys.delete(profileId);
+            History.stacks.delete(profileId);
+            AttachmentStore.revokeOwner(profileId);
+        }
+    };
+
+    // ========================================
+    // 5-7. 목록 파일 (CSV / Markdown)
+    // ========================================
+    // CSV는 목표 파일(목표당 한 줄)과 세부 계획 파일(세부 계획·마일스톤당 한 줄)로 나눠 내보내고 '목표 ID'로 잇는다.
+    // 가져오기는 열 이름으로 필드를 추측한 뒤 사용자가 열 매핑을 고칠 수 있게 미리보기를 보여 주고, 현재 프로필에 목표를 추가한다.
+    const ListFormats = {
+        GOAL_COLUMNS: [
+            { field: 'id', label: '목표 ID' },
+            { field: 'text', label: '목표' },
+            { field: 'category', label: '카테고리' },
+            { field: 'completed', label: '완료' },
+            { field: 'createdAt', label: '만든 날' },
+            { field: 'completedAt', label: '완료한 날' },
+            { field: 'targetDate', label: '목표일' },
+            { field: 'tags', label: '태그' },
+            { field: 'completionNote', label: '완료 소감' }
+        ],
+        ITEM_COLUMNS: ['목표 ID', '목표', '종류', '내용', '완료', '날짜'],
+        ITEM_TYPES: { task: '세부 계획', milestone: '마일스톤' },
+
+        // 가져오기 필드 → 열 이름 후보 (소문자, 공백 무시)
+        FIELDS: {
+            text: { label: '목표', aliases: ['목표', '목표내용', '제목', 'goal', 'text', 'title', 'name', '버킷리스트'] },
+            category: { label: '카테고리', aliases: ['카테고리', '분류', 'category', 'type'] },
+            completed: { label: '완료 여부', aliases: ['완료', '완료여부', '상태', 'completed', 'done', 'status'] },
+            createdAt: { label: '만든 날', aliases: ['만든날', '생성일', '등록일', 'created', 'createdat'] },
+            completedAt: { label: '완료한 날', aliases: ['완료한날', '완료일', '달성일', 'completedat', 'doneat'] },
+            targetDate: { label: '목표일', aliases: ['목표일', '마감일', '기한', 'targetdate', 'due', 'duedate', 'deadline'] },
+            tasks: { label: '세부 계획', aliases: ['세부계획', '할일', 'tasks', 'subtasks', 'checklist'] },
+            tags: { label: '태그', aliases: ['태그', 'tags'] },
+            completionNote: { label: '완료 소감', aliases: ['완료소감', '소감', '메모', 'note', 'notes'] },
+            id: { label: '목표 ID (세부 계획 파일 연결용)', aliases: ['목표id', 'id', 'goalid'] }
+        },
+
+        // ---------- 내보내기 ----------
+
+        // 엑셀·스프레드시트가 수식으로 실행하는 첫 글자
+        FORMULA_PREFIX: /^[=+\-@\t\r]/,
+
+        // CSV 한 칸 (수식으로 읽히지 않게 앞에 ' 를 붙이고, 쉼표·따옴표·줄바꿈이 있으면 따옴표로 감쌈)
+        csvCell(value) {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (this.FORMULA_PREFIX.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        },
+
+        // 표 → CSV (엑셀에서 한글이 깨지지 않도록 BOM 포함)
+        toCsv(rows) {
+            return '\uFEFF' + rows.map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n');
+        },
+
+        // 날짜 값 → 날짜 키 (없으면 빈 칸)
+        dateCell(value) {
+            return value ? Utils.toDateKey(value) : '';
+        },
+
+        goalsToCsv(goals) {
+            const rows = goals.map(goal => this.GOAL_COLUMNS.map(({ field }) => {
+                switch (field) {
+                    case 'category': return CONFIG.CATEGORIES[goal.category]?.name || goal.category;
+                    case 'completed': return goal.completed ? 'Y' : 'N';
+                    case 'createdAt':
+                    case 'completedAt':
+                    case 'targetDate': return this.dateCell(goal[field]);
+                    case 'tags': return (goal.tags || []).join(', ');
+                    default: return goal[field] || '';
+                }
+            }));
+            return this.toCsv([this.GOAL_COLUMNS.map(column => column.label), ...rows]);
+        },
+
+        // 세부 계획과 마일스톤을 한 줄씩 펼친 두 번째 파일
+        itemsToCsv(goals) {
+            const rows = [];
+            goals.forEach(goal => {
+                (goal.tasks || []).forEach(task => {
+                    rows.push([goal.id, goal.text, this.ITEM_TYPES.task, task.text,
+                        task.completed ? 'Y' : 'N', this.dateCell(task.completedAt)]);
+                });
+                (goal.milestones || []).forEach(milestone => {
+                    rows.push([goal.id, goal.text, this.ITEM_TYPES.milestone, milestone.title,
+                        milestone.achieved ? 'Y' : 'N', this.dateCell(milestone.achievedDate || milestone.targetDate)]);
                 });
             });
+            return this.toCsv([this.ITEM_COLUMNS, ...rows]);
+        },
 
-            // 마일스톤 추가 버튼
-            const addMilestoneBtn = document.getElementById('addMilestoneBtn');
-            if (addMilestoneBtn) {
-                addMilestoneBtn.addEventListener('click', () => {
-                    if (this.currentTaskGoalId) {
-                        this.handleMilestoneAdd(this.currentTaskGoalId);
-                    }
+        // 카테고리별 체크리스트
+        toMarkdown(goals, profileName) {
+            const lines = [`# 🎯 ${profileName}의 버킷리스트`, '', `_${Utils.formatDate(new Date())} 내보냄_`];
+
+            Object.entries(CONFIG.CATEGORIES).forEach(([key, info]) => {
+                const inCategory = goals.filter(goal => (CONFIG.CATEGORIES[goal.category] ? goal.category : 'other') === key);
+                if (inCategory.length === 0) return;
+
+                lines.push('', `## ${info.icon} ${info.name}`, '');
+                inCategory.forEach(goal => {
+                    const meta = [];
+                    if (goal.completedAt) meta.push(`완료 ${this.dateCell(goal.completedAt)}`);
+                    if (goal.targetDate) meta.push(`목표일 ${this.dateCell(goal.targetDate)}`);
+                    lines.push(`- [${goal.completed ? 'x' : ' '}] ${this.markdownText(goal.text)}${meta.length ? ` _(${meta.join(' · ')})_` : ''}`);
+
+                    (goal.tasks || []).forEach(task => {
+                        lines.push(`  - [${task.completed ? 'x' : ' '}] ${this.markdownText(task.text)}`);
+                    });
+                    (goal.milestones || []).forEach(milestone => {
+                        const date = milestone.targetDate ? ` _(목표일 ${this.dateCell(milestone.targetDate)})_` : '';
+                        lines.push(`  - [${milestone.achieved ? 'x' : ' '}] 🚩 ${this.markdownText(milestone.title)}${date}`);
+                    });
                 });
-            }
+            });
 
-            // 마일스톤 저장 버튼
-            const saveMilestoneBtn = document.getElementById('saveMilestoneBtn');
-            if (saveMilestoneBtn) {
-                saveMilestoneBtn.addEventListener('click', () => {
-                    if (this.currentTaskGoalId) {
-                        this.handleMilestoneSave(this.currentTaskGoalId);
+            return lines.join('\n') + '\n';
+        },
+
+        // 줄바꿈은 목록 구조를 깨므로 공백으로
+        markdownText(text) {
+            return String(text || '').replace(/\s*\n\s*/g, ' ');
+        },
+
+        // ---------- 가져오기 ----------
+
+        // CSV 해석 (따옴표 안의 쉼표·줄바꿈 허용, 구분자는 첫 줄로 추측)
+        parseCsv(text) {
+            text = text.replace(/^\uFEFF/, '');
+            const firstLine = text.split(/\r?\n/, 1)[0];
+            const delimiter = [',', '\t', ';']
+                .map(d => ({ d, count: firstLine.split(d).length }))
+                .sort((a, b) => b.count - a.count)[0].d;
+
+            const rows = [];
+            let row = [];
+            let cell = '';
+            let quoted = false;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        cell += char;
                     }
-                });
+                } else if (char === '"') {
+                    quoted = true;
+                } else if (char === delimiter) {
+                    row.push(cell);
+                    cell = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += char;
+                }
             }
-
-            // 마일스톤 취소 버튼
-            const cancelMilestoneBtn = document.getElementById('cancelMilestoneBtn');
-            if (cancelMilestoneBtn) {
-                cancelMilestoneBtn.addEventListener('click', () => {
-                    document.getElementById('milestoneForm').style.display = 'none';
-                    document.getElementById('addMilestoneBtn').style.display = 'block';
-                    document.getElementById('milestoneTitle').value = '';
-                    document.getElementById('milestoneDate').value = '';
-                });
+            if (cell !== '' || row.length > 0) {
+                row.push(cell);
+                rows.push(row);
             }
 
-            // 마일스톤 삭제 버튼 (동적으로 생성되므로 이벤트 위임 사용)
-            document.addEventListener('click', (e) => {
-                if (e.target.classList.contains('btn-delete-milestone')) {
-                    const goalId = e.target.dataset.goalId;
-                    const milestoneId = e.target.dataset.milestoneId;
-                    this.handleMilestoneDelete(goalId, milestoneId);
+            // 빈 줄 제거, 내보낼 때 수식 방지로 붙인 ' 는 떼어 냄
+            const filled = rows
+                .filter(r => r.some(value => value.trim() !== ''))
+                .map(r => r.map(value => (value.startsWith("'") && this.FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value)));
+            return { headers: (filled[0] || []).map(h => h.trim()), rows: filled.slice(1) };
+        },
+
+        normalizeHeader(header) {
+            return header.toLowerCase().replace(/[\s_\-()]/g, '');
+        },
+
+        // 열 이름으로 필드 매핑 추측 → { field: 열 번호 }
+        guessMapping(headers) {
+            const mapping = {};
+            const used = new Set();
+            const normalized = headers.map(header => this.normalizeHeader(header));
+
+            Object.entries(this.FIELDS).forEach(([field, { aliases }]) => {
+                const index = normalized.findIndex((header, i) => !used.has(i) && aliases.includes(header));
+                if (index !== -1) {
+                    mapping[field] = index;
+                    used.add(index);
                 }
             });
+
+            // 목표 열을 못 찾으면 첫 번째 남는 열
+            if (mapping.text === undefined && headers.length > 0) {
+                const index = headers.findIndex((_, i) => !used.has(i));
+                if (index !== -1) mapping.text = index;
+            }
+            return mapping;
         },
 
-        // 드래그 앤 드롭 이벤트
-        bindDragDropEvents() {
-            const dropZones = document.querySelectorAll('.image-drop-zone');
-            
-            dropZones.forEach(zone => {
-                zone.addEventListener('dragover', (e) => {
-                    e.preventDefault();
-                    zone.classList.add('drag-over');
-                });
+        // 세부 계획 파일인지 ('종류'와 '내용' 열이 있음)
+        isItemsSheet(headers) {
+            const normalized = headers.map(header => this.normalizeHeader(header));
+            return normalized.includes('종류') && normalized.includes('내용');
+        },
 
-                zone.addEventListener('dragleave', () => {
-                    zone.classList.remove('drag-over');
+        parseCategory(value) {
+            const text = String(value || '').trim().toLowerCase();
+            if (!text) return { category: 'other', known: true };
+
+            const found = Object.entries(CONFIG.CATEGORIES).find(([key, info]) =>
+                key === text || info.name === text || text.includes(info.icon) || text.includes(info.name)
+            );
+            return found ? { category: found[0], known: true } : { category: 'other', known: false };
+        },
+
+        parseCompleted(value) {
+            const text = String(value || '').trim().toLowerCase();
+            return ['y', 'yes', 'true', '1', 'o', '[x]', 'v', '✓', '✔', '✅', '완료', '달성', 'done', 'completed'].includes(text);
+        },
+
+        // 날짜 해석 (YYYY-MM-DD, YYYY.MM.DD, YYYY/MM/DD, ISO) → 날짜 키 또는 null
+        parseDate(value) {
+            const text = String(value || '').trim();
+            if (!text) return null;
+
+            const match = text.match(/^(\d{4})[.\/\-년]\s*(\d{1,2})[.\/\-월]\s*(\d{1,2})/);
+            if (match) {
+                const key = `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+                return isNaN(Utils.parseDateKey(key).getTime()) ? undefined : key;
+            }
+            const date = new Date(text);
+            return isNaN(date.getTime()) ? undefined : Utils.toDateKey(date);
+        },
+
+        // 한 칸에 여러 세부 계획 (줄바꿈, ';', '|'로 구분, 앞에 [x]나 ✓가 있으면 완료)
+        parseTaskList(value) {
+            return String(value || '')
+                .split(/\r?\n|;|\|/)
+                .map(item => item.trim().replace(/^[-*]\s*/, ''))
+                .filter(Boolean)
+                .map(item => {
+                    const match = item.match(/^(\[[xX ]\]|✓|✔|✅)\s*(.*)$/);
+                    if (!match) return { text: item, completed: false };
+                    return { text: match[2], completed: match[1] !== '[ ]' };
+                })
+                .filter(task => task.text);
+        },
+
+        // CSV 행 → 가져올 목표 초안 { goals, warnings }
+        // files: [{ name, headers, rows, mapping }] (세부 계획 파일은 목표 ID 또는 목표 이름으로 연결)
+        readCsv(files) {
+            const goals = [];
+            const warnings = [];
+            const byId = new Map();
+            const byText = new Map();
+
+            const goalFiles = files.filter(file => !this.isItemsSheet(file.headers));
+            const itemFiles = files.filter(file => this.isItemsSheet(file.headers));
+
+            goalFiles.forEach(file => {
+                const { mapping } = file;
+                const cell = (row, field) => mapping[field] === undefined ? '' : (row[mapping[field]] || '').trim();
+
+                file.rows.forEach((row, r) => {
+                    const where = `${file.name} ${r + 2}행`;
+                    const text = cell(row, 'text');
+                    if (!text) {
+                        warnings.push(`${where}: 목표 내용이 없어 건너뜁니다.`);
+                        return;
+                    }
+
+                    const { category, known } = this.parseCategory(cell(row, 'category'));
+                    if (!known) warnings.push(`${where}: 알 수 없는 카테고리 '${cell(row, 'category')}'는 기타로 가져옵니다.`);
+
+                    const dates = {};
+                    ['createdAt', 'completedAt', 'targetDate'].forEach(field => {
+                        const parsed = this.parseDate(cell(row, field));
+                        if (parsed === undefined) warnings.push(`${where}: ${this.FIELDS[field].label} '${cell(row, field)}'을(를) 날짜로 읽을 수 없습니다.`);
+                        dates[field] = parsed || null;
+                    });
+
+                    const completed = this.parseCompleted(cell(row, 'completed')) || (mapping.completed === undefined && !!dates.completedAt);
+                    const draft = {
+                        text,
+                        category,
+                        completed,
+                        ...dates,
+                        completionNote: cell(row, 'completionNote') || null,
+                        tags: Tags.parse(cell(row, 'tags')),
+                        tasks: this.parseTaskList(cell(row, 'tasks')),
+                        milestones: []
+                    };
+                    goals.push(draft);
+                    if (cell(row, 'id')) byId.set(cell(row, 'id'), draft);
+                    byText.set(text, draft);
                 });
+            });
 
-                zone.addEventListener('drop', (e) => {
-                    e.preventDefault();
-                    zone.classList.remove('drag-over');
-                    
-                    const files = e.dataTransfer.files;
-                    if (files.length > 0) {
-                        this.handleImageDrop(files[0]);
+            itemFiles.forEach(file => {
+                const index = label => file.headers.findIndex(header => this.normalizeHeader(header) === this.normalizeHeader(label));
+                const [idCol, goalCol, typeCol, textCol, doneCol, dateCol] = this.ITEM_COLUMNS.map(index);
+
+                file.rows.forEach((row, r) => {
+                    const goal = byId.get((row[idCol] || '').trim()) || byText.get((row[goalCol] || '').trim());
+                    const text = (row[textCol] || '').trim();
+                    if (!goal || !text) {
+                        warnings.push(`${file.name} ${r + 2}행: 연결할 목표를 찾을 수 없어 건너뜁니다.`);
+                        return;
+                    }
+
+                    const completed = this.parseCompleted(row[doneCol]);
+                    const date = this.parseDate(row[dateCol]) || null;
+                    if ((row[typeCol] || '').trim() === this.ITEM_TYPES.milestone) {
+                        goal.milestones.push({ title: text, achieved: completed, date });
+                    } else {
+                        goal.tasks.push({ text, completed, completedAt: completed ? date : null });
                     }
                 });
             });
+
+            return { goals, warnings };
         },
-        
-        // 태스크 드래그 앤 드롭 이벤트
-        bindTaskDragEvents() {
-            let draggedTask = null;
-            let draggedGoalId = null;
-            let draggedTaskId = null;
-            let dragGuide = null;
-            
-            // 드래그 가이드 생성
-            const createDragGuide = () => {
-                if (!dragGuide) {
-                    dragGuide = document.createElement('div');
-                    dragGuide.className = 'drag-guide';
-                    document.body.appendChild(dragGuide);
+
+        // Markdown 체크리스트 → { goals, warnings }
+        // '## 카테고리' 아래의 목록이 목표, 들여쓴 목록이 세부 계획 (🚩로 시작하면 마일스톤)
+        readMarkdown(text, name = 'Markdown') {
+            const goals = [];
+            const warnings = [];
+            let category = 'other';
+
+            text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+                const heading = line.match(/^#{2,6}\s+(.+)$/);
+                if (heading) {
+                    const parsed = this.parseCategory(heading[1]);
+                    if (!parsed.known) warnings.push(`${name} ${i + 1}줄: '${heading[1].trim()}' 제목은 카테고리가 아니어서 기타로 가져옵니다.`);
+                    category = parsed.category;
+                    return;
                 }
-                return dragGuide;
-            };
-            
-            // 이벤트 위임을 사용하여 동적 요소에도 적용
-            document.addEventListener('dragstart', (e) => {
-                if (e.target.classList.contains('task-item')) {
-                    draggedTask = e.target;
-                    draggedGoalId = e.target.closest('.task-list').dataset.goalId;
-                    draggedTaskId = e.target.dataset.taskId;
-                    e.target.classList.add('dragging');
-                    e.dataTransfer.effectAllowed = 'move';
-                    
-                    // 드래그 미리보기 생성
-                    const preview = e.target.cloneNode(true);
-                    preview.classList.add('task-drag-preview');
-                    preview.style.position = 'absolute';
-                    preview.style.top = '-1000px';
-                    document.body.appendChild(preview);
-                    e.dataTransfer.setDragImage(preview, e.offsetX, e.offsetY);
-                    setTimeout(() => preview.remove(), 0);
-                    
-                    // 드래그 시작 시 모든 목표 카드에 드롭 가능 표시
-                    document.querySelectorAll('.goal-card').forEach(card => {
-                        const cardGoalId = card.querySelector('.task-list')?.dataset.goalId;
-                        if (cardGoalId && cardGoalId !== draggedGoalId) {
-                            card.classList.add('drop-zone-active');
-                        }
+
+                const item = line.match(/^(\s*)[-*+]\s+(?:\[([ xX])\]\s+)?(.+)$/);
+                if (!item) return;
+
+                const indented = item[1].replace(/\t/g, '  ').length >= 2;
+                const completed = (item[2] || '').toLowerCase() === 'x';
+                const { text: itemText, meta } = this.splitMarkdownMeta(item[3]);
+
+                if (!indented) {
+                    goals.push({
+                        text: itemText,
+                        category,
+                        completed,
+                        createdAt: null,
+                        completedAt: this.parseDate(meta['완료']) || null,
+                        targetDate: this.parseDate(meta['목표일']) || null,
+                        completionNote: null,
+                        tags: [],
+                        tasks: [],
+                        milestones: []
                     });
+                    return;
                 }
-            });
-            
-            document.addEventListener('dragend', (e) => {
-                if (e.target.classList.contains('task-item')) {
-                    e.target.classList.remove('dragging');
-                    
-                    // 모든 drag-over 클래스 제거
-                    document.querySelectorAll('.task-item.drag-over').forEach(item => {
-                        item.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
-                    });
-                    
-                    document.querySelectorAll('.goal-card').forEach(card => {
-                        card.classList.remove('drop-zone-active', 'drag-over');
-                    });
-                    
-                    document.querySelectorAll('.task-list').forEach(list => {
-                        list.classList.remove('drop-zone-active', 'drag-over');
+
+                const goal = goals[goals.length - 1];
+                if (!goal) {
+                    warnings.push(`${name} ${i + 1}줄: 목표 없이 들여쓴 항목은 건너뜁니다.`);
+                } else if (itemText.startsWith('🚩')) {
+                    goal.milestones.push({
+                        title: itemText.replace(/^🚩\s*/, ''),
+                        achieved: completed,
+                        date: this.parseDate(meta['목표일']) || null
                     });
-                    
-                    // 드래그 가이드 제거
-                    if (dragGuide) {
-                        dragGuide.classList.remove('active');
-                    }
+                } else {
+                    goal.tasks.push({ text: itemText, completed, completedAt: null });
                 }
             });
-            
-            document.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                
-                // 태스크 위에서
-                if (e.target.closest('.task-item') && draggedTask) {
-                    const taskItem = e.target.closest('.task-item');
-                    if (taskItem !== draggedTask) {
-                        // 이전 drag-over 제거
-                        document.querySelectorAll('.task-item.drag-over').forEach(item => {
-                            if (item !== taskItem) item.classList.remove('drag-over');
-                        });
-                        
-                        // 마우스 위치에 따라 위/아래 표시
-                        const rect = taskItem.getBoundingClientRect();
-                        const midpoint = rect.top + rect.height / 2;
-                        
-                        // 드래그 가이드 표시
-                        const guide = createDragGuide();
-                        guide.classList.add('active');
-                        
-                        if (e.clientY < midpoint) {
-                            guide.style.top = `${rect.top - 1}px`;
-                            guide.style.left = `${rect.left}px`;
-                            guide.style.width = `${rect.width}px`;
-                            taskItem.classList.add('drag-over', 'drag-over-top');
-                        } else {
-                            guide.style.top = `${rect.bottom - 1}px`;
-                            guide.style.left = `${rect.left}px`;
-                            guide.style.width = `${rect.width}px`;
-                            taskItem.classList.add('drag-over', 'drag-over-bottom');
-                        }
-                    }
-                }
-                
-                // 목표 카드 위에서
-                if (e.target.closest('.goal-card') && draggedTask) {
-                    const goalCard = e.target.closest('.goal-card');
-                    const targetGoalId = goalCard.querySelector('.task-list')?.dataset.goalId;
-                    
-                    if (targetGoalId && targetGoalId !== draggedGoalId) {
-                        goalCard.classList.add('drag-over');
-                    }
-                }
-                
-                // 빈 태스크 리스트 위에서
-                if (e.target.closest('.task-list') && draggedTask) {
-                    const taskList = e.target.closest('.task-list');
-                    if (!taskList.querySelector('.task-item:not(.dragging)')) {
-                        taskList.classList.add('drag-over');
-                    }
-                }
+
+            return { goals, warnings };
+        },
+
+        // '내용 _(완료 2024-01-02 · 목표일 2024-03-01)_' → { text, meta: { 완료, 목표일 } }
+        splitMarkdownMeta(text) {
+            const meta = {};
+            const match = text.match(/^(.*?)\s*_\((.+)\)_\s*$/);
+            if (!match) return { text: text.trim(), meta };
+
+            match[2].split('·').forEach(part => {
+                const [label, ...value] = part.trim().split(/\s+/);
+                meta[label] = value.join(' ');
             });
-            
-            document.addEventListener('dragleave', (e) => {
-                if (e.target.closest('.task-item')) {
-                    const taskItem = e.target.closest('.task-item');
-                    taskItem.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
-                    
-                    // 드래그 가이드 숨기기
-                    if (dragGuide && !e.relatedTarget?.closest('.task-item')) {
-                        dragGuide.classList.remove('active');
-                    }
+            return { text: match[1].trim(), meta };
+        },
+
+        // 이미 있는 목표(같은 내용)는 제외
+        withoutDuplicates(goals, existing) {
+            const texts = new Set(existing.map(goal => goal.text.trim().toLowerCase()));
+            const fresh = [];
+            let duplicates = 0;
+            goals.forEach(goal => {
+                const key = goal.text.trim().toLowerCase();
+                if (texts.has(key)) {
+                    duplicates++;
+                } else {
+                    texts.add(key);
+                    fresh.push(goal);
                 }
-                
-                if (e.target.closest('.goal-card')) {
-                    const goalCard = e.target.closest('.goal-card');
-                    if (!goalCard.contains(e.relatedTarget)) {
-                        goalCard.classList.remove('drag-over');
-                    }
+            });
+            return { goals: fresh, duplicates };
+        }
+    };
+
+    // ========================================
+    // 5-8. 캘린더 내보내기 (iCalendar)
+    // ========================================
+    // 목표일·중간 점검일·마일스톤은 종일 VEVENT, 세부 계획은 VTODO, 반복 목표는 RRULE이 붙은 VEVENT로 내보낸다.
+    // UID는 목표/세부 계획 ID에서 만들어 같은 파일을 다시 가져와도 캘린더 앱에서 중복되지 않는다.
+    const Calendar = {
+        PRODID: '-//Bucket Dreams//Bucket Dreams ' + CONFIG.APP_VERSION + '//KO',
+        UID_DOMAIN: 'bucket-dreams',
+        RRULE_FREQ: { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY' },
+        RRULE_DAYS: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+
+        // 캘린더에 넣을 일정이 있는 목표인지
+        hasEntries(goal) {
+            return !!(goal.targetDate || goal.milestoneDate || goal.recurring?.rule ||
+                (goal.milestones || []).some(milestone => milestone.targetDate) ||
+                (goal.tasks || []).length > 0);
+        },
+
+        // TEXT 값 이스케이프 (RFC 5545 3.3.11)
+        escapeText(text) {
+            return String(text || '')
+                .replace(/\\/g, '\\\\')
+                .replace(/;/g, '\\;')
+                .replace(/,/g, '\\,')
+                .replace(/\r?\n/g, '\\n');
+        },
+
+        // 한 줄은 75바이트까지, 넘으면 공백으로 시작하는 다음 줄로 접음 (한글이 잘리지 않게 글자 단위)
+        fold(line) {
+            const encoder = new TextEncoder();
+            const parts = [];
+            let current = '';
+            let bytes = 0;
+
+            for (const char of line) {
+                const size = encoder.encode(char).length;
+                const limit = parts.length === 0 ? 75 : 74;
+                if (bytes + size > limit) {
+                    parts.push(current);
+                    current = '';
+                    bytes = 0;
                 }
-                
-                if (e.target.closest('.task-list')) {
-                    const taskList = e.target.closest('.task-list');
-                    if (!taskList.contains(e.relatedTarget)) {
-                        taskList.classList.remove('drag-over');
-                    }
+                current += char;
+                bytes += size;
+            }
+            parts.push(current);
+            return parts.join('\r\n ');
+        },
+
+        // 날짜 키 → 20240131
+        formatDate(dateKey) {
+            return Utils.toDateKey(dateKey).replace(/-/g, '');
+        },
+
+        // 시각 → 20240131T090000Z (UTC)
+        formatStamp(date) {
+            return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        },
+
+        // 분 → ISO 8601 기간 (-P6DT15H)
+        formatDuration(minutes) {
+            const sign = minutes < 0 ? '-' : '';
+            let rest = Math.abs(minutes);
+            const days = Math.floor(rest / (24 * 60));
+            rest -= days * 24 * 60;
+            const hours = Math.floor(rest / 60);
+            const mins = rest - hours * 60;
+
+            const time = (hours ? `${hours}H` : '') + (mins ? `${mins}M` : '');
+            if (!days && !time) return 'PT0M';
+            return `${sign}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+        },
+
+        // 종일 일정 기준 알림 (daysBefore일 전 앱 알림과 같은 시각)
+        alarm(daysBefore, description) {
+            const minutes = CONFIG.REMINDER_HOUR * 60 - daysBefore * 24 * 60;
+            return [
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${this.escapeText(description)}`,
+                `TRIGGER:${this.formatDuration(minutes)}`,
+                'END:VALARM'
+            ];
+        },
+
+        // 반복 규칙 → RRULE 값
+        toRRule(rule) {
+            const parts = [`FREQ=${this.RRULE_FREQ[rule.freq]}`];
+            if ((rule.interval || 1) > 1) parts.push(`INTERVAL=${rule.interval}`);
+
+            if (rule.freq === 'weekly' && rule.byWeekday) {
+                // Recurrence는 월요일을 주의 시작으로 셈
+                parts.push(`BYDAY=${rule.byWeekday.map(day => this.RRULE_DAYS[day]).join(',')}`, 'WKST=MO');
+            } else if (rule.freq === 'monthly') {
+                if (rule.byNthWeekday) {
+                    parts.push(`BYDAY=${rule.byNthWeekday.nth}${this.RRULE_DAYS[rule.byNthWeekday.weekday]}`);
+                } else {
+                    parts.push(`BYMONTHDAY=${rule.byMonthDay || Utils.parseDateKey(rule.startDate).getDate()}`);
                 }
+            }
+
+            if (rule.count) parts.push(`COUNT=${rule.count}`);
+            else if (rule.until) parts.push(`UNTIL=${this.formatDate(rule.until)}`);
+            return parts.join(';');
+        },
+
+        uid(...parts) {
+            return `${parts.join('-')}@${this.UID_DOMAIN}`;
+        },
+
+        // 종일 VEVENT
+        event({ uid, dateKey, summary, description, category, rrule, alarms = [], stamp }) {
+            return [
+                'BEGIN:VEVENT',
+                `UID:${uid}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${this.formatDate(dateKey)}`,
+                `DTEND;VALUE=DATE:${this.formatDate(Utils.addDays(dateKey, 1))}`,
+                ...(rrule ? [`RRULE:${rrule}`] : []),
+                `SUMMARY:${this.escapeText(summary)}`,
+                ...(description ? [`DESCRIPTION:${this.escapeText(description)}`] : []),
+                `CATEGORIES:${this.escapeText(category)}`,
+                'TRANSP:TRANSPARENT',
+                ...alarms.flat(),
+                'END:VEVENT'
+            ];
+        },
+
+        // 목표 하나의 구성 요소들 (줄 배열)
+        forGoal(goal, stamp = this.formatStamp(new Date())) {
+            const lines = [];
+            const category = CONFIG.CATEGORIES[goal.category]?.name || CONFIG.CATEGORIES.other.name;
+            const settings = goal.reminders || {};
+            const open = !goal.completed;
+
+            if (goal.targetDate) {
+                const alarms = [];
+                if (open && settings.reminder7days) alarms.push(this.alarm(7, `'${goal.text}' 목표일까지 7일 남았어요`));
+                if (open && settings.reminder1day) alarms.push(this.alarm(1, `내일이 '${goal.text}' 목표일이에요`));
+                lines.push(...this.event({
+                    uid: this.uid(goal.id, 'target'),
+                    dateKey: goal.targetDate,
+                    summary: `${goal.completed ? '✅' : '🎯'} ${goal.text}`,
+                    description: `버킷리스트 목표일 (${category})`,
+                    category,
+                    alarms,
+                    stamp
+                }));
+            }
+
+            if (goal.milestoneDate) {
+                lines.push(...this.event({
+                    uid: this.uid(goal.id, 'checkpoint'),
+                    dateKey: goal.milestoneDate,
+                    summary: `📍 ${goal.text} 중간 점검`,
+                    description: '진행 상황을 확인하는 날입니다.',
+                    category,
+                    alarms: open ? [this.alarm(0, `오늘은 '${goal.text}' 중간 점검일이에요`)] : [],
+                    stamp
+                }));
+            }
+
+            (goal.milestones || []).forEach(milestone => {
+                if (!milestone.targetDate) return;
+                lines.push(...this.event({
+                    uid: this.uid(goal.id, 'milestone', milestone.id),
+                    dateKey: milestone.targetDate,
+                    summary: `${milestone.achieved ? '✅' : '🚩'} ${milestone.title}`,
+                    description: `'${goal.text}'의 마일스톤`,
+                    category,
+                    alarms: open && !milestone.achieved ? [this.alarm(0, `마일스톤 목표일: ${milestone.title}`)] : [],
+                    stamp
+                }));
             });
-            
-            document.addEventListener('drop', (e) => {
-                e.preventDefault();
-                
-                if (!draggedTask) return;
-                
-                const targetTaskList = e.target.closest('.task-list');
-                if (!targetTaskList) return;
-                
-                const targetGoalId = targetTaskList.dataset.goalId;
-                const targetTask = e.target.closest('.task-item');
-                
-                if (targetTask && targetTask !== draggedTask) {
-                    // 특정 태스크 위치에 드롭
-                    const rect = targetTask.getBoundingClientRect();
-                    const midpoint = rect.top + rect.height / 2;
-                    
-                    if (e.clientY < midpoint) {
-                        targetTaskList.insertBefore(draggedTask, targetTask);
-                    } else {
-                        targetTaskList.insertBefore(draggedTask, targetTask.nextSibling);
+
+            // DTSTART도 일정 하나로 세므로 시작일이 아닌 첫 일정에서 시작
+            const rule = goal.recurring?.rule;
+            const firstDate = rule && goal.recurring.isActive !== false && Recurrence.next(rule, rule.startDate, true);
+            if (firstDate) {
+                lines.push(...this.event({
+                    uid: this.uid(goal.id, 'recurring'),
+                    dateKey: firstDate,
+                    summary: `🔁 ${goal.text}`,
+                    description: `반복 목표 (${Recurrence.describe(rule)})`,
+                    category,
+                    rrule: this.toRRule(rule),
+                    alarms: [this.alarm(0, `오늘 할 반복 목표: ${goal.text}`)],
+                    stamp
+                }));
+            }
+
+            (goal.tasks || []).forEach(task => {
+                lines.push(
+                    'BEGIN:VTODO',
+                    `UID:${this.uid(goal.id, 'task', task.id)}`,
+                    `DTSTAMP:${stamp}`,
+                    `SUMMARY:${this.escapeText(task.text)}`,
+                    `DESCRIPTION:${this.escapeText(`'${goal.text}'의 세부 계획`)}`,
+                    `CATEGORIES:${this.escapeText(category)}`,
+                    ...(goal.targetDate ? [`DUE;VALUE=DATE:${this.formatDate(goal.targetDate)}`] : []),
+                    ...(goal.targetDate ? [`RELATED-TO:${this.uid(goal.id, 'target')}`] : []),
+                    `STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+                    ...(task.completed && task.completedAt ? [`COMPLETED:${this.formatStamp(task.completedAt)}`] : []),
+                    'END:VTODO'
+                );
+            });
+
+            return lines;
+        },
+
+        // 목표 목록 → .ics 내용
+        build(goals, calendarName) {
+            const stamp = this.formatStamp(new Date());
+            const lines = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                `PRODID:${this.PRODID}`,
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                `X-WR-CALNAME:${this.escapeText(calendarName)}`,
+                ...goals.flatMap(goal => this.forGoal(goal, stamp)),
+                'END:VCALENDAR'
+            ];
+            return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+        }
+    };
+
+    // ========================================
+    // 5-9. 월간 회고 (Reflection)
+    // ========================================
+    const Reflection = {
+        PROMPTS: [
+            { id: 'highlight', text: '이번 달 가장 뿌듯했던 순간은 무엇인가요?' },
+            { id: 'challenge', text: '어려웠던 점과 그 과정에서 배운 것은 무엇인가요?' },
+            { id: 'gratitude', text: '고마웠던 사람이나 순간이 있나요?' },
+            { id: 'next', text: '다음 달에 집중하고 싶은 목표는 무엇인가요?' }
+        ],
+        NOTE_LIMIT: 5,
+
+        // 'YYYY-MM'
+        monthKey(date = new Date()) {
+            return Utils.toDateKey(date).slice(0, 7);
+        },
+
+        shiftMonth(month, offset) {
+            const [year, m] = month.split('-').map(Number);
+            return this.monthKey(new Date(year, m - 1 + offset, 1));
+        },
+
+        formatMonth(month) {
+            const [year, m] = month.split('-').map(Number);
+            return `${year}년 ${m}월`;
+        },
+
+        inMonth(date, month) {
+            return !!date && Utils.toDateKey(date).startsWith(month);
+        },
+
+        // 활동·회고가 있는 달 (최신순, 이번 달 포함)
+        months(profile) {
+            const months = new Set([this.monthKey()]);
+            DataModel.getActivityLog(profile).forEach((events, key) => months.add(key.slice(0, 7)));
+            (profile?.bucketList || []).forEach(goal => {
+                (goal.quickNotes || []).forEach(note => months.add(this.monthKey(note.createdAt)));
+            });
+            (profile?.reflections || []).forEach(reflection => months.add(reflection.month));
+            return [...months].sort().reverse();
+        },
+
+        // 감정 기록 평균 동기 (주차별)
+        motivationTrend(entries) {
+            const weeks = [];
+            entries.forEach(entry => {
+                if (typeof entry.motivation !== 'number') return;
+                const week = Math.floor((Utils.parseDateKey(Utils.toDateKey(entry.date)).getDate() - 1) / 7);
+                weeks[week] = weeks[week] || [];
+                weeks[week].push(entry.motivation);
+            });
+
+            const average = values => Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10;
+            const all = entries.map(entry => entry.motivation).filter(v => typeof v === 'number');
+            return {
+                weeks: Array.from(weeks, (values, index) => ({ label: `${index + 1}주`, average: values ? average(values) : null })),
+                average: all.length ? average(all) : null
+            };
+        },
+
+        entriesIn(profile, month) {
+            const entries = [];
+            (profile?.bucketList || []).forEach(goal => {
+                (goal.emotionalJourney || []).forEach(entry => {
+                    if (this.inMonth(entry.date, month)) entries.push({ ...entry, goal });
+                });
+            });
+            return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+        },
+
+        // 한 달 요약
+        summarize(profile, month) {
+            const goals = profile?.bucketList || [];
+            const log = DataModel.getActivityLog(profile);
+            const days = [...log.keys()].filter(key => key.startsWith(month)).sort();
+            const events = days.flatMap(key => log.get(key));
+
+            const completedGoals = goals
+                .filter(goal => goal.completed && this.inMonth(goal.completedAt, month))
+                .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+
+            // 감정 분포: 감정 기록 + 이달 달성한 목표의 완료 감정
+            const entries = this.entriesIn(profile, month);
+            const emotions = {};
+            [...entries.map(entry => entry.emotion), ...completedGoals.map(goal => goal.completionEmotion)]
+                .filter(emotion => CONFIG.EMOTIONS[emotion])
+                .forEach(emotion => {
+                    emotions[emotion] = (emotions[emotion] || 0) + 1;
+                });
+
+            const trend = this.motivationTrend(entries);
+            const previous = this.motivationTrend(this.entriesIn(profile, this.shiftMonth(month, -1))).average;
+
+            const notes = [];
+            const photos = completedGoals
+                .filter(goal => goal.completionImage)
+                .map(goal => ({ ref: goal.completionImage, caption: goal.text }));
+            goals.forEach(goal => {
+                (goal.quickNotes || []).forEach(note => {
+                    if (!this.inMonth(note.createdAt, month)) return;
+                    if (note.type === 'photo' && note.data) {
+                        photos.push({ ref: note.data, caption: note.text || goal.text });
+                    } else if (note.text) {
+                        notes.push({ text: note.text, goalText: goal.text, createdAt: note.createdAt });
                     }
-                } else if (!targetTask && targetTaskList !== draggedTask.parentElement) {
-                    // 빈 리스트에 드롭
-                    targetTaskList.appendChild(draggedTask);
-                }
-                
-                // 데이터 업데이트
-                this.updateTaskOrder(draggedGoalId, targetGoalId, draggedTaskId);
-                
-                // 클래스 정리
-                document.querySelectorAll('.drag-over, .drag-over-top, .drag-over-bottom').forEach(el => {
-                    el.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
                 });
             });
+            notes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            // 이달의 최장 연속 활동 / 달 마지막 날(이번 달은 오늘) 기준 연속 기록
+            let longestRun = 0;
+            let run = 0;
+            days.forEach((key, i) => {
+                run = i > 0 && Utils.daysBetween(days[i - 1], key) === 1 ? run + 1 : 1;
+                longestRun = Math.max(longestRun, run);
+            });
+            const today = Utils.toDateKey();
+            const monthEnd = Utils.addDays(`${this.shiftMonth(month, 1)}-01`, -1);
+            const streak = Streaks.forProfile(profile, monthEnd < today ? monthEnd : today);
+
+            return {
+                month,
+                completedGoals,
+                tasksDone: events.filter(event => event.type === 'task'),
+                recurringDone: events.filter(event => event.type === 'recurring').length,
+                activeDays: days.length,
+                longestRun,
+                streak: { current: streak.current, longest: streak.longest, monthRate: streak.rates.month },
+                emotions,
+                emotionCount: Object.values(emotions).reduce((sum, n) => sum + n, 0),
+                motivation: { ...trend, previous },
+                notes: notes.slice(0, this.NOTE_LIMIT),
+                photos
+            };
         },
-        
-        // 태스크 순서 업데이트
-        updateTaskOrder(sourceGoalId, targetGoalId, taskId) {
-            const sourceGoal = DataModel.state.currentProfile?.bucketList.find(g => g.id === sourceGoalId);
-            const targetGoal = DataModel.state.currentProfile?.bucketList.find(g => g.id === targetGoalId);
-            
-            if (!sourceGoal || !targetGoal) return;
-            
-            if (sourceGoalId === targetGoalId) {
-                // 같은 목표 내에서 순서만 변경된 경우
-                if (sourceGoal.tasks) {
-                    // DOM 순서대로 태스크 재정렬
-                    const taskList = document.querySelector(`.task-list[data-goal-id="${sourceGoalId}"]`);
-                    const newOrder = [...taskList.querySelectorAll('.task-item')].map(item => item.dataset.taskId);
-                    
-                    // 새로운 순서로 태스크 배열 재정렬
-                    const orderedTasks = [];
-                    newOrder.forEach(tid => {
-                        const task = sourceGoal.tasks.find(t => t.id === tid);
-                        if (task) orderedTasks.push(task);
-                    });
-                    
-                    sourceGoal.tasks = orderedTasks;
-                }
-            } else {
-                // 다른 목표로 이동하는 경우
-                const task = sourceGoal.tasks?.find(t => t.id === taskId);
-                if (task) {
-                    // 원본에서 제거
-                    sourceGoal.tasks = sourceGoal.tasks.filter(t => t.id !== taskId);
-                    
-                    // 대상에 추가
-                    if (!targetGoal.tasks) targetGoal.tasks = [];
-                    
-                    // DOM 순서에 따라 삽입
-                    const targetTaskList = document.querySelector(`.task-list[data-goal-id="${targetGoalId}"]`);
-                    const targetTaskIds = [...targetTaskList.querySelectorAll('.task-item')].map(item => item.dataset.taskId);
-                    const insertIndex = targetTaskIds.indexOf(taskId);
-                    
-                    if (insertIndex >= 0) {
-                        targetGoal.tasks.splice(insertIndex, 0, task);
-                    } else {
-                        targetGoal.tasks.push(task);
-                    }
+
+        get(profile, month) {
+            return (profile?.reflections || []).find(reflection => reflection.month === month) || null;
+        },
+
+        toMarkdown(summary, reflection, profileName) {
+            const lines = [`# 📝 ${profileName}의 ${this.formatMonth(summary.month)} 회고`, ''];
+            const bullet = text => lines.push(`- ${ListFormats.markdownText(text)}`);
+
+            lines.push('## 한 달 요약', '');
+            bullet(`달성한 목표 ${summary.completedGoals.length}개 · 완료한 세부 계획 ${summary.tasksDone.length}개 · 반복 실천 ${summary.recurringDone}회`);
+            bullet(`활동한 날 ${summary.activeDays}일 · 이달 최장 연속 ${summary.longestRun}일`);
+            if (summary.motivation.average !== null) {
+                const delta = summary.motivation.previous !== null
+                    ? ` (지난달 ${summary.motivation.previous})`
+                    : '';
+                bullet(`평균 동기 ${summary.motivation.average}/10${delta}`);
+            }
+
+            if (summary.completedGoals.length > 0) {
+                lines.push('', '## 🏆 달성한 목표', '');
+                summary.completedGoals.forEach(goal => {
+                    const emotion = CONFIG.EMOTIONS[goal.completionEmotion];
+                    bullet(`${goal.text} _(${Utils.formatShortDate(goal.completedAt)}${emotion ? ` · ${emotion.emoji} ${emotion.name}` : ''})_`);
+                });
+            }
+
+            if (summary.emotionCount > 0) {
+                lines.push('', '## 💭 감정', '');
+                Object.entries(summary.emotions)
+                    .sort((a, b) => b[1] - a[1])
+                    .forEach(([key, count]) => bullet(`${CONFIG.EMOTIONS[key].emoji} ${CONFIG.EMOTIONS[key].name} ${count}회`));
+            }
+
+            if (summary.notes.length > 0) {
+                lines.push('', '## 🗒️ 기억할 메모', '');
+                summary.notes.forEach(note => bullet(`${note.text} — _${note.goalText}_`));
+            }
+
+            const answers = reflection?.answers || {};
+            const answered = this.PROMPTS.filter(prompt => answers[prompt.id]);
+            if (answered.length > 0) {
+                lines.push('', '## ✍️ 돌아보기');
+                answered.forEach(prompt => {
+                    lines.push('', `### ${prompt.text}`, '', answers[prompt.id]);
+                });
+            }
+
+            return lines.join('\n') + '\n';
+        }
+    };
+
+    // ========================================
+    // 5-10. 목표별 감정 여정 (Emotion Journey)
+    // ========================================
+    const EmotionJourney = {
+        // 시간순 체크인
+        entries(goal) {
+            return [...(goal?.emotionalJourney || [])]
+                .filter(entry => entry.date)
+                .sort((a, b) => new Date(a.date) - new Date(b.date));
+        },
+
+        // 체크인 시점부터 기간 안에 완료한 세부 계획 수
+        tasksAfter(goal, date, days = CONFIG.JOURNEY_TASK_WINDOW_DAYS) {
+            const from = new Date(date).getTime();
+            const to = from + days * 24 * 60 * 60 * 1000;
+            return (goal.tasks || []).filter(task => {
+                const time = task.completed && task.completedAt ? new Date(task.completedAt).getTime() : NaN;
+                return time >= from && time < to;
+            }).length;
+        },
+
+        // 차트용 점 (이전 체크인 이후 완료한 세부 계획 포함)
+        series(goal) {
+            const entries = this.entries(goal);
+            return entries.map((entry, index) => {
+                const previous = entries[index - 1];
+                const since = previous ? new Date(previous.date).getTime() : -Infinity;
+                const until = new Date(entry.date).getTime();
+                return {
+                    ...entry,
+                    tasksSince: (goal.tasks || []).filter(task => {
+                        const time = task.completed && task.completedAt ? new Date(task.completedAt).getTime() : NaN;
+                        return time > since && time <= until;
+                    }).length
+                };
+            });
+        },
+
+        average(values) {
+            return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10 : null;
+        },
+
+        // 체크인 때의 동기 ↔ 이후 세부 계획 완료 수 (피어슨 상관계수)
+        correlation(goal) {
+            const pairs = this.entries(goal)
+                .filter(entry => typeof entry.motivation === 'number')
+                .map(entry => [entry.motivation, this.tasksAfter(goal, entry.date)]);
+            if (pairs.length < 3) return null;
+
+            const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+            const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+            let covariance = 0;
+            let varianceX = 0;
+            let varianceY = 0;
+            pairs.forEach(([x, y]) => {
+                covariance += (x - meanX) * (y - meanY);
+                varianceX += (x - meanX) ** 2;
+                varianceY += (y - meanY) ** 2;
+            });
+            if (varianceX === 0 || varianceY === 0) return null;
+
+            return { r: Math.round(covariance / Math.sqrt(varianceX * varianceY) * 100) / 100, samples: pairs.length };
+        },
+
+        describeCorrelation(correlation) {
+            if (!correlation) return '체크인과 완료한 세부 계획이 더 쌓이면 관계를 알려드릴게요.';
+            if (correlation.r >= 0.4) return '동기가 높을 때 세부 계획을 더 많이 끝냈어요.';
+            if (correlation.r <= -0.4) return '동기가 낮다고 느낄 때도 세부 계획을 꾸준히 해냈어요.';
+            return '동기와 세부 계획 완료 사이에 뚜렷한 관계는 아직 없어요.';
+        },
+
+        // 최근 체크인에서 동기가 계속 떨어졌는지 ({ count, from, to } 또는 null)
+        decline(goal, checkins = CONFIG.MOTIVATION_DECLINE_CHECKINS) {
+            const values = this.entries(goal)
+                .map(entry => entry.motivation)
+                .filter(value => typeof value === 'number');
+
+            let count = 1;
+            for (let i = values.length - 1; i > 0 && values[i] < values[i - 1]; i--) {
+                count++;
+            }
+            if (count < checkins) return null;
+
+            return { count, from: values[values.length - count], to: values[values.length - 1] };
+        },
+
+        summarize(goal) {
+            const entries = this.entries(goal);
+            const correlation = this.correlation(goal);
+            return {
+                count: entries.length,
+                motivation: this.average(entries.map(e => e.motivation).filter(v => typeof v === 'number')),
+                energy: this.average(entries.map(e => e.energy).filter(v => typeof v === 'number')),
+                correlation,
+                correlationText: this.describeCorrelation(correlation),
+                decline: this.decline(goal)
+            };
+        }
+    };
+
+    // ========================================
+    // 5-11. 가족 (Household)
+    // ========================================
+    // 한 기기를 함께 쓰는 프로필들을 가족으로 묶고, 목표를 구성원끼리 공유한다 (goal.sharedWith: 프로필 ID 목록).
+    // 구성원 목록은 SharedData에 저장 — 잠긴 프로필도 ID·이름은 평문이라 구성원으로 보여 줄 수 있다.
+    const Household = {
+        STORAGE_KEY: 'household',
+
+        // 기기에 남아 있는 구성원 ID (삭제된 프로필 제외)
+        memberIds() {
+            const ids = SharedData.get(this.STORAGE_KEY)?.members || [];
+            return ids.filter(id => DataModel.state.profiles.some(profile => profile.id === id));
+        },
+
+        members() {
+            return this.memberIds().map(id => DataModel.state.profiles.find(profile => profile.id === id));
+        },
+
+        isMember(profileId) {
+            return this.memberIds().includes(profileId);
+        },
+
+        // 구성원 추가 (가족이 없으면 현재 프로필과 함께 새로 만듦)
+        add(profileId) {
+            const ids = new Set(this.memberIds());
+            const current = DataModel.state.currentProfile;
+            if (current && !current.isGuest) ids.add(current.id);
+            ids.add(profileId);
+            SharedData.set(this.STORAGE_KEY, { members: [...ids] });
+        },
+
+        // 구성원 제외 (혼자 남으면 가족 해제)
+        remove(profileId) {
+            const ids = this.memberIds().filter(id => id !== profileId);
+            SharedData.set(this.STORAGE_KEY, { members: ids.length > 1 ? ids : [] });
+        },
+
+        // 가족에 넣을 수 있는 이 기기의 다른 프로필
+        candidates() {
+            const ids = this.memberIds();
+            const current = DataModel.state.currentProfile;
+            return DataModel.state.profiles.filter(profile => profile.id !== current?.id && !ids.includes(profile.id));
+        },
+
+        // 목표에 함께하는 구성원 (주인 먼저, 가족이 아닌 ID는 제외)
+        participants(owner, goal) {
+            const ids = this.memberIds();
+            const shared = (goal.sharedWith || [])
+                .filter(id => id !== owner.id && ids.includes(id))
+                .map(id => DataModel.state.profiles.find(profile => profile.id === id));
+            return [owner, ...shared];
+        },
+
+        // 프로필이 함께하는 공유 목표 [{ owner, goal }] (잠긴 구성원의 목표는 읽을 수 없어 제외)
+        sharedGoals(profile) {
+            if (!profile || !this.isMember(profile.id)) return [];
+
+            return this.members()
+                .filter(owner => !Vault.isSealed(owner))
+                .flatMap(owner => owner.bucketList.map(goal => ({ owner, goal })))
+                .filter(({ owner, goal }) => {
+                    const participants = this.participants(owner, goal);
+                    return participants.length > 1 && participants.some(member => member.id === profile.id);
+                });
+        },
+
+        // 구성원별 완료한 세부 계획 수 (completedBy가 없는 예전 기록은 주인 몫)
+        contributions(owner, goal) {
+            const done = (goal.tasks || []).filter(task => task.completed);
+            return this.participants(owner, goal).map(member => {
+                const count = done.filter(task => (task.completedBy || owner.id) === member.id).length;
+                return { member, count, share: Utils.calculatePercentage(count, done.length) };
+            });
+        },
+
+        // 구성원별 현황 (잠긴 프로필은 null)
+        memberStats(profile) {
+            if (Vault.isSealed(profile)) return null;
+
+            const goals = profile.bucketList || [];
+            return {
+                total: goals.length,
+                completed: goals.filter(goal => goal.completed).length,
+                shared: this.sharedGoals(profile).length
+            };
+        }
+    };
+
+    // ========================================
+    // 5-12. 가족 도전 (Challenges)
+    // ========================================
+    // 여러 프로필이 함께하는 기간 한정 도전. 가족 구성원 목록처럼 SharedData에 저장한다.
+    // 진행도는 각 프로필의 기록(반복 완료 날짜, 세부 계획·목표 완료 시각)을 도전 기간으로 잘라 계산하고,
+    // 잠긴 프로필도 순위에 보이도록 마지막 계산값을 progress에 남겨 둔다.
+    const Challenges = {
+        STORAGE_KEY: 'challenges',
+        TYPES: {
+            recurring: { name: '반복 목표 완료', unit: '회', icon: '🔁' },
+            tasks: { name: '세부 계획 완료', unit: '개', icon: '✅' },
+            goal: { name: '각자 정한 목표 달성', unit: '%', icon: '🎯' }
+        },
+
+        all() {
+            return SharedData.get(this.STORAGE_KEY) || [];
+        },
+
+        save(challenges) {
+            SharedData.set(this.STORAGE_KEY, challenges);
+        },
+
+        find(challengeId) {
+            return this.all().find(challenge => challenge.id === challengeId) || null;
+        },
+
+        // 하나만 고쳐서 저장
+        update(challengeId, change) {
+            const challenges = this.all();
+            const challenge = challenges.find(c => c.id === challengeId);
+            if (!challenge) return null;
+
+            change(challenge);
+            this.save(challenges);
+            return challenge;
+        },
+
+        // 새 도전 (입력이 잘못되면 사용자에게 보여 줄 메시지로 예외)
+        create({ title, type, target, startDate, endDate, participants, goals = {} }) {
+            title = (title || '').trim();
+            if (!title) throw new Error('도전 이름을 입력해주세요.');
+            if (!this.TYPES[type]) throw new Error('도전 종류를 골라주세요.');
+            if (!Utils.isDateKey(startDate) || !Utils.isDateKey(endDate) || endDate < startDate) {
+                throw new Error('종료일은 시작일보다 빠를 수 없습니다.');
+            }
+            if (participants.length < 2) throw new Error('함께할 구성원을 2명 이상 골라주세요.');
+
+            // 목표 달성형은 각자 고른 목표를 100%까지
+            target = type === 'goal' ? 100 : Math.floor(Number(target));
+            if (!(target >= 1)) throw new Error('목표 횟수는 1 이상이어야 합니다.');
+
+            const challenge = {
+                id: Utils.generateId(),
+                title,
+                type,
+                target,
+                startDate,
+                endDate,
+                participants: [...participants],
+                goals,
+                progress: {},
+                resultSeen: [],
+                createdBy: DataModel.state.currentProfile?.id || null,
+                createdAt: new Date().toISOString()
+            };
+            this.save([...this.all(), challenge]);
+            participants.forEach(profileId => {
+                const profile = DataModel.state.profiles.find(p => p.id === profileId);
+                if (profile) this.refresh(profile);
+            });
+            return this.find(challenge.id);
+        },
+
+        remove(challengeId) {
+            this.save(this.all().filter(challenge => challenge.id !== challengeId));
+        },
+
+        // 목표 달성형에서 참가자가 도전할 목표 지정
+        setGoal(challengeId, profileId, goalId) {
+            this.update(challengeId, challenge => {
+                challenge.goals[profileId] = goalId;
+            });
+            const profile = DataModel.state.profiles.find(p => p.id === profileId);
+            if (profile) this.refresh(profile);
+        },
+
+        status(challenge, today = Utils.toDateKey()) {
+            if (today < challenge.startDate) return 'upcoming';
+            if (today > challenge.endDate) return 'ended';
+            return 'active';
+        },
+
+        inRange(date, challenge) {
+            if (!date) return false;
+            const key = Utils.toDateKey(date);
+            return key >= challenge.startDate && key <= challenge.endDate;
+        },
+
+        // 프로필의 도전 기간 내 기록
+        measure(challenge, profile) {
+            const bucketList = profile.bucketList || [];
+
+            if (challenge.type === 'recurring') {
+                return bucketList
+                    .filter(goal => goal.recurring)
+                    .reduce((sum, goal) =>
+                        sum + (goal.recurring.completedDates || []).filter(key => this.inRange(key, challenge)).length, 0);
+            }
+
+            if (challenge.type === 'tasks') {
+                // 내 목표 + 가족이 함께하자고 한 목표에서 내가 완료한 세부 계획
+                const shared = Household.sharedGoals(profile).filter(({ owner }) => owner.id !== profile.id);
+                return [...bucketList.map(goal => ({ owner: profile, goal })), ...shared]
+                    .flatMap(({ owner, goal }) => (goal.tasks || []).map(task => ({ owner, task })))
+                    .filter(({ owner, task }) =>
+                        task.completed &&
+                        (task.completedBy || owner.id) === profile.id &&
+                        this.inRange(task.completedAt, challenge)
+                    ).length;
+            }
+
+            // 목표 달성형: 종료일까지 끝낸 세부 계획의 비율 (종료일 뒤의 완료는 세지 않음)
+            const goal = bucketList.find(g => g.id === challenge.goals[profile.id]);
+            if (!goal) return 0;
+            if (goal.completed && Utils.toDateKey(goal.completedAt) <= challenge.endDate) return 100;
+            const tasks = goal.tasks || [];
+            const done = tasks.filter(task => task.completed && task.completedAt && Utils.toDateKey(task.completedAt) <= challenge.endDate);
+            return Utils.calculatePercentage(done.length, tasks.length);
+        },
+
+        // 참가 중인 도전의 진행도 다시 계산 → 이번에 목표에 도달한 도전 목록
+        // 끝난 도전은 종료일까지의 기록으로 한 번만 마무리하고(final) 그 뒤로는 순위·결과가 바뀌지 않게 둠
+        refresh(profile) {
+            if (!profile || Vault.isSealed(profile)) return [];
+
+            const reached = [];
+            const challenges = this.all();
+            challenges
+                .filter(challenge => challenge.participants.includes(profile.id) && this.status(challenge) !== 'upcoming')
+                .filter(challenge => !challenge.progress[profile.id]?.final)
+                .forEach(challenge => {
+                    const ended = this.status(challenge) === 'ended';
+                    const value = this.measure(challenge, profile);
+                    const previous = challenge.progress[profile.id];
+                    let reachedAt = value >= challenge.target ? previous?.reachedAt || null : null;
+                    if (value >= challenge.target && !reachedAt) {
+                        // 끝난 뒤에 마무리하면서 도달한 것으로 나오면 종료일에 도달한 것으로
+                        reachedAt = ended ? Utils.parseDateKey(challenge.endDate).toISOString() : new Date().toISOString();
+                        if (!ended) reached.push(challenge);
+                    }
+                    challenge.progress[profile.id] = ended ? { value, reachedAt, final: true } : { value, reachedAt };
+                });
+            this.save(challenges);
+            return reached;
+        },
+
+        // 완료 기록이 바뀔 때 (DataModel에서 호출)
+        record(profile) {
+            if (!profile || profile.isGuest) return;
+
+            this.refresh(profile).forEach(challenge => {
+                View.showNotification(`🏆 '${challenge.title}' 도전 목표를 달성했어요!`, 'success');
+            });
+        },
+
+        // 순위 (많이 한 순, 같으면 먼저 도달한 순)
+        leaderboard(challenge) {
+            const time = entry => (entry.reachedAt ? new Date(entry.reachedAt).getTime() : Infinity);
+            const rows = challenge.participants
+                .map(profileId => DataModel.state.profiles.find(p => p.id === profileId))
+                .filter(Boolean)
+                .map(profile => {
+                    const { value = 0, reachedAt = null } = challenge.progress[profile.id] || {};
+                    return {
+                        profile,
+                        value,
+                        reachedAt,
+                        reached: value >= challenge.target,
+                        ratio: Math.min(100, Utils.calculatePercentage(value, challenge.target))
+                    };
+                })
+                .sort((a, b) => b.value - a.value || time(a) - time(b));
+
+            // 같은 기록은 같은 순위
+            rows.forEach((row, index) => {
+                const prev = rows[index - 1];
+                row.rank = prev && prev.value === row.value && prev.reachedAt === row.reachedAt ? prev.rank : index + 1;
+            });
+            return rows;
+        },
+
+        // 끝났는데 아직 결과를 보지 않은 도전
+        unseenResults(profileId) {
+            return this.all().filter(challenge =>
+                this.status(challenge) === 'ended' &&
+                challenge.participants.includes(profileId) &&
+                !(challenge.resultSeen || []).includes(profileId)
+            );
+        },
+
+        markSeen(challengeId, profileId) {
+            this.update(challengeId, challenge => {
+                challenge.resultSeen = [...new Set([...(challenge.resultSeen || []), profileId])];
+            });
+        }
+    };
+
+    // ========================================
+    // 5-13. 응원 (Encouragement)
+    // ========================================
+    // 프로필끼리 서로의 목표·달성에 남기는 응원 메시지와 이모지 반응. 받는 사람이 잠긴 프로필이어도
+    // 프로필 선택 화면에서 읽지 않은 개수를 보여 줄 수 있도록 SharedData에 저장한다.
+    // 항목: { id, fromId, toId, goalId, achievement, text | emoji, createdAt, read }
+    // SharedData는 평문이라 목표 이름은 두지 않고, 보여 줄 때 받는 사람이 풀려 있으면 goalId로 찾는다.
+    const Encouragement = {
+        STORAGE_KEY: 'encouragements',
+        REACTIONS: ['👏', '💪', '🎉', '❤️', '🔥', '🙌'],
+        MAX_LENGTH: 200,
+
+        all() {
+            return SharedData.get(this.STORAGE_KEY) || [];
+        },
+
+        save(entries) {
+            SharedData.set(this.STORAGE_KEY, entries);
+        },
+
+        // 예전 항목에 들어 있던 목표 이름 지우기 (프로필을 잠근 뒤에도 평문으로 남지 않도록)
+        dropGoalText() {
+            const entries = this.all();
+            if (!entries.some(entry => 'goalText' in entry)) return;
+            this.save(entries.map(({ goalText, ...entry }) => entry));
+        },
+
+        // 응원한 목표 이름 (받는 사람이 잠겨 있으면 숨김)
+        goalTitle(entry) {
+            const owner = DataModel.state.profiles.find(profile => profile.id === entry.toId);
+            if (owner && Vault.isSealed(owner)) return '🔒 잠긴 프로필의 목표';
+            return owner?.bucketList.find(goal => goal.id === entry.goalId)?.text || '(삭제된 목표)';
+        },
+
+        // 응원할 수 있는 다른 프로필 (읽을 수 없는 잠긴 프로필 제외, 가족 먼저)
+        recipients(fromId) {
+            return DataModel.state.profiles
+                .filter(profile => profile.id !== fromId && !Vault.isSealed(profile))
+                .sort((a, b) => Household.isMember(b.id) - Household.isMember(a.id));
+        },
+
+        entry(from, to, goal, fields) {
+            if (!from || !to || from.id === to.id) throw new Error('다른 프로필의 목표에만 응원할 수 있습니다.');
+            if (!to.bucketList?.some(g => g.id === goal?.id)) throw new Error('응원할 목표를 찾을 수 없습니다.');
+
+            return {
+                id: Utils.generateId(),
+                fromId: from.id,
+                toId: to.id,
+                goalId: goal.id,
+                achievement: !!goal.completed,
+                ...fields,
+                createdAt: new Date().toISOString(),
+                read: false
+            };
+        },
+
+        // 응원 메시지 남기기
+        send(from, to, goal, text) {
+            text = (text || '').trim();
+            if (!text) throw new Error('응원 메시지를 입력해주세요.');
+            if (text.length > this.MAX_LENGTH) throw new Error(`응원 메시지는 ${this.MAX_LENGTH}자까지 쓸 수 있습니다.`);
+
+            const entry = this.entry(from, to, goal, { text });
+            this.save([...this.all(), entry]);
+            return entry;
+        },
+
+        // 이모지 반응 (같은 목표에 같은 반응은 한 번, 다시 누르면 취소) → 추가했으면 true
+        react(from, to, goal, emoji) {
+            if (!this.REACTIONS.includes(emoji)) throw new Error('지원하지 않는 반응입니다.');
+
+            const entries = this.all();
+            const existing = entries.find(e =>
+                e.fromId === from?.id && e.toId === to?.id && e.goalId === goal?.id && e.emoji === emoji
+            );
+            if (existing) {
+                this.save(entries.filter(e => e !== existing));
+                return false;
+            }
+
+            this.save([...entries, this.entry(from, to, goal, { emoji })]);
+            return true;
+        },
+
+        remove(entryId) {
+            this.save(this.all().filter(entry => entry.id !== entryId));
+        },
+
+        // 프로필이 받았거나 보낸 응원 (최신순)
+        wall(profileId) {
+            return this.all()
+                .filter(entry => entry.toId === profileId || entry.fromId === profileId)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        },
+
+        unreadCount(profileId) {
+            return this.all().filter(entry => entry.toId === profileId && !entry.read).length;
+        },
+
+        markRead(profileId) {
+            const entries = this.all();
+            if (!entries.some(entry => entry.toId === profileId && !entry.read)) return;
+
+            entries.forEach(entry => {
+                if (entry.toId === profileId) entry.read = true;
+            });
+            this.save(entries);
+        },
+
+        // 목표 카드 배지용 요약 목표 ID → { total, messages, reactions: { 이모지: 수 }, unread }
+        // 목록을 그릴 때 한 번만 계산해 카드마다 나눠 씀
+        summaries(profileId) {
+            const summaries = new Map();
+            this.all()
+                .filter(entry => entry.toId === profileId)
+                .forEach(entry => {
+                    if (!summaries.has(entry.goalId)) {
+                        summaries.set(entry.goalId, { total: 0, messages: 0, reactions: {}, unread: false });
+                    }
+                    const summary = summaries.get(entry.goalId);
+                    summary.total++;
+                    if (entry.text) summary.messages++;
+                    if (entry.emoji) summary.reactions[entry.emoji] = (summary.reactions[entry.emoji] || 0) + 1;
+                    if (!entry.read) summary.unread = true;
+                });
+            return summaries;
+        }
+    };
+
+    // ========================================
+    // 5-14. 달성 예측 (Forecast)
+    // ========================================
+    // 세부 계획 완료 기록(task.completedAt)의 소진 속도로 목표별 완료 예상일을 계산한다.
+    // 완료 간격의 편차로 예상일 범위(빠르면~늦으면)와 신뢰도를 정하고, 목표일이 있으면
+    // 현재 속도로 목표일까지 몇 % 달성할지 알려 준다. 반복 목표는 끝이 없어 제외.
+    const Forecast = {
+        // 신뢰도 high 에 필요한 최소 완료 수
+        MIN_SAMPLES: 5,
+
+        // 완료한 세부 계획의 날짜 키 (오래된 순)
+        completionDates(tasks) {
+            return tasks
+                .filter(task => task.completed && task.completedAt)
+                .map(task => Utils.toDateKey(task.completedAt))
+                .sort();
+        },
+
+        // 완료 기록으로 남은 개수를 끝내는 데 걸릴 날짜 추정
+        // done 이 0 이면 속도를 알 수 없으므로 daysLeft 는 null
+        estimate({ dates, startKey, remaining, today = Utils.toDateKey() }) {
+            const done = dates.length;
+            const start = [startKey, dates[0]].filter(Boolean).sort()[0] || today;
+            const elapsed = Math.max(1, Utils.daysBetween(start, today) + 1);
+
+            if (remaining === 0) return { done, remaining, pace: done / elapsed, daysLeft: 0, earliest: 0, latest: 0, confidence: 'high' };
+            if (done === 0) return { done, remaining, pace: 0, daysLeft: null, earliest: null, latest: null, confidence: 'low' };
+
+            // 한 개 완료에 걸리는 평균 일수 (지금까지 쉬고 있는 기간도 포함)
+            const gap = elapsed / done;
+            const gaps = dates.map((key, i) => Math.max(0, Utils.daysBetween(i === 0 ? start : dates[i - 1], key)));
+            const deviation = done >= 2
+                ? Math.sqrt(gaps.reduce((sum, g) => sum + (g - gap) ** 2, 0) / (done - 1))
+                : gap; // 기록이 하나뿐이면 범위를 넓게
+
+            // 남은 간격들의 합 → 평균 remaining * gap, 표준편차 sqrt(remaining) * deviation
+            const daysLeft = Math.ceil(remaining * gap);
+            const margin = Math.ceil(Math.sqrt(remaining) * deviation);
+            const spread = deviation / gap;
+
+            let confidence = 'low';
+            if (done >= this.MIN_SAMPLES && spread < 0.75) confidence = 'high';
+            else if (done >= 2 && spread < 1.5) confidence = 'medium';
+
+            return {
+                done,
+                remaining,
+                pace: done / elapsed,
+                daysLeft,
+                earliest: Math.max(1, daysLeft - margin),
+                latest: daysLeft + margin,
+                confidence
+            };
+        },
+
+        // 목표일까지 현재 속도로 달성할 비율과 맞추는 데 필요한 주간 속도
+        feasibility(estimate, total, targetDate, today = Utils.toDateKey()) {
+            if (!targetDate) return null;
+
+            const daysUntil = Utils.daysBetween(today, targetDate);
+            const done = total - estimate.remaining;
+            if (daysUntil < 0) {
+                return { targetDate, daysUntil, overdue: true, projected: Utils.calculatePercentage(done, total), weeklyNeeded: null };
+            }
+
+            const expected = Math.min(total, done + estimate.pace * daysUntil);
+            return {
+                targetDate,
+                daysUntil,
+                overdue: false,
+                projected: Utils.calculatePercentage(Math.floor(expected), total),
+                onTrack: estimate.daysLeft !== null && estimate.daysLeft <= daysUntil,
+                weeklyNeeded: estimate.remaining > 0 ? Math.ceil(estimate.remaining / Math.max(1, daysUntil) * 7) : 0
+            };
+        },
+
+        // 목표 하나의 예측. 세부 계획이 없으면 status 'noTasks'
+        forGoal(goal, today = Utils.toDateKey()) {
+            const tasks = goal.tasks || [];
+            const base = { goal, total: tasks.length };
+            if (tasks.length === 0) return { ...base, status: 'noTasks', feasibility: null };
+
+            const dates = this.completionDates(tasks);
+            const estimate = this.estimate({
+                dates,
+                startKey: goal.createdAt ? Utils.toDateKey(goal.createdAt) : null,
+                remaining: tasks.filter(task => !task.completed).length,
+                today
+            });
+
+            let status = 'forecast';
+            if (estimate.remaining === 0) status = 'tasksDone';
+            else if (estimate.daysLeft === null) status = 'notStarted';
+
+            return {
+                ...base,
+                ...estimate,
+                status,
+                date: estimate.daysLeft ? Utils.addDays(today, estimate.daysLeft) : null,
+                range: estimate.daysLeft ? [Utils.addDays(today, estimate.earliest), Utils.addDays(today, estimate.latest)] : null,
+                feasibility: this.feasibility(estimate, tasks.length, goal.targetDate, today)
+            };
+        },
+
+        // 예측 대상: 끝나지 않은 목표 (반복 목표는 끝이 없어 제외)
+        isOpen(goal) {
+            return !goal.completed && !goal.recurring?.rule;
+        },
+
+        // 진행 중인 (반복 아닌) 목표의 예측. 예상일이 빠른 순, 예측할 수 없는 목표는 뒤로
+        forProfile(profile, today = Utils.toDateKey()) {
+            const order = { forecast: 0, tasksDone: 1, notStarted: 2, noTasks: 3 };
+            return (profile?.bucketList || [])
+                .filter(goal => this.isOpen(goal))
+                .map(goal => this.forGoal(goal, today))
+                .sort((a, b) => order[a.status] - order[b.status] || (a.daysLeft || 0) - (b.daysLeft || 0));
+        },
+
+        // 프로필 전체: 진행 중인 목표의 남은 세부 계획을 모두 끝내는 시점 + 목표일 위험 개수
+        summary(forecasts, today = Utils.toDateKey()) {
+            const planned = forecasts.filter(item => item.total > 0);
+            const dates = planned.flatMap(item => this.completionDates(item.goal.tasks));
+            const starts = planned.map(item => item.goal.createdAt).filter(Boolean).map(date => Utils.toDateKey(date)).sort();
+            const estimate = this.estimate({
+                dates: dates.sort(),
+                startKey: starts[0] || null,
+                remaining: planned.reduce((sum, item) => sum + item.goal.tasks.filter(task => !task.completed).length, 0),
+                today
+            });
+            const targeted = forecasts.filter(item => item.feasibility);
+
+            return {
+                ...estimate,
+                goals: forecasts.length,
+                date: estimate.daysLeft ? Utils.addDays(today, estimate.daysLeft) : null,
+                range: estimate.daysLeft ? [Utils.addDays(today, estimate.earliest), Utils.addDays(today, estimate.latest)] : null,
+                onTrack: targeted.filter(item => item.feasibility.onTrack).length,
+                atRisk: targeted.filter(item => !item.feasibility.onTrack).length
+            };
+        }
+    };
+
+    // ========================================
+    // 5-15. 태그 (Tags)
+    // ========================================
+    // 목표(goal.tags)와 세부 계획(task.tags)에 다는 자유 태그. 태그 목록은 따로 저장하지 않고
+    // 프로필의 목표에서 모으며, 사용자가 고른 색만 profile.tagColors { 태그: 색 } 에 둔다.
+    // 바꾸는 작업은 실행 취소 기록에 남도록 DataModel(setGoalTags, renameTag 등)을 거친다.
+    const Tags = {
+        MAX_LENGTH: 20,
+        COLORS: ['#007aff', '#34c759', '#ff9500', '#ff3b30', '#af52de', '#5ac8fa', '#ff2d55', '#a2845e'],
+
+        // 입력 → 태그 이름 (구분자 #·쉼표와 속성에 못 넣는 문자 제거, 공백 정리). 비어 있으면 null
+        normalize(text) {
+            const tag = String(text ?? '').replace(/[#,"<>]/g, '').replace(/\s+/g, ' ').trim().slice(0, this.MAX_LENGTH);
+            return tag || null;
+        },
+
+        // 대소문자만 다른 태그는 처음 것 하나만
+        unique(tags) {
+            const seen = new Set();
+            return tags.filter(tag => {
+                const key = tag.toLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        },
+
+        // '여행, #가족' → ['여행', '가족']
+        parse(value) {
+            return this.unique(String(value ?? '').split(/[,#]/).map(tag => this.normalize(tag)).filter(Boolean));
+        },
+
+        // 프로필에 쓰인 태그 [{ name, goals, tasks, color }] (많이 쓴 순)
+        all(profile) {
+            const usage = new Map();
+            const count = (tag, field) => {
+                if (!usage.has(tag)) usage.set(tag, { name: tag, goals: 0, tasks: 0 });
+                usage.get(tag)[field]++;
+            };
+            (profile?.bucketList || []).forEach(goal => {
+                (goal.tags || []).forEach(tag => count(tag, 'goals'));
+                (goal.tasks || []).forEach(task => (task.tags || []).forEach(tag => count(tag, 'tasks')));
+            });
+
+            return [...usage.values()]
+                .map(item => ({ ...item, color: this.colorOf(profile, item.name) }))
+                .sort((a, b) => (b.goals + b.tasks) - (a.goals + a.tasks) || a.name.localeCompare(b.name));
+        },
+
+        names(profile) {
+            return this.all(profile).map(item => item.name);
+        },
+
+        // style 속성에 그대로 넣으므로 #rrggbb 만 색으로 인정
+        isColor(value) {
+            return typeof value === 'string' && (/^#[0-9a-f]{6}$/i.test(value) || this.COLORS.includes(value));
+        },
+
+        // 가져온 태그 배열 → 정리된 태그 (문자열이 아니거나 비는 것, 중복 제거)
+        clean(tags) {
+            return this.unique((Array.isArray(tags) ? tags : []).map(tag => (typeof tag === 'string' ? this.normalize(tag) : null)).filter(Boolean));
+        },
+
+        // 고른 색이 없으면 이름으로 팔레트에서 (늘 같은 색)
+        colorOf(profile, tag) {
+            const custom = profile?.tagColors?.[tag];
+            if (this.isColor(custom)) return custom;
+
+            let hash = 0;
+            for (const char of tag) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+            return this.COLORS[hash % this.COLORS.length];
+        },
+
+        // 목표 또는 그 세부 계획 중 하나에 태그가 있으면 true
+        matches(goal, tag) {
+            return (goal.tags || []).includes(tag) ||
+                (goal.tasks || []).some(task => (task.tags || []).includes(tag));
+        },
+
+        // 고른 태그를 모두 가진 목표만 (tags 가 비어 있으면 그대로)
+        filter(goals, tags) {
+            return tags.length === 0 ? goals : goals.filter(goal => tags.every(tag => this.matches(goal, tag)));
+        },
+
+        // 자동 완성 후보 (이미 단 태그 제외, 입력으로 시작하는 것 먼저)
+        suggest(profile, exclude = [], query = '') {
+            const text = (this.normalize(query) || '').toLowerCase();
+            return this.names(profile)
+                .filter(tag => !exclude.includes(tag) && tag.toLowerCase().includes(text))
+                .sort((a, b) => a.toLowerCase().startsWith(text) === b.toLowerCase().startsWith(text)
+                    ? 0
+                    : a.toLowerCase().startsWith(text) ? -1 : 1);
+        }
+    };
+
+    // ========================================
+    // 6. AI 추천 시스템 (AI Recommendation)
+    // ========================================
+    const AIRecommendation = {
+        // 추천 데이터베이스
+        recommendations: {
+            travel: [
+                "오로라 보기 (노르웨이, 핀란드)",
+                "세계 7대 불가사의 방문하기",
+                "트랜스시베리아 횡단 열차 타기",
+                "산티아고 순례길 걷기",
+                "발리에서 한 달 살기"
+            ],
+            hobby: [
+                "나만의 유튜브 채널 만들기",
+                "수제 맥주 만들기",
+                "디지털 아트 배우기",
+                "소설 한 편 완성하기",
+                "텃밭 가꾸기"
+            ],
+            career: [
+                "전문 자격증 취득하기",
+                "TED 강연하기",
+                "스타트업 창업하기",
+                "멘토 되어 후배 도와주기",
+                "업계 컨퍼런스에서 발표하기"
+            ],
+            relationship: [
+                "가족과 함께 여행가기",
+                "오래된 친구에게 편지 쓰기",
+                "봉사활동 정기적으로 참여하기",
+                "동창회 주최하기",
+                "부모님 자서전 만들어드리기"
+            ],
+            health: [
+                "마라톤 완주하기",
+                "100일 운동 챌린지 완성하기",
+                "명상 습관 만들기",
+                "체중 목표 달성하기",
+                "금연/금주 성공하기"
+            ],
+            other: [
+                "나무 1000그루 심기",
+                "특허 출원하기",
+                "기부 문화 만들기",
+                "타임캡슐 묻기",
+                "자서전 쓰기"
+            ]
+        },
+
+        // 개인화된 추천 생성
+        getPersonalizedRecommendations(profile) {
+            if (!profile || !profile.bucketList) return [];
+
+            const recommendations = [];
+            const existingGoals = profile.bucketList.map(g => g.text.toLowerCase());
+
+            // 카테고리별 분석
+            const categoryCount = {};
+            profile.bucketList.forEach(goal => {
+                categoryCount[goal.category] = (categoryCount[goal.category] || 0) + 1;
+            });
+
+            // 선호 카테고리 파악
+            const preferredCategories = Object.entries(categoryCount)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([cat]) => cat);
+
+            // 추천 생성
+            preferredCategories.forEach(category => {
+                const catRecommendations = this.recommendations[category] || [];
+                const filtered = catRecommendations.filter(rec => 
+                    !existingGoals.some(goal => goal.includes(rec.toLowerCase()))
+                );
+                
+                if (filtered.length > 0) {
+                    recommendations.push({
+                        category: category,
+                        text: Utils.getRandomItem(filtered),
+                        reason: this.getRecommendationReason(category, profile)
+                    });
+                }
+            });
+
+            // 시즌별 추천 추가
+            const seasonalRec = this.getSeasonalRecommendation();
+            if (seasonalRec) {
+                recommendations.push(seasonalRec);
+            }
+
+            return recommendations.slice(0, 3); // 최대 3개
+        },
+
+        // 추천 이유 생성
+        getRecommendationReason(category, profile) {
+            const completedInCategory = profile.bucketList
+                .filter(g => g.category === category && g.completed).length;
+
+            if (completedInCategory > 0) {
+                return `${CONFIG.CATEGORIES[category].name} 분야에서 이미 ${completedInCategory}개를 달성하셨네요!`;
+            }
+            return `${CONFIG.CATEGORIES[category].name} 분야의 새로운 도전입니다.`;
+        },
+
+        // 시즌별 추천
+        getSeasonalRecommendation() {
+            const month = new Date().getMonth();
+            const season = month >= 3 && month <= 5 ? 'spring' :
+                         month >= 6 && month <= 8 ? 'summer' :
+                         month >= 9 && month <= 11 ? 'fall' : 'winter';
+
+            const seasonal = {
+                spring: { text: "벚꽃 명소 여행가기", category: "travel" },
+                summer: { text: "서핑 배우기", category: "hobby" },
+                fall: { text: "단풍놀이 가기", category: "travel" },
+                winter: { text: "스키/스노보드 배우기", category: "hobby" }
+            };
+
+            return {
+                ...seasonal[season],
+                reason: "이 계절에 딱 맞는 활동이에요! 🌸"
+            };
+        },
+
+        // 동기부여 메시지
+        getMotivationalMessage(goal) {
+            const messages = {
+                travel: [
+                    "새로운 세상이 당신을 기다리고 있어요! ✈️",
+                    "모든 여행은 자신을 발견하는 여정입니다 🌍",
+                    "가장 좋은 시간은 바로 지금입니다 🎒"
+                ],
+                hobby: [
+                    "새로운 취미는 삶을 더욱 풍요롭게 합니다 🎨",
+                    "열정은 언제나 아름답습니다 ✨",
+                    "시작이 반입니다. 도전해보세요! 🎯"
+                ],
+                career: [
+                    "당신의 꿈은 충분히 가치있습니다 💼",
+                    "성장하는 당신이 멋집니다 📈",
+                    "한 걸음씩 나아가세요 🚀"
+                ],
+                relationship: [
+                    "사랑하는 사람들과의 시간은 보물입니다 ❤️",
+                    "관계는 삶의 가장 큰 선물입니다 🤝",
+                    "함께하는 순간이 행복입니다 👨‍👩‍👧‍👦"
+                ],
+                health: [
+                    "건강한 몸에 건강한 정신이 깃듭니다 💪",
+                    "오늘의 운동이 내일의 활력입니다 🏃‍♂️",
+                    "자신을 사랑하는 가장 좋은 방법입니다 ❤️"
+                ],
+                other: [
+                    "당신만의 특별한 꿈을 응원합니다 🌟",
+                    "불가능은 없습니다. 도전하세요! 💫",
+                    "세상을 바꾸는 것은 작은 실천부터 시작됩니다 🌱"
+                ]
+            };
+
+            const categoryMessages = messages[goal.category] || messages.other;
+            return Utils.getRandomItem(categoryMessages);
+        }
+    };
+
+    // ========================================
+    // 7. PDF 생성기 (PDF Generator)
+    // ========================================
+    const PDFGenerator = {
+        FONT_FAMILY: 'NanumGothic',
+        PAGE_SIZES: { a4: 'A4', a5: 'A5', letter: 'Letter' },
+        SECTIONS: {
+            cover: '표지와 통계',
+            charts: '차트',
+            goals: '카테고리별 목표',
+            tasks: '세부 계획 체크리스트',
+            milestones: '마일스톤 타임라인',
+            photos: '완료 사진',
+            journey: '감정 여정 요약'
+        },
+        COLORS: { text: '#1C1C1E', muted: '#8E8E93', line: '#E5E5EA', accent: '#007AFF', done: '#34C759' },
+        fonts: null, // { normal, bold } base64 (한 번 받으면 재사용)
+
+        // 앱에 포함된 한글 폰트 (TTF) 읽기 - jsPDF가 문서에 쓰인 글자만 골라 다시 서브셋으로 넣음
+        async loadFonts() {
+            if (this.fonts) return this.fonts;
+
+            const entries = await Promise.all(
+                Object.entries(CONFIG.PDF_FONT_URLS).map(async ([style, url]) => [style, await this.fetchFont(url)])
+            );
+            this.fonts = Object.fromEntries(entries);
+            return this.fonts;
+        },
+
+        async fetchFont(url) {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Font load failed: ${response.status}`);
+            return Utils.bytesToBase64(new Uint8Array(await response.arrayBuffer()));
+        },
+
+        // 폰트에 없는 이모지·이음 문자 제거
+        plain(text) {
+            return String(text ?? '')
+                .replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}\u{20E3}]/gu, '')
+                .replace(/[ \t]+/g, ' ')
+                .trim();
+        },
+
+        // PDF 생성
+        // options: { pageSize: 'a4' | 'a5' | 'letter', sections: { cover, charts, goals, tasks, milestones, photos, journey }, charts: [{ title, image }] }
+        async generatePDF(goals, profileName, options = {}) {
+            const sections = { ...Object.fromEntries(Object.keys(this.SECTIONS).map(key => [key, true])), ...options.sections };
+            const doc = await this.createDocument(options.pageSize);
+            const writer = this.createWriter(doc);
+            let started = false;
+            const startSection = () => {
+                if (started) writer.addPage();
+                started = true;
+            };
+
+            if (sections.cover) {
+                startSection();
+                this.drawCover(writer, goals, profileName);
+            }
+            if (sections.charts && options.charts?.length) {
+                startSection();
+                this.drawCharts(writer, options.charts);
+            }
+            if (sections.goals) {
+                startSection();
+                await this.drawGoals(writer, goals, sections);
+            }
+            if (sections.journey) {
+                startSection();
+                this.drawJourney(writer, goals);
+            }
+
+            this.drawFooters(writer, profileName);
+            return doc;
+        },
+
+        // 한글 폰트를 넣은 빈 문서
+        async createDocument(pageSize) {
+            if (typeof jspdf === 'undefined') {
+                throw new Error('PDF 라이브러리가 로드되지 않았습니다.');
+            }
+
+            let fonts;
+            try {
+                fonts = await this.loadFonts();
+            } catch (err) {
+                console.error('PDF font error:', err);
+                throw new Error('한글 폰트를 불러오지 못했습니다. 앱을 새로고침한 뒤 다시 시도해주세요.');
+            }
+
+            const { jsPDF } = jspdf;
+            const doc = new jsPDF({ unit: 'mm', format: this.PAGE_SIZES[pageSize] ? pageSize : 'a4' });
+            doc.addFileToVFS('NanumGothic-Regular.ttf', fonts.normal);
+            doc.addFont('NanumGothic-Regular.ttf', this.FONT_FAMILY, 'normal');
+            doc.addFileToVFS('NanumGothic-Bold.ttf', fonts.bold);
+            doc.addFont('NanumGothic-Bold.ttf', this.FONT_FAMILY, 'bold');
+            doc.setFont(this.FONT_FAMILY, 'normal');
+            return doc;
+        },
+
+        // 월간 회고 PDF
+        async generateReflectionPDF(summary, reflection, profileName) {
+            const doc = await this.createDocument('a4');
+            const writer = this.createWriter(doc);
+
+            writer.text(`${profileName}님의 ${Reflection.formatMonth(summary.month)} 회고`, { size: 20, style: 'bold' });
+            writer.gap(6);
+
+            writer.heading('한 달 요약', 14);
+            const rows = [
+                ['달성한 목표', `${summary.completedGoals.length}개`],
+                ['완료한 세부 계획', `${summary.tasksDone.length}개`],
+                ['반복 실천', `${summary.recurringDone}회`],
+                ['활동한 날', `${summary.activeDays}일 (최장 연속 ${summary.longestRun}일)`]
+            ];
+            if (summary.motivation.average !== null) {
+                const previous = summary.motivation.previous !== null ? ` (지난달 ${summary.motivation.previous})` : '';
+                rows.push(['평균 동기', `${summary.motivation.average}/10${previous}`]);
+            }
+            rows.forEach(([label, value]) => {
+                const top = writer.y;
+                writer.text(label, { size: 10, color: this.COLORS.muted });
+                writer.y = top;
+                writer.text(value, { size: 10, style: 'bold', indent: 40 });
+            });
+
+            if (summary.completedGoals.length > 0) {
+                writer.gap(4);
+                writer.heading('달성한 목표', 14);
+                summary.completedGoals.forEach(goal => {
+                    const emotion = CONFIG.EMOTIONS[goal.completionEmotion];
+                    writer.text(`${Utils.formatShortDate(goal.completedAt)}  ${goal.text}${emotion ? ` — ${emotion.name}` : ''}`, { size: 10 });
+                    writer.gap(1);
+                });
+            }
+
+            if (summary.emotionCount > 0) {
+                writer.gap(4);
+                writer.heading('감정 분포', 14);
+                const labelWidth = 24;
+                const barWidth = writer.contentWidth - labelWidth - 16;
+                const max = Math.max(...Object.values(summary.emotions));
+                Object.entries(summary.emotions)
+                    .sort((a, b) => b[1] - a[1])
+                    .forEach(([key, count]) => {
+                        writer.ensure(7);
+                        writer.setFont(9);
+                        doc.text(CONFIG.EMOTIONS[key].name, writer.margin, writer.y + 3.5);
+                        doc.setFillColor(this.COLORS.accent);
+                        doc.roundedRect(writer.margin + labelWidth, writer.y + 0.5, Math.max(1.5, barWidth * count / max), 4, 1, 1, 'F');
+                        doc.text(`${count}회`, writer.margin + labelWidth + barWidth + 3, writer.y + 3.5);
+                        writer.gap(6.5);
+                    });
+            }
+
+            if (summary.notes.length > 0) {
+                writer.gap(4);
+                writer.heading('기억할 메모', 14);
+                summary.notes.forEach(note => {
+                    writer.text(note.text, { size: 10 });
+                    writer.text(note.goalText, { size: 8, color: this.COLORS.muted, indent: 4 });
+                    writer.gap(1.5);
+                });
+            }
+
+            const answers = reflection?.answers || {};
+            const answered = Reflection.PROMPTS.filter(prompt => answers[prompt.id]);
+            if (answered.length > 0) {
+                writer.gap(4);
+                writer.heading('돌아보기', 14);
+                answered.forEach(prompt => {
+                    writer.text(prompt.text, { size: 10, style: 'bold' });
+                    writer.gap(1);
+                    writer.text(answers[prompt.id], { size: 10, color: '#3A3A3C' });
+                    writer.gap(3);
+                });
+            }
+
+            this.drawFooters(writer, profileName);
+            return doc;
+        },
+
+        // 쪽 넘김과 줄바꿈을 처리하는 작성기 (단위 mm)
+        createWriter(doc) {
+            const width = doc.internal.pageSize.getWidth();
+            const height = doc.internal.pageSize.getHeight();
+            const margin = width < 160 ? 12 : 18;
+
+            return {
+                doc,
+                width,
+                height,
+                margin,
+                contentWidth: width - margin * 2,
+                y: margin,
+
+                addPage() {
+                    doc.addPage();
+                    this.y = margin;
+                },
+
+                // 남은 공간이 모자라면 다음 쪽으로
+                ensure(space) {
+                    if (this.y + space > height - margin - 6) this.addPage();
+                },
+
+                gap(space) {
+                    this.y += space;
+                },
+
+                lineHeight(size) {
+                    return size * 0.3528 * 1.45;
+                },
+
+                setFont(size, style = 'normal', color = PDFGenerator.COLORS.text) {
+                    doc.setFont(PDFGenerator.FONT_FAMILY, style);
+                    doc.setFontSize(size);
+                    doc.setTextColor(color);
+                },
+
+                // 줄바꿈하며 쓰기
+                text(value, { size = 10, style = 'normal', color, indent = 0, align = 'left' } = {}) {
+                    const text = PDFGenerator.plain(value);
+                    if (!text) return;
+
+                    this.setFont(size, style, color);
+                    const lineHeight = this.lineHeight(size);
+                    doc.splitTextToSize(text, this.contentWidth - indent).forEach(line => {
+                        this.ensure(lineHeight);
+                        const x = align === 'center' ? width / 2 : margin + indent;
+                        doc.text(line, x, this.y + lineHeight * 0.72, { align });
+                        this.y += lineHeight;
+                    });
+                },
+
+                heading(value, size = 16) {
+                    this.ensure(this.lineHeight(size) + 12);
+                    this.gap(2);
+                    this.text(value, { size, style: 'bold' });
+                    doc.setDrawColor(PDFGenerator.COLORS.accent);
+                    doc.setLineWidth(0.6);
+                    doc.line(margin, this.y + 1, margin + 24, this.y + 1);
+                    this.gap(5);
+                },
+
+                // 체크박스 (y는 윗변)
+                checkbox(x, y, size, checked) {
+                    doc.setLineWidth(0.3);
+                    doc.setDrawColor(checked ? PDFGenerator.COLORS.done : PDFGenerator.COLORS.muted);
+                    doc.setFillColor(PDFGenerator.COLORS.done);
+                    doc.roundedRect(x, y, size, size, 0.6, 0.6, checked ? 'FD' : 'S');
+                    if (checked) {
+                        doc.setDrawColor('#FFFFFF');
+                        doc.setLineWidth(0.5);
+                        doc.line(x + size * 0.22, y + size * 0.52, x + size * 0.42, y + size * 0.72);
+                        doc.line(x + size * 0.42, y + size * 0.72, x + size * 0.8, y + size * 0.3);
+                    }
+                }
+            };
+        },
+
+        // 표지: 제목과 DataModel.getStats 통계
+        drawCover(writer, goals, profileName) {
+            const { doc, margin, contentWidth } = writer;
+            const stats = DataModel.getStats();
+
+            writer.y = writer.height * 0.2;
+            writer.text(`${profileName}님의 버킷리스트`, { size: 26, style: 'bold', align: 'center' });
+            writer.gap(2);
+            writer.text(`버킷리스트 리포트 · ${Utils.formatDate(new Date())}`, { size: 11, color: this.COLORS.muted, align: 'center' });
+            writer.gap(14);
+
+            // 숫자 상자 4개
+            const boxes = [
+                ['전체 목표', `${stats.total}`],
+                ['완료', `${stats.completed}`],
+                ['달성률', `${stats.percentage}%`],
+                ['동기 지수', `${stats.motivationIndex ?? '-'}`]
+            ];
+            const boxGap = 4;
+            const boxWidth = (contentWidth - boxGap * (boxes.length - 1)) / boxes.length;
+            boxes.forEach(([label, value], i) => {
+                const x = margin + i * (boxWidth + boxGap);
+                doc.setFillColor('#F2F2F7');
+                doc.roundedRect(x, writer.y, boxWidth, 24, 3, 3, 'F');
+                writer.setFont(18, 'bold', this.COLORS.accent);
+                doc.text(value, x + boxWidth / 2, writer.y + 11, { align: 'center' });
+                writer.setFont(9, 'normal', this.COLORS.muted);
+                doc.text(label, x + boxWidth / 2, writer.y + 18.5, { align: 'center' });
+            });
+            writer.gap(32);
+
+            // 전체 진행 막대
+            doc.setFillColor(this.COLORS.line);
+            doc.roundedRect(margin, writer.y, contentWidth, 4, 2, 2, 'F');
+            if (stats.percentage > 0) {
+                doc.setFillColor(this.COLORS.done);
+                doc.roundedRect(margin, writer.y, contentWidth * stats.percentage / 100, 4, 2, 2, 'F');
+            }
+            writer.gap(14);
+
+            // 카테고리별 현황
+            writer.text('카테고리별 현황', { size: 12, style: 'bold' });
+            writer.gap(2);
+            Object.entries(stats.byCategory)
+                .filter(([, category]) => category.total > 0)
+                .forEach(([key, category]) => {
+                    const y = writer.y;
+                    writer.setFont(10);
+                    doc.text(CONFIG.CATEGORIES[key].name, margin, y + 4);
+                    doc.setFillColor(this.COLORS.line);
+                    doc.rect(margin + 28, y + 1.5, contentWidth - 56, 3, 'F');
+                    doc.setFillColor(this.COLORS.accent);
+                    doc.rect(margin + 28, y + 1.5, (contentWidth - 56) * category.completed / category.total, 3, 'F');
+                    writer.setFont(9, 'normal', this.COLORS.muted);
+                    doc.text(`${category.completed} / ${category.total}`, margin + contentWidth, y + 4, { align: 'right' });
+                    writer.gap(7);
+                });
+
+            if (goals.length === 0) {
+                writer.gap(4);
+                writer.text('아직 등록된 목표가 없습니다.', { size: 10, color: this.COLORS.muted });
+            }
+        },
+
+        // ChartManager로 그린 차트 이미지 (두 개씩 한 줄)
+        drawCharts(writer, charts) {
+            const { doc, margin, contentWidth } = writer;
+            const gap = 6;
+            const chartWidth = (contentWidth - gap) / 2;
+            const chartHeight = chartWidth * 0.75;
+
+            writer.heading('차트');
+            for (let i = 0; i < charts.length; i += 2) {
+                writer.ensure(chartHeight + 10);
+                const top = writer.y;
+                charts.slice(i, i + 2).forEach((chart, j) => {
+                    const x = margin + j * (chartWidth + gap);
+                    writer.setFont(10, 'bold');
+                    doc.text(this.plain(chart.title), x, top + 4);
+                    doc.addImage(chart.image, 'PNG', x, top + 7, chartWidth, chartHeight);
+                });
+                writer.y = top + chartHeight + 14;
+            }
+        },
+
+        // 카테고리별 목표
+        async drawGoals(writer, goals, sections) {
+            const entries = Object.entries(CONFIG.CATEGORIES)
+                .map(([key, info]) => [info, goals.filter(goal => (CONFIG.CATEGORIES[goal.category] ? goal.category : 'other') === key)])
+                .filter(([, inCategory]) => inCategory.length > 0);
+
+            if (entries.length === 0) {
+                writer.heading('목표');
+                writer.text('아직 등록된 목표가 없습니다.', { color: this.COLORS.muted });
+                return;
+            }
+
+            for (const [info, inCategory] of entries) {
+                const done = inCategory.filter(goal => goal.completed).length;
+                writer.heading(`${info.name}  ${done}/${inCategory.length}`);
+                for (const goal of inCategory) {
+                    await this.drawGoal(writer, goal, sections);
+                }
+                writer.gap(4);
+            }
+        },
+
+        async drawGoal(writer, goal, sections) {
+            const { doc, margin } = writer;
+            const indent = 7;
+
+            writer.ensure(12);
+            writer.checkbox(margin, writer.y + 0.8, 4, goal.completed);
+            writer.text(goal.text, { size: 11, style: 'bold', indent });
+
+            const tasks = goal.tasks || [];
+            const meta = [];
+            if (goal.completedAt) meta.push(`완료 ${Utils.formatDate(goal.completedAt)}`);
+            if (goal.targetDate) meta.push(`목표일 ${Utils.formatDate(goal.targetDate)}`);
+            if (goal.recurring?.rule) meta.push(`반복 ${Recurrence.describe(goal.recurring.rule)}`);
+            if (tasks.length > 0) meta.push(`세부 계획 ${tasks.filter(task => task.completed).length}/${tasks.length}`);
+            if (goal.completionEmotion && CONFIG.EMOTIONS[goal.completionEmotion]) {
+                meta.push(`감정 ${CONFIG.EMOTIONS[goal.completionEmotion].name}`);
+            }
+            if (meta.length) writer.text(meta.join(' · '), { size: 8, color: this.COLORS.muted, indent });
+            if (goal.completionNote) writer.text(`"${goal.completionNote}"`, { size: 9, color: '#3A3A3C', indent });
+
+            if (sections.tasks && tasks.length > 0) {
+                writer.gap(1);
+                tasks.forEach(task => {
+                    const lineHeight = writer.lineHeight(9);
+                    writer.ensure(lineHeight);
+                    writer.checkbox(margin + indent + 1, writer.y + 0.9, 2.8, task.completed);
+                    writer.text(task.text, { size: 9, indent: indent + 6, color: task.completed ? this.COLORS.muted : this.COLORS.text });
+                });
+            }
+
+            if (sections.milestones && (goal.milestones || []).length > 0) {
+                writer.gap(1);
+                this.drawMilestones(writer, goal.milestones, indent + 1);
+            }
+
+            if (sections.photos && goal.completionImage) {
+                const photo = await this.loadPhoto(goal.completionImage);
+                if (photo) {
+                    const photoWidth = Math.min(60, writer.contentWidth - indent);
+                    const photoHeight = photoWidth * photo.height / photo.width;
+                    writer.gap(2);
+                    writer.ensure(photoHeight);
+                    doc.addImage(photo.data, 'JPEG', margin + indent, writer.y, photoWidth, photoHeight);
+                    writer.gap(photoHeight);
+                }
+            }
+
+            writer.gap(4);
+        },
+
+        // 마일스톤 타임라인 (날짜순 세로 선 + 점)
+        drawMilestones(writer, milestones, indent) {
+            const { doc, margin } = writer;
+            const sorted = [...milestones].sort((a, b) => (a.targetDate || '9999').localeCompare(b.targetDate || '9999'));
+            const x = margin + indent + 1.4;
+            const step = writer.lineHeight(9);
+
+            sorted.forEach((milestone, i) => {
+                writer.ensure(step);
+                const center = writer.y + step / 2;
+                if (i < sorted.length - 1) {
+                    doc.setDrawColor(this.COLORS.line);
+                    doc.setLineWidth(0.5);
+                    doc.line(x, center, x, center + step);
+                }
+                doc.setDrawColor(milestone.achieved ? this.COLORS.done : this.COLORS.accent);
+                doc.setFillColor(milestone.achieved ? this.COLORS.done : '#FFFFFF');
+                doc.setLineWidth(0.4);
+                doc.circle(x, center, 1.2, 'FD');
+
+                const date = milestone.targetDate ? Utils.formatShortDate(milestone.targetDate) : '날짜 없음';
+                writer.text(`${date}  ${milestone.title}${milestone.achieved ? ' (달성)' : ''}`, {
+                    size: 9,
+                    indent: indent + 5,
+                    color: milestone.achieved ? this.COLORS.muted : this.COLORS.text
+                });
+            });
+        },
+
+        // 감정 여정 요약 (감정별 횟수 막대 + 평균 + 최근 기록)
+        drawJourney(writer, goals) {
+            const { doc, margin, contentWidth } = writer;
+            const entries = goals
+                .flatMap(goal => (goal.emotionalJourney || []).map(entry => ({ ...entry, goal })))
+                .sort((a, b) => new Date(b.date) - new Date(a.date));
+            const counts = Object.fromEntries(Object.keys(CONFIG.EMOTIONS).map(key => [key, 0]));
+            entries.forEach(entry => {
+                if (counts[entry.emotion] !== undefined) counts[entry.emotion]++;
+            });
+            goals.forEach(goal => {
+                if (goal.completed && counts[goal.completionEmotion] !== undefined) counts[goal.completionEmotion]++;
+            });
+
+            writer.heading('감정 여정');
+            const max = Math.max(...Object.values(counts));
+            if (max === 0) {
+                writer.text('아직 기록된 감정이 없습니다.', { color: this.COLORS.muted });
+                return;
+            }
+
+            Object.entries(counts).forEach(([key, count]) => {
+                writer.ensure(7);
+                const y = writer.y;
+                writer.setFont(10);
+                doc.text(CONFIG.EMOTIONS[key].name, margin, y + 4);
+                doc.setFillColor(this.COLORS.line);
+                doc.rect(margin + 22, y + 1.5, contentWidth - 40, 3, 'F');
+                if (count > 0) {
+                    doc.setFillColor(this.COLORS.accent);
+                    doc.rect(margin + 22, y + 1.5, (contentWidth - 40) * count / max, 3, 'F');
+                }
+                writer.setFont(9, 'normal', this.COLORS.muted);
+                doc.text(`${count}회`, margin + contentWidth, y + 4, { align: 'right' });
+                writer.gap(7);
+            });
+
+            const average = field => {
+                const values = entries.map(entry => Number(entry[field])).filter(value => !isNaN(value) && value > 0);
+                return values.length ? (values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(1) : null;
+            };
+            const motivation = average('motivation');
+            const energy = average('energy');
+            if (motivation || energy) {
+                writer.gap(2);
+                writer.text([motivation && `평균 동기 ${motivation}`, energy && `평균 에너지 ${energy}`].filter(Boolean).join(' · '), { size: 10 });
+            }
+
+            if (entries.length > 0) {
+                writer.gap(4);
+                writer.text('최근 기록', { size: 12, style: 'bold' });
+                writer.gap(1);
+                entries.slice(0, 10).forEach(entry => {
+                    const emotion = CONFIG.EMOTIONS[entry.emotion]?.name || '';
+                    writer.text(`${Utils.formatShortDate(entry.date)}  ${entry.goal.text} — ${emotion}`, { size: 9, style: 'bold' });
+                    if (entry.note) writer.text(entry.note, { size: 9, color: '#3A3A3C', indent: 4 });
+                    writer.gap(1.5);
+                });
+            }
+        },
+
+        // 쪽 번호 (표지 제외)
+        drawFooters(writer, profileName) {
+            const { doc, margin, width, height } = writer;
+            const total = doc.internal.getNumberOfPages();
+            for (let page = 1; page <= total; page++) {
+                doc.setPage(page);
+                writer.setFont(8, 'normal', this.COLORS.muted);
+                doc.text(this.plain(`${profileName}님의 버킷리스트`), margin, height - 8);
+                doc.text(`${page} / ${total}`, width - margin, height - 8, { align: 'right' });
+            }
+        },
+
+        // 완료 사진 → JPEG data URL (큰 사진은 줄임)
+        async loadPhoto(ref) {
+            try {
+                const blob = await AttachmentStore.getBlob(ref);
+                if (!blob) return null;
+
+                const url = URL.createObjectURL(blob);
+                try {
+                    const image = await new Promise((resolve, reject) => {
+                        const img = new Image();
+                        img.onload = () => resolve(img);
+                        img.onerror = reject;
+                        img.src = url;
+                    });
+                    const scale = Math.min(1, 1000 / image.width);
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(image.width * scale);
+                    canvas.height = Math.round(image.height * scale);
+                    const ctx = canvas.getContext('2d');
+                    ctx.fillStyle = '#FFFFFF';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+                    return { data: canvas.toDataURL('image/jpeg', 0.85), width: canvas.width, height: canvas.height };
+                } finally {
+                    URL.revokeObjectURL(url);
+                }
+            } catch (err) {
+                console.error('PDF photo error:', err);
+                return null;
+            }
+        },
+
+        // ===== 공유 카드 =====
+        CARD_THEMES: {
+            ocean: { name: '오션', colors: ['#007AFF', '#5856D6'], text: '#FFFFFF', accent: '#FFFFFF', pattern: 'rgba(255, 255, 255, 0.1)' },
+            sunset: { name: '선셋', colors: ['#FF9500', '#FF2D55'], text: '#FFFFFF', accent: '#FFFFFF', pattern: 'rgba(255, 255, 255, 0.12)' },
+            forest: { name: '포레스트', colors: ['#34C759', '#0B7A5B'], text: '#FFFFFF', accent: '#FFFFFF', pattern: 'rgba(255, 255, 255, 0.1)' },
+            night: { name: '나이트', colors: ['#1C1C1E', '#3A3A5C'], text: '#FFFFFF', accent: '#FFD60A', pattern: 'rgba(255, 214, 10, 0.08)' },
+            paper: { name: '페이퍼', colors: ['#FFFDF7', '#F2EDE4'], text: '#1C1C1E', accent: '#007AFF', pattern: 'rgba(0, 122, 255, 0.06)' }
+        },
+        CARD_FORMATS: {
+            square: { name: '정사각형 1:1', width: 1080, height: 1080 },
+            feed: { name: '피드 4:5', width: 1080, height: 1350 },
+            story: { name: '스토리 9:16', width: 1080, height: 1920 }
+        },
+        CARD_FONT: "-apple-system, BlinkMacSystemFont, 'Noto Sans KR', sans-serif",
+
+        // 옵션 기본값 채우기
+        cardOptions(options = {}) {
+            return {
+                theme: this.CARD_THEMES[options.theme] ? options.theme : 'ocean',
+                format: this.CARD_FORMATS[options.format] ? options.format : 'square',
+                photo: options.photo !== false
+            };
+        },
+
+        // 문자열 → 고정 난수열 (같은 목표는 항상 같은 무늬)
+        seededRandom(seed) {
+            let h = 2166136261;
+            for (const ch of String(seed)) {
+                h = Math.imul(h ^ ch.codePointAt(0), 16777619);
+            }
+            return () => {
+                h = Math.imul(h ^ (h >>> 15), 2246822507);
+                h = Math.imul(h ^ (h >>> 13), 3266489909);
+                h ^= h >>> 16;
+                return (h >>> 0) / 4294967296;
+            };
+        },
+
+        loadImage(src) {
+            return new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = reject;
+                img.src = src;
+            });
+        },
+
+        // 캔버스 + 배경 (그라데이션, 무늬, 사진)
+        async createCard(options, seed, photoRef) {
+            const theme = this.CARD_THEMES[options.theme];
+            const { width, height } = this.CARD_FORMATS[options.format];
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+
+            const gradient = ctx.createLinearGradient(0, 0, width, height);
+            gradient.addColorStop(0, theme.colors[0]);
+            gradient.addColorStop(1, theme.colors[1]);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+
+            const photo = options.photo && photoRef ? await this.loadPhoto(photoRef) : null;
+            if (photo) {
+                // cover 맞춤 후 글자가 읽히도록 어둡게
+                const image = await this.loadImage(photo.data);
+                const scale = Math.max(width / image.width, height / image.height);
+                const w = image.width * scale;
+                const h = image.height * scale;
+                ctx.drawImage(image, (width - w) / 2, (height - h) / 2, w, h);
+                const shade = ctx.createLinearGradient(0, 0, 0, height);
+                shade.addColorStop(0, 'rgba(0, 0, 0, 0.25)');
+                shade.addColorStop(1, 'rgba(0, 0, 0, 0.65)');
+                ctx.fillStyle = shade;
+                ctx.fillRect(0, 0, width, height);
+            } else {
+                const random = this.seededRandom(seed);
+                ctx.fillStyle = theme.pattern;
+                for (let i = 0; i < 20; i++) {
+                    ctx.beginPath();
+                    ctx.arc(random() * width, random() * height, random() * 60 + 15, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+            }
+
+            return {
+                canvas, ctx, width, height,
+                // 사진 위에서는 테마와 상관없이 흰 글씨
+                text: photo ? '#FFFFFF' : theme.text,
+                accent: photo ? '#FFFFFF' : theme.accent
+            };
+        },
+
+        // 폭에 맞춰 줄바꿈 (띄어쓰기 없는 긴 단어는 글자 단위로 자름)
+        wrapText(ctx, text, maxWidth, maxLines = 4) {
+            const lines = [];
+            let line = '';
+            for (const word of String(text).split(/\s+/).filter(Boolean)) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (ctx.measureText(candidate).width <= maxWidth) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) lines.push(line);
+                line = '';
+                for (const ch of word) {
+                    if (ctx.measureText(line + ch).width > maxWidth && line) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += ch;
+                }
+            }
+            if (line) lines.push(line);
+
+            if (lines.length > maxLines) {
+                lines.length = maxLines;
+                lines[maxLines - 1] = lines[maxLines - 1].replace(/.$/u, '…');
+            }
+            return lines;
+        },
+
+        // 여러 줄 텍스트 그리기 → 다음 y 반환
+        drawLines(card, text, y, { size, weight = 'normal', style = '', color, maxLines, lineHeight = 1.35 }) {
+            const { ctx, width } = card;
+            ctx.font = `${style} ${weight} ${size}px ${this.CARD_FONT}`.trim();
+            ctx.fillStyle = color || card.text;
+            const lines = this.wrapText(ctx, text, width * 0.8, maxLines);
+            lines.forEach((line, index) => {
+                ctx.fillText(line, width / 2, y + index * size * lineHeight);
+            });
+            return y + lines.length * size * lineHeight;
+        },
+
+        // 하단 이름 + 브랜딩
+        drawCardFooter(card, profileName) {
+            const { ctx, width, height } = card;
+            ctx.globalAlpha = 0.8;
+            ctx.font = `32px ${this.CARD_FONT}`;
+            ctx.fillStyle = card.text;
+            ctx.fillText(`- ${profileName} -`, width / 2, height - 130);
+            ctx.globalAlpha = 0.6;
+            ctx.font = `28px ${this.CARD_FONT}`;
+            ctx.fillText('Made with 🤍 by 버킷드림', width / 2, height - 70);
+            ctx.globalAlpha = 1;
+        },
+
+        // 달성 카드 생성 (Canvas API 사용)
+        async generateAchievementCard(goal, profileName, options = {}) {
+            options = this.cardOptions(options);
+            const card = await this.createCard(options, goal.id, goal.completionImage);
+            const { ctx, width, height } = card;
+            const emotion = CONFIG.EMOTIONS[goal.completionEmotion];
+            const category = CONFIG.CATEGORIES[goal.category];
+
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'alphabetic';
+
+            // 세로가 긴 카드는 내용을 가운데로 모음
+            let y = height * (options.format === 'square' ? 0.16 : 0.24);
+            y = this.drawLines(card, '🎉 목표 달성!', y, { size: 72, weight: 'bold', color: card.accent });
+
+            if (emotion) {
+                ctx.font = `140px ${this.CARD_FONT}`;
+                ctx.fillText(emotion.emoji, width / 2, y + 150);
+                y += 190;
+                y = this.drawLines(card, emotion.name, y, { size: 32 });
+            }
+
+            const compact = options.format === 'square';
+            y = this.drawLines(card, goal.text, y + 60, { size: 56, weight: 'bold', maxLines: compact ? 3 : 4 });
+            const completedLine = `달성일: ${Utils.formatDate(goal.completedAt)}`;
+            y = this.drawLines(card, category ? `${category.icon} ${category.name} · ${completedLine}` : completedLine, y + 30, { size: 34 });
+
+            if (goal.completionNote) {
+                this.drawLines(card, `"${goal.completionNote}"`, y + 40, { size: 32, style: 'italic', maxLines: compact ? 2 : (options.format === 'story' ? 6 : 3) });
+            }
+
+            this.drawCardFooter(card, profileName);
+            return card.canvas.toDataURL('image/png', 0.9);
+        },
+
+        // 통계 카드 생성
+        async generateStatsCard(profileName, stats, options = {}) {
+            options = this.cardOptions({ ...options, photo: false });
+            const card = await this.createCard(options, profileName);
+            const { ctx, width, height } = card;
+
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'alphabetic';
+
+            let y = height * (options.format === 'square' ? 0.11 : 0.16);
+            y = this.drawLines(card, '📊 나의 버킷리스트', y, { size: 64, weight: 'bold', color: card.accent });
+            y = this.drawLines(card, `${stats.total}개 중 ${stats.completed}개 완료 · ${stats.percentage}%`, y + 20, { size: 40 });
+
+            // 전체 진행률 바
+            const barX = width * 0.1;
+            const barWidth = width * 0.8;
+            this.drawBar(card, barX, y + 10, barWidth, 28, stats.percentage / 100);
+            y += 110;
+
+            // 카테고리별 현황 (목표가 있는 카테고리만)
+            const categories = Object.entries(stats.byCategory || {}).filter(([, c]) => c.total > 0);
+            if (categories.length > 0) {
+                y = this.drawLines(card, '카테고리별 현황', y, { size: 36, weight: 'bold' });
+                const rowHeight = Math.min(110, (height - 260 - y) / categories.length);
+                const fontSize = Math.round(Math.min(32, rowHeight * 0.4));
+
+                categories.forEach(([key, counts], index) => {
+                    const category = CONFIG.CATEGORIES[key] || { icon: '📌', name: key };
+                    const rowY = y + 20 + index * rowHeight;
+                    ctx.font = `${fontSize}px ${this.CARD_FONT}`;
+                    ctx.fillStyle = card.text;
+                    ctx.textAlign = 'left';
+                    ctx.fillText(`${category.icon} ${category.name}`, barX, rowY + fontSize);
+                    ctx.textAlign = 'right';
+                    ctx.fillText(`${counts.completed}/${counts.total}`, barX + barWidth, rowY + fontSize);
+                    this.drawBar(card, barX, rowY + fontSize + 14, barWidth, Math.max(8, rowHeight * 0.16), counts.completed / counts.total);
+                });
+                ctx.textAlign = 'center';
+            }
+
+            this.drawCardFooter(card, profileName);
+            return card.canvas.toDataURL('image/png', 0.9);
+        },
+
+        // 가족 도전 결과 카드 (board: Challenges.leaderboard 결과)
+        async generateChallengeCard(challenge, board, options = {}) {
+            options = this.cardOptions({ ...options, photo: false });
+            const card = await this.createCard(options, challenge.id);
+            const { ctx, width, height } = card;
+            const type = Challenges.TYPES[challenge.type];
+            const medals = ['🥇', '🥈', '🥉'];
+
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'alphabetic';
+
+            let y = height * (options.format === 'square' ? 0.11 : 0.16);
+            y = this.drawLines(card, '🏁 가족 도전 결과', y, { size: 56, weight: 'bold', color: card.accent });
+            y = this.drawLines(card, challenge.title, y + 10, { size: 48, weight: 'bold', maxLines: 2 });
+            y = this.drawLines(
+                card,
+                `${Utils.formatShortDate(challenge.startDate)} ~ ${Utils.formatShortDate(challenge.endDate)} · ${type.name} ${challenge.target}${type.unit}`,
+                y,
+                { size: 30 }
+            );
+
+            // 순위 (바 + 기록)
+            const barX = width * 0.1;
+            const barWidth = width * 0.8;
+            const rows = board.slice(0, 6);
+            const rowHeight = Math.min(130, (height - 260 - y - 40) / Math.max(rows.length, 1));
+            const fontSize = Math.round(Math.min(38, rowHeight * 0.36));
+
+            rows.forEach((row, index) => {
+                const rowY = y + 40 + index * rowHeight;
+                ctx.font = `${row.rank === 1 ? 'bold ' : ''}${fontSize}px ${this.CARD_FONT}`;
+                ctx.fillStyle = card.text;
+                ctx.textAlign = 'left';
+                ctx.fillText(`${medals[row.rank - 1] || `${row.rank}위`} ${row.profile.name}`, barX, rowY + fontSize);
+                ctx.textAlign = 'right';
+                ctx.fillText(`${row.value}${type.unit}${row.reached ? ' ✅' : ''}`, barX + barWidth, rowY + fontSize);
+                this.drawBar(card, barX, rowY + fontSize + 14, barWidth, Math.max(8, rowHeight * 0.14), row.ratio / 100);
+            });
+            ctx.textAlign = 'center';
+
+            this.drawCardFooter(card, '우리 가족');
+            return card.canvas.toDataURL('image/png', 0.9);
+        },
+
+        // 둥근 진행률 바
+        drawBar(card, x, y, width, height, ratio) {
+            const { ctx } = card;
+            const radius = height / 2;
+            const path = (w) => {
+                ctx.beginPath();
+                ctx.moveTo(x + radius, y);
+                ctx.arcTo(x + w, y, x + w, y + height, radius);
+                ctx.arcTo(x + w, y + height, x, y + height, radius);
+                ctx.arcTo(x, y + height, x, y, radius);
+                ctx.arcTo(x, y, x + w, y, radius);
+                ctx.closePath();
+                ctx.fill();
+            };
+
+            ctx.globalAlpha = 0.3;
+            ctx.fillStyle = card.text;
+            path(width);
+            ctx.globalAlpha = 1;
+            if (ratio > 0) {
+                ctx.fillStyle = card.accent;
+                path(Math.max(height, width * Math.min(1, ratio)));
+            }
+        }
+    };
+
+    // ========================================
+    // 8. 차트 관리자 (Chart Manager)
+    // ========================================
+    const ChartManager = {
+        charts: {},
+
+        // 차트 초기화
+        initCharts() {
+            if (typeof Chart === 'undefined') {
+                console.warn('Chart.js가 로드되지 않았습니다.');
+                return;
+            }
+
+            // 기본 설정
+            Chart.defaults.font.family = "'Noto Sans KR', sans-serif";
+            Chart.defaults.color = '#333';
+        },
+
+        // 달성률 차트
+        createAchievementChart(canvasId, stats) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+            
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'doughnut',
+                data: {
+                    labels: ['완료', '진행중'],
+                    datasets: [{
+                        data: [stats.completed, stats.total - stats.completed],
+                        backgroundColor: ['#4facfe', '#e0e0e0'],
+                        borderWidth: 0
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            position: 'bottom'
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    const label = context.label || '';
+                                    const value = context.parsed || 0;
+                                    const total = context.dataset.data.reduce((a, b) => a + b, 0);
+                                    const percentage = ((value / total) * 100).toFixed(1);
+                                    return `${label}: ${value}개 (${percentage}%)`;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        },
+
+        // 카테고리 분포 차트
+        createCategoryChart(canvasId, categoryStats) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+            
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            const categories = Object.keys(categoryStats);
+            const data = categories.map(cat => categoryStats[cat].total);
+            const colors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40'];
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'pie',
+                data: {
+                    labels: categories.map(cat => CONFIG.CATEGORIES[cat]?.name || cat),
+                    datasets: [{
+                        data: data,
+                        backgroundColor: colors,
+                        borderWidth: 2,
+                        borderColor: '#fff'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            position: 'right'
+                        }
+                    }
+                }
+            });
+        },
+
+        // 감정 패턴 차트
+        createEmotionChart(canvasId, emotionData) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+            
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'radar',
+                data: {
+                    labels: Object.values(CONFIG.EMOTIONS).map(e => e.name),
+                    datasets: [{
+                        label: '감정 빈도',
+                        data: emotionData,
+                        backgroundColor: 'rgba(79, 172, 254, 0.2)',
+                        borderColor: 'rgba(79, 172, 254, 1)',
+                        borderWidth: 2,
+                        pointBackgroundColor: 'rgba(79, 172, 254, 1)',
+                        pointBorderColor: '#fff',
+                        pointHoverBackgroundColor: '#fff',
+                        pointHoverBorderColor: 'rgba(79, 172, 254, 1)'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        r: {
+                            beginAtZero: true,
+                            max: 10,
+                            ticks: { display: false },
+                            grid: { color: 'rgba(0, 0, 0, 0.1)' }
+                        }
+                    },
+                    plugins: {
+                        legend: { display: false }
+                    }
+                }
+            });
+        },
+
+        // 목표별 감정 여정 (동기·에너지 추이 + 감정 표시 + 세부 계획 완료)
+        createJourneyChart(canvasId, points) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            // 동기 점 위에 감정 이모지
+            const emotionMarkers = {
+                id: 'emotionMarkers',
+                afterDatasetsDraw(chart) {
+                    const meta = chart.getDatasetMeta(0);
+                    chart.ctx.save();
+                    chart.ctx.font = '16px sans-serif';
+                    chart.ctx.textAlign = 'center';
+                    meta.data.forEach((point, index) => {
+                        const emoji = CONFIG.EMOTIONS[points[index].emotion]?.emoji;
+                        if (emoji) chart.ctx.fillText(emoji, point.x, point.y - 12);
+                    });
+                    chart.ctx.restore();
+                }
+            };
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: points.map(point => Utils.formatShortDate(point.date)),
+                    datasets: [
+                        {
+                            label: '동기',
+                            data: points.map(point => point.motivation ?? null),
+                            borderColor: '#007AFF',
+                            backgroundColor: '#007AFF',
+                            tension: 0.3,
+                            yAxisID: 'y'
+                        },
+                        {
+                            label: '에너지',
+                            data: points.map(point => point.energy ?? null),
+                            borderColor: '#FF9500',
+                            backgroundColor: '#FF9500',
+                            borderDash: [6, 4],
+                            tension: 0.3,
+                            yAxisID: 'y'
+                        },
+                        {
+                            type: 'bar',
+                            label: '완료한 세부 계획',
+                            data: points.map(point => point.tasksSince),
+                            backgroundColor: 'rgba(52, 199, 89, 0.35)',
+                            yAxisID: 'tasks'
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    layout: { padding: { top: 20 } },
+                    scales: {
+                        y: { min: 0, max: 10, ticks: { stepSize: 2 } },
+                        tasks: {
+                            position: 'right',
+                            beginAtZero: true,
+                            ticks: { precision: 0 },
+                            grid: { drawOnChartArea: false }
+                        }
+                    },
+                    plugins: {
+                        legend: { position: 'bottom' },
+                        tooltip: {
+                            callbacks: {
+                                title: (items) => {
+                                    const point = points[items[0].dataIndex];
+                                    const emotion = CONFIG.EMOTIONS[point.emotion];
+                                    return `${Utils.formatDate(point.date)}${emotion ? ` ${emotion.emoji} ${emotion.name}` : ''}`;
+                                },
+                                afterBody: (items) => points[items[0].dataIndex].note || ''
+                            }
+                        }
+                    }
+                },
+                plugins: [emotionMarkers]
+            });
+        },
+
+        // 시간 패턴 차트
+        createTimePatternChart(canvasId, timeData) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+            
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: timeData.labels,
+                    datasets: [{
+                        label: '월별 달성 목표',
+                        data: timeData.values,
+                        borderColor: '#4facfe',
+                        backgroundColor: 'rgba(79, 172, 254, 0.1)',
+                        tension: 0.4,
+                        fill: true
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: false }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            ticks: {
+                                stepSize: 1
+                            }
+                        }
+                    }
+                }
+            });
+        },
+
+        // 카테고리별 달성률 레이더 (여정 & 인사이트)
+        createCategoryRadarChart(canvasId, byCategory) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            const categories = Object.keys(byCategory);
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'radar',
+                data: {
+                    labels: categories.map(cat => `${CONFIG.CATEGORIES[cat].icon} ${CONFIG.CATEGORIES[cat].name}`),
+                    datasets: [{
+                        label: '달성률',
+                        data: categories.map(cat =>
+                            Utils.calculatePercentage(byCategory[cat].completed, byCategory[cat].total)
+                        ),
+                        backgroundColor: 'rgba(79, 172, 254, 0.2)',
+                        borderColor: 'rgba(79, 172, 254, 1)',
+                        borderWidth: 2,
+                        pointBackgroundColor: 'rgba(79, 172, 254, 1)'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        r: {
+                            beginAtZero: true,
+                            max: 100,
+                            ticks: { display: false },
+                            grid: { color: 'rgba(0, 0, 0, 0.1)' }
+                        }
+                    },
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                label: (context) => {
+                                    const counts = byCategory[categories[context.dataIndex]];
+                                    return `${context.parsed.r}% (${counts.total}개 중 ${counts.completed}개)`;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        },
+
+        // 감정 분포 도넛 (counts: { 감정 키: 횟수 })
+        createEmotionPieChart(canvasId, counts) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            const emotions = Object.keys(counts);
+            const colors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#C9CBCF', '#7BC67B', '#E67E9F'];
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'doughnut',
+                data: {
+                    labels: emotions.map(key => `${CONFIG.EMOTIONS[key].emoji} ${CONFIG.EMOTIONS[key].name}`),
+                    datasets: [{
+                        data: emotions.map(key => counts[key]),
+                        backgroundColor: emotions.map(key => colors[Object.keys(CONFIG.EMOTIONS).indexOf(key) % colors.length]),
+                        borderWidth: 2,
+                        borderColor: '#fff'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { position: 'right' }
+                    }
+                }
+            });
+        },
+
+        // 기간별 평균 동기 (기록이 없는 구간은 건너뛰고 이어 그림)
+        createMotivationLineChart(canvasId, motivation) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: motivation.labels,
+                    datasets: [{
+                        label: '평균 동기',
+                        data: motivation.values,
+                        borderColor: '#f5576c',
+                        backgroundColor: 'rgba(245, 87, 108, 0.1)',
+                        tension: 0.3,
+                        fill: true,
+                        spanGaps: true
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: false }
+                    },
+                    scales: {
+                        y: { min: 0, max: 10, ticks: { stepSize: 2 } }
+                    }
+                }
+            });
+        },
+
+        // 기간별 목표 달성·세부 계획 완료 추이
+        createTrendChart(canvasId, trend) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: trend.labels,
+                    datasets: [
+                        {
+                            label: '달성한 목표',
+                            data: trend.goals,
+                            backgroundColor: '#4facfe'
+                        },
+                        {
+                            label: '완료한 세부 계획',
+                            data: trend.tasks,
+                            backgroundColor: 'rgba(79, 172, 254, 0.3)'
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { position: 'bottom' }
+                    },
+                    scales: {
+                        y: { beginAtZero: true, ticks: { stepSize: 1 } }
+                    }
+                }
+            });
+        },
+
+        // 태그별 목표 (달성 + 진행 중 누적 막대, 툴팁에 세부 계획)
+        createTagChart(canvasId, tagData) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: tagData.labels,
+                    datasets: [
+                        {
+                            label: '달성한 목표',
+                            data: tagData.completed,
+                            backgroundColor: tagData.colors
+                        },
+                        {
+                            label: '진행 중인 목표',
+                            data: tagData.active,
+                            backgroundColor: tagData.colors.map(color => `${color}55`)
+                        }
+                    ]
+                },
+                options: {
+                    indexAxis: 'y',
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { position: 'bottom' },
+                        tooltip: {
+                            callbacks: {
+                                footer: (items) => {
+                                    const index = items[0]?.dataIndex;
+                                    return tagData.tasks[index] > 0
+                                        ? `세부 계획 ${tagData.tasks[index]}개 중 ${tagData.tasksDone[index]}개 완료`
+                                        : '';
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        x: { stacked: true, beginAtZero: true, ticks: { stepSize: 1 } },
+                        y: { stacked: true }
+                    }
+                }
+            });
+        },
+
+        // 누적 달성 + 예측선
+        createForecastChart(canvasId, forecast) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+
+            // 기존 차트 제거
+            if (this.charts[canvasId]) {
+                this.charts[canvasId].destroy();
+            }
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: forecast.labels,
+                    datasets: [
+                        {
+                            label: '누적 달성',
+                            data: forecast.actual,
+                            borderColor: '#4facfe',
+                            backgroundColor: 'rgba(79, 172, 254, 0.1)',
+                            tension: 0.3,
+                            fill: true
+                        },
+                        {
+                            label: '예상',
+                            data: forecast.projected,
+                            borderColor: '#4facfe',
+                            borderDash: [6, 4],
+                            pointRadius: 0,
+                            tension: 0.3,
+                            spanGaps: false
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { position: 'bottom' }
+                    },
+                    scales: {
+                        y: { beginAtZero: true, suggestedMax: forecast.total, ticks: { stepSize: 1 } }
+                    }
+                }
+            });
+        },
+
+        // 화면 밖 캔버스에 차트를 그려 PNG data URL로 (PDF 리포트용)
+        // create: 위의 create*Chart 메서드 중 하나
+        toImage(create, data, width = 640, height = 480) {
+            if (typeof Chart === 'undefined') return null;
+
+            const container = document.createElement('div');
+            container.style.cssText = `position: fixed; left: -10000px; top: 0; width: ${width}px; height: ${height}px;`;
+            const canvas = document.createElement('canvas');
+            canvas.id = `chart-export-${Utils.generateId()}`;
+            container.appendChild(canvas);
+            document.body.appendChild(container);
+
+            // 애니메이션 중간 프레임이 찍히지 않도록 잠시 끔
+            const animation = Chart.defaults.animation;
+            Chart.defaults.animation = false;
+            try {
+                create.call(this, canvas.id, data);
+                return this.charts[canvas.id]?.toBase64Image('image/png', 1) || null;
+            } finally {
+                Chart.defaults.animation = animation;
+                this.charts[canvas.id]?.destroy();
+                delete this.charts[canvas.id];
+                container.remove();
+            }
+        },
+
+        // 차트 하나 제거 (모달을 닫을 때)
+        destroyChart(canvasId) {
+            this.charts[canvasId]?.destroy();
+            delete this.charts[canvasId];
+        },
+
+        // 모든 차트 제거
+        destroyAllCharts() {
+            Object.values(this.charts).forEach(chart => {
+                if (chart) chart.destroy();
+            });
+            this.charts = {};
+        }
+    };
+
+    // ========================================
+    // 9. 뷰 렌더링 (View Rendering)
+    // ========================================
+    const View = {
+        // DOM 요소 캐시
+        elements: {},
+
+        // DOM 요소 초기화
+        initElements() {
+            this.elements = {
+                // 프로필 관련
+                profileSelector: document.getElementById('profileSelector'),
+                currentUserName: document.getElementById('currentUserName'),
+                
+                // 탭 관련
+                tabButtons: document.querySelectorAll('.nav-tab'),
+                tabContents: document.querySelectorAll('.tab-content'),
+                
+                // 목표 관련
+                goalInput: document.getElementById('goalInput'),
+                categorySelect: document.getElementById('categorySelect'),
+                bucketList: document.getElementById('bucketList'),
+                filterButtons: document.querySelectorAll('.filter-btn'),
+                
+                // 통계
+                totalCount: document.getElementById('totalCount'),
+                completedCount: document.getElementById('completedCount'),
+                progressPercent: document.getElementById('progressPercent'),
+                motivationIndex: document.getElementById('motivationIndex'),
+                
+                // 검색
+                searchInput: document.getElementById('searchInput'),
+                
+                // 정렬
+                sortSelect: document.getElementById('sortSelect'),
+                
+                // 모달
+                modals: document.querySelectorAll('.modal'),
+                
+                // 추천
+                recommendationCards: document.getElementById('recommendationCards'),
+                
+                // 갤러리
+                galleryGrid: document.getElementById('galleryGrid'),
+                
+                // 여정
+                achievementTimeline: document.getElementById('achievementTimeline'),
+                categoryProgressGrid: document.getElementById('categoryProgressGrid')
+            };
+        },
+
+        // 프로필 선택자 렌더링
+        renderProfileSelector(profiles = []) {
+            const container = document.getElementById('profileOptions');
+            if (!container) return;
+
+            // 프로필이 없어도 버튼은 표시
+            container.innerHTML = profiles.map(profile => {
+                const stats = this.calculateProfileStats(profile);
+                const unread = Encouragement.unreadCount(profile.id);
+                return `
+                    <div class="profile-card ${Vault.hasLock(profile) ? 'locked' : ''}" data-profile-id="${profile.id}">
+                        ${Vault.hasLock(profile) ? '<div class="profile-lock" title="PIN으로 잠긴 프로필" aria-label="잠긴 프로필">🔒</div>' : ''}
+                        ${unread > 0 ? `<div class="profile-unread" title="읽지 않은 응원" aria-label="읽지 않은 응원 ${unread}개">💌 ${unread}</div>` : ''}
+                        <div class="profile-name">${Utils.escapeHtml(profile.name)}</div>
+                        <div class="profile-stats">
+                            ${Vault.isSealed(profile) ? 'PIN을 입력해 열기' : `${stats.total} 목표 · ${stats.completed} 완료`}
+                        </div>
+                        <div class="profile-last-active">
+                            ${Utils.getRelativeTime(profile.lastActive)}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            // 새 프로필 추가 버튼
+            container.innerHTML += `
+                <div class="profile-card add-profile" id="addProfileBtn">
+                    <div class="profile-icon">➕</div>
+                    <div class="profile-name">새 사용자</div>
+                </div>
+            `;
+
+            // 게스트 모드 버튼
+            container.innerHTML += `
+                <div class="profile-card guest-profile" id="guestModeBtn">
+                    <div class="profile-icon">👤</div>
+                    <div class="profile-name">게스트 모드</div>
+                    <div class="profile-note">데이터가 저장되지 않습니다</div>
+                </div>
+            `;
+        },
+
+        // 프로필 통계 계산
+        calculateProfileStats(profile) {
+            const bucketList = profile.bucketList || [];
+            return {
+                total: bucketList.length,
+                completed: bucketList.filter(g => g.completed).length
+            };
+        },
+
+        // 통계 업데이트
+        updateStats(stats) {
+            if (this.elements.totalCount) {
+                this.elements.totalCount.textContent = stats.total;
+            }
+            if (this.elements.completedCount) {
+                this.elements.completedCount.textContent = stats.completed;
+            }
+            if (this.elements.progressPercent) {
+                this.elements.progressPercent.textContent = stats.percentage + '%';
+            }
+            if (this.elements.motivationIndex) {
+                this.elements.motivationIndex.textContent = stats.motivationIndex || '5.0';
+            }
+        },
+
+        // 버킷리스트 렌더링
+        renderBucketList(goals) {
+            const container = this.elements.bucketList;
+            if (!container) return;
+
+            if (goals.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <h3>아직 목표가 없습니다</h3>
+                        <p>첫 번째 버킷리스트를 추가해보세요!</p>
+                    </div>
+                `;
+                return;
+            }
+
+            const encouragements = Encouragement.summaries(DataModel.state.currentProfile?.id);
+            container.innerHTML = goals.map(goal => this.createGoalElement(goal, encouragements)).join('');
+            this.hydrateAttachments(container);
+            
+            // 애니메이션 효과
+            container.querySelectorAll('.goal-item').forEach((item, index) => {
+                item.style.animationDelay = `${index * 0.05}s`;
+                item.classList.add('fade-in');
+            });
+            
+            // 새 목표 플래그 초기화
+            if (this.newGoalId) {
+                setTimeout(() => {
+                    this.newGoalId = null;
+                }, 500);
+            }
+        },
+        
+        // 진행률 위젯 렌더링
+        renderProgressWidget(goal) {
+            const progress = this.calculateProgress(goal);
+            
+            if (!progress.hasTasks && !progress.hasTargetDate) {
+                return '';
+            }
+            
+            return `
+                <div class="goal-progress-widget">
+                    <div class="mini-progress-bar">
+                        <div class="progress-fill" style="width: ${progress.overall}%"></div>
+                        ${this.renderMilestones(goal)}
+                    </div>
+                    <div class="progress-details">
+                        <span class="progress-text">${progress.overall}% 완료</span>
+                        ${progress.daysLeft !== null ? `
+                            <span class="days-left ${this.getDaysLeftClass(progress.daysLeft)}">
+                                ${progress.daysLeft > 0 ? `D-${progress.daysLeft}` : progress.daysLeft === 0 ? 'D-Day' : `D+${Math.abs(progress.daysLeft)}`}
+                            </span>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        },
+        
+        // 진행률 계산
+        calculateProgress(goal) {
+            const tasks = goal.tasks || [];
+            const completedTasks = tasks.filter(t => t.completed).length;
+            const totalTasks = tasks.length;
+            
+            // 태스크 기반 진행률
+            const taskProgress = totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0;
+            
+            // 시간 기반 진행률 (목표일이 설정된 경우)
+            let timeProgress = 0;
+            if (goal.targetDate) {
+                const start = new Date(goal.createdAt);
+                const end = new Date(goal.targetDate);
+                const now = new Date();
+                
+                const totalTime = end - start;
+                const elapsedTime = now - start;
+                
+                timeProgress = Math.min((elapsedTime / totalTime) * 100, 100);
+            }
+            
+            // 종합 진행률 (태스크와 시간의 가중평균)
+            const overallProgress = goal.targetDate 
+                ? (taskProgress * 0.7 + timeProgress * 0.3)
+                : taskProgress;
+            
+            return {
+                overall: Math.round(overallProgress),
+                tasks: Math.round(taskProgress),
+                time: Math.round(timeProgress),
+                daysLeft: this.calculateDaysLeft(goal.targetDate),
+                hasTasks: totalTasks > 0,
+                hasTargetDate: !!goal.targetDate
+            };
+        },
+        
+        // 남은 일수 계산
+        calculateDaysLeft(targetDate) {
+            if (!targetDate) return null;
+            
+            const now = new Date();
+            const target = new Date(targetDate);
+            const diffTime = target - now;
+            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+            
+            return diffDays;
+        },
+        
+        // 마일스톤 렌더링
+        renderMilestones(goal) {
+            const tasks = goal.tasks || [];
+            if (tasks.length === 0) return '';
+            
+            const milestones = [];
+            const quarterPoints = [25, 50, 75];
+            
+            quarterPoints.forEach(point => {
+                const completedCount = tasks.filter(t => t.completed).length;
+                const totalCount = tasks.length;
+                const currentProgress = (completedCount / totalCount) * 100;
+                
+                milestones.push(`
+                    <span class="milestone ${currentProgress >= point ? 'completed' : ''}" 
+                          style="left: ${point}%"></span>
+                `);
+            });
+            
+            return `
+                <div class="progress-milestones">
+                    ${milestones.join('')}
+                </div>
+            `;
+        },
+        
+        // 남은 일수 클래스 결정
+        getDaysLeftClass(days) {
+            if (days === null) return '';
+            if (days < 0) return 'overdue';
+            if (days <= 7) return 'warning';
+            if (days <= 30) return 'caution';
+            return 'plenty';
+        },
+        
+        // 태그 칩 (누르면 목록을 그 태그로 거름, small 은 세부 계획용)
+        renderTagChips(tags, { small = false } = {}) {
+            if (!tags?.length) return '';
+
+            const profile = DataModel.state.currentProfile;
+            return `
+                <div class="tag-chips ${small ? 'small' : ''}">
+                    ${tags.map(tag => `
+                        <button type="button" class="tag-chip" data-tag="${Utils.escapeHtml(tag)}"
+                                style="--tag-color: ${Tags.colorOf(profile, tag)}" title="#${Utils.escapeHtml(tag)} 태그로 보기">#${Utils.escapeHtml(tag)}</button>
+                    `).join('')}
+                </div>
+            `;
+        },
+
+        // 받은 응원 배지 (반응 이모지별 수 + 메시지 수, summary: Encouragement.summaries 의 항목)
+        renderEncouragementBadge(goal, summary) {
+            if (!summary) return '';
+
+            const reactions = Object.entries(summary.reactions)
+                .sort((a, b) => b[1] - a[1])
+                .map(([emoji, count]) => `${emoji}${count > 1 ? count : ''}`);
+            return `
+                <button type="button" class="goal-encouragement-badge ${summary.unread ? 'unread' : ''}" data-goal-id="${goal.id}"
+                        title="받은 응원 보기" aria-label="받은 응원 ${summary.total}개${summary.unread ? ', 새 응원 있음' : ''}">
+                    ${reactions.join(' ')}${summary.messages > 0 ? ` 💬 ${summary.messages}` : ''}
+                </button>
+            `;
+        },
+
+        // 빠른 메모 위젯 렌더링
+        renderQuickNoteWidget(goal) {
+            const notes = goal.quickNotes || [];
+            const noteCount = notes.length;
+            
+            return `
+                <div class="quick-note-widget">
+                    <button class="quick-note-trigger" data-goal-id="${goal.id}">
+                        <span class="note-icon">📝</span>
+                        ${noteCount > 0 ? `<span class="note-count">${noteCount}</span>` : ''}
+                    </button>
+                    
+                    <div class="quick-note-panel" data-goal-id="${goal.id}">
+                        <div class="note-input-wrapper">
+                            <textarea 
+                                class="quick-note-input" 
+                                placeholder="빠른 메모 추가..."
+                                rows="3"
+                                data-goal-id="${goal.id}"
+                            ></textarea>
+                            <div class="note-actions">
+                                <button class="btn-add-note" data-goal-id="${goal.id}">추가</button>
+                                <button class="btn-voice-note" data-goal-id="${goal.id}">🎤</button>
+                                <button class="btn-photo-note" data-goal-id="${goal.id}">📷</button>
+                            </div>
+                        </div>
+                        
+                        <div class="recent-notes">
+                            ${notes.slice(0, 5).map(note => `
+                                <div class="note-item" data-note-id="${note.id}">
+                                    <span class="note-date">${this.formatNoteDate(note.createdAt)}</span>
+                                    ${note.type === 'photo' && note.data ? this.renderAttachmentImage(note.data, note.text, 'note-photo') : ''}
+                                    <span class="note-text">${Utils.escapeHtml(note.text)}</span>
+                                    <button class="btn-delete-note" data-goal-id="${goal.id}" data-note-id="${note.id}">×</button>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+            `;
+        },
+        
+        // 메모 날짜 포맷팅
+        formatNoteDate(dateString) {
+            const date = new Date(dateString);
+            const now = new Date();
+            const diffTime = now - date;
+            const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+            
+            if (diffDays === 0) return '오늘';
+            if (diffDays === 1) return '어제';
+            if (diffDays < 7) return `${diffDays}일 전`;
+            if (diffDays < 30) return `${Math.floor(diffDays / 7)}주 전`;
+            return `${Math.floor(diffDays / 30)}개월 전`;
+        },
+
+        // 첨부 이미지 태그 (첨부 참조는 화면에 보일 때 불러옴)
+        renderAttachmentImage(ref, alt = '', className = '') {
+            if (!ref) return '';
+            const classAttr = className ? ` class="${className}"` : '';
+            if (AttachmentStore.isRef(ref)) {
+                return `<img${classAttr} data-attachment="${ref}" alt="${Utils.escapeHtml(alt)}">`;
+            }
+            return `<img${classAttr} src="${ref}" alt="${Utils.escapeHtml(alt)}" loading="lazy">`;
+        },
+
+        // 컨테이너 안의 첨부 이미지 지연 로딩
+        hydrateAttachments(container) {
+            if (!container) return;
+            const images = container.querySelectorAll('img[data-attachment]:not([src])');
+            if (images.length === 0) return;
+
+            const load = async (img) => {
+                try {
+                    const url = await AttachmentStore.getUrl(img.dataset.attachment);
+                    if (url) {
+                        img.src = url;
+                    } else {
+                        img.classList.add('attachment-missing');
+                    }
+                } catch (e) {
+                    console.error('Attachment load error:', e);
+                    img.classList.add('attachment-missing');
+                }
+            };
+
+            if (!('IntersectionObserver' in window)) {
+                images.forEach(load);
+                return;
+            }
+
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        observer.unobserve(entry.target);
+                        load(entry.target);
+                    }
+                });
+            }, { rootMargin: '200px' });
+
+            images.forEach(img => observer.observe(img));
+        },
+
+        // 목표 요소 생성 (encouragements: 목록 전체에서 한 번 계산한 Encouragement.summaries)
+        createGoalElement(goal, encouragements) {
+            const categoryInfo = CONFIG.CATEGORIES[goal.category] || CONFIG.CATEGORIES.other;
+            const isCompleted = goal.completed;
+            const hasImage = goal.completionImage;
+            const hasTasks = goal.tasks && goal.tasks.length > 0;
+            const hasEmotionalJourney = goal.emotionalJourney && goal.emotionalJourney.length > 0;
+            const isRecurring = goal.recurring && goal.recurring.isActive;
+            
+            // 태스크 정보 가져오기
+            const tasks = goal.tasks || [];
+            const completedTasks = tasks.filter(t => t.completed).length;
+            const totalTasks = tasks.length;
+            const taskProgress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+            
+            // 초기 감정 가져오기
+            const initialEmotion = goal.emotionalJourney && goal.emotionalJourney.length > 0 
+                ? goal.emotionalJourney[0].emotion 
+                : null;
+            
+            // 반복 목표 정보 가져오기
+            let recurringInfo = '';
+            let recurringState = '';
+            if (isRecurring) {
+                const recurringType = CONFIG.RECURRING_TYPES[goal.recurring.type] || CONFIG.RECURRING_TYPES.daily;
+                const today = Utils.toDateKey();
+                const nextDue = DataModel.calculateNextDueDate(goal.recurring);
+                const totalCompletions = goal.recurring.totalCompletions || 0;
+                const missed = Recurrence.getMissed(goal.recurring, today);
+                const isOverdue = missed.length > 0;
+                const streak = Streaks.forGoal(goal.recurring, today);
+                
+                if ((goal.recurring.completedDates || []).includes(today)) {
+                    recurringState = 'completed-today';
+                } else if (isOverdue) {
+                    recurringState = 'overdue';
+                }
+                
+                recurringInfo = `
+                    <div class="recurring-info">
+                        <span class="recurring-badge ${isOverdue ? 'overdue' : ''}">
+                            ${recurringType.icon} ${Utils.escapeHtml(Recurrence.describe(goal.recurring.rule))}
+                        </span>
+                        <span class="recurring-stats">
+                            완료 ${totalCompletions}회
+                            ${nextDue ? `· 다음: ${nextDue === today ? '오늘' : Utils.formatDate(nextDue)}` : ''}
+                        </span>
+                        ${streak.current > 0 || streak.longest > 0 ? `
+                            <span class="recurring-streak ${streak.atRisk ? 'at-risk' : ''}" 
+                                  title="이번 주 ${streak.rates.week ?? '-'}% · 이번 달 ${streak.rates.month ?? '-'}% · 최근 1년 ${streak.rates.year ?? '-'}%">
+                                🔥 ${streak.current}회 연속 · 최고 ${streak.longest}회
+                                ${streak.rates.month !== null ? `· 이번 달 ${streak.rates.month}%` : ''}
+                            </span>
+                        ` : ''}
+                        ${streak.atRisk ? `
+                            <span class="recurring-at-risk">⏳ 오늘 완료하면 ${streak.current + 1}회 연속!</span>
+                        ` : ''}
+                        ${isOverdue ? `
+                            <span class="recurring-missed" title="${missed.slice(0, 10).map(key => Utils.formatShortDate(key)).join(', ')}">
+                                ⚠️ 놓친 일정 ${missed.length}회 · 최근 ${Utils.formatShortDate(missed[0])}
+                            </span>
+                        ` : ''}
+                    </div>
+                `;
+            }
+
+            return `
+                <article class="goal-card ${isCompleted ? 'completed' : ''} ${recurringState} ${this.newGoalId === goal.id ? 'new' : ''}" 
+                         data-id="${goal.id}" 
+                         data-category="${goal.category}"
+                         ${isRecurring ? 'data-recurring="true"' : ''}
+                         draggable="true">
+                    <div class="drag-handle">
+                        <span class="priority-number">${goal.priority || 1}</span>
+                        <span class="drag-icon">⋮⋮</span>
+                    </div>
+                    <div class="category-bar ${goal.category}"></div>
+                    
+                    <div class="goal-header">
+                        <div class="goal-main-info">
+                            <h3 class="goal-text">${Utils.escapeHtml(goal.text)}</h3>
+                            <select class="category-selector" data-goal-id="${goal.id}">
+                                ${Object.entries(CONFIG.CATEGORIES).map(([key, cat]) => `
+                                    <option value="${key}" ${goal.category === key ? 'selected' : ''}>
+                                        ${cat.icon} ${cat.name}
+                                    </option>
+                                `).join('')}
+                            </select>
+                            ${recurringInfo}
+                            ${this.renderTagChips(goal.tags)}
+                            ${this.renderEncouragementBadge(goal, encouragements.get(goal.id))}
+                        </div>
+                        <div class="goal-status">
+                            ${!isCompleted ? `
+                                <button class="btn-complete-inline" data-goal-id="${goal.id}">
+                                    ${isRecurring ? '✅ 오늘 완료' : '✅ 완료'}
+                                </button>
+                            ` : `
+                                <span class="completion-badge">🎉 완료됨</span>
+                            `}
+                        </div>
+                    </div>
+                    
+                    ${hasTasks || !isCompleted ? `
+                        <div class="tasks-section">
+                            <div class="tasks-header">
+                                <span class="tasks-title">세부 태스크 ${hasTasks ? `(${completedTasks}/${totalTasks})` : ''}</span>
+                                <button class="btn-add-task btn-task" data-goal-id="${goal.id}">+ 태스크 추가</button>
+                            </div>
+                            
+                            ${hasTasks ? `
+                                <div class="task-list" data-goal-id="${goal.id}">
+                                    ${tasks.map(task => `
+                                        <div class="task-item ${task.completed ? 'completed' : ''}" data-task-id="${task.id}" draggable="true">
+                                            <div class="task-item-header">
+                                                <span class="drag-handle">≡</span>
+                                                <input type="checkbox" 
+                                                       class="task-checkbox" 
+                                                       data-goal-id="${goal.id}" 
+                                                       data-task-id="${task.id}"
+                                                       ${task.completed ? 'checked' : ''}>
+                                                <span class="task-text">${Utils.escapeHtml(task.text)}</span>
+                                                ${this.renderTagChips(task.tags, { small: true })}
+                                                <button type="button" class="btn-task-tags"
+                                                        data-goal-id="${goal.id}"
+                                                        data-task-id="${task.id}"
+                                                        title="태그" aria-label="세부 계획 태그 편집">#</button>
+                                                <button class="task-expand-btn ${task.notes && task.notes.length > 0 ? 'expanded' : ''}" 
+                                                        data-task-id="${task.id}">▶</button>
+                                                <button class="btn-delete-task" 
+                                                        data-goal-id="${goal.id}" 
+                                                        data-task-id="${task.id}"
+                                                        title="삭제">×</button>
+                                            </div>
+                                            <div class="task-details ${task.notes && task.notes.length > 0 ? 'show' : ''}">
+                                                <div class="task-notes">
+                                                    ${task.notes ? task.notes.map(note => `
+                                                        <div class="task-note" data-note-id="${note.id}">
+                                                            <span class="note-date">${Utils.formatShortDate(note.date)}</span>
+                                                            <span class="note-text">${Utils.escapeHtml(note.text)}</span>
+                                                            <button class="btn-delete-note" 
+                                                                    data-goal-id="${goal.id}" 
+                                                                    data-task-id="${task.id}"
+                                                                    data-note-id="${note.id}"
+                                                                    title="노트 삭제">×</button>
+                                                        </div>
+                                                    `).join('') : ''}
+                                                </div>
+                                                <button class="btn-add-note" data-goal-id="${goal.id}" data-task-id="${task.id}">+ 기록 추가</button>
+                                            </div>
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            ` : ''}
+                            
+                            ${!isCompleted ? `
+                                <button class="inline-task-add" onclick="Controller.showInlineTaskAdd(this, '${goal.id}')">
+                                    <span>+</span>
+                                    <span>태스크 추가</span>
+                                </button>
+                                <div class="inline-task-add-form" data-goal-id="${goal.id}">
+                                    <input type="text" class="inline-task-input" 
+                                           placeholder="새 태스크 입력..." 
+                                           data-goal-id="${goal.id}">
+                                    <button class="task-save-btn" onclick="Controller.saveInlineTask('${goal.id}')">추가</button>
+                                    <button class="task-edit-cancel-btn" onclick="Controller.cancelInlineTask('${goal.id}')">취소</button>
+                                </div>
+                            ` : ''}
+                        </div>
+                        
+                        ${hasTasks ? `
+                            <div class="progress-section">
+                                <div class="progress-bar">
+                                    <div class="progress-fill" style="width: ${taskProgress}%"></div>
+                                </div>
+                                <div class="progress-text">
+                                    <span>진행률</span>
+                                    <span>${taskProgress}%</span>
+                                </div>
+                            </div>
+                        ` : ''}
+                    ` : ''}
+                    
+                    ${this.renderProgressWidget(goal)}
+                    
+                    <div class="goal-actions">
+                        <button class="btn-schedule" data-goal-id="${goal.id}" title="목표 달성 예정일 설정">
+                            📅 목표일 설정
+                        </button>
+                        <button class="btn-tasks" data-goal-id="${goal.id}" title="세부 계획 관리">
+                            📋 세부 계획
+                        </button>
+                        <button class="btn-more" data-goal-id="${goal.id}" title="추가 옵션">
+                            ⋮ 더보기
+                        </button>
+                    </div>
+                    
+                    ${this.renderQuickNoteWidget(goal)}
+                    
+                    ${isCompleted && hasImage ? `
+                        <button class="btn-view-image goal-completion-thumb" data-goal-id="${goal.id}" title="달성 사진 보기">
+                            ${this.renderAttachmentImage(goal.completionImage, goal.text)}
+                        </button>
+                    ` : ''}
+                    
+                    ${isCompleted && goal.completionNote ? `
+                        <div class="goal-completion-banner" style="margin-top: 16px; padding: 12px; background: #f0f9ff; border-radius: 8px;">
+                            <div class="completion-header" style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                                <span class="completion-date" style="font-size: 12px; color: #64748b;">${Utils.formatDate(goal.completedAt)}</span>
+                                ${goal.completionEmotion ? `
+                                    <span class="completion-emotion">
+                                        ${CONFIG.EMOTIONS[goal.completionEmotion]?.emoji || '😊'}
+                                    </span>
+                                ` : ''}
+                            </div>
+                            <p class="completion-note" style="font-size: 14px; color: #475569; margin: 0;">${Utils.escapeHtml(goal.completionNote)}</p>
+                        </div>
+                    ` : ''}
+                </article>
+            `;
+        },
+
+        // 추천 카드 렌더링
+        renderRecommendations(recommendations) {
+            const container = this.elements.recommendationCards;
+            if (!container) return;
+
+            if (recommendations.length === 0) {
+                container.innerHTML = '<p style="color: #718096; font-size: 14px;">추천을 생성중입니다...</p>';
+                return;
+            }
+
+            container.innerHTML = recommendations.map(rec => `
+                <div class="recommendation-chip btn-add-recommendation" 
+                     data-text="${Utils.escapeHtml(rec.text)}" 
+                     data-category="${rec.category}"
+                     title="${Utils.escapeHtml(rec.reason)}">
+                    ${CONFIG.CATEGORIES[rec.category]?.icon || '✨'} ${Utils.escapeHtml(rec.text)}
+                </div>
+            `).join('');
+        },
+
+        // 갤러리 렌더링
+        renderGallery(completedGoals) {
+            const container = this.elements.galleryGrid;
+            if (!container) return;
+
+            if (completedGoals.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <h3>완료된 목표가 없습니다</h3>
+                        <p>첫 번째 목표를 달성해보세요!</p>
+                    </div>
+                `;
+                return;
+            }
+
+            container.innerHTML = completedGoals.map(goal => {
+                const categoryInfo = CONFIG.CATEGORIES[goal.category] || CONFIG.CATEGORIES.other;
+                const emotion = CONFIG.EMOTIONS[goal.completionEmotion];
+                
+                return `
+                    <div class="gallery-item" data-goal-id="${goal.id}">
+                        ${goal.completionImage ? `
+                            <div class="gallery-image">
+                                ${this.renderAttachmentImage(goal.completionImage, goal.text)}
+                            </div>
+                        ` : `
+                            <div class="gallery-placeholder">
+                                <span class="placeholder-icon">${categoryInfo.icon}</span>
+                            </div>
+                        `}
+                        <div class="gallery-content">
+                            <h4>${Utils.escapeHtml(goal.text)}</h4>
+                            <p class="gallery-date">${Utils.formatDate(goal.completedAt)}</p>
+                            ${emotion ? `
+                                <span class="gallery-emotion">
+                                    ${emotion.emoji} ${emotion.name}
+                                </span>
+                            ` : ''}
+                            ${goal.completionNote ? `
+                                <p class="gallery-note">${Utils.escapeHtml(goal.completionNote)}</p>
+                            ` : ''}
+                        </div>
+                        <div class="gallery-actions">
+                            <button class="btn-share-achievement" data-goal-id="${goal.id}">
+                                공유하기
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            this.hydrateAttachments(container);
+        },
+
+        // 활동 히트맵 렌더링 (최근 12개월, 일요일 시작 주 단위 열)
+        renderHeatmap(container, log, { today = new Date(), totalLabel = '지난 1년간' } = {}) {
+            if (!container) return;
+
+            const todayKey = Utils.toDateKey(today);
+            const start = Utils.addDays(todayKey, -(52 * 7 + Utils.parseDateKey(todayKey).getDay()));
+            const typeLabels = { goal: '🏆 달성', task: '✅ 태스크', recurring: '🔁 반복', emotion: '💭 감정' };
+            const weekdayLabels = ['일', '', '화', '', '목', '', '토'];
+
+            const getLevel = (count) => {
+                if (count === 0) return 0;
+                if (count === 1) return 1;
+                if (count <= 3) return 2;
+                if (count <= 5) return 3;
+                return 4;
+            };
+
+            let total = 0;
+            const months = [];
+            const weeks = [];
+            for (let week = 0; week < 53; week++) {
+                const cells = [];
+                for (let day = 0; day < 7; day++) {
+                    const key = Utils.addDays(start, week * 7 + day);
+                    if (key > todayKey) {
+                        cells.push('<span class="heatmap-cell heatmap-empty"></span>');
+                        continue;
+                    }
+
+                    const count = (log.get(key) || []).length;
+                    total += count;
+                    const label = `${Utils.formatDate(key)} 활동 ${count}건`;
+                    cells.push(`
+                        <button type="button" class="heatmap-cell level-${getLevel(count)}" data-date="${key}"
+                                aria-label="${label}"${count === 0 ? ' tabindex="-1"' : ''}></button>
+                    `);
+
+                    // 각 달의 1일이 들어있는 주에 월 라벨 표시
+                    if (key.endsWith('-01')) {
+                        months.push({ week, label: `${Utils.parseDateKey(key).getMonth() + 1}월` });
+                    }
+                }
+                weeks.push(`<div class="heatmap-week">${cells.join('')}</div>`);
+            }
+
+            container.innerHTML = `
+                <div class="heatmap-scroll">
+                    <div class="heatmap-months">
+                        ${months.map(month => `
+                            <span style="grid-column: ${month.week + 1}">${month.label}</span>
+                        `).join('')}
+                    </div>
+                    <div class="heatmap-body">
+                        <div class="heatmap-weekdays">
+                            ${weekdayLabels.map(label => `<span>${label}</span>`).join('')}
+                        </div>
+                        <div class="heatmap-grid" role="grid" aria-label="최근 12개월 활동">
+                            ${weeks.join('')}
+                        </div>
+                    </div>
+                </div>
+                <div class="heatmap-footer">
+                    <span class="heatmap-total">${totalLabel} 활동 ${total}건</span>
+                    <span class="heatmap-legend">
+                        적음
+                        ${[0, 1, 2, 3, 4].map(level => `<span class="heatmap-cell level-${level}"></span>`).join('')}
+                        많음
+                    </span>
+                </div>
+                <div class="heatmap-tooltip" role="tooltip" hidden></div>
+            `;
+
+            // 툴팁 (그날 있었던 일 목록)
+            const tooltip = container.querySelector('.heatmap-tooltip');
+            const showTooltip = (cell) => {
+                const events = log.get(cell.dataset.date) || [];
+                tooltip.innerHTML = `
+                    <strong>${Utils.formatDate(cell.dataset.date)}</strong>
+                    ${events.length === 0 ? '<div>활동 없음</div>' : `
+                        <ul>
+                            ${events.slice(0, 6).map(event => `
+                                <li>${typeLabels[event.type]} · ${Utils.escapeHtml(event.text)}</li>
+                            `).join('')}
+                            ${events.length > 6 ? `<li>외 ${events.length - 6}건</li>` : ''}
+                        </ul>
+                    `}
+                `;
+                tooltip.hidden = false;
+
+                const cellRect = cell.getBoundingClientRect();
+                const containerRect = container.getBoundingClientRect();
+                tooltip.style.left = `${cellRect.left - containerRect.left + cellRect.width / 2}px`;
+                tooltip.style.top = `${cellRect.top - containerRect.top}px`;
+            };
+            const hideTooltip = () => {
+                tooltip.hidden = true;
+            };
+
+            container.querySelectorAll('button.heatmap-cell').forEach(cell => {
+                cell.addEventListener('mouseenter', () => showTooltip(cell));
+                cell.addEventListener('focus', () => showTooltip(cell));
+                cell.addEventListener('mouseleave', hideTooltip);
+                cell.addEventListener('blur', hideTooltip);
+            });
+        },
+
+        // 카테고리 필터 아래 태그 필터 (여러 개를 고르면 모두 가진 목표만)
+        renderTagFilter(tags, selected) {
+            const container = document.getElementById('tagFilter');
+            if (!container) return;
+
+            container.hidden = tags.length === 0;
+            if (tags.length === 0) {
+                container.innerHTML = '';
+                return;
+            }
+
+            container.innerHTML = `
+                <span class="tag-filter-label">🏷️ 태그</span>
+                ${tags.map(({ name, color, goals, tasks }) => {
+                    const active = selected.includes(name);
+                    return `
+                        <button type="button" class="tag-filter-btn ${active ? 'active' : ''}" data-tag="${Utils.escapeHtml(name)}"
+                                style="--tag-color: ${color}" aria-pressed="${active}" title="목표 ${goals}개 · 세부 계획 ${tasks}개">
+                            #${Utils.escapeHtml(name)}
+                        </button>
+                    `;
+                }).join('')}
+                ${selected.length > 0 ? '<button type="button" class="tag-filter-clear" id="tagFilterClear">선택 해제</button>' : ''}
+                <button type="button" class="tag-filter-manage" id="manageTagsBtn">관리</button>
+            `;
+        },
+
+        // 날짜 필터 표시
+        renderDateFilterChip(dateKey) {
+            const chip = document.getElementById('dateFilterChip');
+            if (!chip) return;
+
+            chip.hidden = !dateKey;
+            const label = document.getElementById('dateFilterLabel');
+            if (label && dateKey) {
+                label.textContent = `🗓️ ${Utils.formatDate(dateKey)} 활동한 목표`;
+            }
+        },
+
+        // 여정 타임라인 렌더링
+        renderJourneyTimeline(completedGoals, container = this.elements.achievementTimeline) {
+            if (!container) return;
+
+            if (completedGoals.length === 0) {
+                container.innerHTML = `
+                    <div class="timeline-empty">
+                        <div class="timeline-empty-icon">🌟</div>
+                        <div class="timeline-empty-title">아직 달성한 목표가 없습니다</div>
+                        <div class="timeline-empty-subtitle">첫 번째 목표를 달성해서 여정을 시작해보세요!</div>
+                    </div>
+                `;
+                return;
+            }
+
+            container.innerHTML = completedGoals
+                .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
+                .slice(0, 10)
+                .map((goal, index) => {
+                    const categoryInfo = CONFIG.CATEGORIES[goal.category] || CONFIG.CATEGORIES.other;
+                    
+                    return `
+                        <div class="timeline-item" style="animation-delay: ${index * 0.1}s">
+                            <div class="timeline-content">
+                                <div class="timeline-date">${Utils.formatDate(goal.completedAt)}</div>
+                                <div class="timeline-goal">${Utils.escapeHtml(goal.text)}</div>
+                                <div class="timeline-category category-${goal.category}">
+                                    ${categoryInfo.icon} ${categoryInfo.name}
+                                </div>
+                                ${goal.completionNote ? `
+                                    <div class="timeline-emotion">${Utils.escapeHtml(goal.completionNote)}</div>
+                                ` : ''}
+                            </div>
+                            <div class="timeline-dot"></div>
+                        </div>
+                    `;
+                }).join('');
+        },
+
+        // 여정 & 인사이트 탭 렌더링 (JourneyInsights.init에서 기간이 바뀔 때마다 호출)
+        renderJourneyInsights(container, model) {
+            const setText = (id, text) => {
+                const el = document.getElementById(id);
+                if (el) el.textContent = text;
+            };
+
+            container.querySelectorAll('.period-btn').forEach(btn => {
+                const active = btn.dataset.period === model.period;
+                btn.classList.toggle('active', active);
+                btn.setAttribute('aria-pressed', active);
+            });
+
+            // 원형 진행률
+            const ring = container.querySelector('.progress-ring');
+            if (ring) {
+                const circumference = 2 * Math.PI * Number(ring.getAttribute('r'));
+                ring.style.strokeDasharray = circumference;
+                ring.style.strokeDashoffset = circumference * (1 - model.stats.percentage / 100);
+            }
+            const progressValue = container.querySelector('.circular-progress .progress-value');
+            if (progressValue) progressValue.textContent = `${model.stats.percentage}%`;
+
+            setText('totalGoals', model.stats.total);
+            setText('completedGoals', model.stats.completed);
+            setText('activeStreak', `${model.streak}일`);
+            setText('avgMotivation', model.motivation ?? '-');
+
+            const details = container.querySelector('.category-details');
+            if (details) {
+                details.innerHTML = Object.entries(model.stats.byCategory).map(([category, counts]) => {
+                    const info = CONFIG.CATEGORIES[category];
+                    return `
+                        <div class="category-item" data-category="${category}">
+                            <div class="category-header">
+                                <span class="category-icon">${info.icon}</span>
+                                <span class="category-name">${info.name}</span>
+                                <span class="category-stats">${counts.completed}/${counts.total}</span>
+                            </div>
+                            <div class="category-progress-bar">
+                                <div class="category-progress-fill" style="width: ${Utils.calculatePercentage(counts.completed, counts.total)}%"></div>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+            }
+
+            this.renderJourneyTimeline([...model.completed], document.getElementById('insightsTimeline'));
+            this.renderHeatmap(document.getElementById('insightsHeatmap'), model.log,
+                model.period === 'all' ? {} : { totalLabel: JourneyInsights.PERIODS[model.period] });
+            this.showInsightsView(container, model.view);
+
+            setText('emotionInsight', model.emotionInsight);
+            setText('motivationInsight', model.motivationInsight);
+            setText('tagInsight', model.tagInsight);
+            setText('strengthAnalysis', model.strengths);
+            setText('patternAnalysis', model.patterns);
+            setText('nextStepSuggestion', model.nextStep);
+
+            const { forecast } = model;
+            if (forecast.total === 0) {
+                setText('expectedCompletion', '목표를 추가하면 달성 시점을 예측해드릴게요');
+                setText('forecastCompletionDate', '-');
+                setText('weeklyTarget', '-');
+            } else if (forecast.remaining === 0) {
+                setText('expectedCompletion', '모든 목표를 달성했어요 🎉');
+                setText('forecastCompletionDate', '-');
+                setText('weeklyTarget', '-');
+            } else if (forecast.daysToComplete === null) {
+                setText('expectedCompletion', '이 기간에 달성한 목표가 없어 예측할 수 없어요');
+                setText('forecastCompletionDate', '-');
+                setText('weeklyTarget', `주 ${forecast.weeklyTarget}개`);
+            } else {
+                setText('expectedCompletion', `약 ${forecast.daysToComplete}일 뒤 남은 ${forecast.remaining}개 달성`);
+                setText('forecastCompletionDate', Utils.formatDate(forecast.date));
+                setText('weeklyTarget', `주 ${forecast.weeklyTarget}개`);
+            }
+
+            this.renderPredictionCards(document.getElementById('predictionCards'), model.predictions, model.predictionSummary);
+        },
+
+        // 목표별 달성 예측 카드 + 프로필 전체 예측 (테두리 색 = 예측 신뢰도)
+        renderPredictionCards(container, forecasts, summary) {
+            if (!container) return;
+
+            if (forecasts.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-predictions">
+                        <p>진행 중인 목표가 없어요</p>
+                        <p class="subtitle">목표를 추가하고 세부 계획을 나누면 달성 시점을 예측해드릴게요.</p>
+                    </div>
+                `;
+                return;
+            }
+
+            const CONFIDENCE = { high: '신뢰도 높음', medium: '신뢰도 보통', low: '신뢰도 낮음' };
+            const range = (item) => item.range && item.range[0] !== item.range[1]
+                ? ` <span class="prediction-range">(빠르면 ${Utils.formatShortDate(item.range[0])} ~ 늦으면 ${Utils.formatShortDate(item.range[1])})</span>`
+                : '';
+
+            const timeline = (item) => {
+                switch (item.status) {
+                    case 'noTasks': return '📝 세부 계획을 나눠 추가하면 예측할 수 있어요';
+                    case 'notStarted': return '⏳ 첫 세부 계획을 완료하면 예측을 시작할게요';
+                    case 'tasksDone': return '✅ 세부 계획을 모두 마쳤어요! 목표를 완료 처리해보세요';
+                    default: return `📅 ${Utils.formatDate(item.date)} 완료 예상${range(item)}`;
+                }
+            };
+
+            const feasibility = ({ feasibility: f, status }) => {
+                if (!f) return '';
+                const title = `🎯 목표일 ${Utils.formatDate(f.targetDate)}`;
+                if (f.overdue) {
+                    return `
+                        <div class="prediction-risks">
+                            <h5>${title}</h5>
+                            <p>목표일이 ${-f.daysUntil}일 지났어요 (현재 ${f.projected}% 달성). 목표일을 다시 정해보세요.</p>
+                        </div>
+                    `;
+                }
+                const needed = f.weeklyNeeded ? `<span class="step-duration">목표일을 맞추려면 주 ${f.weeklyNeeded}개씩 완료해야 해요</span>` : '';
+                return `
+                    <div class="${f.onTrack ? 'prediction-next-step' : 'prediction-risks'}">
+                        <h5>${title}</h5>
+                        ${status === 'notStarted' ? '' : `<p>현재 속도로는 목표일까지 ${f.projected}% 달성 예상</p>`}
+                        ${f.onTrack ? '' : needed}
+                    </div>
+                `;
+            };
+
+            const cards = forecasts.map(item => {
+                const category = CONFIG.CATEGORIES[item.goal.category] || CONFIG.CATEGORIES.other;
+                const done = item.total - (item.remaining ?? item.total);
+                const percent = Utils.calculatePercentage(done, item.total);
+                return `
+                    <div class="prediction-card ${item.confidence || 'low'}" data-goal-id="${item.goal.id}">
+                        <div class="prediction-header">
+                            <h4>${Utils.escapeHtml(item.goal.text)}</h4>
+                            <span class="category-badge ${CONFIG.CATEGORIES[item.goal.category] ? item.goal.category : 'other'}">${category.icon} ${category.name}</span>
+                        </div>
+                        ${item.total ? `
+                            <div class="prediction-probability">
+                                <div class="probability-gauge">
+                                    <div class="probability-fill" style="width: ${percent}%"></div>
+                                </div>
+                                <div class="probability-info">
+                                    <span class="probability-value">${percent}%</span>
+                                    <span class="probability-label">세부 계획 ${done}/${item.total}</span>
+                                </div>
+                            </div>
+                        ` : ''}
+                        <div class="prediction-timeline">${timeline(item)}</div>
+                        ${feasibility(item)}
+                        ${item.status === 'forecast' ? `<p class="prediction-confidence">${CONFIDENCE[item.confidence]} · 완료 기록 ${item.done}개</p>` : ''}
+                    </div>
+                `;
+            }).join('');
+
+            let overall = '남은 세부 계획이 없어요.';
+            if (summary.daysLeft) {
+                overall = `남은 세부 계획 ${summary.remaining}개를 약 ${summary.daysLeft}일 뒤 ${Utils.formatDate(summary.date)}에 모두 끝낼 것으로 보여요.${range(summary)}`;
+            } else if (summary.remaining > 0) {
+                overall = `남은 세부 계획 ${summary.remaining}개 — 완료 기록이 쌓이면 예측해드릴게요.`;
+            }
+            const risk = summary.onTrack + summary.atRisk > 0
+                ? `<p>목표일이 있는 목표 중 ${summary.onTrack}개는 순조롭고, ${summary.atRisk}개는 속도를 높여야 해요.</p>`
+                : '';
+
+            container.innerHTML = `
+                <div class="overall-motivation prediction-summary">
+                    <h4>📈 진행 중인 목표 ${summary.goals}개 예측</h4>
+                    <p>${overall}</p>
+                    ${risk}
+                </div>
+                ${cards}
+            `;
+        },
+
+        // 타임라인 / 히트맵 / 트렌드 전환
+        showInsightsView(container, view) {
+            container.querySelectorAll('.view-btn').forEach(btn => {
+                const active = btn.dataset.view === view;
+                btn.classList.toggle('active', active);
+                btn.setAttribute('aria-pressed', active);
+            });
+            container.querySelectorAll('.insights-view').forEach(panel => {
+                panel.hidden = panel.dataset.view !== view;
+            });
+        },
+
+        // 모달 표시/숨기기
+        showModal(modalId) {
+            const modal = document.getElementById(modalId);
+            if (!modal) return;
+
+            modal.style.display = 'block';
+            modal.setAttribute('aria-hidden', 'false');
+            document.body.style.overflow = 'hidden';
+            Router.onModalOpen(modalId);
+            
+            // 포커스 트랩
+            const focusableElements = modal.querySelectorAll(
+                'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+            );
+            if (focusableElements.length > 0) {
+                focusableElements[0].focus();
+            }
+        },
+
+        hideModal(modalId) {
+            const modal = document.getElementById(modalId);
+            if (!modal) return;
+
+            const wasOpen = modal.style.display === 'block';
+            modal.style.display = 'none';
+            modal.setAttribute('aria-hidden', 'true');
+            document.body.style.overflow = '';
+            if (wasOpen) Router.onModalClose(modalId);
+        },
+
+        // 알림 표시 (action: { label, onClick } - 알림 안의 버튼)
+        showNotification(message, type = 'info', action = null) {
+            // 기존 알림 제거
+            const existingNotification = document.querySelector('.notification');
+            if (existingNotification) {
+                existingNotification.remove();
+            }
+
+            // 새 알림 생성
+            const notification = document.createElement('div');
+            notification.className = `notification notification-${type}`;
+            notification.innerHTML = `
+                <span class="notification-icon">
+                    ${type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : 'ℹ️'}
+                </span>
+                <span class="notification-message">${Utils.escapeHtml(message)}</span>
+                ${action ? `<button type="button" class="notification-action">${Utils.escapeHtml(action.label)}</button>` : ''}
+            `;
+            
+            if (action) {
+                notification.querySelector('.notification-action').addEventListener('click', () => {
+                    notification.remove();
+                    action.onClick();
+                });
+            }
+            
+            document.body.appendChild(notification);
+            
+            // 애니메이션
+            requestAnimationFrame(() => {
+                notification.classList.add('show');
+            });
+            
+            // 자동 제거 (버튼이 있으면 누를 시간을 더 줌)
+            setTimeout(() => {
+                notification.classList.remove('show');
+                setTimeout(() => notification.remove(), 300);
+            }, action ? 5000 : 3000);
+        },
+
+        // 탭 전환
+        switchTab(tabName) {
+            // 탭 버튼 업데이트
+            this.elements.tabButtons.forEach(btn => {
+                const isActive = btn.dataset.tab === tabName;
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-selected', isActive);
+                btn.setAttribute('tabindex', isActive ? '0' : '-1');
+            });
+
+            // 탭 컨텐츠 업데이트
+            this.elements.tabContents.forEach(content => {
+                const isActive = content.id === `${tabName}-tab`;
+                content.classList.toggle('active', isActive);
+                content.style.display = isActive ? 'block' : 'none';
+                content.setAttribute('aria-hidden', !isActive);
+            });
+
+            DataModel.state.activeTab = tabName;
+            Router.navigate({ tab: tabName });
+            
+            // 탭별 초기화
+            this.initializeTab(tabName);
+        },
+
+        // 탭 초기화
+        initializeTab(tabName) {
+            switch (tabName) {
+                case 'journey':
+                    Controller.initJourneyTab();
+                    break;
+                case 'gallery':
+                    Controller.initGalleryTab();
+                    break;
+                case 'insights':
+                    Controller.initInsightsTab();
+                    break;
+                case 'social':
+                    Controller.initSocialTab();
+                    break;
+                case 'data':
+                    Controller.initDataTab();
+                    break;
+            }
+        },
+
+        // 공유받은 목표 (읽기 전용)
+        renderSharedGoal(shared) {
+            const category = CONFIG.CATEGORIES[shared.category];
+            const emotion = CONFIG.EMOTIONS[shared.completionEmotion];
+
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal shared-goal-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '공유받은 목표');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>🔗 공유받은 버킷리스트</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="shared-goal-body">
+                        ${shared.thumbnail ? `<img class="shared-goal-image" src="${shared.thumbnail}" alt="">` : ''}
+                        <div class="shared-goal-category">${category.icon} ${category.name}</div>
+                        <h4 class="shared-goal-title">${Utils.escapeHtml(shared.text)}</h4>
+                        ${shared.completedAt ? `
+                            <div class="shared-goal-meta">
+                                ✅ ${Utils.formatDate(shared.completedAt)} 달성
+                                ${emotion ? ` · ${emotion.emoji} ${emotion.name}` : ''}
+                            </div>
+                        ` : ''}
+                        ${shared.completionNote ? `
+                            <p class="shared-goal-note">${Utils.escapeHtml(shared.completionNote)}</p>
+                        ` : ''}
+                    </div>
+                    <div class="modal-buttons shared-goal-actions">
+                        <button type="button" class="btn-primary shared-goal-add">내 버킷리스트에 추가</button>
+                        <button type="button" class="btn-secondary shared-goal-close">닫기</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // 공유 시트로 받은 내용 처리 방법 선택
+        renderSharePicker(content, goals, previewUrl) {
+            const categoryOptions = Object.entries(CONFIG.CATEGORIES)
+                .map(([key, info]) => `<option value="${key}">${info.icon} ${info.name}</option>`)
+                .join('');
+            const goalOptions = goals
+                .map(goal => `<option value="${goal.id}">${CONFIG.CATEGORIES[goal.category]?.icon || ''} ${Utils.escapeHtml(goal.text)}</option>`)
+                .join('');
+            const noteText = ShareTarget.getNoteText(content);
+
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal share-picker-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '공유받은 내용 추가');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>📥 공유받은 내용</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="share-picker-body">
+                        <div class="share-picker-preview">
+                            ${previewUrl ? `<img src="${previewUrl}" alt="공유받은 사진">` : ''}
+                            ${content.title ? `<strong>${Utils.escapeHtml(content.title)}</strong>` : ''}
+                            ${noteText ? `<p>${Utils.escapeHtml(noteText)}</p>` : ''}
+                        </div>
+
+                        <section class="share-picker-option">
+                            <h4>✨ 새 목표로 만들기</h4>
+                            <input type="text" class="share-picker-text" maxlength="100" aria-label="목표 내용">
+                            <select class="share-picker-category" aria-label="카테고리">${categoryOptions}</select>
+                            <button type="button" class="btn-primary share-picker-new">목표 추가</button>
+                        </section>
+
+                        ${goals.length > 0 ? `
+                            <section class="share-picker-option">
+                                <h4>🎯 진행 중인 목표에 추가</h4>
+                                <select class="share-picker-goal" aria-label="목표 선택">${goalOptions}</select>
+                                <div class="share-picker-buttons">
+                                    <button type="button" class="btn-secondary share-picker-note">
+                                        ${content.file ? '📷 사진 노트로 추가' : '📝 메모로 추가'}
+                                    </button>
+                                    ${content.file ? `
+                                        <button type="button" class="btn-secondary share-picker-completion">🏆 달성 사진으로 사용</button>
+                                    ` : ''}
+                                </div>
+                            </section>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+
+            // 사용자 입력이라 속성이 아닌 value로 채움
+            modal.querySelector('.share-picker-text').value = ShareTarget.suggestGoalText(content);
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // PIN/비밀번호 입력 → Promise<string|null> (취소하면 null)
+        promptPassphrase({ title, message = '', confirm = false, minLength = 1 }) {
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal passphrase-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', title);
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>${Utils.escapeHtml(title)}</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <form class="passphrase-form">
+                        ${message ? `<p class="passphrase-message">${Utils.escapeHtml(message)}</p>` : ''}
+                        <input type="password" class="passphrase-input" autocomplete="off"
+                               placeholder="PIN 또는 비밀번호" aria-label="PIN 또는 비밀번호">
+                        ${confirm ? `
+                            <input type="password" class="passphrase-confirm" autocomplete="off"
+                                   placeholder="한 번 더 입력" aria-label="PIN 또는 비밀번호 확인">
+                        ` : ''}
+                        <p class="passphrase-error" role="alert"></p>
+                        <div class="modal-buttons">
+                            <button type="submit" class="btn-primary">확인</button>
+                            <button type="button" class="btn-secondary passphrase-cancel">취소</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            const input = modal.querySelector('.passphrase-input');
+            const error = modal.querySelector('.passphrase-error');
+
+            return new Promise(resolve => {
+                const finish = value => {
+                    modal.remove();
+                    resolve(value);
+                };
+
+                modal.querySelector('.close-btn').onclick = () => finish(null);
+                modal.querySelector('.passphrase-cancel').onclick = () => finish(null);
+                modal.onkeydown = (e) => {
+                    if (e.key === 'Escape') finish(null);
+                };
+                modal.querySelector('.passphrase-form').onsubmit = (e) => {
+                    e.preventDefault();
+                    if (input.value.length < minLength) {
+                        error.textContent = `${minLength}자 이상 입력해주세요.`;
+                    } else if (confirm && input.value !== modal.querySelector('.passphrase-confirm').value) {
+                        error.textContent = '입력한 두 값이 다릅니다.';
+                    } else {
+                        finish(input.value);
+                    }
+                };
+
+                document.body.appendChild(modal);
+                input.focus();
+            });
+        },
+
+        // 가져오기 마법사
+        renderImportWizard(backup) {
+            const { meta, errors, warnings } = backup;
+            const renderIssues = (issues, className) => `
+                <ul class="import-issues ${className}">
+                    ${issues.slice(0, 30).map(issue => `
+                        <li>${issue.path ? `<code>${Utils.escapeHtml(issue.path)}</code> ` : ''}${Utils.escapeHtml(issue.message)}</li>
+                    `).join('')}
+                    ${issues.length > 30 ? `<li>외 ${issues.length - 30}건</li>` : ''}
+                </ul>
+            `;
+
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal import-wizard-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '데이터 가져오기');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>📥 데이터 가져오기</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        <p class="import-meta">
+                            ${meta.formatVersion ? `백업 형식 v${meta.formatVersion}` : '이전 형식'}
+                            ${meta.appVersion ? ` · 앱 ${Utils.escapeHtml(String(meta.appVersion))}` : ''}
+                            ${meta.exportedAt ? ` · ${Utils.formatDate(meta.exportedAt)} 내보냄` : ''}
+                            · 프로필 ${backup.profiles.length}개
+                        </p>
+
+                        ${errors.length > 0 ? `
+                            <p class="import-error-title">❌ 파일에 문제가 있어 가져올 수 없습니다.</p>
+                            ${renderIssues(errors, 'errors')}
+                        ` : ''}
+                        ${warnings.length > 0 ? renderIssues(warnings, 'warnings') : ''}
+
+                        ${errors.length === 0 ? `
+                            <fieldset class="import-modes">
+                                <legend>가져오는 방식</legend>
+                                ${Object.entries(Backup.MODES).map(([value, info]) => `
+                                    <label>
+                                        <input type="radio" name="importMode" value="${value}" ${value === 'merge' ? 'checked' : ''}>
+                                        <strong>${info.name}</strong> <span>${info.description}</span>
+                                    </label>
+                                `).join('')}
+                            </fieldset>
+                            <div class="import-preview" aria-live="polite"></div>
+                        ` : ''}
+                    </div>
+                    <div class="modal-buttons import-wizard-actions">
+                        ${errors.length === 0 ? '<button type="button" class="btn-primary import-confirm">가져오기</button>' : ''}
+                        <button type="button" class="btn-secondary import-cancel">취소</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // 가져오기 미리보기 (저장 전 변경 내용)
+        renderImportPreview(container, plan) {
+            const goalNames = goals => goals.slice(0, 3).map(g => `'${Utils.escapeHtml(g.text)}'`).join(', ') +
+                (goals.length > 3 ? ` 외 ${goals.length - 3}개` : '');
+
+            const size = profile => profile.locked === true ? '🔒 잠긴 프로필' : `목표 ${profile.bucketList.length}개`;
+
+            const describe = change => {
+                switch (change.type) {
+                    case 'add':
+                        return `새 프로필로 추가 (${size(change.profile)})`;
+                    case 'replace':
+                        return `백업 내용으로 교체 (${size(change.local)} → ${size(change.profile)})`;
+                    case 'restore':
+                        return `휴지통에서 꺼내 백업 내용으로 복원 (${size(change.profile)})`;
+                    case 'remove':
+                        return '백업에 없어 휴지통으로 이동';
+                    case 'skip':
+                        return '🔒 잠긴 프로필은 목표 단위로 합칠 수 없어 건너뜁니다 (교체 방식으로만 가져올 수 있습니다)';
+                    default: {
+                        const parts = [];
+                        if (change.added.length) parts.push(`추가 ${change.added.length}개 (${goalNames(change.added)})`);
+                        if (change.updated.length) parts.push(`최신 내용으로 갱신 ${change.updated.length}개 (${goalNames(change.updated)})`);
+                        if (change.copied.length) parts.push(`사본으로 추가 ${change.copied.length}개 (${goalNames(change.copied)})`);
+                        if (change.reflections.length) parts.push(`월간 회고 ${change.reflections.length}개`);
+                        if (change.kept) parts.push(`기기 쪽이 최신이라 유지 ${change.kept}개`);
+                        if (change.unchanged) parts.push(`동일 ${change.unchanged}개`);
+                        return parts.join(' · ') || '바뀌는 내용 없음';
+                    }
+                }
+            };
+
+            container.innerHTML = `
+                <h4>미리보기</h4>
+                <ul class="import-changes">
+                    ${plan.changes.map(change => `
+                        <li class="import-change ${change.type}">
+                            <strong>👤 ${Utils.escapeHtml(change.name)}</strong>
+                            <span>${describe(change)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${plan.hasChanges ? '' : '<p class="import-no-changes">가져올 변경 사항이 없습니다.</p>'}
+            `;
+        },
+
+        // 목표별 감정 여정
+        renderEmotionJourney(goal, summary, entries) {
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal emotion-journey-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '감정 여정');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>📈 감정 여정</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        <p class="journey-goal">${Utils.escapeHtml(goal.text)}</p>
+                        ${summary.decline ? `
+                            <div class="journey-warning" role="alert">
+                                📉 최근 체크인 ${summary.decline.count}번 연속으로 동기가 떨어졌어요 (${summary.decline.from} → ${summary.decline.to}).
+                                목표를 더 작은 세부 계획으로 나누거나 잠시 쉬어가도 괜찮아요.
+                            </div>
+                        ` : ''}
+                        ${entries.length > 0 ? `
+                            <div class="journey-stats">
+                                <div><strong>${summary.count}</strong><span>체크인</span></div>
+                                <div><strong>${summary.motivation ?? '-'}</strong><span>평균 동기</span></div>
+                                <div><strong>${summary.energy ?? '-'}</strong><span>평균 에너지</span></div>
+                            </div>
+                            <div class="journey-chart">
+                                <canvas id="goalJourneyChart" aria-label="동기와 에너지 추이 차트"></canvas>
+                            </div>
+                            <p class="journey-correlation">🔗 ${summary.correlationText}</p>
+                            <ul class="journey-entries">
+                                ${[...entries].reverse().map(entry => {
+                                    const emotion = CONFIG.EMOTIONS[entry.emotion];
+                                    return `
+                                        <li>
+                                            <span class="journey-entry-emotion">${emotion?.emoji || '💭'}</span>
+                                            <div>
+                                                <strong>${Utils.formatDate(entry.date)}</strong>
+                                                <span>${emotion ? emotion.name : ''} · 동기 ${entry.motivation ?? '-'} · 에너지 ${entry.energy ?? '-'}</span>
+                                                ${entry.note ? `<p>${Utils.escapeHtml(entry.note)}</p>` : ''}
+                                            </div>
+                                        </li>
+                                    `;
+                                }).join('')}
+                            </ul>
+                        ` : '<p class="journey-empty">아직 감정 체크인이 없어요. 첫 기록을 남겨보세요!</p>'}
+                    </div>
+                    <div class="modal-buttons import-wizard-actions">
+                        <button type="button" class="btn-primary journey-checkin">😊 감정 체크인</button>
+                        <button type="button" class="btn-secondary import-cancel">닫기</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // 월간 회고 (요약 + 질문)
+        renderReflection(summary, reflection, months) {
+            const container = document.getElementById('reflectionContent');
+            if (!container) return;
+
+            const answers = reflection?.answers || {};
+            const maxEmotion = Math.max(1, ...Object.values(summary.emotions));
+            const { motivation } = summary;
+            const delta = motivation.average !== null && motivation.previous !== null
+                ? Math.round((motivation.average - motivation.previous) * 10) / 10
+                : null;
+
+            container.innerHTML = `
+                <label class="reflection-month">
+                    회고할 달
+                    <select id="reflectionMonth">
+                        ${months.map(month => `
+                            <option value="${month}" ${month === summary.month ? 'selected' : ''}>
+                                ${Reflection.formatMonth(month)}${Reflection.get(DataModel.state.currentProfile, month) ? ' ✍️' : ''}
+                            </option>
+                        `).join('')}
+                    </select>
+                </label>
+
+                <div class="reflection-stats">
+                    <div><strong>${summary.completedGoals.length}</strong><span>달성한 목표</span></div>
+                    <div><strong>${summary.tasksDone.length}</strong><span>완료한 계획</span></div>
+                    <div><strong>${summary.activeDays}</strong><span>활동한 날</span></div>
+                    <div><strong>${summary.longestRun}</strong><span>최장 연속</span></div>
+                </div>
+                <p class="reflection-meta">
+                    🔥 월말 연속 기록 ${summary.streak.current}일
+                    ${summary.recurringDone > 0 ? ` · 🔁 반복 실천 ${summary.recurringDone}회` : ''}
+                    ${summary.streak.monthRate !== null ? ` · 반복 목표 달성률 ${summary.streak.monthRate}%` : ''}
+                </p>
+
+                ${summary.completedGoals.length > 0 ? `
+                    <section class="reflection-section">
+                        <h4>🏆 달성한 목표</h4>
+                        <ul class="reflection-list">
+                            ${summary.completedGoals.map(goal => `
+                                <li>
+                                    ${CONFIG.EMOTIONS[goal.completionEmotion]?.emoji || '✅'}
+                                    ${Utils.escapeHtml(goal.text)}
+                                    <span>${Utils.formatShortDate(goal.completedAt)}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </section>
+                ` : ''}
+
+                <section class="reflection-section">
+                    <h4>💭 감정 분포</h4>
+                    ${summary.emotionCount > 0 ? `
+                        <div class="reflection-emotions">
+                            ${Object.entries(summary.emotions).sort((a, b) => b[1] - a[1]).map(([key, count]) => `
+                                <div class="reflection-bar">
+                                    <span>${CONFIG.EMOTIONS[key].emoji} ${CONFIG.EMOTIONS[key].name}</span>
+                                    <div class="reflection-bar-track"><div style="width: ${Math.round(count / maxEmotion * 100)}%"></div></div>
+                                    <span>${count}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : '<p class="reflection-empty">이달에 남긴 감정 기록이 없어요.</p>'}
+                </section>
+
+                ${motivation.average !== null ? `
+                    <section class="reflection-section">
+                        <h4>📈 동기 변화</h4>
+                        <div class="reflection-trend">
+                            ${motivation.weeks.map(week => `
+                                <div class="reflection-trend-week" title="${week.label}">
+                                    <div style="height: ${week.average !== null ? week.average * 10 : 0}%"></div>
+                                    <span>${week.label}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                        <p class="reflection-meta">
+                            평균 ${motivation.average}/10
+                            ${delta !== null ? ` · 지난달보다 ${delta > 0 ? `▲ ${delta}` : delta < 0 ? `▼ ${-delta}` : '변화 없음'}` : ''}
+                        </p>
+                    </section>
+                ` : ''}
+
+                ${summary.notes.length > 0 ? `
+                    <section class="reflection-section">
+                        <h4>🗒️ 기억할 메모</h4>
+                        <ul class="reflection-list">
+                            ${summary.notes.map(note => `
+                                <li>${Utils.escapeHtml(note.text)} <span>${Utils.escapeHtml(note.goalText)}</span></li>
+                            `).join('')}
+                        </ul>
+                    </section>
+                ` : ''}
+
+                ${summary.photos.length > 0 ? `
+                    <section class="reflection-section">
+                        <h4>📷 이달의 사진</h4>
+                        <div class="reflection-photos">
+                            ${summary.photos.map(photo => this.renderAttachmentImage(photo.ref, photo.caption)).join('')}
+                        </div>
+                    </section>
+                ` : ''}
+
+                <form class="reflection-form">
+                    <h4>✍️ 돌아보기</h4>
+                    ${Reflection.PROMPTS.map(prompt => `
+                        <label>
+                            <span>${prompt.text}</span>
+                            <textarea name="${prompt.id}" rows="2" maxlength="1000">${Utils.escapeHtml(answers[prompt.id] || '')}</textarea>
+                        </label>
+                    `).join('')}
+                    <div class="reflection-form-actions">
+                        ${reflection ? `<span class="reflection-meta">${Utils.getRelativeTime(reflection.updatedAt)} 저장됨</span>` : ''}
+                        <button type="submit" class="btn-primary">회고 저장</button>
+                    </div>
+                </form>
+            `;
+
+            this.hydrateAttachments(container);
+        },
+
+        // 공유 카드 미리보기 + 템플릿 선택
+        renderCardStudio(options, hasPhoto) {
+            return `
+                <div class="card-studio">
+                    <div class="card-preview format-${options.format}">
+                        <img alt="공유 카드 미리보기">
+                    </div>
+                    <div class="card-themes" role="radiogroup" aria-label="테마">
+                        ${Object.entries(PDFGenerator.CARD_THEMES).map(([key, theme]) => `
+                            <label class="card-theme" title="${theme.name}">
+                                <input type="radio" name="cardTheme" value="${key}" ${key === options.theme ? 'checked' : ''}>
+                                <span style="background: linear-gradient(135deg, ${theme.colors[0]}, ${theme.colors[1]})"></span>
+                                ${theme.name}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div class="card-formats" role="radiogroup" aria-label="비율">
+                        ${Object.entries(PDFGenerator.CARD_FORMATS).map(([key, format]) => `
+                            <label class="card-format">
+                                <input type="radio" name="cardFormat" value="${key}" ${key === options.format ? 'checked' : ''}>
+                                ${format.name}
+                            </label>
+                        `).join('')}
+                    </div>
+                    ${hasPhoto ? `
+                        <label class="card-photo-toggle">
+                            <input type="checkbox" name="cardPhoto" ${options.photo ? 'checked' : ''}>
+                            완료 사진을 배경으로
+                        </label>
+                    ` : ''}
+                    <div class="card-actions">
+                        <button type="button" class="btn-primary card-share">📤 공유하기</button>
+                        <button type="button" class="btn-secondary card-download">⬇️ 다운로드</button>
+                    </div>
+                </div>
+            `;
+        },
+
+        // 통계 카드 공유 모달
+        renderStatsShare(options) {
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal stats-share-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '통계 카드 공유');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>📊 나의 현황 공유</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        ${this.renderCardStudio(options, false)}
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // 가족 구성원 목록
+        renderFamilyMembers(container, members, currentId) {
+            if (!container) return;
+
+            if (members.length === 0) {
+                container.innerHTML = `
+                    <p class="family-empty">이 기기의 다른 프로필을 가족으로 연결하면 목표를 함께 이룰 수 있어요.</p>
+                `;
+                return;
+            }
+
+            container.innerHTML = members.map(({ profile, stats }) => {
+                const isMe = profile.id === currentId;
+                return `
+                    <div class="family-member-card" data-profile-id="${profile.id}">
+                        <div class="family-member-avatar" aria-hidden="true">${Utils.escapeHtml(profile.name.charAt(0))}</div>
+                        <div class="family-member-info">
+                            <div class="family-member-name">
+                                ${Utils.escapeHtml(profile.name)}${isMe ? ' (나)' : ''}
+                            </div>
+                            <div class="family-member-status">
+                                ${stats
+                                    ? `목표 ${stats.total}개 · 달성 ${stats.completed}개 · 함께하는 목표 ${stats.shared}개`
+                                    : '🔒 잠긴 프로필'}
+                            </div>
+                        </div>
+                        <div class="family-member-actions">
+                            <button type="button" class="btn-secondary family-remove" data-profile-id="${profile.id}">
+                                ${isMe ? '가족에서 나가기' : '연결 해제'}
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        },
+
+        // 함께하는 목표 (구성원별 기여도와 세부 계획 체크리스트)
+        renderSharedGoals(container, items, { currentId, isMember, sealedNames }) {
+            if (!container) return;
+
+            const sealedNote = sealedNames.length > 0 ? `
+                <p class="family-empty">🔒 ${sealedNames.map(name => Utils.escapeHtml(name)).join(', ')}님의 공유 목표는 프로필이 잠겨 있어 보이지 않아요.</p>
+            ` : '';
+
+            if (items.length === 0) {
+                container.innerHTML = `
+                    <p class="family-empty">
+                        ${isMember
+                            ? '목표의 ⋯ 메뉴에서 “가족과 공유”를 고르면 여기에 모여요.'
+                            : '가족 구성원을 추가하면 공유한 목표가 여기에 보여요.'}
+                    </p>
+                    ${sealedNote}
+                `;
+                return;
+            }
+
+            container.innerHTML = items.map(({ owner, goal, contributions }) => {
+                const category = CONFIG.CATEGORIES[goal.category] || CONFIG.CATEGORIES.other;
+                const tasks = goal.tasks || [];
+                const names = Object.fromEntries(contributions.map(({ member }) => [member.id, member.name]));
+                const progress = goal.completed ? 100 : (goal.taskProgress || 0);
+
+                return `
+                    <div class="shared-goal-card ${goal.completed ? 'completed' : ''}" data-owner-id="${owner.id}" data-goal-id="${goal.id}">
+                        <h4>${category.icon} ${Utils.escapeHtml(goal.text)}${goal.completed ? ' ✅' : ''}</h4>
+                        <div class="goal-owner">
+                            👤 ${owner.id === currentId ? '내' : `${Utils.escapeHtml(owner.name)}님의`} 목표 ·
+                            함께: ${contributions.map(({ member }) => Utils.escapeHtml(member.name)).join(', ')}
+                        </div>
+                        <div class="shared-goal-progress" role="progressbar" aria-valuenow="${progress}" aria-valuemin="0" aria-valuemax="100">
+                            <div class="shared-goal-progress-fill" style="width: ${progress}%"></div>
+                        </div>
+                        ${tasks.length > 0 ? `
+                            <ul class="shared-goal-contributions">
+                                ${contributions.map(({ member, count, share }) => `
+                                    <li>
+                                        <span class="contribution-name">${Utils.escapeHtml(member.name)}</span>
+                                        <span class="contribution-bar"><span style="width: ${share}%"></span></span>
+                                        <span class="contribution-count">${count}개 · ${share}%</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                            <ul class="shared-goal-tasks">
+                                ${tasks.map(task => `
+                                    <li>
+                                        <label>
+                                            <input type="checkbox" class="shared-task-check" data-task-id="${task.id}"
+                                                   ${task.completed ? 'checked' : ''} ${goal.completed ? 'disabled' : ''}>
+                                            <span>${Utils.escapeHtml(task.text)}</span>
+                                        </label>
+                                        ${task.completed ? `
+                                            <span class="shared-task-by">${Utils.escapeHtml(names[task.completedBy || owner.id] || '')}</span>
+                                        ` : ''}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : `
+                            <p class="family-empty">세부 계획을 추가하면 구성원별 기여도를 볼 수 있어요.</p>
+                        `}
+                        ${owner.id !== currentId ? `
+                            <div class="goal-actions">
+                                <button type="button" class="btn-encourage">💪 응원하기</button>
+                            </div>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('') + sealedNote;
+        },
+
+        // 응원 벽 (보내기 + 주고받은 응원 목록)
+        renderEncouragementWall(container, { currentId, recipients, to, goalId, reacted, entries }) {
+            if (!container) return;
+
+            const nameOf = id => {
+                const profile = DataModel.state.profiles.find(p => p.id === id);
+                return profile ? Utils.escapeHtml(profile.name) : '(삭제된 프로필)';
+            };
+            const goals = to ? [...to.bucketList].sort((a, b) => a.completed - b.completed) : [];
+
+            const composer = recipients.length === 0 ? `
+                <p class="family-empty">응원할 다른 프로필이 없어요. 잠긴 프로필의 목표는 응원할 수 없어요.</p>
+            ` : `
+                <form class="encouragement-composer">
+                    <div class="encouragement-targets">
+                        <label>
+                            누구에게
+                            <select name="to">
+                                ${recipients.map(profile => `
+                                    <option value="${profile.id}" ${profile.id === to?.id ? 'selected' : ''}>${Utils.escapeHtml(profile.name)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <label>
+                            어떤 목표에
+                            <select name="goal" ${goals.length === 0 ? 'disabled' : ''}>
+                                ${goals.length === 0 ? '<option value="">아직 목표가 없어요</option>' : goals.map(goal => `
+                                    <option value="${goal.id}" ${goal.id === goalId ? 'selected' : ''}>
+                                        ${goal.completed ? '🏆' : '🎯'} ${Utils.escapeHtml(goal.text)}
+                                    </option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="encouragement-reactions" role="group" aria-label="반응 보내기">
+                        ${Encouragement.REACTIONS.map(emoji => `
+                            <button type="button" class="reaction-btn ${reacted.includes(emoji) ? 'active' : ''}" data-emoji="${emoji}"
+                                    aria-pressed="${reacted.includes(emoji)}" ${goals.length === 0 ? 'disabled' : ''}>${emoji}</button>
+                        `).join('')}
+                    </div>
+                    <div class="encouragement-input">
+                        <textarea name="text" rows="2" maxlength="${Encouragement.MAX_LENGTH}" placeholder="응원 메시지를 남겨보세요"></textarea>
+                        <button type="submit" class="btn-primary" ${goals.length === 0 ? 'disabled' : ''}>보내기</button>
+                    </div>
+                </form>
+            `;
+
+            container.innerHTML = composer + `
+                <div class="encouragement-list">
+                    ${entries.length === 0 ? '<p class="family-empty">아직 주고받은 응원이 없어요.</p>' : entries.map(entry => {
+                        const received = entry.toId === currentId;
+                        return `
+                            <div class="encouragement-message ${received ? 'received' : 'sent'} ${received && !entry.read ? 'unread' : ''}">
+                                <div class="encouragement-meta">
+                                    <span class="encouragement-author">${nameOf(entry.fromId)} → ${nameOf(entry.toId)}</span>
+                                    <span class="encouragement-time">${Utils.getRelativeTime(entry.createdAt)}</span>
+                                </div>
+                                <div class="encouragement-goal">${entry.achievement ? '🏆' : '🎯'} ${Utils.escapeHtml(Encouragement.goalTitle(entry))}</div>
+                                ${entry.emoji
+                                    ? `<div class="encouragement-emoji" aria-label="반응">${entry.emoji}</div>`
+                                    : `<p class="encouragement-text">${Utils.escapeHtml(entry.text)}</p>`}
+                                <button type="button" class="encouragement-delete" data-entry-id="${entry.id}" aria-label="응원 삭제">×</button>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+        },
+
+        // 가족 구성원 추가 (이 기기의 프로필 선택 또는 새 프로필)
+        renderAddFamily(candidates) {
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal add-family-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '가족 구성원 추가');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>👨‍👩‍👧‍👦 가족 구성원 추가</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        ${candidates.length > 0 ? `
+                            <fieldset class="import-modes family-candidates">
+                                <legend>이 기기의 프로필</legend>
+                                ${candidates.map((profile, index) => `
+                                    <label>
+                                        <input type="radio" name="familyProfile" value="${profile.id}" ${index === 0 ? 'checked' : ''}>
+                                        ${Vault.hasLock(profile) ? '🔒 ' : ''}${Utils.escapeHtml(profile.name)}
+                                    </label>
+                                `).join('')}
+                                <label>
+                                    <input type="radio" name="familyProfile" value="">
+                                    새 프로필 만들기
+                                </label>
+                            </fieldset>
+                        ` : `
+                            <p class="import-meta">이 기기의 다른 프로필이 모두 가족이에요. 새 프로필을 만들어 추가할 수 있어요.</p>
+                        `}
+                        <label class="family-new-name" ${candidates.length > 0 ? 'hidden' : ''}>
+                            새 프로필 이름
+                            <input type="text" name="familyName" maxlength="20" placeholder="이름">
+                        </label>
+                    </div>
+                    <div class="modal-buttons import-wizard-actions">
+                        <button type="button" class="btn-primary import-confirm">추가</button>
+                        <button type="button" class="btn-secondary import-cancel">취소</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // 목표를 함께할 구성원 선택
+        renderGoalSharing(goal, members) {
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal goal-sharing-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '가족과 공유');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>🤝 가족과 공유</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        <p class="import-meta">“${Utils.escapeHtml(goal.text)}”을 함께 이룰 구성원을 고르세요. 함께하는 구성원은 소셜 탭에서 세부 계획을 완료할 수 있어요.</p>
+                        <fieldset class="import-modes">
+                            <legend>함께할 구성원</legend>
+                            ${members.map(profile => `
+                                <label>
+                                    <input type="checkbox" name="sharedWith" value="${profile.id}"
+                                           ${(goal.sharedWith || []).includes(profile.id) ? 'checked' : ''}>
+                                    ${Vault.hasLock(profile) ? '🔒 ' : ''}${Utils.escapeHtml(profile.name)}
+                                </label>
+                            `).join('')}
+                        </fieldset>
+                    </div>
+                    <div class="modal-buttons import-wizard-actions">
+                        <button type="button" class="btn-primary import-confirm">저장</button>
+                        <button type="button" class="btn-secondary import-cancel">취소</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // 목표·세부 계획 태그 편집 (쉼표·Enter로 추가, 기존 태그 자동 완성)
+        renderTagEditor(title, tags) {
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal tag-editor-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '태그 편집');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>🏷️ 태그 편집</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        <p class="import-meta">“${Utils.escapeHtml(title)}”</p>
+                        <div class="tag-editor-list"></div>
+                        <input type="text" class="tag-editor-input" list="tagEditorSuggestions" maxlength="${Tags.MAX_LENGTH * 4}"
+                               placeholder="태그 입력 후 Enter (쉼표로 여러 개)" aria-label="태그 추가" autocomplete="off">
+                        <datalist id="tagEditorSuggestions"></datalist>
+                    </div>
+                    <div class="modal-buttons import-wizard-actions">
+                        <button type="button" class="btn-primary import-confirm">저장</button>
+                        <button type="button" class="btn-secondary import-cancel">취소</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            this.renderTagEditorList(modal, tags);
+            return modal;
+        },
+
+        renderTagEditorList(modal, tags) {
+            const profile = DataModel.state.currentProfile;
+            modal.querySelector('.tag-editor-list').innerHTML = tags.length > 0
+                ? tags.map(tag => `
+                    <span class="tag-chip" style="--tag-color: ${Tags.colorOf(profile, tag)}">
+                        #${Utils.escapeHtml(tag)}
+                        <button type="button" class="tag-remove" data-tag="${Utils.escapeHtml(tag)}" aria-label="${Utils.escapeHtml(tag)} 태그 빼기">&times;</button>
+                    </span>
+                `).join('')
+                : '<p class="tag-editor-empty">아직 태그가 없어요.</p>';
+            modal.querySelector('datalist').innerHTML = Tags.suggest(profile, tags)
+                .map(tag => `<option value="${Utils.escapeHtml(tag)}"></option>`)
+                .join('');
+        },
+
+        // 태그 관리 (이름 바꾸기·합치기·색·삭제는 바로 적용되고 실행 취소 가능)
+        renderTagManager() {
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal tag-manager-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '태그 관리');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>🏷️ 태그 관리</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        <p class="import-meta">이미 있는 이름으로 바꾸면 두 태그가 합쳐져요.</p>
+                        <ul class="tag-manager-list"></ul>
+                    </div>
+                    <div class="modal-buttons import-wizard-actions">
+                        <button type="button" class="btn-secondary import-cancel">닫기</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        renderTagManagerList(modal, tags) {
+            const list = modal.querySelector('.tag-manager-list');
+            if (tags.length === 0) {
+                list.innerHTML = '<li class="tag-editor-empty">태그가 없어요. 목표의 ⋯ 메뉴에서 태그를 달아보세요.</li>';
+                return;
+            }
+
+            list.innerHTML = tags.map(({ name, color, goals, tasks }) => `
+                <li class="tag-manager-item" data-tag="${Utils.escapeHtml(name)}">
+                    <input type="color" class="tag-color" value="${color}" aria-label="${Utils.escapeHtml(name)} 색">
+                    <input type="text" class="tag-name" value="${Utils.escapeHtml(name)}" maxlength="${Tags.MAX_LENGTH}" aria-label="태그 이름">
+                    <span class="tag-usage">목표 ${goals} · 세부 계획 ${tasks}</span>
+                    ${tags.length > 1 ? `
+                        <select class="tag-merge" aria-label="다른 태그로 합치기">
+                            <option value="">합치기…</option>
+                            ${tags.filter(other => other.name !== name).map(other => `
+                                <option value="${Utils.escapeHtml(other.name)}">#${Utils.escapeHtml(other.name)}</option>
+                            `).join('')}
+                        </select>
+                    ` : ''}
+                    <button type="button" class="tag-delete" aria-label="${Utils.escapeHtml(name)} 태그 삭제">🗑️</button>
+                </li>
+            `).join('');
+        },
+
+        // 가족 도전 목록 (순위표, 끝난 도전은 결과)
+        renderChallenges(container, items, { currentId, activeGoals }) {
+            if (!container) return;
+
+            if (items.length === 0) {
+                container.innerHTML = '<p class="family-empty">기간을 정해 가족과 함께 도전해보세요. 완료 기록은 자동으로 집계돼요.</p>';
+                return;
+            }
+
+            const medals = ['🥇', '🥈', '🥉'];
+            const statusLabels = { upcoming: '시작 전', active: '진행 중', ended: '종료' };
+
+            container.innerHTML = items.map(({ challenge, status, board, daysLeft }) => {
+                const type = Challenges.TYPES[challenge.type];
+                const winners = board.filter(row => row.rank === 1 && row.value > 0);
+                const needsGoal = challenge.type === 'goal' && status !== 'ended' &&
+                    challenge.participants.includes(currentId) && !challenge.goals[currentId];
+
+                return `
+                    <div class="challenge-card ${status}" data-challenge-id="${challenge.id}">
+                        <div class="challenge-header">
+                            <h4>${type.icon} ${Utils.escapeHtml(challenge.title)}</h4>
+                            <span class="challenge-status">
+                                ${statusLabels[status]}${status === 'active' ? ` · ${daysLeft === 0 ? '오늘 마감' : `D-${daysLeft}`}` : ''}
+                            </span>
+                        </div>
+                        <div class="challenge-description">
+                            ${Utils.formatShortDate(challenge.startDate)} ~ ${Utils.formatShortDate(challenge.endDate)} ·
+                            ${type.name} ${challenge.target}${type.unit}
+                        </div>
+                        ${status === 'ended' ? `
+                            <div class="challenge-result">
+                                ${winners.length > 0
+                                    ? `🏆 ${winners.map(row => Utils.escapeHtml(row.profile.name)).join(', ')} 우승!`
+                                    : '기록한 사람이 없어요'}
+                                · 목표 달성 ${board.filter(row => row.reached).length}/${board.length}명
+                            </div>
+                        ` : ''}
+                        <ol class="challenge-leaderboard">
+                            ${board.map(row => `
+                                <li class="${row.profile.id === currentId ? 'me' : ''}">
+                                    <span class="leaderboard-rank">${medals[row.rank - 1] || row.rank}</span>
+                                    <span class="leaderboard-name">
+                                        ${Vault.isSealed(row.profile) ? '🔒 ' : ''}${Utils.escapeHtml(row.profile.name)}
+                                    </span>
+                                    <span class="challenge-progress"><span class="challenge-progress-bar" style="width: ${row.ratio}%"></span></span>
+                                    <span class="leaderboard-value">${row.value}${type.unit}${row.reached ? ' ✅' : ''}</span>
+                                </li>
+                            `).join('')}
+                        </ol>
+                        ${needsGoal ? `
+                            <label class="challenge-goal-picker">
+                                도전할 내 목표
+                                <select class="challenge-goal-select">
+                                    <option value="">목표 고르기</option>
+                                    ${activeGoals.map(goal => `
+                                        <option value="${goal.id}">${Utils.escapeHtml(goal.text)}</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                        ` : ''}
+                        <div class="challenge-actions">
+                            ${status === 'ended' ? '<button type="button" class="btn-primary challenge-result-btn">🏁 결과 카드</button>' : ''}
+                            <button type="button" class="btn-secondary challenge-delete">삭제</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        },
+
+        // 새 도전 만들기
+        renderChallengeForm(profiles, currentId, activeGoals) {
+            const today = Utils.toDateKey();
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal challenge-form-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '새 도전 만들기');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>🏆 새 도전 만들기</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <form class="import-wizard-body challenge-form">
+                        <label>
+                            도전 이름
+                            <input type="text" name="title" maxlength="40" placeholder="예: 이번 주 매일 운동하기" required>
+                        </label>
+                        <label>
+                            도전 종류
+                            <select name="type">
+                                ${Object.entries(Challenges.TYPES).map(([key, type]) => `
+                                    <option value="${key}">${type.icon} ${type.name}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <label class="challenge-target">
+                            목표 <span class="challenge-target-unit">${Challenges.TYPES.recurring.unit}</span>
+                            <input type="number" name="target" min="1" value="7">
+                        </label>
+                        <label class="challenge-my-goal" hidden>
+                            도전할 내 목표 (다른 구성원은 각자 고릅니다)
+                            <select name="goal">
+                                ${activeGoals.map(goal => `
+                                    <option value="${goal.id}">${Utils.escapeHtml(goal.text)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <div class="challenge-dates">
+                            <label>
+                                시작일
+                                <input type="date" name="startDate" value="${today}">
+                            </label>
+                            <label>
+                                종료일
+                                <input type="date" name="endDate" value="${Utils.addDays(today, 6)}">
+                            </label>
+                        </div>
+                        <fieldset class="import-modes">
+                            <legend>함께할 구성원</legend>
+                            ${profiles.map(profile => `
+                                <label>
+                                    <input type="checkbox" name="participants" value="${profile.id}"
+                                           ${profile.id === currentId || Household.isMember(profile.id) ? 'checked' : ''}>
+                                    ${Vault.hasLock(profile) ? '🔒 ' : ''}${Utils.escapeHtml(profile.name)}${profile.id === currentId ? ' (나)' : ''}
+                                </label>
+                            `).join('')}
+                        </fieldset>
+                    </form>
+                    <div class="modal-buttons import-wizard-actions">
+                        <button type="button" class="btn-primary import-confirm">만들기</button>
+                        <button type="button" class="btn-secondary import-cancel">취소</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // 도전 결과 카드
+        renderChallengeResult(challenge, options) {
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal challenge-result-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '도전 결과');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>🏁 ${Utils.escapeHtml(challenge.title)} 결과</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        ${this.renderCardStudio(options, false)}
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // PDF 리포트 옵션
+        renderPdfOptions(sections, pageSizes) {
+            const subSections = ['tasks', 'milestones', 'photos'];
+            const renderSection = key => `
+                <label class="${subSections.includes(key) ? 'pdf-option-sub' : ''}">
+                    <input type="checkbox" name="${key}" checked>
+                    ${sections[key]}
+                </label>
+            `;
+
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal pdf-options-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', 'PDF 리포트');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>📄 PDF 리포트</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        <label class="pdf-page-size">
+                            쪽 크기
+                            <select name="pageSize">
+                                ${Object.entries(pageSizes).map(([value, name]) => `
+                                    <option value="${value}">${name}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <fieldset class="import-modes pdf-sections">
+                            <legend>넣을 내용</legend>
+                            ${Object.keys(sections).map(renderSection).join('')}
+                        </fieldset>
+                        <p class="import-meta">모든 한글을 지원해요. 한자·일본어 같은 다른 문자는 PDF에서 빠질 수 있어요.</p>
+                    </div>
+                    <div class="modal-buttons import-wizard-actions">
+                        <button type="button" class="btn-primary import-confirm">만들기</button>
+                        <button type="button" class="btn-secondary import-cancel">취소</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // CSV/Markdown 가져오기 (CSV 파일마다 열 매핑 선택)
+        renderListImport(csvFiles, markdownNames) {
+            const renderMapping = (file, index) => {
+                if (ListFormats.isItemsSheet(file.headers)) {
+                    return `<p class="list-import-file">📎 <strong>${Utils.escapeHtml(file.name)}</strong> — 세부 계획 파일 (목표 ID 또는 목표 이름으로 연결)</p>`;
+                }
+                const sample = file.rows[0] || [];
+                return `
+                    <fieldset class="list-import-mapping">
+                        <legend>📊 ${Utils.escapeHtml(file.name)} <span>(${file.rows.length}행)</span></legend>
+                        ${Object.entries(ListFormats.FIELDS).map(([field, info]) => `
+                            <label>
+                                <span>${info.label}</span>
+                                <select data-file="${index}" data-field="${field}">
+                                    <option value="">(사용 안 함)</option>
+                                    ${file.headers.map((header, column) => `
+                                        <option value="${column}" ${file.mapping[field] === column ? 'selected' : ''}>
+                                            ${Utils.escapeHtml(header || `${column + 1}번째 열`)}${sample[column] ? ` — 예: ${Utils.escapeHtml(sample[column].slice(0, 20))}` : ''}
+                                        </option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                `;
+            };
+
+            const modal = document.createElement('div');
+            modal.className = 'social-share-modal list-import-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-label', '목록 가져오기');
+            modal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>📋 목록 가져오기</h3>
+                        <button class="close-btn" aria-label="닫기">&times;</button>
+                    </div>
+                    <div class="import-wizard-body">
+                        <p class="import-meta">현재 프로필에 목표로 추가합니다. 열 매핑을 바꾸면 미리보기가 바로 바뀝니다.</p>
+                        ${csvFiles.map(renderMapping).join('')}
+                        ${markdownNames.map(name => `
+                            <p class="list-import-file">📝 <strong>${Utils.escapeHtml(name)}</strong> — '## 카테고리' 아래 체크리스트를 목표로, 들여쓴 항목을 세부 계획으로 가져옵니다.</p>
+                        `).join('')}
+                        <div class="list-import-preview" aria-live="polite"></div>
+                    </div>
+                    <div class="modal-buttons import-wizard-actions">
+                        <button type="button" class="btn-primary import-confirm">가져오기</button>
+                        <button type="button" class="btn-secondary import-cancel">취소</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        // 가져올 목표 미리보기
+        renderListImportPreview(container, { goals, warnings, duplicates }) {
+            const taskCount = goals.reduce((sum, goal) => sum + goal.tasks.length, 0);
+            const milestoneCount = goals.reduce((sum, goal) => sum + goal.milestones.length, 0);
+            const summary = [
+                `목표 ${goals.length}개`,
+                `완료 ${goals.filter(goal => goal.completed).length}개`,
+                taskCount ? `세부 계획 ${taskCount}개` : '',
+                milestoneCount ? `마일스톤 ${milestoneCount}개` : ''
+            ].filter(Boolean).join(' · ');
+
+            container.innerHTML = `
+                <h4>미리보기</h4>
+                <p class="list-import-summary">
+                    ${summary}${duplicates ? ` <span>(이미 있는 목표 ${duplicates}개는 건너뜀)</span>` : ''}
+                </p>
+                ${goals.length > 0 ? `
+                    <div class="list-import-table-wrap">
+                        <table class="list-import-table">
+                            <thead>
+                                <tr><th>목표</th><th>카테고리</th><th>완료</th><th>목표일</th><th>세부 계획</th></tr>
+                            </thead>
+                            <tbody>
+                                ${goals.slice(0, 8).map(goal => `
+                                    <tr>
+                                        <td>${Utils.escapeHtml(goal.text)}</td>
+                                        <td>${CONFIG.CATEGORIES[goal.category].icon} ${CONFIG.CATEGORIES[goal.category].name}</td>
+                                        <td>${goal.completed ? `✅ ${goal.completedAt ? Utils.formatShortDate(goal.completedAt) : ''}` : ''}</td>
+                                        <td>${goal.targetDate ? Utils.formatDate(goal.targetDate) : ''}</td>
+                                        <td>${goal.tasks.length + goal.milestones.length || ''}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    ${goals.length > 8 ? `<p class="import-no-changes">외 ${goals.length - 8}개</p>` : ''}
+                ` : '<p class="import-no-changes">가져올 목표가 없습니다.</p>'}
+                ${warnings.length > 0 ? `
+                    <ul class="import-issues warnings">
+                        ${warnings.slice(0, 10).map(warning => `<li>${Utils.escapeHtml(warning)}</li>`).join('')}
+                        ${warnings.length > 10 ? `<li>외 ${warnings.length - 10}건</li>` : ''}
+                    </ul>
+                ` : ''}
+            `;
+        },
+
+        // 로딩 표시
+        showLoading(message = '로딩중...') {
+            const loading = document.createElement('div');
+            loading.className = 'loading-overlay';
+            loading.innerHTML = `
+                <div class="loading-spinner"></div>
+                <p>${Utils.escapeHtml(message)}</p>
+            `;
+            document.body.appendChild(loading);
+        },
+
+        hideLoading() {
+            const loading = document.querySelector('.loading-overlay');
+            if (loading) loading.remove();
+        }
+    };
+
+    // ========================================
+    // 9-1. 주소 라우터 (Router)
+    // ========================================
+    // #/journey, #/goal/<id>, #/goal/<id>/tasks, #/add?text=&category=, #/received 형식의 주소와 화면을 맞춘다.
+    // 탭 전환과 모달 열기를 방문 기록에 남겨 뒤로/앞으로 가기로 오갈 수 있다.
+    const Router = {
+        TABS: ['goals', 'journey', 'gallery', 'insights', 'social', 'data'],
+        // 주소만으로 다시 열 수 있는 모달
+        MODAL_OPENERS: {
+            profileManagerModal: () => Controller.handleProfileManager(),
+            imageSettingsModal: () => Controller.handleImageSettings(),
+            monthlyReflectionModal: () => Controller.handleMonthlyReflection()
+        },
+        // 한 번만 처리하는 화면 (새로고침 때 다시 열지 않음)
+        ONE_TIME_VIEWS: ['add', 'received'],
+        applying: false, // 주소 → 화면 반영 중에는 기록하지 않음
+
+        // 현재 주소 → 경로 ({ tab, goalId, profileId, view, modal, text, category })
+        parse(location = window.location) {
+            const hash = location.hash.slice(1);
+            if (hash.startsWith('/')) {
+                const [path, query = ''] = hash.slice(1).split('?');
+                const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+                return this.fromPath(segments, new URLSearchParams(query));
+            }
+            return this.fromQuery(new URLSearchParams(location.search));
+        },
+
+        fromPath([first, goalId, view], params) {
+            if (first === 'add') {
+                return { tab: 'goals', view: 'add', text: params.get('text') || '', category: params.get('category') || '' };
+            }
+            if (first === 'received') {
+                return { tab: 'goals', view: 'received' };
+            }
+            if (first === 'goal' && goalId) {
+                return {
+                    tab: 'goals',
+                    goalId,
+                    profileId: params.get('profile') || undefined,
+                    view: view === 'tasks' ? 'tasks' : undefined
+                };
+            }
+            if (this.TABS.includes(first)) {
+                return { tab: first, modal: params.get('modal') || undefined };
+            }
+            return null;
+        },
+
+        // 매니페스트 단축키(?action=add)와 알림(?profile=&goal=) 주소
+        fromQuery(params) {
+            if (params.get('action') === 'add') {
+                return { tab: 'goals', view: 'add', text: params.get('text') || '', category: params.get('category') || '' };
+            }
+            if (params.get('goal')) {
+                return { tab: 'goals', goalId: params.get('goal'), profileId: params.get('profile') || undefined };
+            }
+            if (this.TABS.includes(params.get('tab'))) {
+                return { tab: params.get('tab') };
+            }
+            return null;
+        },
+
+        // 경로 → 주소 조각
+        format(route) {
+            if (route.view === 'add') {
+                const params = new URLSearchParams();
+                if (route.text) params.set('text', route.text);
+                if (route.category) params.set('category', route.category);
+                const query = params.toString();
+                return `#/add${query ? `?${query}` : ''}`;
+            }
+            if (route.goalId) {
+                return `#/goal/${encodeURIComponent(route.goalId)}${route.view === 'tasks' ? '/tasks' : ''}`;
+            }
+            return `#/${route.tab || 'goals'}${route.modal ? `?modal=${encodeURIComponent(route.modal)}` : ''}`;
+        },
+
+        current() {
+            return history.state?.route || { tab: DataModel.state.activeTab };
+        },
+
+        // 방문 기록 추가 (replace: 현재 기록 교체)
+        navigate(route, { replace = false } = {}) {
+            if (this.applying) return;
+
+            const url = window.location.pathname + this.format(route);
+            if (!replace && url === window.location.pathname + window.location.hash) return;
+
+            // pushed: 앱 안에서 쌓은 기록인지 (뒤로 가기로 닫아도 되는지)
+            const pushed = replace ? !!history.state?.pushed : true;
+            history[replace ? 'replaceState' : 'pushState']({ route, pushed }, '', url);
+        },
+
+        onModalOpen(modalId) {
+            if (this.applying) return;
+
+            const route = modalId === 'taskManagerModal'
+                ? { tab: 'goals', goalId: Controller.currentTaskGoalId, view: 'tasks' }
+                : { tab: this.current().tab, modal: modalId };
+            this.navigate(route);
+        },
+
+        // 모달을 닫으면 모달을 연 기록도 되돌림
+        onModalClose(modalId) {
+            if (this.applying) return;
+
+            const state = history.state;
+            const route = state?.route;
+            const isModalRoute = route && (route.modal === modalId ||
+                (modalId === 'taskManagerModal' && route.view === 'tasks'));
+            if (!isModalRoute) return;
+
+            if (state.pushed) {
+                history.back();
+            } else {
+                this.navigate({ tab: route.tab }, { replace: true });
+            }
+        },
+
+        // 주소 → 화면
+        apply(route) {
+            this.applying = true;
+            try {
+                Controller.applyRoute(route || { tab: 'goals' });
+            } finally {
+                this.applying = false;
+            }
+        },
+
+        // 시작 시 주소 처리 후 뒤로/앞으로 가기 감시
+        start() {
+            window.addEventListener('popstate', () => this.apply(this.parse()));
+
+            const route = this.parse();
+            // 처리한 쿼리(?action=add 등)는 주소에서 정리, 추가 폼 등은 새로고침해도 다시 열지 않음
+            const initial = route && !this.ONE_TIME_VIEWS.includes(route.view)
+                ? route
+                : { tab: route?.tab || DataModel.state.activeTab };
+            history.replaceState({ route: initial, pushed: false }, '', window.location.pathname + this.format(initial));
+
+            if (route) this.apply(route);
+        }
+    };
+
+    // ========================================
+    // 9-2. 여정 & 인사이트 (Journey Insights)
+    // ========================================
+    const JourneyInsights = {
+        PERIODS: { all: '전체', year: '올해', quarter: '분기', month: '이번달', week: '이번주' },
+        // 기간별 차트 묶음 단위
+        BUCKETS: { week: 'day', month: 'week', quarter: 'week', year: 'month', all: 'month' },
+        WEEKDAYS: ['일', '월', '화', '수', '목', '금', '토'],
+        period: 'all',
+        view: 'timeline',
+
+        // 기간 → { from, to } 날짜 키 (전체는 from 없음)
+        periodRange(period, todayKey = Utils.toDateKey()) {
+            const today = Utils.parseDateKey(todayKey);
+            const from = {
+                week: () => Utils.addDays(todayKey, -((today.getDay() + 6) % 7)),
+                month: () => `${todayKey.slice(0, 7)}-01`,
+                quarter: () => Utils.toDateKey(new Date(today.getFullYear(), today.getMonth() - today.getMonth() % 3, 1)),
+                year: () => `${todayKey.slice(0, 4)}-01-01`
+            }[period];
+            return { from: from ? from() : null, to: todayKey };
+        },
+
+        inRange(date, range) {
+            if (!date) return false;
+            const key = Utils.toDateKey(date);
+            return (!range.from || key >= range.from) && key <= range.to;
+        },
+
+        // 기간에 맞춰 데이터를 다시 모음
+        filterDataByPeriod(profile, period = this.period) {
+            const range = this.periodRange(period);
+            const bucketList = profile?.bucketList || [];
+
+            // 기간 안에 진행 중이었던 목표 (기간 전에 끝난 목표·기간 뒤에 만든 목표 제외)
+            const goals = bucketList.filter(goal =>
+                (!goal.createdAt || Utils.toDateKey(goal.createdAt) <= range.to) &&
+                (!goal.completed || !range.from || !goal.completedAt || Utils.toDateKey(goal.completedAt) >= range.from)
+            );
+            const completed = goals.filter(goal => goal.completed && this.inRange(goal.completedAt, range));
+
+            const entries = bucketList
+                .flatMap(goal => (goal.emotionalJourney || []).map(entry => ({ ...entry, goal })))
+                .filter(entry => this.inRange(entry.date, range))
+                .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+            const log = new Map(
+                [...DataModel.getActivityLog(profile)].filter(([key]) => this.inRange(key, range))
+            );
+
+            const byCategory = {};
+            Object.keys(CONFIG.CATEGORIES).forEach(category => {
+                const inCategory = goals.filter(goal => goal.category === category);
+                byCategory[category] = {
+                    total: inCategory.length,
+                    completed: inCategory.filter(goal => completed.includes(goal)).length
+                };
+            });
+
+            // 태그별 목표와 세부 계획 (세부 계획 완료는 기간 안에 한 것만)
+            const byTag = {};
+            Tags.names(profile).forEach(tag => {
+                const tagged = goals.filter(goal => (goal.tags || []).includes(tag));
+                const tasks = goals.flatMap(goal => goal.tasks || []).filter(task => (task.tags || []).includes(tag));
+                if (tagged.length === 0 && tasks.length === 0) return;
+                byTag[tag] = {
+                    total: tagged.length,
+                    completed: tagged.filter(goal => completed.includes(goal)).length,
+                    tasks: tasks.length,
+                    tasksDone: tasks.filter(task => task.completed && this.inRange(task.completedAt, range)).length
+                };
+            });
+
+            return {
+                period,
+                range,
+                goals,
+                completed,
+                entries,
+                log,
+                stats: {
+                    total: goals.length,
+                    completed: completed.length,
+                    percentage: Utils.calculatePercentage(completed.length, goals.length),
+                    byCategory,
+                    byTag
+                }
+            };
+        },
+
+        // 현재 연속 활동 일수
+        calculateStreak(profile) {
+            return Streaks.forProfile(profile).current;
+        },
+
+        // 첫 목표(또는 프로필)를 만든 날부터 지난 일수 (최소 1일)
+        calculateDaysSinceStart(profile) {
+            const dates = [profile?.createdAt, ...(profile?.bucketList || []).map(goal => goal.createdAt)]
+                .filter(Boolean)
+                .map(date => Utils.toDateKey(date))
+                .sort();
+            if (dates.length === 0) return 1;
+            return Math.max(1, Utils.daysBetween(dates[0], Utils.toDateKey()) + 1);
+        },
+
+        average(values) {
+            return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10 : null;
+        },
+
+        motivationValues(data) {
+            return data.entries.map(entry => entry.motivation).filter(value => typeof value === 'number');
+        },
+
+        // 달성률이 가장 높은 카테고리
+        analyzeStrengths(data, profile) {
+            const best = Object.entries(data.stats.byCategory)
+                .filter(([, counts]) => counts.completed > 0)
+                .sort((a, b) => b[1].completed / b[1].total - a[1].completed / a[1].total || b[1].completed - a[1].completed)[0];
+            if (!best) return '이 기간에 목표를 달성하면 강점을 분석해드릴게요.';
+
+            const [category, counts] = best;
+            const info = CONFIG.CATEGORIES[category];
+            const streak = this.calculateStreak(profile);
+            return `${info.icon} ${info.name} 목표를 가장 잘 이루고 있어요 (${counts.total}개 중 ${counts.completed}개 달성).` +
+                (streak >= 3 ? ` 게다가 ${streak}일 연속 활동 중이에요!` : '');
+        },
+
+        // 활동 요일, 달성까지 걸린 기간
+        discoverPatterns(data) {
+            const weekdays = new Array(7).fill(0);
+            data.log.forEach((events, key) => {
+                weekdays[Utils.parseDateKey(key).getDay()] += events.length;
+            });
+            const busiest = weekdays.indexOf(Math.max(...weekdays));
+
+            const patterns = [];
+            if (weekdays[busiest] > 0) {
+                patterns.push(`${this.WEEKDAYS[busiest]}요일에 가장 활발하게 움직여요.`);
+            }
+            if (data.completed.length >= 2) {
+                patterns.push(`목표를 세우고 평균 ${Controller.calculateAverageCompletionTime(data.completed)}일 만에 달성해요.`);
+            }
+            return patterns.join(' ') || '활동 기록이 쌓이면 나만의 패턴을 찾아드릴게요.';
+        },
+
+        // 지금 해 볼 만한 한 가지
+        suggestNextSteps(data, profile) {
+            const active = (profile?.bucketList || []).filter(goal => !goal.completed);
+
+            const declining = active.find(goal => EmotionJourney.decline(goal));
+            if (declining) {
+                return `'${declining.text}'의 동기가 떨어지고 있어요. 세부 계획을 더 작게 나눠보세요.`;
+            }
+
+            const nearest = active
+                .filter(goal => (goal.tasks || []).length > 0)
+                .map(goal => ({ goal, left: goal.tasks.filter(task => !task.completed).length, total: goal.tasks.length }))
+                .filter(item => item.left > 0 && item.left / item.total <= 0.5)
+                .sort((a, b) => a.left - b.left)[0];
+            if (nearest) {
+                return `'${nearest.goal.text}' 달성까지 세부 계획 ${nearest.left}개 남았어요!`;
+            }
+
+            const emptyCategory = Object.entries(CONFIG.CATEGORIES)
+                .find(([key]) => key !== 'other' && !(profile?.bucketList || []).some(goal => goal.category === key));
+            if (emptyCategory) {
+                return `아직 ${emptyCategory[1].icon} ${emptyCategory[1].name} 목표가 없어요. 새로 하나 추가해보세요.`;
+            }
+
+            return '새 목표를 추가해 여정을 이어가세요.';
+        },
+
+        // 기간 동안의 속도로 남은 목표를 끝내는 데 걸릴 기간 (예측 카드와 같게 반복 목표는 제외)
+        calculateForecast(data, profile) {
+            const goals = (profile?.bucketList || []).filter(goal => !goal.recurring?.rule);
+            const total = goals.length;
+            const remaining = goals.filter(goal => Forecast.isOpen(goal)).length;
+            const days = data.range.from
+                ? Utils.daysBetween(data.range.from, data.range.to) + 1
+                : this.calculateDaysSinceStart(profile);
+            const pace = data.completed.length / days; // 하루에 달성한 목표 수
+
+            if (remaining === 0) {
+                return { total, remaining, pace, daysToComplete: 0, date: null, weeklyTarget: null };
+            }
+            if (pace === 0) {
+                return { total, remaining, pace, daysToComplete: null, date: null, weeklyTarget: 1 };
+            }
+
+            const daysToComplete = Math.ceil(remaining / pace);
+            return {
+                total,
+                remaining,
+                pace,
+                daysToComplete,
+                date: Utils.addDays(data.range.to, daysToComplete),
+                weeklyTarget: Math.max(1, Math.ceil(pace * 7))
+            };
+        },
+
+        emotionInsight(counts) {
+            const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+            if (!top) return '감정 체크인을 남기면 감정 패턴을 알려드릴게요.';
+
+            const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+            const emotion = CONFIG.EMOTIONS[top[0]];
+            return `이 기간에 가장 많이 느낀 감정: ${emotion.emoji} ${emotion.name} (${total}번 중 ${top[1]}번)`;
+        },
+
+        // 기간 앞/뒤 절반의 평균 동기 비교
+        motivationInsight(data) {
+            const values = this.motivationValues(data);
+            if (values.length < 2) return '감정 체크인이 두 번 이상 쌓이면 동기 변화를 보여드릴게요.';
+
+            const half = Math.floor(values.length / 2);
+            const before = this.average(values.slice(0, half));
+            const after = this.average(values.slice(half));
+            if (after - before >= 1) return `동기가 올라가고 있어요 (${before} → ${after}).`;
+            if (before - after >= 1) return `동기가 조금 떨어졌어요 (${before} → ${after}). 작은 목표부터 다시 시작해보세요.`;
+            return `동기가 안정적으로 유지되고 있어요 (평균 ${this.average(values)}).`;
+        },
+
+        // 목표 달성률이 가장 높은 태그
+        tagInsight(byTag) {
+            const tags = Object.entries(byTag).filter(([, counts]) => counts.total > 0);
+            if (tags.length === 0) return '목표에 태그를 달면 태그별 성과를 보여드릴게요.';
+
+            const rate = ([, counts]) => counts.completed / counts.total;
+            const [tag, counts] = tags.sort((a, b) => rate(b) - rate(a) || b[1].total - a[1].total)[0];
+            if (counts.completed === 0) return `이 기간에 달성한 태그 목표가 아직 없어요. #${tag}부터 하나씩 이뤄보세요.`;
+            return `가장 잘 이루고 있는 태그: #${tag} (목표 ${counts.total}개 중 ${counts.completed}개 달성)`;
+        },
+
+        // ---------- 차트 데이터 ----------
+
+        bucketOf(key, unit) {
+            if (unit === 'day') return key;
+            if (unit === 'week') return Utils.addDays(key, -((Utils.parseDateKey(key).getDay() + 6) % 7));
+            return key.slice(0, 7);
+        },
+
+        nextBucket(bucket, unit) {
+            if (unit === 'day') return Utils.addDays(bucket, 1);
+            if (unit === 'week') return Utils.addDays(bucket, 7);
+            return Reflection.shiftMonth(bucket, 1);
+        },
+
+        bucketLabel(bucket, unit) {
+            if (unit === 'month') {
+                const [year, month] = bucket.split('-');
+                return `${year.slice(2)}.${Number(month)}월`;
+            }
+            const date = Utils.parseDateKey(bucket);
+            return `${date.getMonth() + 1}/${date.getDate()}${unit === 'week' ? '주' : ''}`;
+        },
+
+        // 기간 시작부터 오늘까지의 묶음 (전체는 첫 기록부터)
+        buckets(data, profile) {
+            const unit = this.BUCKETS[data.period];
+            const start = data.range.from || Utils.addDays(data.range.to, -(this.calculateDaysSinceStart(profile) - 1));
+            const keys = [];
+            for (let bucket = this.bucketOf(start, unit); bucket <= this.bucketOf(data.range.to, unit); bucket = this.nextBucket(bucket, unit)) {
+                keys.push(bucket);
+            }
+            return { unit, keys, labels: keys.map(key => this.bucketLabel(key, unit)) };
+        },
+
+        countBy(buckets, dates) {
+            const counts = Object.fromEntries(buckets.keys.map(key => [key, 0]));
+            dates.forEach(date => {
+                const bucket = this.bucketOf(Utils.toDateKey(date), buckets.unit);
+                if (bucket in counts) counts[bucket]++;
+            });
+            return buckets.keys.map(key => counts[key]);
+        },
+
+        trendData(data, buckets) {
+            const tasks = [];
+            data.log.forEach((events, key) => {
+                events.filter(event => event.type === 'task').forEach(() => tasks.push(key));
+            });
+            return {
+                labels: buckets.labels,
+                goals: this.countBy(buckets, data.completed.map(goal => goal.completedAt)),
+                tasks: this.countBy(buckets, tasks)
+            };
+        },
+
+        motivationData(data, buckets) {
+            const groups = Object.fromEntries(buckets.keys.map(key => [key, []]));
+            data.entries.forEach(entry => {
+                const bucket = this.bucketOf(Utils.toDateKey(entry.date), buckets.unit);
+                if (groups[bucket] && typeof entry.motivation === 'number') groups[bucket].push(entry.motivation);
+            });
+            return { labels: buckets.labels, values: buckets.keys.map(key => this.average(groups[key])) };
+        },
+
+        emotionCounts(data) {
+            const counts = {};
+            [...data.entries.map(entry => entry.emotion), ...data.completed.map(goal => goal.completionEmotion)]
+                .filter(emotion => CONFIG.EMOTIONS[emotion])
+                .forEach(emotion => {
+                    counts[emotion] = (counts[emotion] || 0) + 1;
+                });
+            return counts;
+        },
+
+        // 많이 쓴 태그 8개까지 (목표 + 세부 계획 수 순)
+        tagData(byTag, profile) {
+            const tags = Object.keys(byTag)
+                .sort((a, b) => (byTag[b].total + byTag[b].tasks) - (byTag[a].total + byTag[a].tasks))
+                .slice(0, 8);
+            return {
+                labels: tags.map(tag => `#${tag}`),
+                completed: tags.map(tag => byTag[tag].completed),
+                active: tags.map(tag => byTag[tag].total - byTag[tag].completed),
+                tasks: tags.map(tag => byTag[tag].tasks),
+                tasksDone: tags.map(tag => byTag[tag].tasksDone),
+                colors: tags.map(tag => Tags.colorOf(profile, tag))
+            };
+        },
+
+        // 누적 달성 + 현재 속도로 이어 그린 예측선
+        forecastData(data, buckets, forecast, profile) {
+            const total = (profile?.bucketList || []).length;
+            const before = (profile?.bucketList || []).filter(goal =>
+                goal.completed && goal.completedAt && data.range.from && Utils.toDateKey(goal.completedAt) < data.range.from
+            ).length;
+
+            let running = before;
+            const actual = this.countBy(buckets, data.completed.map(goal => goal.completedAt)).map(count => (running += count));
+
+            const labels = [...buckets.labels];
+            const projected = actual.map((value, index) => (index === actual.length - 1 ? value : null));
+            if (forecast.pace > 0 && running < total) {
+                const perBucket = forecast.pace * { day: 1, week: 7, month: 30 }[buckets.unit];
+                let bucket = buckets.keys[buckets.keys.length - 1];
+                let value = running;
+                for (let i = 0; i < 6 && value < total; i++) {
+                    bucket = this.nextBucket(bucket, buckets.unit);
+                    value = Math.min(total, Math.round((value + perBucket) * 10) / 10);
+                    labels.push(this.bucketLabel(bucket, buckets.unit));
+                    projected.push(value);
+                }
+            }
+            return { labels, actual, projected, total };
+        },
+
+        // ---------- 화면 ----------
+
+        initCategoryRadarChart(byCategory) {
+            ChartManager.createCategoryRadarChart('categoryRadarChart', byCategory);
+        },
+
+        initEmotionPieChart(counts) {
+            ChartManager.createEmotionPieChart('emotionPieChart', counts);
+        },
+
+        initMotivationLineChart(motivation) {
+            ChartManager.createMotivationLineChart('motivationLineChart', motivation);
+        },
+
+        initTrendChart(trend) {
+            ChartManager.createTrendChart('trendChart', trend);
+        },
+
+        initForecastChart(forecastData) {
+            ChartManager.createForecastChart('forecastChart', forecastData);
+        },
+
+        initTagChart(tagData) {
+            ChartManager.createTagChart('tagChart', tagData);
+        },
+
+        // 탭을 열 때마다 현재 기간으로 다시 그림
+        init() {
+            const profile = DataModel.state.currentProfile;
+            const container = document.getElementById('insights-tab');
+            if (!profile || !container) return;
+
+            const data = this.filterDataByPeriod(profile, this.period);
+            const buckets = this.buckets(data, profile);
+            const emotions = this.emotionCounts(data);
+            const forecast = this.calculateForecast(data, profile);
+            const predictions = Forecast.forProfile(profile);
+
+            View.renderJourneyInsights(container, {
+                period: this.period,
+                view: this.view,
+                stats: data.stats,
+                completed: data.completed,
+                log: data.log,
+                streak: this.calculateStreak(profile),
+                motivation: this.average(this.motivationValues(data)),
+                emotionInsight: this.emotionInsight(emotions),
+                motivationInsight: this.motivationInsight(data),
+                tagInsight: this.tagInsight(data.stats.byTag),
+                strengths: this.analyzeStrengths(data, profile),
+                patterns: this.discoverPatterns(data),
+                nextStep: this.suggestNextSteps(data, profile),
+                forecast,
+                predictions,
+                predictionSummary: Forecast.summary(predictions)
+            });
+
+            this.initCategoryRadarChart(data.stats.byCategory);
+            this.initEmotionPieChart(emotions);
+            this.initMotivationLineChart(this.motivationData(data, buckets));
+            this.initTrendChart(this.trendData(data, buckets));
+            this.initForecastChart(this.forecastData(data, buckets, forecast, profile));
+            this.initTagChart(this.tagData(data.stats.byTag, profile));
+
+            this.bind(container);
+        },
+
+        bind(container) {
+            container.querySelectorAll('.period-btn').forEach(btn => {
+                btn.onclick = () => {
+                    this.period = btn.dataset.period;
+                    this.init();
+                };
+            });
+            container.querySelectorAll('.view-btn').forEach(btn => {
+                btn.onclick = () => {
+                    this.view = btn.dataset.view;
+                    View.showInsightsView(container, this.view);
+                };
+            });
+
+            // 히트맵 날짜 → 그날 활동한 목표
+            const heatmap = document.getElementById('insightsHeatmap');
+            if (heatmap) {
+                heatmap.onclick = (e) => {
+                    const cell = e.target.closest('button.heatmap-cell');
+                    if (!cell) return;
+                    Controller.setDateFilter(cell.dataset.date);
+                    View.switchTab('goals');
+                };
+            }
+
+            const actions = {
+                exportJourneyReport: () => Controller.handlePdfReport(),
+                shareJourneyHighlights: () => Controller.showStatsShareModal(),
+                setNewGoals: () => {
+                    View.switchTab('goals');
+                    document.getElementById('goalInput')?.focus();
+                }
+            };
+            container.querySelectorAll('[data-insights-action]').forEach(btn => {
+                btn.onclick = actions[btn.dataset.insightsAction];
+            });
+        }
+    };
+
+    // ========================================
+    // 10. 이벤트 컨트롤러 (Event Controller)
+    // ========================================
+    const Controller = {
+        // 프로필 선택 후 추가할 공유 목표
+        pendingSharedGoal: null,
+        // 프로필 선택 후 반영할 주소 경로
+        pendingRoute: null,
+        // 월간 회고에서 보고 있는 달 ('YYYY-MM')
+        reflectionMonth: null,
+        // 감정 체크인을 저장한 뒤 감정 여정을 다시 열지
+        reopenJourney: false,
+        // 응원 벽에서 고른 받는 사람과 목표 { toId, goalId }
+        encouragementTarget: null,
+
+        // 초기화
+        async init() {
+            try {
+                // DOM 요소 초기화
+                View.initElements();
+                
+                // 이미지 설정 로드
+                ImageProcessor.loadSettings();
+                
+                // 차트 초기화
+                try {
+                    ChartManager.initCharts();
+                } catch (chartError) {
+                    console.warn('Chart initialization skipped:', chartError);
+                }
+                
+                // 데이터 로드 (IndexedDB, 최초 실행 시 localStorage에서 이전)
+                await DataModel.loadProfiles();
+                
+                // 이벤트 바인딩
+                this.bindEvents();
+                
+                // 초기 렌더링
+                this.render();
+
+                // 공유 링크로 열린 경우 공유 화면 표시
+                await this.handleSharedLink();
+
+                // 주소의 탭/목표/추가 폼 반영 (알림, 홈 화면 단축키)
+                Router.start();
+
+                // 알림 스케줄러 시작
+                Reminders.start();
+                
+            } catch (error) {
+                console.error('Error during initialization:', error);
+            }
+            
+            // 자동 로그아웃 설정
+            this.setupAutoLogout();
+            
+            // 서비스 워커 등록
+            this.registerServiceWorker();
+        },
+
+        // 이벤트 바인딩
+        bindEvents() {
+            // 클릭 이벤트 위임
+            document.addEventListener('click', this.handleClick.bind(this));
+            
+            // 더블클릭 이벤트 위임
+            document.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+            
+            // 키보드 이벤트
+            document.addEventListener('keydown', this.handleKeydown.bind(this));
+            
+            // 폼 이벤트
+            this.bindFormEvents();
+            
+            // 드래그 앤 드롭
+            this.bindDragDropEvents();
+            
+            // 태스크 드래그 앤 드롭
+            this.bindTaskDragEvents();
+            
+            // 우선순위 드래그 앤 드롭
+            this.initPriorityDragDrop();
+            
+            // 온라인/오프라인 이벤트
+            window.addEventListener('online', () => View.showNotification('온라인 상태로 전환되었습니다.', 'success'));
+            window.addEventListener('offline', () => View.showNotification('오프라인 상태입니다. 일부 기능이 제한될 수 있습니다.', 'warning'));
+        },
+
+        // 클릭 이벤트 핸들러
+        handleClick(e) {
+            const target = e.target;
+            
+            // 프로필 선택
+            if (target.closest('.profile-card:not(.add-profile):not(.guest-profile)')) {
+                const profileId = target.closest('.profile-card').dataset.profileId;
+                this.handleProfileSelect(profileId);
+            }
+            
+            // 새 프로필 추가
+            if (target.closest('#addProfileBtn')) {
+                this.handleNewProfile();
+            }
+            
+            // 게스트 모드
+            if (target.closest('#guestModeBtn')) {
+                this.handleGuestMode();
+            }
+
+            // 날짜 필터 해제
+            if (target.closest('#dateFilterClear')) {
+                this.setDateFilter(null);
+            }
+
+            // 태그 필터 (목표 카드·세부 계획의 태그 칩, 필터 버튼)
+            const tagButton = target.closest('.tag-chip[data-tag], .tag-filter-btn');
+            if (tagButton) {
+                this.toggleTagFilter(tagButton.dataset.tag);
+            }
+            if (target.closest('#tagFilterClear')) {
+                this.clearTagFilter();
+            }
+            if (target.closest('#manageTagsBtn')) {
+                this.showTagManager();
+            }
+            if (target.closest('.btn-task-tags')) {
+                const button = target.closest('.btn-task-tags');
+                this.showTagEditor(button.dataset.goalId, button.dataset.taskId);
+            }
+
+            // 목표 관련 버튼들
+            if (target.closest('.btn-complete')) {
+                const goalId = target.closest('.btn-complete').dataset.goalId;
+                this.handleGoalComplete(goalId);
+            }
+
+            if (target.closest('.btn-delete')) {
+                const goalId = target.closest('.btn-delete').dataset.goalId;
+                this.handleGoalDelete(goalId);
+            }
+
+            if (target.closest('.btn-task')) {
+                const goalId = target.closest('.btn-task').dataset.goalId;
+                this.handleTaskManager(goalId);
+            }
+            
+            // 빠른 태스크 추가 버튼
+            if (target.closest('.btn-quick-add')) {
+                const goalId = target.closest('.btn-quick-add').dataset.goalId;
+                const input = document.querySelector(`.quick-task-input[data-goal-id="${goalId}"]`);
+                if (input && input.value.trim()) {
+                    this.handleQuickTaskAdd(goalId, input.value.trim());
+                    input.value = '';
+                }
+            }
+            
+            // 태스크 확장/축소 버튼
+            if (target.closest('.task-expand-btn')) {
+                const btn = target.closest('.task-expand-btn');
+                const taskItem = btn.closest('.task-item');
+                const taskDetails = taskItem.querySelector('.task-details');
+                
+                btn.classList.toggle('expanded');
+                taskDetails.classList.toggle('show');
+            }
+            
+            // 태스크 체크박스
+            if (target.classList.contains('task-checkbox')) {
+                const goalId = target.dataset.goalId;
+                const taskId = target.dataset.taskId;
+                const completed = target.checked;
+                this.handleTaskToggle(goalId, taskId, completed);
+            }
+            
+            // 태스크 편집 저장
+            if (target.classList.contains('task-save-btn')) {
+                const goalId = target.dataset.goalId;
+                const taskId = target.dataset.taskId;
+                this.handleTaskSave(goalId, taskId);
+            }
+            
+            // 태스크 편집 취소
+            if (target.classList.contains('task-edit-cancel-btn')) {
+                const goalId = target.dataset.goalId;
+                const taskId = target.dataset.taskId;
+                this.handleTaskEditCancel(goalId, taskId);
+            }
+            
+            // 노트 추가 버튼
+            if (target.classList.contains('btn-add-note')) {
+                const goalId = target.dataset.goalId;
+                const taskId = target.dataset.taskId;
+                this.handleAddNoteClick(goalId, taskId);
+            }
+            
+            // 태스크 삭제 버튼
+            if (target.classList.contains('btn-delete-task')) {
+                const goalId = target.dataset.goalId;
+                const taskId = target.dataset.taskId;
+                this.handleTaskDelete(goalId, taskId);
+            }
+            
+            // 노트 삭제 버튼
+            if (target.classList.contains('btn-delete-note')) {
+                const goalId = target.dataset.goalId;
+                const taskId = target.dataset.taskId;
+                const noteId = target.dataset.noteId;
+                this.handleNoteDelete(goalId, taskId, noteId);
+            }
+            
+            // 인라인 완료 버튼
+            if (target.classList.contains('btn-complete-inline')) {
+                const goalId = target.dataset.goalId;
+                this.handleInlineComplete(goalId);
+            }
+            
+            // 목표일 설정 버튼
+            if (target.classList.contains('btn-schedule')) {
+                const goalId = target.dataset.goalId;
+                this.handleScheduleModal(goalId);
+            }
+            
+            // 세부 계획 버튼
+            if (target.classList.contains('btn-tasks')) {
+                const goalId = target.dataset.goalId;
+                this.handleTaskManager(goalId);
+            }
+            
+            // 더보기 버튼
+            if (target.classList.contains('btn-more')) {
+                const goalId = target.dataset.goalId;
+                this.handleMoreMenu(goalId, target);
+            }
+            
+            // 카테고리 선택기 변경
+            if (target.classList.contains('category-selector')) {
+                const goalId = target.dataset.goalId;
+                const newCategory = target.value;
+                this.handleCategoryChange(goalId, newCategory);
+            }
+            
+            // 빠른 메모 관련 이벤트
+            if (target.classList.contains('quick-note-trigger')) {
+                const goalId = target.dataset.goalId;
+                this.toggleQuickNotePanel(goalId);
+            }
+            
+            if (target.classList.contains('btn-add-note')) {
+                const goalId = target.dataset.goalId;
+                this.handleAddQuickNote(goalId);
+            }
+            
+            if (target.classList.contains('btn-voice-note')) {
+                const goalId = target.dataset.goalId;
+                this.handleVoiceNote(goalId);
+            }
+            
+            if (target.classList.contains('btn-photo-note')) {
+                const goalId = target.dataset.goalId;
+                this.handlePhotoNote(goalId);
+            }
+            
+            if (target.classList.contains('btn-delete-note') && target.dataset.noteId) {
+                const goalId = target.dataset.goalId;
+                const noteId = target.dataset.noteId;
+                this.handleDeleteQuickNote(goalId, noteId);
+            }
+
+            if (target.closest('.btn-emotion')) {
+                const goalId = target.closest('.btn-emotion').dataset.goalId;
+                this.handleEmotionCheck(goalId);
+            }
+
+            if (target.closest('.btn-share')) {
+                const goalId = target.closest('.btn-share').dataset.goalId;
+                this.handleShareGoal(goalId);
+            }
+
+            if (target.closest('.btn-view-image')) {
+                const goalId = target.closest('.btn-view-image').dataset.goalId;
+                this.handleViewImage(goalId);
+            }
+
+            // 필터 버튼
+            if (target.closest('.filter-btn')) {
+                const filter = target.dataset.category;
+                this.handleFilterChange(filter);
+            }
+
+            // 탭 전환
+            if (target.closest('.nav-tab')) {
+                const tab = target.dataset.tab;
+                View.switchTab(tab);
+            }
+
+            // 추천 추가
+            if (target.closest('.btn-add-recommendation')) {
+                const text = target.dataset.text;
+                const category = target.dataset.category;
+                this.handleAddRecommendation(text, category);
+            }
+
+            // 모달 닫기
+            if (target.classList.contains('modal') || target.closest('.btn-cancel')) {
+                const modal = target.closest('.modal');
+                if (modal) View.hideModal(modal.id);
+            }
+
+            // 프로필 관리
+            if (target.closest('#profileManagerBtn')) {
+                this.handleProfileManager();
+            }
+
+            // 이미지 설정
+            if (target.closest('#imageSettingsBtn')) {
+                this.handleImageSettings();
+            }
+
+            // 감정 체크인 저장
+            if (target.closest('#saveEmotionBtn')) {
+                this.handleSaveEmotion();
+            }
+
+            // 목표 카드의 받은 응원 배지
+            if (target.closest('.goal-encouragement-badge')) {
+                this.showEncouragementWall();
+            }
+
+            // 가족 구성원 추가
+            if (target.closest('#addFamilyBtn')) {
+                this.showAddFamilyModal();
+            }
+            if (target.closest('#createChallengeBtn')) {
+                this.showCreateChallengeModal();
+            }
+
+            // 월간 회고
+            if (target.closest('#monthlyReflectionBtn')) {
+                this.handleMonthlyReflection();
+            }
+            if (target.closest('#closeReflectionBtn')) {
+                View.hideModal('monthlyReflectionModal');
+            }
+            if (target.closest('#exportReflectionBtn')) {
+                this.handleReflectionExport('markdown');
+            }
+            if (target.closest('#exportReflectionPdfBtn')) {
+                this.handleReflectionExport('pdf');
+            }
+
+            // 태스크 관련
+            if (target.closest('.task-checkbox')) {
+                const goalId = target.dataset.goalId;
+                const taskId = target.dataset.taskId;
+                this.handleTaskToggle(goalId, taskId, target.checked);
+            }
+
+            if (target.closest('.btn-delete-task')) {
+                const goalId = target.dataset.goalId;
+                const taskId = target.dataset.taskId;
+                this.handleTaskDelete(goalId, taskId);
+            }
+
+            // 갤러리 공유
+            if (target.closest('.btn-share-achievement')) {
+                const goalId = target.dataset.goalId;
+                this.handleShareAchievement(goalId);
+            }
+        },
+        
+        // 더블클릭 이벤트 핸들러
+        handleDoubleClick(e) {
+            const target = e.target;
+            
+            // 태스크 텍스트 더블클릭으로 편집
+            if (target.classList.contains('task-text')) {
+                const taskItem = target.closest('.task-item');
+                const goalId = taskItem.querySelector('.task-checkbox').dataset.goalId;
+                const taskId = taskItem.querySelector('.task-checkbox').dataset.taskId;
+                this.handleTaskEdit(goalId, taskId);
+            }
+            
+            // 목표 제목 더블클릭으로 편집
+            if (target.classList.contains('goal-title')) {
+                const goalCard = target.closest('.goal-card');
+                const goalId = goalCard.dataset.id;
+                this.handleGoalTitleEdit(goalId);
+            }
+        },
+
+        // 키보드 이벤트 핸들러
+        handleKeydown(e) {
+            // 실행 취소 / 다시 실행 (입력창에서는 브라우저 기본 동작 유지)
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z' &&
+                !e.target.closest('input, textarea, [contenteditable="true"]')) {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.handleRedo();
+                } else {
+                    this.handleUndo();
+                }
+                return;
+            }
+
+            // ESC 키로 모달 닫기
+            if (e.key === 'Escape') {
+                const openModal = document.querySelector('.modal[style*="block"]');
+                if (openModal) {
+                    View.hideModal(openModal.id);
+                }
+            }
+
+            // 탭 네비게이션 (Alt + 숫자)
+            if (e.altKey && e.key >= '1' && e.key <= '6') {
+                const tabs = ['goals', 'journey', 'gallery', 'insights', 'social', 'data'];
+                const tabIndex = parseInt(e.key) - 1;
+                if (tabs[tabIndex]) {
+                    View.switchTab(tabs[tabIndex]);
+                }
+            }
+            
+            // 빠른 태스크 추가 (Enter 키)
+            if (e.key === 'Enter' && e.target.classList.contains('quick-task-input')) {
+                e.preventDefault();
+                const goalId = e.target.dataset.goalId;
+                if (e.target.value.trim()) {
+                    this.handleQuickTaskAdd(goalId, e.target.value.trim());
+                    e.target.value = '';
+                }
+            }
+        },
+
+        // 실행 취소
+        handleUndo() {
+            const entry = History.undo();
+            if (!entry) {
+                View.showNotification('실행 취소할 작업이 없습니다.', 'info');
+                return;
+            }
+
+            this.refreshAfterHistory();
+            View.showNotification(`'${entry.label}' 작업을 취소했습니다.`, 'info', {
+                label: '다시 실행',
+                onClick: () => this.handleRedo()
+            });
+        },
+
+        // 다시 실행
+        handleRedo() {
+            const entry = History.redo();
+            if (!entry) {
+                View.showNotification('다시 실행할 작업이 없습니다.', 'info');
+                return;
+            }
+
+            this.refreshAfterHistory();
+            View.showNotification(`'${entry.label}' 작업을 다시 실행했습니다.`, 'info', {
+                label: '실행 취소',
+                onClick: () => this.handleUndo()
+            });
+        },
+
+        // 되돌린 상태로 화면 갱신
+        refreshAfterHistory() {
+            if (DataModel.state.currentProfile) {
+                this.render();
+                if (this.currentTaskGoalId) {
+                    this.renderTasks(this.currentTaskGoalId);
+                }
+            } else {
+                View.renderProfileSelector(DataModel.state.profiles);
+            }
+
+            const profileManager = document.getElementById('profileManagerModal');
+            if (profileManager && profileManager.style.display === 'block') {
+                this.renderProfileManager();
+            }
+        },
+
+        // 실행 취소 버튼이 있는 알림
+        notifyUndoable(message, type = 'info') {
+            View.showNotification(message, type, {
+                label: '실행 취소',
+                onClick: () => this.handleUndo()
+            });
+        },
+
+        // 폼 이벤트 바인딩
+        bindFormEvents() {
+            // 목표 추가
+            const addGoalBtn = document.getElementById('addGoalBtn');
+            if (addGoalBtn) {
+                addGoalBtn.addEventListener('click', () => this.handleGoalAdd());
+            }
+
+            // 엔터키로 목표 추가
+            const goalInput = document.getElementById('goalInput');
+            if (goalInput) {
+                goalInput.addEventListener('keypress', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        this.handleGoalAdd();
+                    }
+                });
+            }
+
+            // 반복 설정
+            this.bindRecurrenceForm();
+
+            // 검색
+            const searchInput = document.getElementById('searchInput');
+            if (searchInput) {
+                searchInput.addEventListener('input', Utils.debounce((e) => {
+                    DataModel.state.searchQuery = e.target.value;
+                    this.render();
+                }, 300));
+            }
+
+            // 정렬
+            const sortSelect = document.getElementById('sortSelect');
+            if (sortSelect) {
+                sortSelect.addEventListener('change', (e) => {
+                    DataModel.state.sortOrder = e.target.value;
+                    this.render();
+                });
+            }
+
+            // 완료 모달 저장
+            const saveCompletionBtn = document.getElementById('saveCompletionBtn');
+            if (saveCompletionBtn) {
+                saveCompletionBtn.addEventListener('click', () => this.saveGoalCompletion());
+            }
+
+            // 이미지 업로드
+            const imageInput = document.getElementById('completionImage');
+            if (imageInput) {
+                imageInput.addEventListener('change', (e) => this.handleImageUpload(e));
+            }
+
+            // 태스크 추가
+            const addTaskBtn = document.getElementById('addTaskBtn');
+            if (addTaskBtn) {
+                addTaskBtn.addEventListener('click', () => this.handleTaskAdd());
+            }
+
+            // 태스크 필터
+            document.querySelectorAll('.task-filter-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    document.querySelectorAll('.task-filter-btn').forEach(b => b.classList.remove('active'));
+                    e.target.classList.add('active');
+                    this.filterTasks(e.target.dataset.filter);
+                });
+            });
+
+            // 마일스톤 추가 버튼
+            const addMilestoneBtn = document.getElementById('addMilestoneBtn');
+            if (addMilestoneBtn) {
+                addMilestoneBtn.addEventListener('click', () => {
+                    if (this.currentTaskGoalId) {
+                        this.handleMilestoneAdd(this.currentTaskGoalId);
+                    }
+                });
+            }
+
+            // 마일스톤 저장 버튼
+            const saveMilestoneBtn = document.getElementById('saveMilestoneBtn');
+            if (saveMilestoneBtn) {
+                saveMilestoneBtn.addEventListener('click', () => {
+                    if (this.currentTaskGoalId) {
+                        this.handleMilestoneSave(this.currentTaskGoalId);
+                    }
+                });
+            }
+
+            // 마일스톤 취소 버튼
+            const cancelMilestoneBtn = document.getElementById('cancelMilestoneBtn');
+            if (cancelMilestoneBtn) {
+                cancelMilestoneBtn.addEventListener('click', () => {
+                    document.getElementById('milestoneForm').style.display = 'none';
+                    document.getElementById('addMilestoneBtn').style.display = 'block';
+                    document.getElementById('milestoneTitle').value = '';
+                    document.getElementById('milestoneDate').value = '';
+                });
+            }
+
+            // 마일스톤 삭제 버튼 (동적으로 생성되므로 이벤트 위임 사용)
+            document.addEventListener('click', (e) => {
+                if (e.target.classList.contains('btn-delete-milestone')) {
+                    const goalId = e.target.dataset.goalId;
+                    const milestoneId = e.target.dataset.milestoneId;
+                    this.handleMilestoneDelete(goalId, milestoneId);
+                }
+            });
+        },
+
+        // 드래그 앤 드롭 이벤트
+        bindDragDropEvents() {
+            const dropZones = document.querySelectorAll('.image-drop-zone');
+            
+            dropZones.forEach(zone => {
+                zone.addEventListener('dragover', (e) => {
+                    e.preventDefault();
+                    zone.classList.add('drag-over');
+                });
+
+                zone.addEventListener('dragleave', () => {
+                    zone.classList.remove('drag-over');
+                });
+
+                zone.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    zone.classList.remove('drag-over');
+                    
+                    const files = e.dataTransfer.files;
+                    if (files.length > 0) {
+                        this.handleImageDrop(files[0]);
+                    }
+                });
+            });
+        },
+        
+        // 태스크 드래그 앤 드롭 이벤트
+        bindTaskDragEvents() {
+            let draggedTask = null;
+            let draggedGoalId = null;
+            let draggedTaskId = null;
+            let dragGuide = null;
+            
+            // 드래그 가이드 생성
+            const createDragGuide = () => {
+                if (!dragGuide) {
+                    dragGuide = document.createElement('div');
+                    dragGuide.className = 'drag-guide';
+                    document.body.appendChild(dragGuide);
+                }
+                return dragGuide;
+            };
+            
+            // 이벤트 위임을 사용하여 동적 요소에도 적용
+            document.addEventListener('dragstart', (e) => {
+                if (e.target.classList.contains('task-item')) {
+                    draggedTask = e.target;
+                    draggedGoalId = e.target.closest('.task-list').dataset.goalId;
+                    draggedTaskId = e.target.dataset.taskId;
+                    e.target.classList.add('dragging');
+                    e.dataTransfer.effectAllowed = 'move';
+                    
+                    // 드래그 미리보기 생성
+                    const preview = e.target.cloneNode(true);
+                    preview.classList.add('task-drag-preview');
+                    preview.style.position = 'absolute';
+                    preview.style.top = '-1000px';
+                    document.body.appendChild(preview);
+                    e.dataTransfer.setDragImage(preview, e.offsetX, e.offsetY);
+                    setTimeout(() => preview.remove(), 0);
+                    
+                    // 드래그 시작 시 모든 목표 카드에 드롭 가능 표시
+                    document.querySelectorAll('.goal-card').forEach(card => {
+                        const cardGoalId = card.querySelector('.task-list')?.dataset.goalId;
+                        if (cardGoalId && cardGoalId !== draggedGoalId) {
+                            card.classList.add('drop-zone-active');
+                        }
+                    });
+                }
+            });
+            
+            document.addEventListener('dragend', (e) => {
+                if (e.target.classList.contains('task-item')) {
+                    e.target.classList.remove('dragging');
+                    
+                    // 모든 drag-over 클래스 제거
+                    document.querySelectorAll('.task-item.drag-over').forEach(item => {
+                        item.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
+                    });
+                    
+                    document.querySelectorAll('.goal-card').forEach(card => {
+                        card.classList.remove('drop-zone-active', 'drag-over');
+                    });
+                    
+                    document.querySelectorAll('.task-list').forEach(list => {
+                        list.classList.remove('drop-zone-active', 'drag-over');
+                    });
+                    
+                    // 드래그 가이드 제거
+                    if (dragGuide) {
+                        dragGuide.classList.remove('active');
+                    }
+                }
+            });
+            
+            document.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                
+                // 태스크 위에서
+                if (e.target.closest('.task-item') && draggedTask) {
+                    const taskItem = e.target.closest('.task-item');
+                    if (taskItem !== draggedTask) {
+                        // 이전 drag-over 제거
+                        document.querySelectorAll('.task-item.drag-over').forEach(item => {
+                            if (item !== taskItem) item.classList.remove('drag-over');
+                        });
+                        
+                        // 마우스 위치에 따라 위/아래 표시
+                        const rect = taskItem.getBoundingClientRect();
+                        const midpoint = rect.top + rect.height / 2;
+                        
+                        // 드래그 가이드 표시
+                        const guide = createDragGuide();
+                        guide.classList.add('active');
+                        
+                        if (e.clientY < midpoint) {
+                            guide.style.top = `${rect.top - 1}px`;
+                            guide.style.left = `${rect.left}px`;
+                            guide.style.width = `${rect.width}px`;
+                            taskItem.classList.add('drag-over', 'drag-over-top');
+                        } else {
+                            guide.style.top = `${rect.bottom - 1}px`;
+                            guide.style.left = `${rect.left}px`;
+                            guide.style.width = `${rect.width}px`;
+                            taskItem.classList.add('drag-over', 'drag-over-bottom');
+                        }
+                    }
+                }
+                
+                // 목표 카드 위에서
+                if (e.target.closest('.goal-card') && draggedTask) {
+                    const goalCard = e.target.closest('.goal-card');
+                    const targetGoalId = goalCard.querySelector('.task-list')?.dataset.goalId;
+                    
+                    if (targetGoalId && targetGoalId !== draggedGoalId) {
+                        goalCard.classList.add('drag-over');
+                    }
+                }
+                
+                // 빈 태스크 리스트 위에서
+                if (e.target.closest('.task-list') && draggedTask) {
+                    const taskList = e.target.closest('.task-list');
+                    if (!taskList.querySelector('.task-item:not(.dragging)')) {
+                        taskList.classList.add('drag-over');
+                    }
+                }
+            });
+            
+            document.addEventListener('dragleave', (e) => {
+                if (e.target.closest('.task-item')) {
+                    const taskItem = e.target.closest('.task-item');
+                    taskItem.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
+                    
+                    // 드래그 가이드 숨기기
+                    if (dragGuide && !e.relatedTarget?.closest('.task-item')) {
+                        dragGuide.classList.remove('active');
+                    }
+                }
+                
+                if (e.target.closest('.goal-card')) {
+                    const goalCard = e.target.closest('.goal-card');
+                    if (!goalCard.contains(e.relatedTarget)) {
+                        goalCard.classList.remove('drag-over');
+                    }
+                }
+                
+                if (e.target.closest('.task-list')) {
+                    const taskList = e.target.closest('.task-list');
+                    if (!taskList.contains(e.relatedTarget)) {
+                        taskList.classList.remove('drag-over');
+                    }
+                }
+            });
+            
+            document.addEventListener('drop', (e) => {
+                e.preventDefault();
+                
+                if (!draggedTask) return;
+                
+                const targetTaskList = e.target.closest('.task-list');
+                if (!targetTaskList) return;
+                
+                const targetGoalId = targetTaskList.dataset.goalId;
+                const targetTask = e.target.closest('.task-item');
+                
+                if (targetTask && targetTask !== draggedTask) {
+                    // 특정 태스크 위치에 드롭
+                    const rect = targetTask.getBoundingClientRect();
+                    const midpoint = rect.top + rect.height / 2;
+                    
+                    if (e.clientY < midpoint) {
+                        targetTaskList.insertBefore(draggedTask, targetTask);
+                    } else {
+                        targetTaskList.insertBefore(draggedTask, targetTask.nextSibling);
+                    }
+                } else if (!targetTask && targetTaskList !== draggedTask.parentElement) {
+                    // 빈 리스트에 드롭
+                    targetTaskList.appendChild(draggedTask);
+                }
+                
+                // 데이터 업데이트
+                this.updateTaskOrder(draggedGoalId, targetGoalId, draggedTaskId);
+                
+                // 클래스 정리
+                document.querySelectorAll('.drag-over, .drag-over-top, .drag-over-bottom').forEach(el => {
+                    el.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
+                });
+            });
+        },
+        
+        // 태스크 순서 업데이트
+        updateTaskOrder(sourceGoalId, targetGoalId, taskId) {
+            const sourceGoal = DataModel.state.currentProfile?.bucketList.find(g => g.id === sourceGoalId);
+            const targetGoal = DataModel.state.currentProfile?.bucketList.find(g => g.id === targetGoalId);
+            
+            if (!sourceGoal || !targetGoal) return;
+            
+            if (sourceGoalId === targetGoalId) {
+                // 같은 목표 내에서 순서만 변경된 경우
+                if (sourceGoal.tasks) {
+                    // DOM 순서대로 태스크 재정렬
+                    const taskList = document.querySelector(`.task-list[data-goal-id="${sourceGoalId}"]`);
+                    const newOrder = [...taskList.querySelectorAll('.task-item')].map(item => item.dataset.taskId);
+                    
+                    // 새로운 순서로 태스크 배열 재정렬
+                    const orderedTasks = [];
+                    newOrder.forEach(tid => {
+                        const task = sourceGoal.tasks.find(t => t.id === tid);
+                        if (task) orderedTasks.push(task);
+                    });
+                    
+                    sourceGoal.tasks = orderedTasks;
+                }
+            } else {
+                // 다른 목표로 이동하는 경우
+                const task = sourceGoal.tasks?.find(t => t.id === taskId);
+                if (task) {
+                    // 원본에서 제거
+                    sourceGoal.tasks = sourceGoal.tasks.filter(t => t.id !== taskId);
+                    
+                    // 대상에 추가
+                    if (!targetGoal.tasks) targetGoal.tasks = [];
+                    
+                    // DOM 순서에 따라 삽입
+                    const targetTaskList = document.querySelector(`.task-list[data-goal-id="${targetGoalId}"]`);
+                    const targetTaskIds = [...targetTaskList.querySelectorAll('.task-item')].map(item => item.dataset.taskId);
+                    const insertIndex = targetTaskIds.indexOf(taskId);
+                    
+                    if (insertIndex >= 0) {
+                        targetGoal.tasks.splice(insertIndex, 0, task);
+                    } else {
+                        targetGoal.tasks.push(task);
+                    }
+                }
+            }
+            
+            DataModel.saveProfiles('세부 계획 이동');
+            // 태스크 이동 후 전체 화면 업데이트
+            setTimeout(() => this.render(), 100);
+        },
+
+        // 렌더링
+        render() {
+            const profiles = DataModel.state.profiles;
+            const currentProfile = DataModel.state.currentProfile;
+
+            if (!currentProfile) {
+                // 프로필 선택 화면
+                const profileSelector = document.getElementById('profileSelector');
+                const mainApp = document.getElementById('mainApp');
+                
+                if (profileSelector) profileSelector.style.display = 'block';
+                if (mainApp) mainApp.classList.remove('active');
+
+                // 이전 프로필의 차트 정리
+                ChartManager.destroyAllCharts();
+                
+                View.renderProfileSelector(profiles);
+            } else {
+                // 메인 앱 화면
+                document.getElementById('profileSelector').style.display = 'none';
+                document.getElementById('mainApp').classList.add('active');
+                
+                // 현재 사용자 이름 표시
+                if (View.elements.currentUserName) {
+                    View.elements.currentUserName.textContent = currentProfile.name;
+                }
+
+                // 통계 업데이트
+                const stats = DataModel.getStats();
+                View.updateStats(stats);
+
+                // 필터링된 목록 렌더링
+                const filteredGoals = DataModel.getFilteredGoals(
+                    DataModel.state.activeFilter,
+                    DataModel.state.searchQuery,
+                    DataModel.state.sortOrder,
+                    DataModel.state.dateFilter,
+                    DataModel.state.tagFilter
+                );
+                View.renderBucketList(filteredGoals);
+                View.renderDateFilterChip(DataModel.state.dateFilter);
+                View.renderTagFilter(Tags.all(currentProfile), DataModel.state.tagFilter);
+
+                // 추천 렌더링
+                const recommendations = AIRecommendation.getPersonalizedRecommendations(currentProfile);
+                View.renderRecommendations(recommendations);
+
+                // 현재 탭에 따른 추가 렌더링
+                if (DataModel.state.activeTab === 'journey') {
+                    this.renderJourneyTab();
+                } else if (DataModel.state.activeTab === 'gallery') {
+                    this.renderGalleryTab();
+                }
+            }
+        },
+
+        // 프로필 선택 핸들러
+        async handleProfileSelect(profileId) {
+            let profile = DataModel.state.profiles.find(p => p.id === profileId);
+
+            // 잠긴 프로필은 PIN으로 풀어야 열림
+            if (Vault.isSealed(profile)) {
+                const passphrase = await View.promptPassphrase({
+                    title: `🔒 ${profile.name}`,
+                    message: 'PIN 또는 비밀번호를 입력해주세요.'
+                });
+                if (passphrase === null) return;
+
+                try {
+                    const unlocked = await Vault.unlock(profile, passphrase);
+                    DataModel.replaceProfile(profileId, () => unlocked);
+                    profile = unlocked;
+                } catch (err) {
+                    View.showNotification('PIN이 올바르지 않습니다.', 'error');
+                    return;
+                }
+            }
+
+            if (profile) {
+                DataModel.setCurrentProfile(profile);
+                this.render();
+                View.showNotification(`${profile.name}님, 환영합니다!`, 'success');
+                this.notifyChallengeResults();
+                this.notifyEncouragements();
+                this.resumePending();
+            }
+        },
+
+        // 새 프로필 생성
+        handleNewProfile() {
+            View.showModal('newUserModal');
+            
+            const input = document.getElementById('newUserNameInput');
+            const createBtn = document.getElementById('createUserBtn');
+            
+            if (input && createBtn) {
+                input.focus();
+                
+                createBtn.onclick = () => {
+                    const name = input.value.trim();
+                    if (name) {
+                        const profile = DataModel.createProfile(name);
+                        DataModel.setCurrentProfile(profile);
+                        View.hideModal('newUserModal');
+                        this.render();
+                        View.showNotification('새 프로필이 생성되었습니다!', 'success');
+                        this.resumePending();
+                    } else {
+                        View.showNotification('이름을 입력해주세요.', 'warning');
+                    }
+                };
+            }
+        },
+
+        // 게스트 모드
+        handleGuestMode() {
+            const guestProfile = {
+                id: 'guest',
+                name: '게스트',
+                bucketList: [],
+                createdAt: new Date().toISOString(),
+                isGuest: true
+            };
+            
+            DataModel.setCurrentProfile(guestProfile);
+            this.render();
+            View.showNotification('게스트 모드로 시작합니다. 데이터는 저장되지 않습니다.', 'info');
+            this.resumePending();
+        },
+
+        // 반복 설정 폼 이벤트
+        bindRecurrenceForm() {
+            const options = document.getElementById('recurrenceOptions');
+            const recurringSelect = document.getElementById('recurringSelect');
+            if (!options || !recurringSelect) return;
+
+            recurringSelect.addEventListener('change', () => this.updateRecurrenceForm(true));
+            options.addEventListener('input', () => this.updateRecurrenceForm());
+            options.addEventListener('change', () => this.updateRecurrenceForm());
+        },
+
+        // 선택한 주기에 맞게 입력 항목 표시 및 미리보기
+        updateRecurrenceForm(reset = false) {
+            const options = document.getElementById('recurrenceOptions');
+            const freq = document.getElementById('recurringSelect')?.value;
+            if (!options) return;
+
+            options.hidden = !freq;
+            if (!freq) return;
+
+            const startInput = document.getElementById('recurrenceStart');
+            if (reset || !startInput.value) {
+                startInput.value = Utils.toDateKey();
+            }
+            const start = Utils.parseDateKey(startInput.value);
+
+            if (reset) {
+                document.getElementById('recurrenceInterval').value = 1;
+                document.querySelectorAll('#recurrenceWeekdays input').forEach(box => {
+                    box.checked = Number(box.value) === start.getDay();
+                });
+            }
+
+            document.getElementById('recurrenceUnit').textContent = Recurrence.FREQ_UNITS[freq];
+            document.getElementById('recurrenceWeekdays').hidden = freq !== 'weekly';
+            document.getElementById('recurrenceMonthlyRow').hidden = freq !== 'monthly';
+
+            // 월간 기준 문구는 시작일에 맞춤
+            const { nth, weekday } = Recurrence.getNthWeekday(startInput.value);
+            const modeSelect = document.getElementById('recurrenceMonthlyMode');
+            modeSelect.options[0].textContent = `매월 ${start.getDate()}일`;
+            modeSelect.options[1].textContent = `매월 ${Recurrence.NTH_NAMES[nth]} ${Recurrence.WEEKDAY_NAMES[weekday]}요일`;
+
+            const endType = document.getElementById('recurrenceEnd').value;
+            document.getElementById('recurrenceUntil').hidden = endType !== 'until';
+            document.getElementById('recurrenceCount').hidden = endType !== 'count';
+
+            const rule = this.readRecurrenceRule();
+            const preview = document.getElementById('recurrencePreview');
+            if (rule && preview) {
+                const upcoming = Recurrence.between(rule, Utils.toDateKey(), Utils.addDays(Utils.toDateKey(), 400), 3);
+                preview.textContent = upcoming.length > 0
+                    ? `${Recurrence.describe(rule)} · 다음 일정: ${upcoming.map(key => Utils.formatShortDate(key)).join(', ')}`
+                    : `${Recurrence.describe(rule)} · 남은 일정이 없습니다`;
+            }
+        },
+
+        // 폼 입력값으로 반복 규칙 생성
+        readRecurrenceRule() {
+            const freq = document.getElementById('recurringSelect')?.value;
+            if (!freq || !CONFIG.RECURRING_TYPES[freq]) return null;
+
+            const startDate = document.getElementById('recurrenceStart')?.value || Utils.toDateKey();
+            const endType = document.getElementById('recurrenceEnd')?.value;
+            const ruleOptions = {
+                freq,
+                startDate,
+                interval: document.getElementById('recurrenceInterval')?.value,
+                until: endType === 'until' ? document.getElementById('recurrenceUntil').value || null : null,
+                count: endType === 'count' ? document.getElementById('recurrenceCount').value : null
+            };
+
+            if (freq === 'weekly') {
+                ruleOptions.byWeekday = Array.from(document.querySelectorAll('#recurrenceWeekdays input:checked'))
+                    .map(box => Number(box.value));
+            }
+
+            if (freq === 'monthly' && document.getElementById('recurrenceMonthlyMode')?.value === 'nth') {
+                ruleOptions.byNthWeekday = Recurrence.getNthWeekday(startDate);
+            }
+
+            return Recurrence.createRule(ruleOptions);
+        },
+
+        // 목표 추가
+        handleGoalAdd() {
+            const input = View.elements.goalInput;
+            const categorySelect = View.elements.categorySelect;
+            const recurringSelect = document.getElementById('recurringSelect');
+            
+            if (!input || !categorySelect || !recurringSelect) return;
+
+            const text = input.value.trim();
+            const category = categorySelect.value;
+
+            if (!text) {
+                View.showNotification('목표를 입력해주세요.', 'warning');
+                input.focus();
+                return;
+            }
+
+            // 중복 확인
+            const exists = DataModel.state.currentProfile?.bucketList.some(
+                g => g.text.toLowerCase() === text.toLowerCase()
+            );
+            
+            if (exists) {
+                View.showNotification('이미 동일한 목표가 있습니다.', 'warning');
+                return;
+            }
+
+            // 반복 설정 처리
+            const rule = this.readRecurrenceRule();
+            if (rule && rule.until && rule.until < rule.startDate) {
+                View.showNotification('반복 종료일은 시작일 이후여야 합니다.', 'warning');
+                return;
+            }
+            const recurring = rule ? { rule } : null;
+
+            const newGoal = DataModel.addGoal(text, category, recurring);
+            input.value = '';
+            recurringSelect.value = '';
+            this.updateRecurrenceForm();
+            
+            // 새 목표 추가 애니메이션을 위한 플래그 설정
+            this.newGoalId = newGoal.id;
+            this.render();
+            
+            // 동기부여 메시지
+            const message = recurring ? 
+                `${Recurrence.describe(rule)} 반복 목표가 추가되었습니다! 꾸준히 실천해보세요.` :
+                AIRecommendation.getMotivationalMessage({ category });
+            View.showNotification(message, 'success');
+        },
+
+        // 추천 추가
+        handleAddRecommendation(text, category) {
+            DataModel.addGoal(text, category);
+            this.render();
+            View.showNotification('추천 목표가 추가되었습니다!', 'success');
+        },
+
+        // 목표 완료
+        handleGoalComplete(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+
+            // 반복 목표 처리
+            if (goal.recurring && goal.recurring.isActive) {
+                if (!DataModel.canCompleteToday(goalId)) {
+                    View.showNotification('오늘은 이미 완료한 목표입니다!', 'warning');
+                    return;
+                }
+                
+                // 반복 목표 완료 처리
+                DataModel.completeRecurringGoal(goalId);
+                if (goal.recurring.isActive) {
+                    this.notifyUndoable(`🎉 오늘의 목표를 완료했습니다! (${Recurrence.describe(goal.recurring.rule)})`, 'success');
+                } else {
+                    this.notifyUndoable('🏁 마지막 반복 일정까지 모두 완료했습니다!', 'success');
+                }
+                this.render();
+                return;
+            }
+
+            // 일반 목표 완료 처리
+            this.currentCompletingGoalId = goalId;
+            View.showModal('completionModal');
+            
+            // 오늘 날짜 설정
+            const dateInput = document.getElementById('completionDate');
+            if (dateInput) {
+                dateInput.value = Utils.toDateKey();
+                dateInput.max = Utils.toDateKey();
+            }
+            
+            // 이미지 미리보기 초기화
+            const preview = document.getElementById('imagePreview');
+            if (preview) preview.innerHTML = '';
+        },
+
+        // 완료 저장
+        saveGoalCompletion() {
+            if (!this.currentCompletingGoalId) return;
+
+            const date = document.getElementById('completionDate').value;
+            const emotion = document.getElementById('completionEmotion').value;
+            const note = document.getElementById('completionNote').value;
+            const imageInput = document.getElementById('completionImage');
+            
+            let completionData = { date, emotion, note };
+
+            // 이미지 처리
+            if (imageInput && imageInput.files.length > 0) {
+                View.showLoading('이미지 처리중...');
+                
+                ImageProcessor.compressImage(imageInput.files[0])
+                    .then(dataUrl => AttachmentStore.put(dataUrl, DataModel.state.currentProfile?.id))
+                    .then(imageRef => {
+                        completionData.image = imageRef;
+                        DataModel.completeGoal(this.currentCompletingGoalId, completionData);
+                        View.hideLoading();
+                        View.hideModal('completionModal');
+                        this.render();
+                        this.notifyUndoable('축하합니다! 목표를 달성했습니다! 🎉', 'success');
+                        
+                        // 달성 애니메이션 효과
+                        this.showAchievementAnimation();
+                    })
+                    .catch(err => {
+                        View.hideLoading();
+                        View.showNotification('이미지 처리 중 오류가 발생했습니다.', 'error');
+                        console.error(err);
+                    });
+            } else {
+                DataModel.completeGoal(this.currentCompletingGoalId, completionData);
+                View.hideModal('completionModal');
+                this.render();
+                this.notifyUndoable('축하합니다! 목표를 달성했습니다! 🎉', 'success');
+                
+                // 달성 애니메이션 효과
+                this.showAchievementAnimation();
+            }
+        },
+
+        // 달성 애니메이션
+        showAchievementAnimation() {
+            const confetti = document.createElement('div');
+            confetti.className = 'achievement-confetti';
+            confetti.innerHTML = '🎉🎊✨🌟🎯';
+            document.body.appendChild(confetti);
+            
+            setTimeout(() => confetti.remove(), 3000);
+        },
+
+        // 목표 삭제
+        handleGoalDelete(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+
+            const confirmMessage = goal.completed ? 
+                '완료된 목표를 삭제하시겠습니까?' :
+                '정말로 이 목표를 삭제하시겠습니까?';
+
+            if (confirm(confirmMessage)) {
+                DataModel.deleteGoal(goalId);
+                this.render();
+                this.notifyUndoable('목표가 휴지통으로 이동했습니다.', 'info');
+            }
+        },
+
+        // 감정 체크인
+        handleEmotionCheck(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+
+            this.currentEmotionGoalId = goalId;
+            this.reopenJourney = false;
+            document.getElementById('emotionGoalText').textContent = goal.text;
+
+            // 지난 체크인 값에서 시작
+            const last = EmotionJourney.entries(goal).pop();
+            document.getElementById('currentEmotion').value = CONFIG.EMOTIONS[last?.emotion] ? last.emotion : 'excited';
+            document.getElementById('emotionNote').value = '';
+            [['motivationLevel', 'motivationValue', last?.motivation], ['energyLevel', 'energyValue', last?.energy]]
+                .forEach(([inputId, valueId, value]) => {
+                    const input = document.getElementById(inputId);
+                    const output = document.getElementById(valueId);
+                    input.value = value || 5;
+                    output.textContent = input.value;
+                    input.oninput = () => { output.textContent = input.value; };
+                });
+
+            View.showModal('emotionCheckModal');
+        },
+
+        // 감정 체크인 저장
+        handleSaveEmotion() {
+            const goalId = this.currentEmotionGoalId;
+            const entry = DataModel.addEmotionalEntry(
+                goalId,
+                document.getElementById('currentEmotion').value,
+                Number(document.getElementById('motivationLevel').value),
+                Number(document.getElementById('energyLevel').value),
+                document.getElementById('emotionNote').value.trim()
+            );
+            if (!entry) return;
+
+            View.hideModal('emotionCheckModal');
+            this.render();
+
+            const goal = DataModel.state.currentProfile.bucketList.find(g => g.id === goalId);
+            const decline = EmotionJourney.decline(goal);
+            if (decline) {
+                View.showNotification(`📉 '${goal.text}' 동기가 ${decline.count}번 연속 떨어졌어요. 감정 여정을 확인해보세요.`, 'warning', {
+                    label: '여정 보기',
+                    onClick: () => this.showEmotionJourney(goalId)
+                });
+            } else {
+                this.notifyUndoable('감정이 기록되었습니다.', 'success');
+            }
+
+            if (this.reopenJourney) {
+                this.reopenJourney = false;
+                this.showEmotionJourney(goalId);
+            }
+        },
+
+        // 목표별 감정 여정
+        showEmotionJourney(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+
+            document.querySelector('.emotion-journey-modal')?.remove();
+            const modal = View.renderEmotionJourney(goal, EmotionJourney.summarize(goal), EmotionJourney.entries(goal));
+            ChartManager.createJourneyChart('goalJourneyChart', EmotionJourney.series(goal));
+
+            const close = () => {
+                ChartManager.destroyChart('goalJourneyChart');
+                modal.remove();
+            };
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.import-cancel').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
+            modal.querySelector('.journey-checkin').onclick = () => {
+                close();
+                this.handleEmotionCheck(goalId);
+                this.reopenJourney = true;
+            };
+        },
+
+        // 태스크 관리
+        handleTaskManager(goalId) {
+            this.currentTaskGoalId = goalId;
+            View.showModal('taskManagerModal');
+            
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+
+            // 목표 제목 표시
+            const titleEl = document.getElementById('taskGoalTitle');
+            if (titleEl) {
+                titleEl.textContent = goal.text;
+            }
+
+            // 태스크 목록 렌더링
+            this.renderTasks(goalId);
+            
+            // 마일스톤 렌더링
+            this.renderMilestones(goalId);
+        },
+
+        // 태스크 렌더링
+        renderTasks(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+
+            const tasks = goal.tasks || [];
+            const container = document.getElementById('taskList');
+            const emptyMessage = document.getElementById('emptyTasksMessage');
+
+            if (!container) return;
+
+            if (tasks.length === 0) {
+                container.innerHTML = '';
+                if (emptyMessage) emptyMessage.style.display = 'block';
+            } else {
+                if (emptyMessage) emptyMessage.style.display = 'none';
+                
+                container.innerHTML = tasks.map(task => `
+                    <li class="task-item ${task.completed ? 'completed' : ''}" data-task-id="${task.id}">
+                        <input type="checkbox" 
+                               class="task-checkbox" 
+                               ${task.completed ? 'checked' : ''}
+                               data-goal-id="${goalId}"
+                               data-task-id="${task.id}">
+                        <span class="task-text" 
+                              data-goal-id="${goalId}"
+                              data-task-id="${task.id}">${Utils.escapeHtml(task.text)}</span>
+                        <span class="task-priority priority-${task.priority}">${task.priority}</span>
+                        <div class="task-actions">
+                            <button class="btn-edit-task" 
+                                    data-goal-id="${goalId}"
+                                    data-task-id="${task.id}"
+                                    title="편집">
+                                ✏️
+                            </button>
+                            <button class="btn-delete-task" 
+                                    data-goal-id="${goalId}"
+                                    data-task-id="${task.id}"
+                                    title="삭제">
+                                ❌
+                            </button>
+                        </div>
+                    </li>
+                `).join('');
+            }
+
+            // 진행률 업데이트
+            const completedCount = tasks.filter(t => t.completed).length;
+            const totalCount = tasks.length;
+            const percentage = Utils.calculatePercentage(completedCount, totalCount);
+
+            document.getElementById('taskProgressPercent').textContent = percentage + '%';
+            document.getElementById('taskProgressFill').style.width = percentage + '%';
+            document.getElementById('completedTaskCount').textContent = completedCount;
+            document.getElementById('totalTaskCount').textContent = totalCount;
+
+            // 태스크 이벤트 바인딩
+            setTimeout(() => {
+                // 체크박스 이벤트
+                container.querySelectorAll('.task-checkbox').forEach(checkbox => {
+                    checkbox.addEventListener('change', (e) => {
+                        const goalId = e.target.dataset.goalId;
+                        const taskId = e.target.dataset.taskId;
+                        const completed = e.target.checked;
+                        this.handleTaskToggle(goalId, taskId, completed);
+                    });
+                });
+
+                // 편집 버튼 이벤트
+                container.querySelectorAll('.btn-edit-task').forEach(btn => {
+                    btn.addEventListener('click', (e) => {
+                        const goalId = e.target.dataset.goalId;
+                        const taskId = e.target.dataset.taskId;
+                        this.handleTaskEdit(goalId, taskId);
+                    });
+                });
+
+                // 삭제 버튼 이벤트
+                container.querySelectorAll('.btn-delete-task').forEach(btn => {
+                    btn.addEventListener('click', (e) => {
+                        const goalId = e.target.dataset.goalId;
+                        const taskId = e.target.dataset.taskId;
+                        this.handleTaskDelete(goalId, taskId);
+                    });
+                });
+            }, 0);
+        },
+
+        // 태스크 추가
+        handleTaskAdd() {
+            const input = document.getElementById('newTaskInput');
+            const prioritySelect = document.getElementById('taskPriority');
+            
+            if (!input || !this.currentTaskGoalId) return;
+
+            const text = input.value.trim();
+            if (!text) {
+                View.showNotification('태스크를 입력해주세요.', 'warning');
+                return;
+            }
+
+            const taskData = {
+                text: text,
+                priority: prioritySelect.value
+            };
+
+            DataModel.addTask(this.currentTaskGoalId, taskData);
+            input.value = '';
+            this.renderTasks(this.currentTaskGoalId);
+            this.render(); // 메인 화면도 업데이트 (진행률 반영)
+        },
+        
+        // 빠른 태스크 추가
+        handleQuickTaskAdd(goalId, taskText) {
+            const taskData = {
+                text: taskText,
+                priority: 'medium' // 기본 우선순위
+            };
+
+            DataModel.addTask(goalId, taskData);
+            this.render(); // 메인 화면 업데이트 (진행률 반영)
+            View.showNotification('태스크가 추가되었습니다.', 'success');
+        },
+
+        // 태스크 토글
+        handleTaskToggle(goalId, taskId, completed) {
+            DataModel.updateTask(goalId, taskId, { completed });
+            this.renderTasks(goalId);
+            this.render();
+            
+            if (completed) {
+                View.showNotification('태스크를 완료했습니다! 👍', 'success');
+            }
+        },
+
+        // 태스크 삭제
+        handleTaskDelete(goalId, taskId) {
+            if (confirm('이 태스크를 삭제하시겠습니까?')) {
+                DataModel.deleteTask(goalId, taskId);
+                this.renderTasks(goalId);
+                this.render();
+                this.notifyUndoable('태스크가 휴지통으로 이동했습니다.', 'info');
+            }
+        },
+
+        // 태스크 편집 시작
+        handleTaskEdit(goalId, taskId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+
+            const task = goal.tasks?.find(t => t.id === taskId);
+            if (!task) return;
+
+            const taskItem = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+            if (!taskItem) return;
+
+            // 이미 편집 중인 경우 무시
+            if (taskItem.classList.contains('editing')) return;
+
+            // 편집 모드로 전환
+            taskItem.classList.add('editing');
+
+            // 편집 폼 생성
+            const editForm = document.createElement('div');
+            editForm.className = 'task-edit-form';
+            editForm.innerHTML = `
+                <input type="text" 
+                       class="task-edit-input" 
+                       value="${Utils.escapeHtml(task.text)}"
+                       data-original="${Utils.escapeHtml(task.text)}">
+                <select class="task-edit-priority">
+                    <option value="low" ${task.priority === 'low' ? 'selected' : ''}>낮음</option>
+                    <option value="medium" ${task.priority === 'medium' ? 'selected' : ''}>보통</option>
+                    <option value="high" ${task.priority === 'high' ? 'selected' : ''}>높음</option>
+                </select>
+                <div class="task-edit-actions">
+                    <button class="btn-save-edit" data-goal-id="${goalId}" data-task-id="${taskId}">저장</button>
+                    <button class="btn-cancel-edit" data-task-id="${taskId}">취소</button>
+                </div>
+            `;
+
+            taskItem.appendChild(editForm);
+
+            // 입력 필드에 포커스
+            const input = editForm.querySelector('.task-edit-input');
+            input.focus();
+            input.select();
+
+            // 엔터키로 저장
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.handleTaskEditSave(goalId, taskId);
+                }
+            });
+
+            // ESC키로 취소
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.handleTaskEditCancel(taskId);
+                }
+            });
+        },
+
+        // 태스크 편집 저장
+        handleTaskEditSave(goalId, taskId) {
+            const taskItem = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+            if (!taskItem) return;
+
+            const input = taskItem.querySelector('.task-edit-input');
+            const prioritySelect = taskItem.querySelector('.task-edit-priority');
+
+            const newText = input.value.trim();
+            const newPriority = prioritySelect.value;
+
+            if (!newText) {
+                View.showNotification('태스크 내용을 입력해주세요.', 'warning');
+                return;
+            }
+
+            // 데이터 업데이트
+            DataModel.updateTask(goalId, taskId, {
+                text: newText,
+                priority: newPriority
+            });
+
+            // UI 업데이트
+            this.renderTasks(goalId);
+            this.render();
+            View.showNotification('태스크가 수정되었습니다.', 'success');
+        },
+
+        // 태스크 편집 취소
+        handleTaskEditCancel(taskId) {
+            const taskItem = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+            if (!taskItem) return;
+
+            const editForm = taskItem.querySelector('.task-edit-form');
+            if (editForm) {
+                editForm.remove();
+            }
+
+            taskItem.classList.remove('editing');
+        },
+
+        // 태스크 필터링
+        filterTasks(filter) {
+            const taskItems = document.querySelectorAll('.task-item');
+            
+            taskItems.forEach(item => {
+                const isCompleted = item.classList.contains('completed');
+                
+                switch (filter) {
+                    case 'all':
+                        item.style.display = '';
+                        break;
+                    case 'active':
+                        item.style.display = isCompleted ? 'none' : '';
+                        break;
+                    case 'completed':
+                        item.style.display = isCompleted ? '' : 'none';
+                        break;
                 }
-            }
-            
-            DataModel.saveProfiles();
-            // 태스크 이동 후 전체 화면 업데이트
-            setTimeout(() => this.render(), 100);
+            });
         },
 
-        // 렌더링
-        render() {
-            const profiles = DataModel.state.profiles;
-            const currentProfile = DataModel.state.currentProfile;
+        // 마일스톤 렌더링
+        renderMilestones(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
 
-            if (!currentProfile) {
-                // 프로필 선택 화면
-                const profileSelector = document.getElementById('profileSelector');
-                const mainApp = document.getElementById('mainApp');
-                
-                if (profileSelector) profileSelector.style.display = 'block';
-                if (mainApp) mainApp.classList.remove('active');
-                
-                View.renderProfileSelector(profiles);
+            const milestones = goal.milestones || [];
+            const container = document.getElementById('milestoneList');
+            const emptyMessage = document.getElementById('emptyMilestonesMessage');
+
+            if (!container) return;
+
+            if (milestones.length === 0) {
+                container.innerHTML = '';
+                if (emptyMessage) emptyMessage.style.display = 'block';
             } else {
-                // 메인 앱 화면
-                document.getElementById('profileSelector').style.display = 'none';
-                document.getElementById('mainApp').classList.add('active');
+                if (emptyMessage) emptyMessage.style.display = 'none';
                 
-                // 현재 사용자 이름 표시
-                if (View.elements.currentUserName) {
-                    View.elements.currentUserName.textContent = currentProfile.name;
-                }
-
-                // 통계 업데이트
-                const stats = DataModel.getStats();
-                View.updateStats(stats);
+                container.innerHTML = milestones.map(milestone => {
+                    const tasks = goal.tasks || [];
+                    const milestoneTasks = tasks.filter(t => milestone.taskIds.includes(t.id));
+                    const completedCount = milestoneTasks.filter(t => t.completed).length;
+                    const totalCount = milestoneTasks.length;
+                    const progress = totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
+                    const isAchieved = progress === 100;
 
-                // 필터링된 목록 렌더링
-                const filteredGoals = DataModel.getFilteredGoals(
-                    DataModel.state.activeFilter,
-                    DataModel.state.searchQuery,
-                    DataModel.state.sortOrder
-                );
-                View.renderBucketList(filteredGoals);
+                    return `
+                        <div class="milestone-item ${isAchieved ? 'achieved' : ''}" data-milestone-id="${milestone.id}">
+                            <div class="milestone-header">
+                                <span class="milestone-title-text">${Utils.escapeHtml(milestone.title)}</span>
+                                <span class="milestone-date">목표일: ${Utils.formatDate(milestone.targetDate)}</span>
+                            </div>
+                            <div class="milestone-progress">
+                                <div class="milestone-progress-bar">
+                                    <div class="milestone-progress-fill" style="width: ${progress}%"></div>
+                                </div>
+                                <span>${progress}%</span>
+                            </div>
+                            <div class="milestone-tasks-preview">
+                                ${completedCount}/${totalCount} 태스크 완료
+                            </div>
+                            <div class="milestone-actions">
+                                ${isAchieved ? 
+                                    '<span class="btn-milestone-action">🎉</span>' : 
+                                    `<button class="btn-milestone-action btn-delete-milestone" 
+                                             data-goal-id="${goalId}" 
+                                             data-milestone-id="${milestone.id}">❌</button>`
+                                }
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+            }
+        },
 
-                // 추천 렌더링
-                const recommendations = AIRecommendation.getPersonalizedRecommendations(currentProfile);
-                View.renderRecommendations(recommendations);
+        // 마일스톤 추가 핸들러
+        handleMilestoneAdd(goalId) {
+            const form = document.getElementById('milestoneForm');
+            const addBtn = document.getElementById('addMilestoneBtn');
+            const taskSelection = document.getElementById('milestoneTaskSelection');
+            
+            if (!form) return;
 
-                // 현재 탭에 따른 추가 렌더링
-                if (DataModel.state.activeTab === 'journey') {
-                    this.renderJourneyTab();
-                } else if (DataModel.state.activeTab === 'gallery') {
-                    this.renderGalleryTab();
+            // 폼 표시/숨기기 토글
+            if (form.style.display === 'none') {
+                form.style.display = 'block';
+                addBtn.style.display = 'none';
+                
+                // 태스크 선택 목록 생성
+                const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+                if (goal && goal.tasks) {
+                    taskSelection.innerHTML = goal.tasks
+                        .filter(task => !task.completed)
+                        .map(task => `
+                            <div class="task-selection-item">
+                                <input type="checkbox" 
+                                       id="milestone-task-${task.id}" 
+                                       value="${task.id}"
+                                       class="milestone-task-checkbox">
+                                <label for="milestone-task-${task.id}">
+                                    ${Utils.escapeHtml(task.text)}
+                                </label>
+                            </div>
+                        `).join('');
                 }
+            } else {
+                form.style.display = 'none';
+                addBtn.style.display = 'block';
             }
         },
 
-        // 프로필 선택 핸들러
-        handleProfileSelect(profileId) {
-            const profile = DataModel.state.profiles.find(p => p.id === profileId);
-            if (profile) {
-                DataModel.setCurrentProfile(profile);
-                this.render();
-                View.showNotification(`${profile.name}님, 환영합니다!`, 'success');
+        // 마일스톤 저장
+        handleMilestoneSave(goalId) {
+            const titleInput = document.getElementById('milestoneTitle');
+            const dateInput = document.getElementById('milestoneDate');
+            const selectedTasks = Array.from(document.querySelectorAll('.milestone-task-checkbox:checked'))
+                .map(cb => cb.value);
+
+            if (!titleInput.value.trim()) {
+                View.showNotification('마일스톤 제목을 입력해주세요.', 'warning');
+                return;
             }
-        },
 
-        // 새 프로필 생성
-        handleNewProfile() {
-            View.showModal('newUserModal');
+            if (!dateInput.value) {
+                View.showNotification('목표 날짜를 선택해주세요.', 'warning');
+                return;
+            }
+
+            const milestoneData = {
+                title: titleInput.value.trim(),
+                targetDate: dateInput.value,
+                taskIds: selectedTasks
+            };
+
+            DataModel.addMilestone(goalId, milestoneData);
             
-            const input = document.getElementById('newUserNameInput');
-            const createBtn = document.getElementById('createUserBtn');
+            // 폼 초기화 및 숨기기
+            titleInput.value = '';
+            dateInput.value = '';
+            document.getElementById('milestoneForm').style.display = 'none';
+            document.getElementById('addMilestoneBtn').style.display = 'block';
             
-            if (input && createBtn) {
-                input.focus();
+            // 렌더링 업데이트
+            this.renderMilestones(goalId);
+            View.showNotification('마일스톤이 추가되었습니다!', 'success');
+        },
+
+        // 마일스톤 삭제
+        handleMilestoneDelete(goalId, milestoneId) {
+            if (confirm('이 마일스톤을 삭제하시겠습니까?')) {
+                const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+                if (goal && goal.milestones) {
+                    goal.milestones = goal.milestones.filter(m => m.id !== milestoneId);
+                    DataModel.saveProfiles('마일스톤 삭제');
+                    this.renderMilestones(goalId);
+                    this.notifyUndoable('마일스톤이 삭제되었습니다.', 'info');
+                }
+            }
+        },
+
+        // 이미지 업로드
+        handleImageUpload(e) {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                ImageProcessor.validateImage(file);
                 
-                createBtn.onclick = () => {
-                    const name = input.value.trim();
-                    if (name) {
-                        const profile = DataModel.createProfile(name);
-                        DataModel.setCurrentProfile(profile);
-                        View.hideModal('newUserModal');
-                        this.render();
-                        View.showNotification('새 프로필이 생성되었습니다!', 'success');
-                    } else {
-                        View.showNotification('이름을 입력해주세요.', 'warning');
+                // 미리보기
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    const preview = document.getElementById('imagePreview');
+                    if (preview) {
+                        preview.innerHTML = `<img src="${e.target.result}" alt="미리보기" style="max-width: 200px;">`;
                     }
                 };
+                reader.readAsDataURL(file);
+            } catch (err) {
+                View.showNotification(err.message, 'error');
+                e.target.value = '';
             }
         },
 
-        // 게스트 모드
-        handleGuestMode() {
-            const guestProfile = {
-                id: 'guest',
-                name: '게스트',
-                bucketList: [],
-                createdAt: new Date().toISOString(),
-                isGuest: true
-            };
-            
-            DataModel.setCurrentProfile(guestProfile);
-            this.render();
-            View.showNotification('게스트 모드로 시작합니다. 데이터는 저장되지 않습니다.', 'info');
-        },
-
-        // 목표 추가
-        handleGoalAdd() {
-            const input = View.elements.goalInput;
-            const categorySelect = View.elements.categorySelect;
-            const recurringSelect = document.getElementById('recurringSelect');
-            
-            if (!input || !categorySelect || !recurringSelect) return;
+        // 이미지 드롭
+        handleImageDrop(file) {
+            try {
+                ImageProcessor.validateImage(file);
+                
+                // 파일 입력에 설정
+                const input = document.getElementById('completionImage');
+                if (input) {
+                    const dataTransfer = new DataTransfer();
+                    dataTransfer.items.add(file);
+                    input.files = dataTransfer.files;
+                    
+                    // 변경 이벤트 트리거
+                    input.dispatchEvent(new Event('change'));
+                }
+            } catch (err) {
+                View.showNotification(err.message, 'error');
+            }
+        },
 
-            const text = input.value.trim();
-            const category = categorySelect.value;
-            const recurringType = recurringSelect.value;
+        // 이미지 보기
+        async handleViewImage(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal || !goal.completionImage) return;
 
-            if (!text) {
-                View.showNotification('목표를 입력해주세요.', 'warning');
-                input.focus();
+            const imageUrl = await AttachmentStore.getUrl(goal.completionImage);
+            if (!imageUrl) {
+                View.showNotification('사진을 찾을 수 없습니다.', 'error');
                 return;
             }
 
-            // 중복 확인
-            const exists = DataModel.state.currentProfile?.bucketList.some(
-                g => g.text.toLowerCase() === text.toLowerCase()
-            );
+            // 이미지 모달 생성
+            const modal = document.createElement('div');
+            modal.className = 'image-view-modal';
+            modal.innerHTML = `
+                <div class="image-view-content">
+                    <img src="${imageUrl}" alt="${Utils.escapeHtml(goal.text)}">
+                    <button class="close-image-view">✕</button>
+                </div>
+            `;
             
-            if (exists) {
-                View.showNotification('이미 동일한 목표가 있습니다.', 'warning');
-                return;
-            }
+            document.body.appendChild(modal);
+            
+            // 닫기 이벤트
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.classList.contains('close-image-view')) {
+                    modal.remove();
+                }
+            });
+        },
 
-            // 반복 설정 처리
-            let recurring = null;
-            if (recurringType && CONFIG.RECURRING_TYPES[recurringType]) {
-                recurring = {
-                    type: recurringType,
-                    interval: CONFIG.RECURRING_TYPES[recurringType].interval
-                };
-            }
+        // 목표 공유 - 향상된 버전
+        handleShareGoal(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
 
-            const newGoal = DataModel.addGoal(text, category, recurring);
-            input.value = '';
-            recurringSelect.value = '';
-            
-            // 새 목표 추가 애니메이션을 위한 플래그 설정
-            this.newGoalId = newGoal.id;
-            this.render();
-            
-            // 동기부여 메시지
-            const message = recurring ? 
-                `${CONFIG.RECURRING_TYPES[recurringType].name} 반복 목표가 추가되었습니다! 꾸준히 실천해보세요.` :
-                AIRecommendation.getMotivationalMessage({ category });
-            View.showNotification(message, 'success');
+            // 공유 옵션 모달 표시
+            this.showShareModal(goal);
         },
 
-        // 추천 추가
-        handleAddRecommendation(text, category) {
-            DataModel.addGoal(text, category);
-            this.render();
-            View.showNotification('추천 목표가 추가되었습니다!', 'success');
+        // 공유 모달 표시
+        showShareModal(goal) {
+            const options = PDFGenerator.cardOptions(Storage.get('cardOptions') || {});
+            const modal = document.createElement('div');
+            modal.className = 'share-modal';
+            modal.innerHTML = `
+                <div class="share-modal-content">
+                    <div class="share-modal-header">
+                        <h3>목표 공유하기</h3>
+                        <button class="close-btn">&times;</button>
+                    </div>
+                    <div class="share-modal-body">
+                        ${View.renderCardStudio(options, !!goal.completionImage)}
+                        <div class="share-options">
+                            <button class="share-option" data-type="text" data-goal-id="${goal.id}">
+                                📝 텍스트로 공유
+                            </button>
+                            <button class="share-option" data-type="social" data-goal-id="${goal.id}">
+                                📱 소셜 미디어 공유
+                            </button>
+                            <button class="share-option" data-type="link" data-goal-id="${goal.id}">
+                                🔗 링크 복사
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+
+            this.bindCardStudio(
+                modal.querySelector('.card-studio'),
+                cardOptions => PDFGenerator.generateAchievementCard(goal, DataModel.state.currentProfile.name, cardOptions),
+                `achievement-${goal.id}.png`,
+                `✅ 버킷리스트 달성! "${goal.text}" #버킷리스트 #목표달성`
+            );
+
+            // 이벤트 리스너
+            modal.querySelector('.close-btn').onclick = () => {
+                document.body.removeChild(modal);
+            };
+
+            modal.onclick = (e) => {
+                if (e.target === modal) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            // 공유 옵션 클릭
+            modal.querySelectorAll('.share-option').forEach(btn => {
+                btn.onclick = () => {
+                    const type = btn.dataset.type;
+                    const goalId = btn.dataset.goalId;
+                    this.handleShareOption(type, goalId);
+                    document.body.removeChild(modal);
+                };
+            });
         },
 
-        // 목표 완료
-        handleGoalComplete(goalId) {
+        // 공유 옵션 처리
+        handleShareOption(type, goalId) {
             const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
             if (!goal) return;
 
-            // 반복 목표 처리
-            if (goal.recurring && goal.recurring.isActive) {
-                if (!DataModel.canCompleteToday(goalId)) {
-                    View.showNotification('오늘은 이미 완료한 목표입니다!', 'warning');
-                    return;
+            switch (type) {
+                case 'text':
+                    this.shareAsText(goal);
+                    break;
+                case 'social':
+                    this.shareToSocial(goal);
+                    break;
+                case 'link':
+                    this.shareAsLink(goal);
+                    break;
+            }
+        },
+
+        // 카드 미리보기 연결: 옵션이 바뀔 때마다 다시 그림
+        bindCardStudio(studio, render, filename, shareText) {
+            const preview = studio.querySelector('.card-preview');
+            const image = preview.querySelector('img');
+            let current = null;
+            let renderId = 0;
+
+            const readOptions = () => PDFGenerator.cardOptions({
+                theme: studio.querySelector('input[name="cardTheme"]:checked')?.value,
+                format: studio.querySelector('input[name="cardFormat"]:checked')?.value,
+                photo: studio.querySelector('input[name="cardPhoto"]')?.checked ?? true
+            });
+
+            const refresh = async () => {
+                const options = readOptions();
+                const id = ++renderId;
+                Storage.set('cardOptions', options);
+                preview.className = `card-preview format-${options.format} rendering`;
+                current = null;
+                try {
+                    const dataUrl = await render(options);
+                    if (id !== renderId) return; // 더 최근 옵션으로 그리는 중
+                    current = dataUrl;
+                    image.src = dataUrl;
+                } catch (err) {
+                    console.error('Card render error:', err);
+                    if (id === renderId) View.showNotification('카드 이미지를 만들지 못했습니다.', 'error');
+                } finally {
+                    if (id === renderId) preview.classList.remove('rendering');
+                }
+            };
+
+            studio.onchange = refresh;
+            studio.querySelector('.card-download').onclick = () => {
+                if (!current) return;
+                const link = document.createElement('a');
+                link.download = filename;
+                link.href = current;
+                link.click();
+                View.showNotification('이미지가 다운로드되었습니다!', 'success');
+            };
+            studio.querySelector('.card-share').onclick = () => {
+                if (current) this.shareCardImage(current, filename, shareText);
+            };
+
+            refresh();
+        },
+
+        // 파일 공유 (지원하지 않으면 다운로드)
+        async shareCardImage(dataUrl, filename, text) {
+            const blob = AttachmentStore.dataUrlToBlob(dataUrl);
+            const file = new File([blob], filename, { type: blob.type || 'image/png' });
+
+            if (navigator.canShare && navigator.canShare({ files: [file] })) {
+                try {
+                    await navigator.share({ files: [file], title: '버킷드림', text });
+                } catch (err) {
+                    if (err.name !== 'AbortError') {
+                        console.error('Share error:', err);
+                        View.showNotification('공유에 실패했습니다.', 'error');
+                    }
                 }
-                
-                // 반복 목표 완료 처리
-                DataModel.completeRecurringGoal(goalId);
-                const recurringType = CONFIG.RECURRING_TYPES[goal.recurring.type];
-                View.showNotification(`🎉 오늘의 ${recurringType.name} 목표를 완료했습니다!`, 'success');
-                this.render();
                 return;
             }
 
-            // 일반 목표 완료 처리
-            this.currentCompletingGoalId = goalId;
-            View.showModal('completionModal');
-            
-            // 오늘 날짜 설정
-            const dateInput = document.getElementById('completionDate');
-            if (dateInput) {
-                dateInput.value = new Date().toISOString().split('T')[0];
-                dateInput.max = new Date().toISOString().split('T')[0];
-            }
-            
-            // 이미지 미리보기 초기화
-            const preview = document.getElementById('imagePreview');
-            if (preview) preview.innerHTML = '';
+            const link = document.createElement('a');
+            link.download = filename;
+            link.href = dataUrl;
+            link.click();
+            View.showNotification('이 브라우저는 이미지 공유를 지원하지 않아 다운로드했습니다.', 'info');
         },
 
-        // 완료 저장
-        saveGoalCompletion() {
-            if (!this.currentCompletingGoalId) return;
+        // 통계 카드 공유
+        showStatsShareModal() {
+            const profile = DataModel.state.currentProfile;
+            if (!profile) return;
 
-            const date = document.getElementById('completionDate').value;
-            const emotion = document.getElementById('completionEmotion').value;
-            const note = document.getElementById('completionNote').value;
-            const imageInput = document.getElementById('completionImage');
-            
-            let completionData = { date, emotion, note };
+            const modal = View.renderStatsShare(PDFGenerator.cardOptions(Storage.get('cardOptions') || {}));
+            const close = () => modal.remove();
+            modal.querySelector('.close-btn').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
 
-            // 이미지 처리
-            if (imageInput && imageInput.files.length > 0) {
-                View.showLoading('이미지 처리중...');
-                
-                ImageProcessor.compressImage(imageInput.files[0])
-                    .then(dataUrl => {
-                        completionData.image = dataUrl;
-                        DataModel.completeGoal(this.currentCompletingGoalId, completionData);
-                        View.hideLoading();
-                        View.hideModal('completionModal');
-                        this.render();
-                        View.showNotification('축하합니다! 목표를 달성했습니다! 🎉', 'success');
-                        
-                        // 달성 애니메이션 효과
-                        this.showAchievementAnimation();
-                    })
-                    .catch(err => {
-                        View.hideLoading();
-                        View.showNotification('이미지 처리 중 오류가 발생했습니다.', 'error');
-                        console.error(err);
-                    });
+            const stats = DataModel.getStats();
+            this.bindCardStudio(
+                modal.querySelector('.card-studio'),
+                options => PDFGenerator.generateStatsCard(profile.name, stats, options),
+                'bucket-dreams-stats.png',
+                `📊 버킷리스트 ${stats.total}개 중 ${stats.completed}개 달성 (${stats.percentage}%) #버킷리스트`
+            );
+        },
+
+        // 텍스트로 공유
+        shareAsText(goal) {
+            const shareText = `✅ 버킷리스트 달성!\n\n"${goal.text}"\n\n${goal.completionNote || '목표를 달성했습니다!'}\n\n달성일: ${Utils.formatDate(goal.completedAt)}\n\n#버킷리스트 #목표달성 #BucketDreams`;
+            
+            if (navigator.share) {
+                navigator.share({
+                    title: '버킷리스트 달성',
+                    text: shareText
+                }).catch(err => console.log('공유 취소됨'));
             } else {
-                DataModel.completeGoal(this.currentCompletingGoalId, completionData);
-                View.hideModal('completionModal');
-                this.render();
-                View.showNotification('축하합니다! 목표를 달성했습니다! 🎉', 'success');
-                
-                // 달성 애니메이션 효과
-                this.showAchievementAnimation();
+                navigator.clipboard.writeText(shareText)
+                    .then(() => View.showNotification('클립보드에 복사되었습니다!', 'success'))
+                    .catch(() => View.showNotification('복사에 실패했습니다.', 'error'));
             }
         },
 
-        // 달성 애니메이션
-        showAchievementAnimation() {
-            const confetti = document.createElement('div');
-            confetti.className = 'achievement-confetti';
-            confetti.innerHTML = '🎉🎊✨🌟🎯';
-            document.body.appendChild(confetti);
+        // 소셜 미디어 공유
+        shareToSocial(goal) {
+            const shareText = encodeURIComponent(`✅ 버킷리스트 달성! "${goal.text}" ${goal.completionNote || ''} #버킷리스트 #목표달성`);
+            const shareUrl = encodeURIComponent(window.location.href);
             
-            setTimeout(() => confetti.remove(), 3000);
-        },
+            const socialModal = document.createElement('div');
+            socialModal.className = 'social-share-modal';
+            socialModal.innerHTML = `
+                <div class="social-share-content">
+                    <div class="social-share-header">
+                        <h3>소셜 미디어 공유</h3>
+                        <button class="close-btn">&times;</button>
+                    </div>
+                    <div class="social-share-body">
+                        <div class="social-options">
+                            <a href="https://twitter.com/intent/tweet?text=${shareText}" target="_blank" class="social-btn twitter">
+                                🐦 Twitter
+                            </a>
+                            <a href="https://www.facebook.com/sharer/sharer.php?u=${shareUrl}&quote=${shareText}" target="_blank" class="social-btn facebook">
+                                📘 Facebook
+                            </a>
+                            <a href="https://www.linkedin.com/sharing/share-offsite/?url=${shareUrl}" target="_blank" class="social-btn linkedin">
+                                💼 LinkedIn
+                            </a>
+                            <a href="https://api.whatsapp.com/send?text=${shareText}" target="_blank" class="social-btn whatsapp">
+                                💬 WhatsApp
+                            </a>
+                            <button class="social-btn copy" data-text="${decodeURIComponent(shareText)}">
+                                📋 복사하기
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
 
-        // 목표 삭제
-        handleGoalDelete(goalId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
+            document.body.appendChild(socialModal);
 
-            const confirmMessage = goal.completed ? 
-                '완료된 목표를 삭제하시겠습니까? 이 작업은 되돌릴 수 없습니다.' :
-                '정말로 이 목표를 삭제하시겠습니까?';
+            // 이벤트 리스너
+            socialModal.querySelector('.close-btn').onclick = () => {
+                document.body.removeChild(socialModal);
+            };
 
-            if (confirm(confirmMessage)) {
-                DataModel.deleteGoal(goalId);
-                this.render();
-                View.showNotification('목표가 삭제되었습니다.', 'info');
-            }
-        },
+            socialModal.onclick = (e) => {
+                if (e.target === socialModal) {
+                    document.body.removeChild(socialModal);
+                }
+            };
 
-        // 감정 체크인
-        handleEmotionCheck(goalId) {
-            this.currentEmotionGoalId = goalId;
-            View.showModal('emotionCheckModal');
-            
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (goal) {
-                document.getElementById('emotionGoalText').textContent = goal.text;
-            }
+            // 복사 버튼
+            socialModal.querySelector('.copy').onclick = () => {
+                const text = socialModal.querySelector('.copy').dataset.text;
+                navigator.clipboard.writeText(text)
+                    .then(() => {
+                        View.showNotification('클립보드에 복사되었습니다!', 'success');
+                        document.body.removeChild(socialModal);
+                    })
+                    .catch(() => View.showNotification('복사에 실패했습니다.', 'error'));
+            };
         },
 
-        // 태스크 관리
-        handleTaskManager(goalId) {
-            this.currentTaskGoalId = goalId;
-            View.showModal('taskManagerModal');
-            
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
-
-            // 목표 제목 표시
-            const titleEl = document.getElementById('taskGoalTitle');
-            if (titleEl) {
-                titleEl.textContent = goal.text;
+        // 링크로 공유 (목표 내용을 주소에 담음)
+        async shareAsLink(goal) {
+            let shareUrl;
+            try {
+                shareUrl = await ShareLink.createUrl(goal);
+            } catch (err) {
+                console.error('공유 링크 생성 실패:', err);
+                View.showNotification('링크 생성에 실패했습니다.', 'error');
+                return;
             }
 
-            // 태스크 목록 렌더링
-            this.renderTasks(goalId);
-            
-            // 마일스톤 렌더링
-            this.renderMilestones(goalId);
+            navigator.clipboard.writeText(shareUrl)
+                .then(() => View.showNotification('링크가 클립보드에 복사되었습니다!', 'success'))
+                .catch(() => View.showNotification('링크 복사에 실패했습니다.', 'error'));
         },
 
-        // 태스크 렌더링
-        renderTasks(goalId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
+        // 주소의 #share= 처리
+        async handleSharedLink() {
+            const encoded = ShareLink.readFromLocation();
+            if (!encoded) return;
 
-            const tasks = goal.tasks || [];
-            const container = document.getElementById('taskList');
-            const emptyMessage = document.getElementById('emptyTasksMessage');
+            history.replaceState(null, '', window.location.pathname + window.location.search);
 
-            if (!container) return;
+            try {
+                this.showSharedGoal(await ShareLink.decode(encoded));
+            } catch (err) {
+                console.error('공유 링크 해석 실패:', err);
+                View.showNotification(err instanceof SyntaxError ? '공유 링크가 올바르지 않습니다.' : err.message, 'error');
+            }
+        },
 
-            if (tasks.length === 0) {
-                container.innerHTML = '';
-                if (emptyMessage) emptyMessage.style.display = 'block';
-            } else {
-                if (emptyMessage) emptyMessage.style.display = 'none';
-                
-                container.innerHTML = tasks.map(task => `
-                    <li class="task-item ${task.completed ? 'completed' : ''}" data-task-id="${task.id}">
-                        <input type="checkbox" 
-                               class="task-checkbox" 
-                               ${task.completed ? 'checked' : ''}
-                               data-goal-id="${goalId}"
-                               data-task-id="${task.id}">
-                        <span class="task-text" 
-                              data-goal-id="${goalId}"
-                              data-task-id="${task.id}">${Utils.escapeHtml(task.text)}</span>
-                        <span class="task-priority priority-${task.priority}">${task.priority}</span>
-                        <div class="task-actions">
-                            <button class="btn-edit-task" 
-                                    data-goal-id="${goalId}"
-                                    data-task-id="${task.id}"
-                                    title="편집">
-                                ✏️
-                            </button>
-                            <button class="btn-delete-task" 
-                                    data-goal-id="${goalId}"
-                                    data-task-id="${task.id}"
-                                    title="삭제">
-                                ❌
-                            </button>
-                        </div>
-                    </li>
-                `).join('');
+        // 가져오기 마법사 (검증 → 방식 선택과 미리보기 → 반영)
+        async handleImportFile(text) {
+            let backup = await Backup.read(text);
+            while (backup.needsPassphrase) {
+                const passphrase = await View.promptPassphrase({
+                    title: '🔐 암호화된 백업',
+                    message: backup.errors[0].message
+                });
+                if (passphrase === null) return;
+                backup = await Backup.read(text, passphrase);
             }
 
-            // 진행률 업데이트
-            const completedCount = tasks.filter(t => t.completed).length;
-            const totalCount = tasks.length;
-            const percentage = Utils.calculatePercentage(completedCount, totalCount);
+            const modal = View.renderImportWizard(backup);
+            const close = () => modal.remove();
+            let mode = 'merge';
 
-            document.getElementById('taskProgressPercent').textContent = percentage + '%';
-            document.getElementById('taskProgressFill').style.width = percentage + '%';
-            document.getElementById('completedTaskCount').textContent = completedCount;
-            document.getElementById('totalTaskCount').textContent = totalCount;
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.import-cancel').onclick = close;
+            if (backup.errors.length > 0) return;
 
-            // 태스크 이벤트 바인딩
-            setTimeout(() => {
-                // 체크박스 이벤트
-                container.querySelectorAll('.task-checkbox').forEach(checkbox => {
-                    checkbox.addEventListener('change', (e) => {
-                        const goalId = e.target.dataset.goalId;
-                        const taskId = e.target.dataset.taskId;
-                        const completed = e.target.checked;
-                        this.handleTaskToggle(goalId, taskId, completed);
-                    });
-                });
+            const confirmBtn = modal.querySelector('.import-confirm');
+            const updatePreview = () => {
+                const plan = Backup.plan(backup.profiles, mode, backup.scope);
+                View.renderImportPreview(modal.querySelector('.import-preview'), plan);
+                confirmBtn.disabled = !plan.hasChanges;
+            };
 
-                // 편집 버튼 이벤트
-                container.querySelectorAll('.btn-edit-task').forEach(btn => {
-                    btn.addEventListener('click', (e) => {
-                        const goalId = e.target.dataset.goalId;
-                        const taskId = e.target.dataset.taskId;
-                        this.handleTaskEdit(goalId, taskId);
-                    });
-                });
+            modal.querySelectorAll('input[name="importMode"]').forEach(radio => {
+                radio.onchange = () => {
+                    mode = radio.value;
+                    updatePreview();
+                };
+            });
+            updatePreview();
 
-                // 삭제 버튼 이벤트
-                container.querySelectorAll('.btn-delete-task').forEach(btn => {
-                    btn.addEventListener('click', (e) => {
-                        const goalId = e.target.dataset.goalId;
-                        const taskId = e.target.dataset.taskId;
-                        this.handleTaskDelete(goalId, taskId);
-                    });
-                });
-            }, 0);
+            confirmBtn.onclick = async () => {
+                confirmBtn.disabled = true;
+                try {
+                    await Backup.apply(backup, mode);
+                    close();
+                    this.render();
+                    this.renderTrash();
+                    this.notifyUndoable('데이터를 성공적으로 가져왔습니다.', 'success');
+                } catch (err) {
+                    console.error('Import error:', err);
+                    confirmBtn.disabled = false;
+                    View.showNotification('데이터 가져오기에 실패했습니다.', 'error');
+                }
+            };
         },
 
-        // 태스크 추가
-        handleTaskAdd() {
-            const input = document.getElementById('newTaskInput');
-            const prioritySelect = document.getElementById('taskPriority');
-            
-            if (!input || !this.currentTaskGoalId) return;
-
-            const text = input.value.trim();
-            if (!text) {
-                View.showNotification('태스크를 입력해주세요.', 'warning');
+        // 목록 내보내기 (format: 'csv' | 'markdown')
+        handleListExport(format) {
+            const profile = DataModel.state.currentProfile;
+            const goals = profile?.bucketList || [];
+            if (goals.length === 0) {
+                View.showNotification('내보낼 목표가 없습니다.', 'warning');
                 return;
             }
 
-            const taskData = {
-                text: text,
-                priority: prioritySelect.value
-            };
+            const base = `bucketlist-${profile.name}-${Utils.toDateKey()}`;
+            if (format === 'markdown') {
+                Utils.downloadFile(ListFormats.toMarkdown(goals, profile.name), `${base}.md`, 'text/markdown');
+                View.showNotification('Markdown 파일로 내보냈습니다.', 'success');
+                return;
+            }
 
-            DataModel.addTask(this.currentTaskGoalId, taskData);
-            input.value = '';
-            this.renderTasks(this.currentTaskGoalId);
-            this.render(); // 메인 화면도 업데이트 (진행률 반영)
+            Utils.downloadFile(ListFormats.goalsToCsv(goals), `${base}.csv`, 'text/csv');
+            if (goals.some(goal => goal.tasks?.length || goal.milestones?.length)) {
+                Utils.downloadFile(ListFormats.itemsToCsv(goals), `${base}-tasks.csv`, 'text/csv');
+                View.showNotification('목표와 세부 계획을 CSV 파일 2개로 내보냈습니다.', 'success');
+            } else {
+                View.showNotification('CSV 파일로 내보냈습니다.', 'success');
+            }
         },
-        
-        // 빠른 태스크 추가
-        handleQuickTaskAdd(goalId, taskText) {
-            const taskData = {
-                text: taskText,
-                priority: 'medium' // 기본 우선순위
-            };
 
-            DataModel.addTask(goalId, taskData);
-            this.render(); // 메인 화면 업데이트 (진행률 반영)
-            View.showNotification('태스크가 추가되었습니다.', 'success');
-        },
+        // 캘린더(.ics) 내보내기 (goalId가 없으면 현재 프로필 전체)
+        handleCalendarExport(goalId = null) {
+            document.querySelector('.context-menu')?.remove();
 
-        // 태스크 토글
-        handleTaskToggle(goalId, taskId, completed) {
-            DataModel.updateTask(goalId, taskId, { completed });
-            this.renderTasks(goalId);
-            this.render();
-            
-            if (completed) {
-                View.showNotification('태스크를 완료했습니다! 👍', 'success');
+            const profile = DataModel.state.currentProfile;
+            if (!profile) return;
+
+            const goals = (goalId ? profile.bucketList.filter(g => g.id === goalId) : profile.bucketList)
+                .filter(goal => Calendar.hasEntries(goal));
+            if (goals.length === 0) {
+                View.showNotification('목표일, 마일스톤, 반복 일정이나 세부 계획이 있는 목표가 없습니다.', 'warning');
+                return;
             }
+
+            const name = goalId ? goals[0].text : `${profile.name}의 버킷리스트`;
+            const filename = goalId
+                ? `bucketlist-${goals[0].text.slice(0, 30)}.ics`
+                : `bucketlist-${profile.name}-${Utils.toDateKey()}.ics`;
+            Utils.downloadFile(Calendar.build(goals, name), filename, 'text/calendar');
+            View.showNotification('캘린더 파일을 내보냈습니다. 캘린더 앱에서 열어 추가하세요.', 'success');
         },
 
-        // 태스크 삭제
-        handleTaskDelete(goalId, taskId) {
-            if (confirm('이 태스크를 삭제하시겠습니까?')) {
-                DataModel.deleteTask(goalId, taskId);
-                this.renderTasks(goalId);
-                this.render();
+        // 목록 가져오기 (CSV 열 매핑 → 미리보기 → 현재 프로필에 추가)
+        async handleListImport(files) {
+            if (!DataModel.state.currentProfile) return;
+
+            const csvFiles = [];
+            const markdownFiles = [];
+            for (const file of files) {
+                const text = await Utils.readFileAsText(file);
+                if (/\.(md|markdown|txt)$/i.test(file.name)) {
+                    markdownFiles.push({ name: file.name, text });
+                } else {
+                    const { headers, rows } = ListFormats.parseCsv(text);
+                    csvFiles.push({ name: file.name, headers, rows, mapping: ListFormats.guessMapping(headers) });
+                }
             }
-        },
 
-        // 태스크 편집 시작
-        handleTaskEdit(goalId, taskId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
+            const modal = View.renderListImport(csvFiles, markdownFiles.map(file => file.name));
+            const close = () => modal.remove();
+            const confirmBtn = modal.querySelector('.import-confirm');
+            let result;
 
-            const task = goal.tasks?.find(t => t.id === taskId);
-            if (!task) return;
+            const updatePreview = () => {
+                const parsed = [ListFormats.readCsv(csvFiles), ...markdownFiles.map(file => ListFormats.readMarkdown(file.text, file.name))];
+                const { goals, duplicates } = ListFormats.withoutDuplicates(
+                    parsed.flatMap(part => part.goals),
+                    DataModel.state.currentProfile.bucketList
+                );
+                result = { goals, duplicates, warnings: parsed.flatMap(part => part.warnings) };
+                View.renderListImportPreview(modal.querySelector('.list-import-preview'), result);
+                confirmBtn.disabled = goals.length === 0;
+            };
 
-            const taskItem = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
-            if (!taskItem) return;
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.import-cancel').onclick = close;
+            modal.querySelectorAll('select[data-field]').forEach(select => {
+                select.onchange = () => {
+                    const { mapping } = csvFiles[select.dataset.file];
+                    mapping[select.dataset.field] = select.value === '' ? undefined : Number(select.value);
+                    updatePreview();
+                };
+            });
+            updatePreview();
 
-            // 이미 편집 중인 경우 무시
-            if (taskItem.classList.contains('editing')) return;
+            confirmBtn.onclick = () => {
+                const goals = DataModel.importGoals(result.goals);
+                close();
+                this.render();
+                this.notifyUndoable(`목표 ${goals.length}개를 가져왔습니다.`, 'success');
+            };
+        },
 
-            // 편집 모드로 전환
-            taskItem.classList.add('editing');
+        // 공유받은 목표 보기
+        showSharedGoal(shared) {
+            const modal = View.renderSharedGoal(shared);
+            const close = () => modal.remove();
 
-            // 편집 폼 생성
-            const editForm = document.createElement('div');
-            editForm.className = 'task-edit-form';
-            editForm.innerHTML = `
-                <input type="text" 
-                       class="task-edit-input" 
-                       value="${Utils.escapeHtml(task.text)}"
-                       data-original="${Utils.escapeHtml(task.text)}">
-                <select class="task-edit-priority">
-                    <option value="low" ${task.priority === 'low' ? 'selected' : ''}>낮음</option>
-                    <option value="medium" ${task.priority === 'medium' ? 'selected' : ''}>보통</option>
-                    <option value="high" ${task.priority === 'high' ? 'selected' : ''}>높음</option>
-                </select>
-                <div class="task-edit-actions">
-                    <button class="btn-save-edit" data-goal-id="${goalId}" data-task-id="${taskId}">저장</button>
-                    <button class="btn-cancel-edit" data-task-id="${taskId}">취소</button>
-                </div>
-            `;
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.shared-goal-close').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
+
+            modal.querySelector('.shared-goal-add').onclick = () => {
+                close();
+                if (!DataModel.state.currentProfile) {
+                    // 프로필을 고르면 이어서 추가
+                    this.pendingSharedGoal = shared;
+                    View.showNotification('프로필을 선택하면 목표가 추가됩니다.', 'info');
+                    return;
+                }
+                this.importSharedGoal(shared);
+            };
+        },
 
-            taskItem.appendChild(editForm);
+        // 공유 시트로 받은 내용 (#/received)
+        async handleReceivedShare() {
+            let content;
+            try {
+                content = await ShareTarget.take();
+            } catch (err) {
+                console.error('공유받은 내용 읽기 실패:', err);
+            }
+            if (!content) {
+                View.showNotification('공유받은 내용을 찾을 수 없습니다.', 'warning');
+                return;
+            }
 
-            // 입력 필드에 포커스
-            const input = editForm.querySelector('.task-edit-input');
-            input.focus();
-            input.select();
+            const previewUrl = content.file ? await AttachmentStore.blobToDataUrl(content.file) : null;
+            const activeGoals = DataModel.state.currentProfile.bucketList.filter(g => !g.completed);
+            const modal = View.renderSharePicker(content, activeGoals, previewUrl);
+            const close = () => modal.remove();
 
-            // 엔터키로 저장
-            input.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.handleTaskEditSave(goalId, taskId);
-                }
-            });
+            modal.querySelector('.close-btn').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
 
-            // ESC키로 취소
-            input.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
-                    this.handleTaskEditCancel(taskId);
+            // 새 목표 (사진과 본문은 그 목표의 메모로)
+            modal.querySelector('.share-picker-new').onclick = async () => {
+                const text = modal.querySelector('.share-picker-text').value.trim();
+                if (!text) {
+                    View.showNotification('목표를 입력해주세요.', 'warning');
+                    return;
                 }
-            });
-        },
 
-        // 태스크 편집 저장
-        handleTaskEditSave(goalId, taskId) {
-            const taskItem = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
-            if (!taskItem) return;
+                const goal = DataModel.addGoal(text, modal.querySelector('.share-picker-category').value);
+                close();
+                await this.addReceivedNote(goal.id, content, text);
+                this.render();
+                this.notifyUndoable('공유받은 내용으로 목표를 만들었습니다!', 'success');
+            };
 
-            const input = taskItem.querySelector('.task-edit-input');
-            const prioritySelect = taskItem.querySelector('.task-edit-priority');
+            const goalSelect = modal.querySelector('.share-picker-goal');
+            if (!goalSelect) return;
 
-            const newText = input.value.trim();
-            const newPriority = prioritySelect.value;
+            modal.querySelector('.share-picker-note').onclick = async () => {
+                close();
+                await this.addReceivedNote(goalSelect.value, content);
+            };
 
-            if (!newText) {
-                View.showNotification('태스크 내용을 입력해주세요.', 'warning');
-                return;
+            const completionBtn = modal.querySelector('.share-picker-completion');
+            if (completionBtn) {
+                completionBtn.onclick = () => {
+                    const goal = activeGoals.find(g => g.id === goalSelect.value);
+                    if (goal?.recurring?.isActive) {
+                        View.showNotification('반복 목표에는 달성 사진을 넣을 수 없습니다.', 'warning');
+                        return;
+                    }
+                    close();
+                    // 달성 모달에 사진을 넣어 두고 나머지는 사용자가 입력
+                    this.handleGoalComplete(goalSelect.value);
+                    this.handleImageDrop(content.file);
+                };
             }
+        },
 
-            // 데이터 업데이트
-            DataModel.updateTask(goalId, taskId, {
-                text: newText,
-                priority: newPriority
-            });
+        // 받은 사진/본문을 목표의 메모로 추가 (skipText: 목표 제목으로 이미 쓴 본문)
+        async addReceivedNote(goalId, content, skipText = '') {
+            const noteText = ShareTarget.getNoteText(content);
+            const text = noteText !== skipText ? noteText : '';
 
-            // UI 업데이트
-            this.renderTasks(goalId);
-            this.render();
-            View.showNotification('태스크가 수정되었습니다.', 'success');
+            if (content.file) {
+                try {
+                    ImageProcessor.validateImage(content.file);
+                    const dataUrl = await ImageProcessor.compressImage(content.file);
+                    const imageRef = await AttachmentStore.put(dataUrl, DataModel.state.currentProfile?.id);
+                    this.addQuickNote(goalId, text || '사진 메모', 'photo', imageRef);
+                } catch (err) {
+                    console.error('공유받은 사진 처리 실패:', err);
+                    View.showNotification('사진 업로드에 실패했습니다.', 'error');
+                }
+            } else if (text) {
+                this.addQuickNote(goalId, text);
+            }
         },
 
-        // 태스크 편집 취소
-        handleTaskEditCancel(taskId) {
-            const taskItem = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
-            if (!taskItem) return;
+        // 공유받은 목표를 현재 프로필에 새 목표로 추가
+        importSharedGoal(shared) {
+            this.pendingSharedGoal = null;
 
-            const editForm = taskItem.querySelector('.task-edit-form');
-            if (editForm) {
-                editForm.remove();
+            const exists = DataModel.state.currentProfile.bucketList.some(
+                g => g.text.toLowerCase() === shared.text.toLowerCase()
+            );
+            if (exists) {
+                View.showNotification('이미 동일한 목표가 있습니다.', 'warning');
+                return;
             }
 
-            taskItem.classList.remove('editing');
+            DataModel.addGoal(shared.text, shared.category);
+            this.render();
+            this.notifyUndoable('공유받은 목표가 추가되었습니다!', 'success');
         },
 
-        // 태스크 필터링
-        filterTasks(filter) {
-            const taskItems = document.querySelectorAll('.task-item');
+        // 달성 카드 공유 (미리보기 모달)
+        handleShareAchievement(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (goal) this.showShareModal(goal);
+        },
+        
+        // 노트 추가 클릭 핸들러
+        handleAddNoteClick(goalId, taskId) {
+            const noteBtn = document.querySelector(`.btn-add-note[data-task-id="${taskId}"]`);
+            const taskDetails = noteBtn.closest('.task-details');
             
-            taskItems.forEach(item => {
-                const isCompleted = item.classList.contains('completed');
+            // 기존 폼이 있는지 확인
+            let noteForm = taskDetails.querySelector('.note-input-form');
+            
+            // 폼이 없으면 생성
+            if (!noteForm) {
+                noteForm = document.createElement('div');
+                noteForm.className = 'note-input-form';
+                noteForm.innerHTML = `
+                    <textarea class="note-input" placeholder="진행 상황, 메모, 참고사항 등을 기록하세요..."></textarea>
+                    <div class="note-actions">
+                        <button class="note-cancel-btn" data-goal-id="${goalId}" data-task-id="${taskId}">취소</button>
+                        <button class="note-save-btn" data-goal-id="${goalId}" data-task-id="${taskId}">저장</button>
+                    </div>
+                `;
+                taskDetails.appendChild(noteForm);
                 
-                switch (filter) {
-                    case 'all':
-                        item.style.display = '';
-                        break;
-                    case 'active':
-                        item.style.display = isCompleted ? 'none' : '';
-                        break;
-                    case 'completed':
-                        item.style.display = isCompleted ? '' : 'none';
-                        break;
+                // 이벤트 리스너 추가
+                noteForm.querySelector('.note-cancel-btn').addEventListener('click', (e) => {
+                    this.handleNoteCancelClick(e.target.dataset.goalId, e.target.dataset.taskId);
+                });
+                
+                noteForm.querySelector('.note-save-btn').addEventListener('click', (e) => {
+                    this.handleNoteSaveClick(e.target.dataset.goalId, e.target.dataset.taskId);
+                });
+            }
+            
+            noteForm.classList.add('show');
+            noteBtn.style.display = 'none';
+            noteForm.querySelector('.note-input').focus();
+        },
+        
+        // 노트 취소 클릭 핸들러
+        handleNoteCancelClick(goalId, taskId) {
+            const noteBtn = document.querySelector(`.btn-add-note[data-task-id="${taskId}"]`);
+            const noteForm = noteBtn.closest('.task-details').querySelector('.note-input-form');
+            
+            noteForm.classList.remove('show');
+            noteBtn.style.display = 'block';
+            noteForm.querySelector('.note-input').value = '';
+        },
+        
+        // 노트 저장 클릭 핸들러
+        handleNoteSaveClick(goalId, taskId) {
+            const noteBtn = document.querySelector(`.btn-add-note[data-task-id="${taskId}"]`);
+            const noteForm = noteBtn.closest('.task-details').querySelector('.note-input-form');
+            const noteText = noteForm.querySelector('.note-input').value.trim();
+            
+            if (!noteText) {
+                View.showNotification('노트 내용을 입력해주세요.', 'warning');
+                return;
+            }
+            
+            // 노트 데이터 추가
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (goal && goal.tasks) {
+                const task = goal.tasks.find(t => t.id === taskId);
+                if (task) {
+                    if (!task.notes) {
+                        task.notes = [];
+                    }
+                    
+                    task.notes.push({
+                        id: Utils.generateId(),
+                        text: noteText,
+                        date: new Date().toISOString()
+                    });
+                    
+                    DataModel.saveProfiles('메모 추가');
+                    
+                    // UI 업데이트
+                    noteForm.classList.remove('show');
+                    noteBtn.style.display = 'block';
+                    noteForm.querySelector('.note-input').value = '';
+                    
+                    // 전체 렌더링
+                    this.render();
+                    
+                    View.showNotification('노트가 추가되었습니다.', 'success');
                 }
-            });
+            }
         },
 
-        // 마일스톤 렌더링
-        renderMilestones(goalId) {
+        // 목표 편집 핸들러
+        handleGoalEdit(goalId) {
             const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
             if (!goal) return;
-
-            const milestones = goal.milestones || [];
-            const container = document.getElementById('milestoneList');
-            const emptyMessage = document.getElementById('emptyMilestonesMessage');
-
-            if (!container) return;
-
-            if (milestones.length === 0) {
-                container.innerHTML = '';
-                if (emptyMessage) emptyMessage.style.display = 'block';
-            } else {
-                if (emptyMessage) emptyMessage.style.display = 'none';
+            
+            // TODO: 목표 편집 모달 구현
+            View.showNotification('목표 편집 기능은 준비 중입니다.', 'info');
+        },
+        
+        // 목표 제목 인라인 편집
+        handleGoalTitleEdit(goalId) {
+            const titleElement = document.querySelector(`.goal-card[data-id="${goalId}"] .goal-title`);
+            if (!titleElement) return;
+            
+            const currentText = titleElement.textContent;
+            const originalHTML = titleElement.innerHTML;
+            
+            // 입력 필드 생성
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = currentText;
+            input.className = 'goal-title-edit-input';
+            
+            // 스타일 복사
+            const styles = window.getComputedStyle(titleElement);
+            input.style.fontSize = styles.fontSize;
+            input.style.fontWeight = styles.fontWeight;
+            input.style.width = '100%';
+            
+            // 제목 요소를 입력 필드로 교체
+            titleElement.innerHTML = '';
+            titleElement.appendChild(input);
+            
+            // 포커스 및 전체 선택
+            input.focus();
+            input.select();
+            
+            // 저장 함수
+            const saveEdit = () => {
+                const newText = input.value.trim();
+                if (newText && newText !== currentText) {
+                    const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+                    if (goal) {
+                        goal.text = newText;
+                        DataModel.saveProfiles('목표 이름 변경');
+                        View.showNotification('목표가 수정되었습니다.', 'success');
+                    }
+                }
+                this.render();
+            };
+            
+            // 취소 함수
+            const cancelEdit = () => {
+                titleElement.innerHTML = originalHTML;
+            };
+            
+            // 이벤트 리스너
+            input.addEventListener('blur', saveEdit);
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    saveEdit();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    input.removeEventListener('blur', saveEdit);
+                    cancelEdit();
+                }
+            });
+        },
+        
+        // 일정 관리 핸들러
+        handleSchedule(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+            
+            // TODO: 일정 관리 모달 구현
+            View.showNotification('일정 관리 기능은 준비 중입니다.', 'info');
+        },
+        
+        // 목표 다시 열기 핸들러
+        handleGoalReopen(goalId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+            
+            if (confirm('이 목표를 다시 진행 중으로 변경하시겠습니까?')) {
+                goal.completed = false;
+                goal.completedAt = null;
+                goal.completionNote = null;
+                goal.completionEmotion = null;
+                goal.completionImage = null;
                 
-                container.innerHTML = milestones.map(milestone => {
-                    const tasks = goal.tasks || [];
-                    const milestoneTasks = tasks.filter(t => milestone.taskIds.includes(t.id));
-                    const completedCount = milestoneTasks.filter(t => t.completed).length;
-                    const totalCount = milestoneTasks.length;
-                    const progress = totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
-                    const isAchieved = progress === 100;
-
-                    return `
-                        <div class="milestone-item ${isAchieved ? 'achieved' : ''}" data-milestone-id="${milestone.id}">
-                            <div class="milestone-header">
-                                <span class="milestone-title-text">${Utils.escapeHtml(milestone.title)}</span>
-                                <span class="milestone-date">목표일: ${Utils.formatDate(milestone.targetDate)}</span>
-                            </div>
-                            <div class="milestone-progress">
-                                <div class="milestone-progress-bar">
-                                    <div class="milestone-progress-fill" style="width: ${progress}%"></div>
-                                </div>
-                                <span>${progress}%</span>
-                            </div>
-                            <div class="milestone-tasks-preview">
-                                ${completedCount}/${totalCount} 태스크 완료
-                            </div>
-                            <div class="milestone-actions">
-                                ${isAchieved ? 
-                                    '<span class="btn-milestone-action">🎉</span>' : 
-                                    `<button class="btn-milestone-action btn-delete-milestone" 
-                                             data-goal-id="${goalId}" 
-                                             data-milestone-id="${milestone.id}">❌</button>`
-                                }
-                            </div>
-                        </div>
-                    `;
-                }).join('');
+                DataModel.saveProfiles('목표 다시 진행');
+                AttachmentStore.scheduleGarbageCollection();
+                this.render();
+                this.notifyUndoable('목표가 다시 활성화되었습니다.', 'success');
             }
         },
-
-        // 마일스톤 추가 핸들러
-        handleMilestoneAdd(goalId) {
-            const form = document.getElementById('milestoneForm');
-            const addBtn = document.getElementById('addMilestoneBtn');
-            const taskSelection = document.getElementById('milestoneTaskSelection');
+        
+        // 태스크 편집 모드 진입
+        handleTaskEdit(goalId, taskId) {
+            const taskItem = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+            if (!taskItem) return;
             
-            if (!form) return;
-
-            // 폼 표시/숨기기 토글
-            if (form.style.display === 'none') {
-                form.style.display = 'block';
-                addBtn.style.display = 'none';
-                
-                // 태스크 선택 목록 생성
-                const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-                if (goal && goal.tasks) {
-                    taskSelection.innerHTML = goal.tasks
-                        .filter(task => !task.completed)
-                        .map(task => `
-                            <div class="task-selection-item">
-                                <input type="checkbox" 
-                                       id="milestone-task-${task.id}" 
-                                       value="${task.id}"
-                                       class="milestone-task-checkbox">
-                                <label for="milestone-task-${task.id}">
-                                    ${Utils.escapeHtml(task.text)}
-                                </label>
-                            </div>
-                        `).join('');
+            const taskText = taskItem.querySelector('.task-text');
+            const currentText = taskText.textContent;
+            
+            // 편집 UI로 변경
+            taskText.innerHTML = `
+                <input type="text" class="task-edit-input" value="${Utils.escapeHtml(currentText)}" 
+                       data-goal-id="${goalId}" data-task-id="${taskId}">
+                <div class="task-edit-actions">
+                    <button class="task-save-btn" data-goal-id="${goalId}" data-task-id="${taskId}">저장</button>
+                    <button class="task-edit-cancel-btn" data-goal-id="${goalId}" data-task-id="${taskId}">취소</button>
+                </div>
+            `;
+            
+            // 입력 필드에 포커스
+            const input = taskText.querySelector('.task-edit-input');
+            input.focus();
+            input.select();
+            
+            // 엔터 키로 저장
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.handleTaskSave(goalId, taskId);
+                } else if (e.key === 'Escape') {
+                    this.handleTaskEditCancel(goalId, taskId);
                 }
-            } else {
-                form.style.display = 'none';
-                addBtn.style.display = 'block';
-            }
+            });
         },
-
-        // 마일스톤 저장
-        handleMilestoneSave(goalId) {
-            const titleInput = document.getElementById('milestoneTitle');
-            const dateInput = document.getElementById('milestoneDate');
-            const selectedTasks = Array.from(document.querySelectorAll('.milestone-task-checkbox:checked'))
-                .map(cb => cb.value);
-
-            if (!titleInput.value.trim()) {
-                View.showNotification('마일스톤 제목을 입력해주세요.', 'warning');
-                return;
-            }
-
-            if (!dateInput.value) {
-                View.showNotification('목표 날짜를 선택해주세요.', 'warning');
+        
+        // 태스크 저장
+        handleTaskSave(goalId, taskId) {
+            const input = document.querySelector(`.task-edit-input[data-task-id="${taskId}"]`);
+            if (!input) return;
+            
+            const newText = input.value.trim();
+            if (!newText) {
+                View.showNotification('태스크 내용을 입력해주세요.', 'warning');
                 return;
             }
-
-            const milestoneData = {
-                title: titleInput.value.trim(),
-                targetDate: dateInput.value,
-                taskIds: selectedTasks
-            };
-
-            DataModel.addMilestone(goalId, milestoneData);
-            
-            // 폼 초기화 및 숨기기
-            titleInput.value = '';
-            dateInput.value = '';
-            document.getElementById('milestoneForm').style.display = 'none';
-            document.getElementById('addMilestoneBtn').style.display = 'block';
             
-            // 렌더링 업데이트
-            this.renderMilestones(goalId);
-            View.showNotification('마일스톤이 추가되었습니다!', 'success');
-        },
-
-        // 마일스톤 삭제
-        handleMilestoneDelete(goalId, milestoneId) {
-            if (confirm('이 마일스톤을 삭제하시겠습니까?')) {
-                const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-                if (goal && goal.milestones) {
-                    goal.milestones = goal.milestones.filter(m => m.id !== milestoneId);
-                    DataModel.saveProfiles();
-                    this.renderMilestones(goalId);
-                    View.showNotification('마일스톤이 삭제되었습니다.', 'info');
+            // 데이터 업데이트
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (goal && goal.tasks) {
+                const task = goal.tasks.find(t => t.id === taskId);
+                if (task) {
+                    task.text = newText;
+                    DataModel.saveProfiles('세부 계획 수정');
+                    this.render();
+                    View.showNotification('태스크가 수정되었습니다.', 'success');
                 }
             }
         },
-
-        // 이미지 업로드
-        handleImageUpload(e) {
-            const file = e.target.files[0];
-            if (!file) return;
-
-            try {
-                ImageProcessor.validateImage(file);
+        
+        // 태스크 편집 취소
+        handleTaskEditCancel(goalId, taskId) {
+            this.render(); // 전체 다시 렌더링하여 원래 상태로 복구
+        },
+        
+        // 태스크 삭제
+        handleTaskDelete(goalId, taskId) {
+            if (!confirm('이 태스크를 삭제하시겠습니까?')) return;
+            
+            // 삭제 애니메이션 적용
+            const taskElement = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+            if (taskElement) {
+                taskElement.classList.add('deleting');
                 
-                // 미리보기
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    const preview = document.getElementById('imagePreview');
-                    if (preview) {
-                        preview.innerHTML = `<img src="${e.target.result}" alt="미리보기" style="max-width: 200px;">`;
-                    }
-                };
-                reader.readAsDataURL(file);
-            } catch (err) {
-                View.showNotification(err.message, 'error');
-                e.target.value = '';
+                // 애니메이션 종료 후 실제 삭제
+                setTimeout(() => {
+                    DataModel.deleteTask(goalId, taskId);
+                    this.render();
+                    this.notifyUndoable('태스크가 휴지통으로 이동했습니다.', 'info');
+                }, 300);
+            } else {
+                // 요소를 찾을 수 없는 경우 즉시 삭제
+                DataModel.deleteTask(goalId, taskId);
+                this.render();
+                this.notifyUndoable('태스크가 휴지통으로 이동했습니다.', 'info');
             }
         },
-
-        // 이미지 드롭
-        handleImageDrop(file) {
-            try {
-                ImageProcessor.validateImage(file);
+        
+        // 노트 삭제
+        handleNoteDelete(goalId, taskId, noteId) {
+            // 삭제 애니메이션 적용
+            const noteElement = document.querySelector(`.note-item[data-note-id="${noteId}"]`);
+            if (noteElement) {
+                noteElement.classList.add('deleting');
                 
-                // 파일 입력에 설정
-                const input = document.getElementById('completionImage');
-                if (input) {
-                    const dataTransfer = new DataTransfer();
-                    dataTransfer.items.add(file);
-                    input.files = dataTransfer.files;
-                    
-                    // 변경 이벤트 트리거
-                    input.dispatchEvent(new Event('change'));
+                // 애니메이션 종료 후 실제 삭제
+                setTimeout(() => {
+                    const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+                    if (goal && goal.tasks) {
+                        const task = goal.tasks.find(t => t.id === taskId);
+                        if (task && task.notes) {
+                            task.notes = task.notes.filter(n => n.id !== noteId);
+                            DataModel.saveProfiles('메모 삭제');
+                            this.render();
+                            this.notifyUndoable('노트가 삭제되었습니다.', 'info');
+                        }
+                    }
+                }, 300);
+            } else {
+                // 요소를 찾을 수 없는 경우 즉시 삭제
+                const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+                if (goal && goal.tasks) {
+                    const task = goal.tasks.find(t => t.id === taskId);
+                    if (task && task.notes) {
+                        task.notes = task.notes.filter(n => n.id !== noteId);
+                        DataModel.saveProfiles('메모 삭제');
+                        this.render();
+                        this.notifyUndoable('노트가 삭제되었습니다.', 'info');
+                    }
                 }
-            } catch (err) {
-                View.showNotification(err.message, 'error');
             }
         },
 
-        // 이미지 보기
-        handleViewImage(goalId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal || !goal.completionImage) return;
-
-            // 이미지 모달 생성
-            const modal = document.createElement('div');
-            modal.className = 'image-view-modal';
-            modal.innerHTML = `
-                <div class="image-view-content">
-                    <img src="${goal.completionImage}" alt="${Utils.escapeHtml(goal.text)}">
-                    <button class="close-image-view">✕</button>
-                </div>
-            `;
-            
-            document.body.appendChild(modal);
-            
-            // 닫기 이벤트
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal || e.target.classList.contains('close-image-view')) {
-                    modal.remove();
-                }
-            });
-        },
-
-        // 목표 공유 - 향상된 버전
-        handleShareGoal(goalId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
-
-            // 공유 옵션 모달 표시
-            this.showShareModal(goal);
+        // 인라인 완료 처리
+        handleInlineComplete(goalId) {
+            if (confirm('이 목표를 완료하셨나요? 🎉')) {
+                this.handleGoalComplete(goalId);
+            }
         },
-
-        // 공유 모달 표시
-        showShareModal(goal) {
+        
+        // 목표일 설정 모달
+        handleScheduleModal(goalId) {
             const modal = document.createElement('div');
-            modal.className = 'share-modal';
+            modal.className = 'modal schedule-modal';
             modal.innerHTML = `
-                <div class="share-modal-content">
-                    <div class="share-modal-header">
-                        <h3>목표 공유하기</h3>
-                        <button class="close-btn">&times;</button>
+                <div class="modal-content">
+                    <h3>목표 달성 예정일 설정</h3>
+                    
+                    <div class="date-input-group">
+                        <label for="targetDate">목표 달성 예정일</label>
+                        <input type="date" id="targetDate" min="${Utils.toDateKey()}">
                     </div>
-                    <div class="share-modal-body">
-                        <div class="share-preview">
-                            <h4>"${Utils.escapeHtml(goal.text)}"</h4>
-                            <p>✅ 달성일: ${Utils.formatDate(goal.completedAt)}</p>
-                            ${goal.completionNote ? `<p class="completion-note">"${Utils.escapeHtml(goal.completionNote)}"</p>` : ''}
+                    
+                    <div class="date-input-group">
+                        <label for="milestoneDate">중간 점검일 (선택)</label>
+                        <input type="date" id="milestoneDate">
+                    </div>
+                    
+                    <div class="reminder-options">
+                        <h4>알림 설정</h4>
+                        <div class="reminder-checkbox">
+                            <input type="checkbox" id="reminder7days">
+                            <label for="reminder7days">7일 전 알림</label>
                         </div>
-                        <div class="share-options">
-                            <button class="share-option" data-type="image" data-goal-id="${goal.id}">
-                                🖼️ 이미지 카드로 공유
-                            </button>
-                            <button class="share-option" data-type="text" data-goal-id="${goal.id}">
-                                📝 텍스트로 공유
-                            </button>
-                            <button class="share-option" data-type="social" data-goal-id="${goal.id}">
-                                📱 소셜 미디어 공유
-                            </button>
-                            <button class="share-option" data-type="link" data-goal-id="${goal.id}">
-                                🔗 링크 복사
-                            </button>
+                        <div class="reminder-checkbox">
+                            <input type="checkbox" id="reminder1day">
+                            <label for="reminder1day">1일 전 알림</label>
                         </div>
                     </div>
+                    
+                    <div class="modal-buttons">
+                        <button class="btn-primary" onclick="Controller.saveSchedule('${goalId}')">저장</button>
+                        <button class="btn-secondary" onclick="Controller.closeModal()">취소</button>
+                    </div>
                 </div>
             `;
-
+            
             document.body.appendChild(modal);
-
-            // 이벤트 리스너
-            modal.querySelector('.close-btn').onclick = () => {
-                document.body.removeChild(modal);
-            };
-
-            modal.onclick = (e) => {
-                if (e.target === modal) {
-                    document.body.removeChild(modal);
-                }
-            };
-
-            // 공유 옵션 클릭
-            modal.querySelectorAll('.share-option').forEach(btn => {
-                btn.onclick = () => {
-                    const type = btn.dataset.type;
-                    const goalId = btn.dataset.goalId;
-                    this.handleShareOption(type, goalId);
-                    document.body.removeChild(modal);
-                };
-            });
+            modal.style.display = 'flex';
         },
-
-        // 공유 옵션 처리
-        async handleShareOption(type, goalId) {
+        
+        // 일정 저장
+        saveSchedule(goalId) {
+            const targetDate = document.getElementById('targetDate').value;
+            const milestoneDate = document.getElementById('milestoneDate').value;
+            const reminder7days = document.getElementById('reminder7days').checked;
+            const reminder1day = document.getElementById('reminder1day').checked;
+            
+            if (!targetDate) {
+                View.showNotification('목표 달성 예정일을 설정해주세요.', 'warning');
+                return;
+            }
+            
+            // 목표 업데이트
             const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
-
-            const profileName = DataModel.state.currentProfile.name;
+            if (goal) {
+                goal.targetDate = targetDate;
+                goal.milestoneDate = milestoneDate;
+                goal.reminders = {
+                    reminder7days,
+                    reminder1day
+                };
+                
+                DataModel.saveProfiles('목표일 설정');
+                this.render();
+                this.closeModal();
+                View.showNotification('목표일이 설정되었습니다!', 'success');
 
-            switch (type) {
-                case 'image':
-                    await this.shareAsImage(goal, profileName);
-                    break;
-                case 'text':
-                    this.shareAsText(goal);
-                    break;
-                case 'social':
-                    this.shareToSocial(goal);
-                    break;
-                case 'link':
-                    this.shareAsLink(goal);
-                    break;
+                if (reminder7days || reminder1day) {
+                    Reminders.requestPermission().then(permission => {
+                        if (permission === 'denied') {
+                            View.showNotification('알림이 차단되어 있어 앱을 열었을 때만 알려드려요.', 'warning');
+                        }
+                    });
+                }
             }
         },
 
-        // 이미지로 공유
-        async shareAsImage(goal, profileName) {
-            try {
-                View.showLoading('이미지 생성 중...');
-                const imageDataUrl = await PDFGenerator.generateAchievementCard(goal, profileName);
-                
-                // 이미지 다운로드
-                const link = document.createElement('a');
-                link.download = `achievement-${goal.id}.png`;
-                link.href = imageDataUrl;
-                link.click();
-                
-                View.hideLoading();
-                View.showNotification('이미지가 다운로드되었습니다!', 'success');
-            } catch (error) {
-                View.hideLoading();
-                View.showNotification('이미지 생성에 실패했습니다.', 'error');
-                console.error(error);
+        // 주소 경로를 화면에 반영 (Router.apply에서 호출)
+        applyRoute(route) {
+            if (!DataModel.state.currentProfile && !route.profileId) {
+                // 프로필을 고른 뒤 이어서 반영
+                this.pendingRoute = route;
+                return;
             }
-        },
+            this.pendingRoute = null;
 
-        // 텍스트로 공유
-        shareAsText(goal) {
-            const shareText = `✅ 버킷리스트 달성!\n\n"${goal.text}"\n\n${goal.completionNote || '목표를 달성했습니다!'}\n\n달성일: ${Utils.formatDate(goal.completedAt)}\n\n#버킷리스트 #목표달성 #BucketDreams`;
-            
-            if (navigator.share) {
-                navigator.share({
-                    title: '버킷리스트 달성',
-                    text: shareText
-                }).catch(err => console.log('공유 취소됨'));
-            } else {
-                navigator.clipboard.writeText(shareText)
-                    .then(() => View.showNotification('클립보드에 복사되었습니다!', 'success'))
-                    .catch(() => View.showNotification('복사에 실패했습니다.', 'error'));
+            // 주소에 없는 모달 닫기
+            document.querySelectorAll('.modal[style*="block"]').forEach(modal => {
+                const keep = modal.id === route.modal ||
+                    (modal.id === 'taskManagerModal' && route.view === 'tasks' && this.currentTaskGoalId === route.goalId);
+                if (!keep) View.hideModal(modal.id);
+            });
+
+            if (route.goalId) {
+                const profileId = route.profileId || DataModel.state.currentProfile.id;
+                if (this.openGoal(profileId, route.goalId) && route.view === 'tasks') {
+                    this.handleTaskManager(route.goalId);
+                }
+                return;
             }
-        },
 
-        // 소셜 미디어 공유
-        shareToSocial(goal) {
-            const shareText = encodeURIComponent(`✅ 버킷리스트 달성! "${goal.text}" ${goal.completionNote || ''} #버킷리스트 #목표달성`);
-            const shareUrl = encodeURIComponent(window.location.href);
-            
-            const socialModal = document.createElement('div');
-            socialModal.className = 'social-share-modal';
-            socialModal.innerHTML = `
-                <div class="social-share-content">
-                    <div class="social-share-header">
-                        <h3>소셜 미디어 공유</h3>
-                        <button class="close-btn">&times;</button>
-                    </div>
-                    <div class="social-share-body">
-                        <div class="social-options">
-                            <a href="https://twitter.com/intent/tweet?text=${shareText}" target="_blank" class="social-btn twitter">
-                                🐦 Twitter
-                            </a>
-                            <a href="https://www.facebook.com/sharer/sharer.php?u=${shareUrl}&quote=${shareText}" target="_blank" class="social-btn facebook">
-                                📘 Facebook
-                            </a>
-                            <a href="https://www.linkedin.com/sharing/share-offsite/?url=${shareUrl}" target="_blank" class="social-btn linkedin">
-                                💼 LinkedIn
-                            </a>
-                            <a href="https://api.whatsapp.com/send?text=${shareText}" target="_blank" class="social-btn whatsapp">
-                                💬 WhatsApp
-                            </a>
-                            <button class="social-btn copy" data-text="${decodeURIComponent(shareText)}">
-                                📋 복사하기
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            `;
+            View.switchTab(route.tab);
 
-            document.body.appendChild(socialModal);
+            if (route.view === 'add') {
+                this.openAddForm(route.text, route.category);
+            } else if (route.view === 'received') {
+                this.handleReceivedShare();
+            } else if (route.modal && Router.MODAL_OPENERS[route.modal] &&
+                       document.getElementById(route.modal)?.style.display !== 'block') {
+                Router.MODAL_OPENERS[route.modal]();
+            }
+        },
 
-            // 이벤트 리스너
-            socialModal.querySelector('.close-btn').onclick = () => {
-                document.body.removeChild(socialModal);
-            };
+        // 목표 추가 폼 열기 (내용 미리 채우기)
+        openAddForm(text = '', category = '') {
+            const input = document.getElementById('goalInput');
+            const select = document.getElementById('categorySelect');
+            if (!input) return;
 
-            socialModal.onclick = (e) => {
-                if (e.target === socialModal) {
-                    document.body.removeChild(socialModal);
-                }
-            };
+            if (text) input.value = text.slice(0, Number(input.maxLength) > 0 ? Number(input.maxLength) : 100);
+            if (select && CONFIG.CATEGORIES[category]) select.value = category;
 
-            // 복사 버튼
-            socialModal.querySelector('.copy').onclick = () => {
-                const text = socialModal.querySelector('.copy').dataset.text;
-                navigator.clipboard.writeText(text)
-                    .then(() => {
-                        View.showNotification('클립보드에 복사되었습니다!', 'success');
-                        document.body.removeChild(socialModal);
-                    })
-                    .catch(() => View.showNotification('복사에 실패했습니다.', 'error'));
-            };
+            input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            input.focus();
         },
 
-        // 링크로 공유
-        shareAsLink(goal) {
-            const shareUrl = `${window.location.origin}${window.location.pathname}?shared=${goal.id}`;
-            
-            navigator.clipboard.writeText(shareUrl)
-                .then(() => View.showNotification('링크가 클립보드에 복사되었습니다!', 'success'))
-                .catch(() => View.showNotification('링크 복사에 실패했습니다.', 'error'));
+        // 프로필을 고른 뒤 미뤄둔 작업 (공유 목표 추가, 주소 반영)
+        resumePending() {
+            if (this.pendingSharedGoal) {
+                this.importSharedGoal(this.pendingSharedGoal);
+            }
+            if (this.pendingRoute) {
+                Router.apply(this.pendingRoute);
+            }
         },
 
-        // 달성 카드 공유
-        async handleShareAchievement(goalId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
+        // 특정 목표로 이동 (필요하면 프로필 전환)
+        openGoal(profileId, goalId) {
+            const profile = DataModel.state.profiles.find(p => p.id === profileId) ||
+                (DataModel.state.currentProfile?.id === profileId ? DataModel.state.currentProfile : null);
+            if (Vault.isSealed(profile)) {
+                View.showNotification(`🔒 ${profile.name} 프로필은 잠겨 있습니다. 먼저 프로필을 열어주세요.`, 'warning');
+                return false;
+            }
+            if (!profile || !profile.bucketList.some(g => g.id === goalId)) {
+                View.showNotification('목표를 찾을 수 없습니다.', 'warning');
+                return false;
+            }
+
+            if (DataModel.state.currentProfile?.id !== profile.id) {
+                DataModel.setCurrentProfile(profile);
+            }
+
+            DataModel.state.searchQuery = '';
+            DataModel.state.dateFilter = null;
+            DataModel.state.tagFilter = [];
+            View.switchTab('goals');
+            this.handleFilterChange('all');
 
-            try {
-                View.showLoading('달성 카드 생성중...');
-                
-                const cardDataUrl = await PDFGenerator.generateAchievementCard(
-                    goal,
-                    DataModel.state.currentProfile.name
-                );
-                
-                View.hideLoading();
-                
-                // 다운로드 링크 생성
-                const link = document.createElement('a');
-                link.download = `achievement-${goal.id}.png`;
-                link.href = cardDataUrl;
-                link.click();
-                
-                View.showNotification('달성 카드가 다운로드되었습니다!', 'success');
-            } catch (err) {
-                View.hideLoading();
-                View.showNotification('달성 카드 생성에 실패했습니다.', 'error');
-                console.error(err);
+            Router.navigate({ tab: 'goals', goalId }, { replace: true });
+
+            const card = document.querySelector(`.goal-card[data-id="${goalId}"]`);
+            if (card) {
+                card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                card.classList.add('highlighted');
+                setTimeout(() => card.classList.remove('highlighted'), 2000);
             }
+            return true;
         },
         
-        // 노트 추가 클릭 핸들러
-        handleAddNoteClick(goalId, taskId) {
-            const noteBtn = document.querySelector(`.btn-add-note[data-task-id="${taskId}"]`);
-            const taskDetails = noteBtn.closest('.task-details');
+        // 더보기 메뉴 표시
+        handleMoreMenu(goalId, button) {
+            // 기존 메뉴 제거
+            const existingMenu = document.querySelector('.context-menu');
+            if (existingMenu) {
+                existingMenu.remove();
+            }
             
-            // 기존 폼이 있는지 확인
-            let noteForm = taskDetails.querySelector('.note-input-form');
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            const menu = document.createElement('div');
+            menu.className = 'context-menu';
+            menu.innerHTML = `
+                <button onclick="Controller.handleGoalEdit('${goalId}')">
+                    ✏️ 세부사항 편집
+                </button>
+                <button onclick="Controller.duplicateGoal('${goalId}')">
+                    📋 복제하기
+                </button>
+                <button onclick="Controller.handleEmotionCheck('${goalId}')">
+                    😊 감정 체크인
+                </button>
+                <button onclick="Controller.showEmotionJourney('${goalId}')">
+                    📈 감정 여정
+                </button>
+                <button onclick="Controller.showTagEditor('${goalId}')">
+                    🏷️ 태그 편집
+                </button>
+                ${goal && !DataModel.state.currentProfile.isGuest ? `
+                    <button onclick="Controller.showGoalSharing('${goalId}')">
+                        🤝 가족과 공유
+                    </button>
+                ` : ''}
+                ${goal && Calendar.hasEntries(goal) ? `
+                    <button onclick="Controller.handleCalendarExport('${goalId}')">
+                        📅 캘린더에 추가 (.ics)
+                    </button>
+                ` : ''}
+                <hr>
+                <button class="danger" onclick="Controller.confirmGoalDelete('${goalId}')">
+                    🗑️ 삭제하기
+                </button>
+            `;
             
-            // 폼이 없으면 생성
-            if (!noteForm) {
-                noteForm = document.createElement('div');
-                noteForm.className = 'note-input-form';
-                noteForm.innerHTML = `
-                    <textarea class="note-input" placeholder="진행 상황, 메모, 참고사항 등을 기록하세요..."></textarea>
-                    <div class="note-actions">
-                        <button class="note-cancel-btn" data-goal-id="${goalId}" data-task-id="${taskId}">취소</button>
-                        <button class="note-save-btn" data-goal-id="${goalId}" data-task-id="${taskId}">저장</button>
-                    </div>
-                `;
-                taskDetails.appendChild(noteForm);
-                
-                // 이벤트 리스너 추가
-                noteForm.querySelector('.note-cancel-btn').addEventListener('click', (e) => {
-                    this.handleNoteCancelClick(e.target.dataset.goalId, e.target.dataset.taskId);
-                });
-                
-                noteForm.querySelector('.note-save-btn').addEventListener('click', (e) => {
-                    this.handleNoteSaveClick(e.target.dataset.goalId, e.target.dataset.taskId);
-                });
-            }
+            document.body.appendChild(menu);
+            this.positionContextMenu(menu, button);
             
-            noteForm.classList.add('show');
-            noteBtn.style.display = 'none';
-            noteForm.querySelector('.note-input').focus();
+            // 외부 클릭 시 메뉴 닫기
+            setTimeout(() => {
+                document.addEventListener('click', (e) => {
+                    if (!menu.contains(e.target) && e.target !== button) {
+                        menu.remove();
+                    }
+                }, { once: true });
+            }, 100);
         },
         
-        // 노트 취소 클릭 핸들러
-        handleNoteCancelClick(goalId, taskId) {
-            const noteBtn = document.querySelector(`.btn-add-note[data-task-id="${taskId}"]`);
-            const noteForm = noteBtn.closest('.task-details').querySelector('.note-input-form');
+        // 컨텍스트 메뉴 위치 조정
+        positionContextMenu(menu, button) {
+            const rect = button.getBoundingClientRect();
+            const menuHeight = menu.offsetHeight;
+            const menuWidth = menu.offsetWidth;
             
-            noteForm.classList.remove('show');
-            noteBtn.style.display = 'block';
-            noteForm.querySelector('.note-input').value = '';
-        },
-        
-        // 노트 저장 클릭 핸들러
-        handleNoteSaveClick(goalId, taskId) {
-            const noteBtn = document.querySelector(`.btn-add-note[data-task-id="${taskId}"]`);
-            const noteForm = noteBtn.closest('.task-details').querySelector('.note-input-form');
-            const noteText = noteForm.querySelector('.note-input').value.trim();
+            let top = rect.bottom + 8;
+            let left = rect.left;
             
-            if (!noteText) {
-                View.showNotification('노트 내용을 입력해주세요.', 'warning');
-                return;
+            if (top + menuHeight > window.innerHeight) {
+                top = rect.top - menuHeight - 8;
             }
             
-            // 노트 데이터 추가
+            if (left + menuWidth > window.innerWidth) {
+                left = rect.right - menuWidth;
+            }
+            
+            menu.style.position = 'fixed';
+            menu.style.top = `${top}px`;
+            menu.style.left = `${left}px`;
+        },
+        
+        // 목표 복제
+        duplicateGoal(goalId) {
             const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (goal && goal.tasks) {
-                const task = goal.tasks.find(t => t.id === taskId);
-                if (task) {
-                    if (!task.notes) {
-                        task.notes = [];
-                    }
-                    
-                    task.notes.push({
-                        id: Utils.generateId(),
-                        text: noteText,
-                        date: new Date().toISOString()
-                    });
-                    
-                    DataModel.saveProfiles();
-                    
-                    // UI 업데이트
-                    noteForm.classList.remove('show');
-                    noteBtn.style.display = 'block';
-                    noteForm.querySelector('.note-input').value = '';
-                    
-                    // 전체 렌더링
-                    this.render();
-                    
-                    View.showNotification('노트가 추가되었습니다.', 'success');
-                }
+            if (goal) {
+                const duplicatedGoal = {
+                    ...goal,
+                    id: Utils.generateId(),
+                    text: goal.text + ' (복사본)',
+                    completed: false,
+                    createdAt: new Date().toISOString(),
+                    completedAt: null,
+                    completionNote: null,
+                    completionEmotion: null,
+                    completionImage: null,
+                    emotionalJourney: [],
+                    taskProgress: 0
+                };
+                
+                DataModel.state.currentProfile.bucketList.push(duplicatedGoal);
+                DataModel.saveProfiles('목표 복제');
+                this.render();
+                View.showNotification('목표가 복제되었습니다!', 'success');
             }
         },
-
-        // 목표 편집 핸들러
-        handleGoalEdit(goalId) {
+        
+        // 삭제 확인
+        confirmGoalDelete(goalId) {
+            // 확인은 handleGoalDelete에서 한 번만 받음
+            this.handleGoalDelete(goalId);
+        },
+        
+        // 카테고리 변경
+        handleCategoryChange(goalId, newCategory) {
             const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
-            
-            // TODO: 목표 편집 모달 구현
-            View.showNotification('목표 편집 기능은 준비 중입니다.', 'info');
+            if (goal) {
+                goal.category = newCategory;
+                DataModel.saveProfiles('카테고리 변경');
+                this.render();
+                this.notifyUndoable('카테고리가 변경되었습니다.', 'success');
+            }
         },
         
-        // 목표 제목 인라인 편집
-        handleGoalTitleEdit(goalId) {
-            const titleElement = document.querySelector(`.goal-card[data-id="${goalId}"] .goal-title`);
-            if (!titleElement) return;
-            
-            const currentText = titleElement.textContent;
-            const originalHTML = titleElement.innerHTML;
-            
-            // 입력 필드 생성
-            const input = document.createElement('input');
-            input.type = 'text';
-            input.value = currentText;
-            input.className = 'goal-title-edit-input';
-            
-            // 스타일 복사
-            const styles = window.getComputedStyle(titleElement);
-            input.style.fontSize = styles.fontSize;
-            input.style.fontWeight = styles.fontWeight;
-            input.style.width = '100%';
+        // 모달 닫기
+        closeModal() {
+            const modal = document.querySelector('.modal');
+            if (modal) {
+                modal.remove();
+            }
+        },
+        
+        // 우선순위 드래그 앤 드롭 초기화
+        initPriorityDragDrop() {
+            let draggedElement = null;
             
-            // 제목 요소를 입력 필드로 교체
-            titleElement.innerHTML = '';
-            titleElement.appendChild(input);
+            document.addEventListener('dragstart', (e) => {
+                if (e.target.classList.contains('goal-card')) {
+                    draggedElement = e.target;
+                    e.target.classList.add('dragging');
+                    e.dataTransfer.effectAllowed = 'move';
+                    
+                    // 드래그 이미지 커스터마이징
+                    const dragImage = e.target.cloneNode(true);
+                    dragImage.style.transform = 'rotate(2deg)';
+                    dragImage.style.opacity = '0.8';
+                    document.body.appendChild(dragImage);
+                    e.dataTransfer.setDragImage(dragImage, e.offsetX, e.offsetY);
+                    setTimeout(() => dragImage.remove(), 0);
+                }
+            });
             
-            // 포커스 및 전체 선택
-            input.focus();
-            input.select();
+            document.addEventListener('dragend', (e) => {
+                if (e.target.classList.contains('goal-card')) {
+                    e.target.classList.remove('dragging');
+                    this.updatePriorities();
+                    this.saveGoalOrder();
+                }
+            });
             
-            // 저장 함수
-            const saveEdit = () => {
-                const newText = input.value.trim();
-                if (newText && newText !== currentText) {
-                    const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-                    if (goal) {
-                        goal.text = newText;
-                        DataModel.saveProfiles();
-                        View.showNotification('목표가 수정되었습니다.', 'success');
+            document.addEventListener('dragover', (e) => {
+                if (draggedElement) {
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                    
+                    const afterElement = this.getDragAfterElement(
+                        document.querySelector('.goals-grid'), 
+                        e.clientY
+                    );
+                    
+                    if (afterElement == null) {
+                        document.querySelector('.goals-grid').appendChild(draggedElement);
+                    } else {
+                        document.querySelector('.goals-grid').insertBefore(draggedElement, afterElement);
                     }
                 }
-                this.render();
-            };
-            
-            // 취소 함수
-            const cancelEdit = () => {
-                titleElement.innerHTML = originalHTML;
-            };
+            });
             
-            // 이벤트 리스너
-            input.addEventListener('blur', saveEdit);
-            input.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    saveEdit();
-                } else if (e.key === 'Escape') {
+            document.addEventListener('drop', (e) => {
+                if (draggedElement) {
                     e.preventDefault();
-                    input.removeEventListener('blur', saveEdit);
-                    cancelEdit();
                 }
             });
         },
         
-        // 일정 관리 핸들러
-        handleSchedule(goalId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
-            
-            // TODO: 일정 관리 모달 구현
-            View.showNotification('일정 관리 기능은 준비 중입니다.', 'info');
-        },
-        
-        // 목표 다시 열기 핸들러
-        handleGoalReopen(goalId) {
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (!goal) return;
+        // 드래그 후 요소 위치 계산
+        getDragAfterElement(container, y) {
+            const draggableElements = [...container.querySelectorAll('.goal-card:not(.dragging)')];
             
-            if (confirm('이 목표를 다시 진행 중으로 변경하시겠습니까?')) {
-                goal.completed = false;
-                goal.completedAt = null;
-                goal.completionNote = null;
-                goal.completionEmotion = null;
-                goal.completionImage = null;
+            return draggableElements.reduce((closest, child) => {
+                const box = child.getBoundingClientRect();
+                const offset = y - box.top - box.height / 2;
                 
-                DataModel.saveProfiles();
-                this.render();
-                View.showNotification('목표가 다시 활성화되었습니다.', 'success');
-            }
+                if (offset < 0 && offset > closest.offset) {
+                    return { offset: offset, element: child };
+                } else {
+                    return closest;
+                }
+            }, { offset: Number.NEGATIVE_INFINITY }).element;
         },
         
-        // 태스크 편집 모드 진입
-        handleTaskEdit(goalId, taskId) {
-            const taskItem = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
-            if (!taskItem) return;
-            
-            const taskText = taskItem.querySelector('.task-text');
-            const currentText = taskText.textContent;
-            
-            // 편집 UI로 변경
-            taskText.innerHTML = `
-                <input type="text" class="task-edit-input" value="${Utils.escapeHtml(currentText)}" 
-                       data-goal-id="${goalId}" data-task-id="${taskId}">
-                <div class="task-edit-actions">
-                    <button class="task-save-btn" data-goal-id="${goalId}" data-task-id="${taskId}">저장</button>
-                    <button class="task-edit-cancel-btn" data-goal-id="${goalId}" data-task-id="${taskId}">취소</button>
-                </div>
-            `;
-            
-            // 입력 필드에 포커스
-            const input = taskText.querySelector('.task-edit-input');
-            input.focus();
-            input.select();
-            
-            // 엔터 키로 저장
-            input.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter') {
-                    this.handleTaskSave(goalId, taskId);
-                } else if (e.key === 'Escape') {
-                    this.handleTaskEditCancel(goalId, taskId);
+        // 우선순위 업데이트
+        updatePriorities() {
+            const goalCards = document.querySelectorAll('.goal-card');
+            goalCards.forEach((card, index) => {
+                const goalId = card.dataset.id;
+                const priorityNumber = card.querySelector('.priority-number');
+                const newPriority = index + 1;
+                
+                if (priorityNumber) {
+                    priorityNumber.textContent = newPriority;
+                }
+                
+                // 데이터 모델 업데이트
+                const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+                if (goal) {
+                    goal.priority = newPriority;
                 }
             });
         },
         
-        // 태스크 저장
-        handleTaskSave(goalId, taskId) {
-            const input = document.querySelector(`.task-edit-input[data-task-id="${taskId}"]`);
-            if (!input) return;
+        // 목표 순서 저장
+        saveGoalOrder() {
+            DataModel.saveProfiles('순서 변경');
+            this.notifyUndoable('우선순위가 변경되었습니다', 'success');
+        },
+        
+        // 빠른 메모 패널 토글
+        toggleQuickNotePanel(goalId) {
+            const panel = document.querySelector(`.quick-note-panel[data-goal-id="${goalId}"]`);
+            if (panel) {
+                panel.classList.toggle('active');
+                
+                // 다른 패널들 닫기
+                document.querySelectorAll('.quick-note-panel').forEach(p => {
+                    if (p !== panel) {
+                        p.classList.remove('active');
+                    }
+                });
+            }
+        },
+        
+        // 빠른 메모 추가
+        handleAddQuickNote(goalId) {
+            const input = document.querySelector(`.quick-note-input[data-goal-id="${goalId}"]`);
+            const text = input.value.trim();
             
-            const newText = input.value.trim();
-            if (!newText) {
-                View.showNotification('태스크 내용을 입력해주세요.', 'warning');
+            if (!text) {
+                View.showNotification('메모 내용을 입력해주세요.', 'warning');
                 return;
             }
             
-            // 데이터 업데이트
-            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-            if (goal && goal.tasks) {
-                const task = goal.tasks.find(t => t.id === taskId);
-                if (task) {
-                    task.text = newText;
-                    DataModel.saveProfiles();
-                    this.render();
-                    View.showNotification('태스크가 수정되었습니다.', 'success');
-                }
-            }
+            this.addQuickNote(goalId, text);
+            input.value = '';
         },
         
-        // 태스크 편집 취소
-        handleTaskEditCancel(goalId, taskId) {
-            this.render(); // 전체 다시 렌더링하여 원래 상태로 복구
+        // 메모 추가 로직
+        addQuickNote(goalId, text, type = 'text', data = null) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+            
+            if (!goal.quickNotes) {
+                goal.quickNotes = [];
+            }
+            
+            const note = {
+                id: Utils.generateId(),
+                text: text,
+                type: type,
+                data: data,
+                createdAt: new Date().toISOString()
+            };
+            
+            goal.quickNotes.unshift(note);
+            DataModel.saveProfiles('메모 추가');
+            this.render();
+            
+            View.showNotification('메모가 추가되었습니다.', 'success');
         },
         
-        // 태스크 삭제
-        handleTaskDelete(goalId, taskId) {
-            if (!confirm('이 태스크를 삭제하시겠습니까?')) return;
+        // 음성 메모
+        handleVoiceNote(goalId) {
+            if (!('webkitSpeechRecognition' in window)) {
+                View.showNotification('음성 인식이 지원되지 않는 브라우저입니다.', 'error');
+                return;
+            }
             
-            // 삭제 애니메이션 적용
-            const taskElement = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
-            if (taskElement) {
-                taskElement.classList.add('deleting');
+            const recognition = new webkitSpeechRecognition();
+            recognition.lang = 'ko-KR';
+            recognition.continuous = false;
+            recognition.interimResults = false;
+            
+            const voiceBtn = document.querySelector(`.btn-voice-note[data-goal-id="${goalId}"]`);
+            voiceBtn.classList.add('recording');
+            voiceBtn.textContent = '🔴';
+            
+            recognition.start();
+            
+            recognition.onresult = (event) => {
+                const transcript = event.results[0][0].transcript;
+                const input = document.querySelector(`.quick-note-input[data-goal-id="${goalId}"]`);
+                input.value = transcript;
+                voiceBtn.classList.remove('recording');
+                voiceBtn.textContent = '🎤';
                 
-                // 애니메이션 종료 후 실제 삭제
-                setTimeout(() => {
-                    const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-                    if (goal && goal.tasks) {
-                        goal.tasks = goal.tasks.filter(t => t.id !== taskId);
-                        DataModel.saveProfiles();
-                        this.render();
-                        View.showNotification('태스크가 삭제되었습니다.', 'info');
-                    }
-                }, 300);
-            } else {
-                // 요소를 찾을 수 없는 경우 즉시 삭제
-                const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-                if (goal && goal.tasks) {
-                    goal.tasks = goal.tasks.filter(t => t.id !== taskId);
-                    DataModel.saveProfiles();
-                    this.render();
-                    View.showNotification('태스크가 삭제되었습니다.', 'info');
-                }
-            }
+                // 자동으로 메모 추가
+                this.addQuickNote(goalId, transcript, 'voice');
+            };
+            
+            recognition.onerror = () => {
+                voiceBtn.classList.remove('recording');
+                voiceBtn.textContent = '🎤';
+                View.showNotification('음성 인식에 실패했습니다.', 'error');
+            };
         },
         
-        // 노트 삭제
-        handleNoteDelete(goalId, taskId, noteId) {
-            // 삭제 애니메이션 적용
-            const noteElement = document.querySelector(`.note-item[data-note-id="${noteId}"]`);
-            if (noteElement) {
-                noteElement.classList.add('deleting');
-                
-                // 애니메이션 종료 후 실제 삭제
-                setTimeout(() => {
-                    const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-                    if (goal && goal.tasks) {
-                        const task = goal.tasks.find(t => t.id === taskId);
-                        if (task && task.notes) {
-                            task.notes = task.notes.filter(n => n.id !== noteId);
-                            DataModel.saveProfiles();
-                            this.render();
-                            View.showNotification('노트가 삭제되었습니다.', 'info');
-                        }
-                    }
-                }, 300);
-            } else {
-                // 요소를 찾을 수 없는 경우 즉시 삭제
-                const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
-                if (goal && goal.tasks) {
-                    const task = goal.tasks.find(t => t.id === taskId);
-                    if (task && task.notes) {
-                        task.notes = task.notes.filter(n => n.id !== noteId);
-                        DataModel.saveProfiles();
-                        this.render();
-                        View.showNotification('노트가 삭제되었습니다.', 'info');
-                    }
+        // 사진 메모
+        handlePhotoNote(goalId) {
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = 'image/*';
+            fileInput.capture = 'environment';
+            
+            fileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                
+                try {
+                    const dataUrl = await ImageProcessor.compressImage(file);
+                    const imageRef = await AttachmentStore.put(dataUrl, DataModel.state.currentProfile?.id);
+                    this.addQuickNote(goalId, '사진 메모', 'photo', imageRef);
+                } catch (error) {
+                    View.showNotification('사진 업로드에 실패했습니다.', 'error');
                 }
+            });
+            
+            fileInput.click();
+        },
+        
+        // 파일을 DataURL로 변환
+        fileToDataUrl(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = e => resolve(e.target.result);
+                reader.onerror = reject;
+                reader.readAsDataURL(file);
+            });
+        },
+        
+        // 빠른 메모 삭제
+        handleDeleteQuickNote(goalId, noteId) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            if (goal && goal.quickNotes) {
+                goal.quickNotes = goal.quickNotes.filter(n => n.id !== noteId);
+                DataModel.saveProfiles('메모 삭제');
+                AttachmentStore.scheduleGarbageCollection();
+                this.render();
+                this.notifyUndoable('메모가 삭제되었습니다.', 'info');
             }
         },
 
@@ -4599,12 +13187,13 @@
             container.innerHTML = profiles.map(profile => {
                 const stats = View.calculateProfileStats(profile);
                 const isCurrent = profile.id === DataModel.state.currentProfile?.id;
+                const hasLock = Vault.hasLock(profile);
                 
                 return `
                     <div class="profile-manager-item ${isCurrent ? 'current' : ''}">
                         <div class="profile-info">
-                            <h4>${Utils.escapeHtml(profile.name)}</h4>
-                            <p>${stats.total} 목표 · ${stats.completed} 완료</p>
+                            <h4>${hasLock ? '🔒 ' : ''}${Utils.escapeHtml(profile.name)}</h4>
+                            <p>${Vault.isSealed(profile) ? '잠긴 프로필' : `${stats.total} 목표 · ${stats.completed} 완료`}</p>
                             <p class="profile-created">생성일: ${Utils.formatDate(profile.createdAt)}</p>
                         </div>
                         <div class="profile-actions">
@@ -4613,6 +13202,11 @@
                                     전환
                                 </button>
                             ` : '<span class="current-badge">현재</span>'}
+                            ${isCurrent && Vault.isAvailable() ? `
+                                <button class="${hasLock ? 'btn-unlock-profile' : 'btn-lock-profile'}" data-profile-id="${profile.id}">
+                                    ${hasLock ? '🔓 잠금 해제' : '🔒 잠금 설정'}
+                                </button>
+                            ` : ''}
                             <button class="btn-export-profile" data-profile-id="${profile.id}">
                                 내보내기
                             </button>
@@ -4624,12 +13218,20 @@
                 `;
             }).join('');
 
-            // 이벤트 바인딩
-            container.addEventListener('click', (e) => {
+            // 이벤트 바인딩 (다시 그릴 때마다 중복 등록되지 않도록 onclick 사용)
+            container.onclick = (e) => {
                 if (e.target.classList.contains('btn-switch-profile')) {
                     const profileId = e.target.dataset.profileId;
-                    this.handleProfileSelect(profileId);
                     View.hideModal('profileManagerModal');
+                    this.handleProfileSelect(profileId);
+                }
+
+                if (e.target.classList.contains('btn-lock-profile')) {
+                    this.handleSetProfileLock();
+                }
+
+                if (e.target.classList.contains('btn-unlock-profile')) {
+                    this.handleRemoveProfileLock();
                 }
                 
                 if (e.target.classList.contains('btn-export-profile')) {
@@ -4641,12 +13243,57 @@
                     const profileId = e.target.dataset.profileId;
                     this.handleDeleteProfile(profileId);
                 }
+            };
+        },
+
+        // 현재 프로필에 PIN 설정 (프로필 내용을 암호화해서 저장)
+        async handleSetProfileLock() {
+            const profile = DataModel.state.currentProfile;
+            if (!profile || !DataModel.state.profiles.includes(profile)) return;
+
+            const passphrase = await View.promptPassphrase({
+                title: '🔒 프로필 잠금',
+                message: '이 프로필을 열 때 입력할 PIN 또는 비밀번호를 정해주세요. 잊어버리면 되찾을 수 없습니다.',
+                confirm: true,
+                minLength: CONFIG.PIN_MIN_LENGTH
+            });
+            if (passphrase === null) return;
+
+            try {
+                await Vault.setLock(profile, passphrase);
+                DataModel.saveProfiles();
+                this.renderProfileManager();
+                View.showNotification('프로필이 잠겼습니다. 다른 프로필로 바꾸거나 로그아웃하면 PIN이 필요합니다.', 'success');
+            } catch (err) {
+                console.error('Profile lock error:', err);
+                View.showNotification('프로필 잠금에 실패했습니다.', 'error');
+            }
+        },
+
+        // 현재 프로필의 PIN 해제 (다시 평문으로 저장)
+        async handleRemoveProfileLock() {
+            const profile = DataModel.state.currentProfile;
+            if (!profile || !Vault.keys.has(profile.id)) return;
+
+            const passphrase = await View.promptPassphrase({
+                title: '🔓 잠금 해제',
+                message: '현재 PIN 또는 비밀번호를 입력해주세요.'
             });
+            if (passphrase === null) return;
+
+            if (!await Vault.verify(profile.id, passphrase)) {
+                View.showNotification('PIN이 올바르지 않습니다.', 'error');
+                return;
+            }
+            await Vault.clearLock(profile);
+            DataModel.saveProfiles();
+            this.renderProfileManager();
+            View.showNotification('프로필 잠금이 해제되었습니다.', 'success');
         },
 
         // 프로필 내보내기
-        handleExportProfile(profileId) {
-            const data = DataModel.exportData(profileId);
+        async handleExportProfile(profileId) {
+            const data = await DataModel.exportData(profileId);
             if (!data) return;
 
             const blob = new Blob([data], { type: 'application/json' });
@@ -4654,7 +13301,7 @@
             const link = document.createElement('a');
             
             const profile = DataModel.state.profiles.find(p => p.id === profileId);
-            link.download = `bucketlist-${profile.name}-${new Date().toISOString().split('T')[0]}.json`;
+            link.download = `bucketlist-${profile.name}-${Utils.toDateKey()}.json`;
             link.href = url;
             link.click();
             
@@ -4667,7 +13314,7 @@
             const profile = DataModel.state.profiles.find(p => p.id === profileId);
             if (!profile) return;
 
-            if (confirm(`"${profile.name}" 프로필을 삭제하시겠습니까? 모든 데이터가 삭제됩니다.`)) {
+            if (confirm(`"${profile.name}" 프로필을 삭제하시겠습니까? 휴지통에서 복원할 수 있습니다.`)) {
                 DataModel.deleteProfile(profileId);
                 this.renderProfileManager();
                 
@@ -4676,7 +13323,7 @@
                     this.render();
                 }
                 
-                View.showNotification('프로필이 삭제되었습니다.', 'info');
+                this.notifyUndoable('프로필이 휴지통으로 이동했습니다.', 'info');
             }
         },
 
@@ -4758,10 +13405,219 @@
                 dailyInspiration.textContent = Utils.getRandomItem(quotes);
             }
 
+            // 연속 기록
+            this.updateStreakWidgets(profile);
+
+            // 활동 히트맵
+            this.renderHeatmap();
+
             // 감정 차트 업데이트
             this.updateJourneyEmotionChart();
         },
 
+        // 연속 기록 위젯 업데이트
+        updateStreakWidgets(profile) {
+            const streak = Streaks.forProfile(profile);
+
+            const weeklyStreak = document.getElementById('weeklyStreak');
+            if (weeklyStreak) {
+                weeklyStreak.textContent = streak.current;
+            }
+
+            const journeyStreak = document.getElementById('journeyStreak');
+            if (journeyStreak) {
+                journeyStreak.textContent = streak.longest;
+            }
+
+            const streakChange = document.getElementById('journeyStreakChange');
+            if (streakChange) {
+                let message = '연속 달성하기';
+                if (streak.atRisk) {
+                    message = `⏳ 오늘 활동하면 ${streak.current + 1}일 연속!`;
+                } else if (streak.goalsAtRisk > 0) {
+                    message = `⏳ 오늘 할 반복 목표 ${streak.goalsAtRisk}개`;
+                } else if (streak.current > 0) {
+                    message = `🔥 현재 ${streak.current}일 연속`;
+                }
+                if (streak.rates.week !== null) {
+                    message += ` · 이번 주 ${streak.rates.week}%`;
+                }
+                streakChange.textContent = message;
+                streakChange.classList.toggle('at-risk', streak.atRisk || streak.goalsAtRisk > 0);
+            }
+        },
+
+        // 활동 히트맵 렌더링
+        renderHeatmap() {
+            const profile = DataModel.state.currentProfile;
+            const container = document.getElementById('heatmapView');
+            if (!profile || !container) return;
+
+            const categorySelect = document.getElementById('heatmapCategory');
+            let category = 'all';
+            if (categorySelect) {
+                if (categorySelect.options.length <= 1) {
+                    Object.entries(CONFIG.CATEGORIES).forEach(([key, info]) => {
+                        categorySelect.add(new Option(`${info.icon} ${info.name}`, key));
+                    });
+                }
+                category = categorySelect.value;
+                categorySelect.onchange = () => this.renderHeatmap();
+            }
+
+            View.renderHeatmap(container, DataModel.getActivityLog(profile, category));
+
+            // 날짜를 누르면 그날 활동한 목표만 목표 목록에 표시
+            container.onclick = (e) => {
+                const cell = e.target.closest('button.heatmap-cell');
+                if (!cell) return;
+                this.setDateFilter(cell.dataset.date);
+                View.switchTab('goals');
+            };
+        },
+
+        // 목표 목록 날짜 필터 설정/해제
+        setDateFilter(dateKey) {
+            DataModel.state.dateFilter = dateKey || null;
+            this.render();
+        },
+
+        // 태그 필터 켜기/끄기 (목표 카드의 태그 칩, 태그 필터 버튼)
+        toggleTagFilter(tag) {
+            const selected = DataModel.state.tagFilter;
+            DataModel.state.tagFilter = selected.includes(tag)
+                ? selected.filter(t => t !== tag)
+                : [...selected, tag];
+            if (DataModel.state.activeTab !== 'goals') View.switchTab('goals');
+            this.render();
+        },
+
+        clearTagFilter() {
+            DataModel.state.tagFilter = [];
+            this.render();
+        },
+
+        // 목표(taskId 가 없을 때) 또는 세부 계획의 태그 편집
+        showTagEditor(goalId, taskId = null) {
+            const goal = DataModel.state.currentProfile?.bucketList.find(g => g.id === goalId);
+            const task = taskId ? goal?.tasks?.find(t => t.id === taskId) : null;
+            const item = taskId ? task : goal;
+            if (!item) return;
+
+            let tags = [...(item.tags || [])];
+            const modal = View.renderTagEditor(item.text, tags);
+            const input = modal.querySelector('.tag-editor-input');
+            const close = () => modal.remove();
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.import-cancel').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
+
+            // 입력 중인 태그를 목록에 반영
+            const addInput = () => {
+                const added = Tags.parse(input.value);
+                if (added.length === 0) return;
+                tags = Tags.unique([...tags, ...added]);
+                input.value = '';
+                View.renderTagEditorList(modal, tags);
+            };
+
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ',') {
+                    e.preventDefault();
+                    addInput();
+                } else if (e.key === 'Backspace' && !input.value && tags.length > 0) {
+                    tags = tags.slice(0, -1);
+                    View.renderTagEditorList(modal, tags);
+                }
+            });
+            // 자동 완성 목록에서 고르면 바로 추가
+            input.addEventListener('change', addInput);
+
+            modal.querySelector('.tag-editor-list').addEventListener('click', (e) => {
+                const remove = e.target.closest('.tag-remove');
+                if (!remove) return;
+                tags = tags.filter(tag => tag !== remove.dataset.tag);
+                View.renderTagEditorList(modal, tags);
+            });
+
+            modal.querySelector('.import-confirm').onclick = () => {
+                addInput();
+                if (taskId) {
+                    DataModel.setTaskTags(goalId, taskId, tags);
+                } else {
+                    DataModel.setGoalTags(goalId, tags);
+                }
+                close();
+                this.render();
+                this.notifyUndoable('태그를 저장했습니다.', 'success');
+            };
+
+            input.focus();
+        },
+
+        // 태그 이름 바꾸기·합치기·색·삭제
+        showTagManager() {
+            const modal = View.renderTagManager();
+            const refresh = () => {
+                View.renderTagManagerList(modal, Tags.all(DataModel.state.currentProfile));
+                this.render();
+            };
+            const close = () => modal.remove();
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.import-cancel').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
+
+            const rename = (from, to) => {
+                if (Tags.normalize(to) === from) {
+                    refresh();
+                    return;
+                }
+                try {
+                    const merged = DataModel.renameTag(from, to);
+                    refresh();
+                    this.notifyUndoable(merged ? `#${from} 태그를 #${Tags.normalize(to)}에 합쳤습니다.` : '태그 이름을 바꿨습니다.', 'success');
+                } catch (err) {
+                    View.showNotification(err.constructor === Error ? err.message : '태그를 바꾸지 못했습니다.', 'error');
+                    refresh();
+                }
+            };
+
+            const list = modal.querySelector('.tag-manager-list');
+            list.addEventListener('change', (e) => {
+                const item = e.target.closest('.tag-manager-item');
+                if (!item) return;
+                const tag = item.dataset.tag;
+
+                if (e.target.classList.contains('tag-color')) {
+                    DataModel.setTagColor(tag, e.target.value);
+                    refresh();
+                } else if (e.target.classList.contains('tag-name')) {
+                    rename(tag, e.target.value);
+                } else if (e.target.classList.contains('tag-merge') && e.target.value) {
+                    if (confirm(`#${tag} 태그를 #${e.target.value}에 합칠까요?`)) {
+                        rename(tag, e.target.value);
+                    } else {
+                        e.target.value = '';
+                    }
+                }
+            });
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('.tag-delete');
+                if (!button) return;
+                const tag = button.closest('.tag-manager-item').dataset.tag;
+                if (!confirm(`#${tag} 태그를 모든 목표와 세부 계획에서 뺄까요?`)) return;
+                DataModel.deleteTag(tag);
+                refresh();
+                this.notifyUndoable(`#${tag} 태그를 삭제했습니다.`, 'success');
+            });
+
+            refresh();
+        },
+
         // 감정 차트 업데이트
         updateJourneyEmotionChart() {
             const bucketList = DataModel.state.currentProfile?.bucketList || [];
@@ -4831,164 +13687,499 @@
             View.renderGallery(completedGoals);
         },
 
-        // 여정 탭 초기화
-        initJourneyTab() {
-            this.renderJourneyTab();
-            
-            // 개선된 여정 탭 기능 호출
-            if (typeof updateJourneyStats === 'function') {
-                updateJourneyStats();
+        // 여정 탭 초기화
+        initJourneyTab() {
+            this.renderJourneyTab();
+            
+            // 개선된 여정 탭 기능 호출
+            if (typeof updateJourneyStats === 'function') {
+                updateJourneyStats();
+            }
+        },
+
+        // 갤러리 탭 초기화
+        initGalleryTab() {
+            this.renderGalleryTab();
+        },
+
+        // 인사이트 탭 초기화 (기간 필터·차트는 JourneyInsights가 관리)
+        initInsightsTab() {
+            JourneyInsights.init();
+        },
+
+        // 시간 패턴 데이터
+        getTimePatternData() {
+            const bucketList = DataModel.state.currentProfile?.bucketList || [];
+            const monthlyData = {};
+            
+            bucketList.filter(g => g.completed).forEach(goal => {
+                const date = new Date(goal.completedAt);
+                const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+                monthlyData[monthKey] = (monthlyData[monthKey] || 0) + 1;
+            });
+
+            const sortedMonths = Object.keys(monthlyData).sort();
+            
+            return {
+                labels: sortedMonths.map(month => {
+                    const [year, mon] = month.split('-');
+                    return `${mon}월`;
+                }),
+                values: sortedMonths.map(month => monthlyData[month])
+            };
+        },
+
+        // 평균 달성 시간 계산
+        calculateAverageCompletionTime(completedGoals) {
+            const times = completedGoals
+                .filter(g => g.createdAt && g.completedAt)
+                .map(g => {
+                    const created = new Date(g.createdAt);
+                    const completed = new Date(g.completedAt);
+                    return (completed - created) / (1000 * 60 * 60 * 24); // 일 단위
+                });
+
+            if (times.length === 0) return 0;
+            
+            const avg = times.reduce((sum, time) => sum + time, 0) / times.length;
+            return Math.round(avg);
+        },
+
+        // 소셜 탭 초기화
+        initSocialTab() {
+            // 소셜 기능 구현
+            const shareStats = document.getElementById('shareStats');
+            if (shareStats) {
+                const stats = DataModel.getStats();
+                shareStats.innerHTML = `
+                    <h3>나의 버킷리스트 현황</h3>
+                    <p>총 ${stats.total}개 목표 중 ${stats.completed}개 달성 (${stats.percentage}%)</p>
+                    <button class="btn-share-stats">공유하기</button>
+                `;
+                shareStats.querySelector('.btn-share-stats').onclick = () => this.showStatsShareModal();
+            }
+
+            this.renderFamily();
+            this.renderChallenges();
+            this.renderEncouragementWall();
+        },
+
+        // 가족 구성원과 함께하는 목표
+        renderFamily() {
+            const profile = DataModel.state.currentProfile;
+            if (!profile) return;
+
+            const membersContainer = document.getElementById('familyMembers');
+            const sharedContainer = document.getElementById('sharedGoals');
+            const addBtn = document.getElementById('addFamilyBtn');
+
+            // 게스트 프로필은 저장되지 않으므로 가족으로 연결할 수 없음
+            if (addBtn) addBtn.disabled = !!profile.isGuest;
+            if (profile.isGuest) {
+                if (membersContainer) membersContainer.innerHTML = '<p class="family-empty">게스트 모드에서는 가족 기능을 쓸 수 없어요.</p>';
+                if (sharedContainer) sharedContainer.innerHTML = '';
+                return;
+            }
+
+            const isMember = Household.isMember(profile.id);
+            const members = isMember ? Household.members() : [];
+
+            View.renderFamilyMembers(
+                membersContainer,
+                members.map(member => ({ profile: member, stats: Household.memberStats(member) })),
+                profile.id
+            );
+
+            const items = Household.sharedGoals(profile)
+                .map(({ owner, goal }) => ({ owner, goal, contributions: Household.contributions(owner, goal) }))
+                .sort((a, b) => a.goal.completed - b.goal.completed || new Date(b.goal.createdAt) - new Date(a.goal.createdAt));
+            View.renderSharedGoals(sharedContainer, items, {
+                currentId: profile.id,
+                isMember,
+                sealedNames: members.filter(member => Vault.isSealed(member)).map(member => member.name)
+            });
+
+            if (membersContainer) {
+                membersContainer.onclick = (e) => {
+                    const btn = e.target.closest('.family-remove');
+                    if (btn) this.handleFamilyRemove(btn.dataset.profileId);
+                };
+            }
+            if (sharedContainer) {
+                sharedContainer.onclick = (e) => {
+                    if (!e.target.closest('.btn-encourage')) return;
+                    const card = e.target.closest('.shared-goal-card');
+                    this.encourageGoal(card.dataset.ownerId, card.dataset.goalId);
+                };
+                sharedContainer.onchange = (e) => {
+                    const checkbox = e.target.closest('.shared-task-check');
+                    if (!checkbox) return;
+
+                    const card = checkbox.closest('.shared-goal-card');
+                    DataModel.updateSharedTask(card.dataset.ownerId, card.dataset.goalId, checkbox.dataset.taskId, checkbox.checked);
+                    this.renderFamily();
+                    if (card.dataset.ownerId === profile.id) this.render();
+                };
+            }
+        },
+
+        // 가족 구성원 추가
+        showAddFamilyModal() {
+            const profile = DataModel.state.currentProfile;
+            if (!profile || profile.isGuest) return;
+
+            const modal = View.renderAddFamily(Household.candidates());
+            const close = () => modal.remove();
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.import-cancel').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
+
+            const nameField = modal.querySelector('.family-new-name');
+            modal.querySelectorAll('input[name="familyProfile"]').forEach(radio => {
+                radio.onchange = () => {
+                    nameField.hidden = radio.value !== '';
+                    if (!nameField.hidden) nameField.querySelector('input').focus();
+                };
+            });
+
+            modal.querySelector('.import-confirm').onclick = () => {
+                let memberId = modal.querySelector('input[name="familyProfile"]:checked')?.value;
+                if (!memberId) {
+                    const name = modal.querySelector('input[name="familyName"]').value.trim();
+                    if (!name) {
+                        View.showNotification('이름을 입력해주세요.', 'warning');
+                        return;
+                    }
+                    // 새 프로필은 만들기만 하고 현재 프로필은 그대로
+                    memberId = DataModel.createProfile(name).id;
+                }
+
+                Household.add(memberId);
+                close();
+                this.renderFamily();
+                const member = DataModel.state.profiles.find(p => p.id === memberId);
+                View.showNotification(`${member.name}님을 가족으로 연결했습니다.`, 'success');
+            };
+        },
+
+        // 구성원 연결 해제 (공유 설정은 남겨 두어 다시 연결하면 그대로 보임)
+        handleFamilyRemove(profileId) {
+            const profile = DataModel.state.currentProfile;
+            const member = DataModel.state.profiles.find(p => p.id === profileId);
+            if (!profile || !member) return;
+
+            const message = profileId === profile.id
+                ? '가족에서 나가시겠습니까? 함께하던 목표가 더 이상 보이지 않습니다.'
+                : `${member.name}님과의 가족 연결을 해제하시겠습니까?`;
+            if (!confirm(message)) return;
+
+            Household.remove(profileId);
+            this.renderFamily();
+        },
+
+        // 목표를 함께할 구성원 선택
+        showGoalSharing(goalId) {
+            const profile = DataModel.state.currentProfile;
+            const goal = profile?.bucketList.find(g => g.id === goalId);
+            if (!goal) return;
+
+            const members = Household.members().filter(member => member.id !== profile.id);
+            if (!Household.isMember(profile.id) || members.length === 0) {
+                View.showNotification('먼저 소셜 탭에서 가족 구성원을 추가해주세요.', 'info', {
+                    label: '소셜 탭',
+                    onClick: () => View.switchTab('social')
+                });
+                return;
+            }
+
+            const modal = View.renderGoalSharing(goal, members);
+            const close = () => modal.remove();
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.import-cancel').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
+
+            modal.querySelector('.import-confirm').onclick = () => {
+                const memberIds = [...modal.querySelectorAll('input[name="sharedWith"]:checked')].map(box => box.value);
+                // 지금 가족이 아닌 예전 공유 상대는 그대로 둠
+                const others = (goal.sharedWith || []).filter(id => !members.some(member => member.id === id));
+                DataModel.shareGoal(goalId, [...others, ...memberIds]);
+                close();
+                this.render();
+                if (DataModel.state.activeTab === 'social') this.renderFamily();
+                this.notifyUndoable(
+                    memberIds.length > 0 ? `목표를 ${memberIds.length}명과 공유했습니다.` : '목표 공유를 해제했습니다.',
+                    'success'
+                );
+            };
+        },
+
+        // 가족 도전 목록
+        renderChallenges() {
+            const profile = DataModel.state.currentProfile;
+            const container = document.getElementById('familyChallenges');
+            const createBtn = document.getElementById('createChallengeBtn');
+            if (!profile || !container) return;
+
+            if (createBtn) createBtn.disabled = !!profile.isGuest;
+            if (profile.isGuest) {
+                container.innerHTML = '<p class="family-empty">게스트 모드에서는 가족 도전을 쓸 수 없어요.</p>';
+                return;
             }
-        },
 
-        // 갤러리 탭 초기화
-        initGalleryTab() {
-            this.renderGalleryTab();
+            // 읽을 수 있는 프로필은 지금 기록으로 다시 계산 (실행 취소·가져오기 반영)
+            DataModel.state.profiles.forEach(p => Challenges.refresh(p));
+
+            const today = Utils.toDateKey();
+            const order = { active: 0, upcoming: 1, ended: 2 };
+            const items = Challenges.all()
+                .map(challenge => ({
+                    challenge,
+                    status: Challenges.status(challenge, today),
+                    board: Challenges.leaderboard(challenge),
+                    daysLeft: Utils.daysBetween(today, challenge.endDate)
+                }))
+                .sort((a, b) => order[a.status] - order[b.status] || b.challenge.endDate.localeCompare(a.challenge.endDate));
+
+            View.renderChallenges(container, items, {
+                currentId: profile.id,
+                activeGoals: profile.bucketList.filter(goal => !goal.completed)
+            });
+
+            container.onclick = (e) => {
+                const card = e.target.closest('.challenge-card');
+                if (!card) return;
+                const challengeId = card.dataset.challengeId;
+
+                if (e.target.closest('.challenge-result-btn')) {
+                    this.showChallengeResult(challengeId);
+                } else if (e.target.closest('.challenge-delete')) {
+                    if (!confirm('이 도전을 삭제하시겠습니까? 모든 구성원의 순위 기록이 사라집니다.')) return;
+                    Challenges.remove(challengeId);
+                    this.renderChallenges();
+                }
+            };
+            container.onchange = (e) => {
+                const select = e.target.closest('.challenge-goal-select');
+                if (!select || !select.value) return;
+                Challenges.setGoal(select.closest('.challenge-card').dataset.challengeId, profile.id, select.value);
+                this.renderChallenges();
+            };
         },
 
-        // 인사이트 탭 초기화
-        initInsightsTab() {
-            const stats = DataModel.getStats();
-            
-            // 달성률 차트
-            ChartManager.createAchievementChart('achievementChart', stats);
-            
-            // 카테고리 분포 차트
-            ChartManager.createCategoryChart('categoryDistributionChart', stats.byCategory);
-            
-            // 시간 패턴 차트
-            const timeData = this.getTimePatternData();
-            ChartManager.createTimePatternChart('timePatternChart', timeData);
-            
-            // 감정 차트
-            const emotionData = this.analyzeEmotionData(DataModel.state.currentProfile?.bucketList || []);
-            ChartManager.createEmotionChart('emotionChart', emotionData);
+        // 새 도전 만들기
+        showCreateChallengeModal() {
+            const profile = DataModel.state.currentProfile;
+            if (!profile || profile.isGuest) return;
+
+            const activeGoals = profile.bucketList.filter(goal => !goal.completed);
+            const modal = View.renderChallengeForm(DataModel.state.profiles, profile.id, activeGoals);
+            const form = modal.querySelector('.challenge-form');
+            const close = () => modal.remove();
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.import-cancel').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
+            };
+
+            // 종류에 맞게 목표 입력 전환
+            form.elements.type.onchange = () => {
+                const type = form.elements.type.value;
+                modal.querySelector('.challenge-target').hidden = type === 'goal';
+                modal.querySelector('.challenge-my-goal').hidden = type !== 'goal';
+                modal.querySelector('.challenge-target-unit').textContent = Challenges.TYPES[type].unit;
+            };
+            form.onsubmit = (e) => e.preventDefault();
 
-            // 개인 인사이트 업데이트
-            this.updatePersonalInsights();
+            modal.querySelector('.import-confirm').onclick = () => {
+                const type = form.elements.type.value;
+                try {
+                    if (type === 'goal' && !form.elements.goal.value) {
+                        throw new Error('도전할 진행 중인 목표가 없습니다. 목표를 먼저 추가해주세요.');
+                    }
+                    const challenge = Challenges.create({
+                        title: form.elements.title.value,
+                        type,
+                        target: form.elements.target.value,
+                        startDate: form.elements.startDate.value,
+                        endDate: form.elements.endDate.value,
+                        participants: [...form.querySelectorAll('input[name="participants"]:checked')].map(box => box.value),
+                        goals: type === 'goal' ? { [profile.id]: form.elements.goal.value } : {}
+                    });
+                    close();
+                    this.renderChallenges();
+                    View.showNotification(`'${challenge.title}' 도전을 시작했습니다!`, 'success');
+                } catch (err) {
+                    View.showNotification(err.constructor === Error ? err.message : '도전을 만들지 못했습니다.', 'warning');
+                }
+            };
         },
 
-        // 시간 패턴 데이터
-        getTimePatternData() {
-            const bucketList = DataModel.state.currentProfile?.bucketList || [];
-            const monthlyData = {};
-            
-            bucketList.filter(g => g.completed).forEach(goal => {
-                const date = new Date(goal.completedAt);
-                const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                monthlyData[monthKey] = (monthlyData[monthKey] || 0) + 1;
-            });
+        // 도전 결과 카드 (보고 나면 결과 알림은 다시 띄우지 않음)
+        showChallengeResult(challengeId) {
+            const profile = DataModel.state.currentProfile;
+            const challenge = Challenges.find(challengeId);
+            if (!profile || !challenge) return;
 
-            const sortedMonths = Object.keys(monthlyData).sort();
-            
-            return {
-                labels: sortedMonths.map(month => {
-                    const [year, mon] = month.split('-');
-                    return `${mon}월`;
-                }),
-                values: sortedMonths.map(month => monthlyData[month])
+            if (challenge.participants.includes(profile.id)) {
+                Challenges.markSeen(challengeId, profile.id);
+            }
+
+            const board = Challenges.leaderboard(challenge);
+            const modal = View.renderChallengeResult(challenge, PDFGenerator.cardOptions(Storage.get('cardOptions') || {}));
+            const close = () => modal.remove();
+            modal.querySelector('.close-btn').onclick = close;
+            modal.onclick = (e) => {
+                if (e.target === modal) close();
             };
+
+            const winners = board.filter(row => row.rank === 1 && row.value > 0).map(row => row.profile.name);
+            this.bindCardStudio(
+                modal.querySelector('.card-studio'),
+                options => PDFGenerator.generateChallengeCard(challenge, board, options),
+                'bucket-dreams-challenge.png',
+                `🏁 가족 도전 '${challenge.title}' 결과${winners.length > 0 ? ` - 🏆 ${winners.join(', ')} 우승!` : ''} #버킷리스트`
+            );
         },
 
-        // 개인 인사이트 업데이트
-        updatePersonalInsights() {
-            const container = document.getElementById('personalInsights');
-            if (!container) return;
+        // 끝난 도전 결과 알림 (프로필마다 한 번)
+        notifyChallengeResults() {
+            const profile = DataModel.state.currentProfile;
+            if (!profile || profile.isGuest) return;
+
+            Challenges.unseenResults(profile.id).forEach(challenge => {
+                Challenges.refresh(profile);
+                Challenges.markSeen(challenge.id, profile.id);
+                const row = Challenges.leaderboard(Challenges.find(challenge.id)).find(r => r.profile.id === profile.id);
+                View.showNotification(`🏁 '${challenge.title}' 도전이 끝났어요! ${row ? `${row.rank}위` : ''}`, 'info', {
+                    label: '결과 보기',
+                    onClick: () => this.showChallengeResult(challenge.id)
+                });
+            });
+        },
 
+        // 응원 벽 (보여 준 뒤 받은 응원은 읽음 처리)
+        renderEncouragementWall() {
             const profile = DataModel.state.currentProfile;
-            if (!profile) return;
+            const container = document.getElementById('encouragementWall');
+            if (!profile || !container) return;
 
-            const insights = [];
-            
-            // 가장 활발한 카테고리
-            const stats = DataModel.getStats();
-            const mostActiveCategory = Object.entries(stats.byCategory)
-                .sort((a, b) => b[1].total - a[1].total)[0];
-            
-            if (mostActiveCategory) {
-                insights.push(`${CONFIG.CATEGORIES[mostActiveCategory[0]].name} 분야에 가장 관심이 많으시네요!`);
+            if (profile.isGuest) {
+                container.innerHTML = '<p class="family-empty">게스트 모드에서는 응원을 주고받을 수 없어요.</p>';
+                return;
             }
 
-            // 달성 패턴
-            const completedGoals = profile.bucketList.filter(g => g.completed);
-            if (completedGoals.length >= 3) {
-                const avgDays = this.calculateAverageCompletionTime(completedGoals);
-                insights.push(`평균적으로 목표 설정 후 ${avgDays}일 만에 달성하고 있습니다.`);
+            const recipients = Encouragement.recipients(profile.id);
+            const target = this.encouragementTarget;
+            const to = recipients.find(p => p.id === target?.toId) || recipients[0] || null;
+            const goal = to?.bucketList.find(g => g.id === target?.goalId) ||
+                to?.bucketList.find(g => !g.completed) || to?.bucketList[0] || null;
+            this.encouragementTarget = to ? { toId: to.id, goalId: goal?.id || null } : null;
+
+            const entries = Encouragement.wall(profile.id);
+            View.renderEncouragementWall(container, {
+                currentId: profile.id,
+                recipients,
+                to,
+                goalId: goal?.id,
+                reacted: entries
+                    .filter(e => e.fromId === profile.id && e.toId === to?.id && e.goalId === goal?.id && e.emoji)
+                    .map(e => e.emoji),
+                entries
+            });
+            Encouragement.markRead(profile.id);
+
+            const form = container.querySelector('.encouragement-composer');
+            if (form) {
+                form.onchange = (e) => {
+                    if (e.target.name === 'to') {
+                        this.encouragementTarget = { toId: e.target.value, goalId: null };
+                    } else if (e.target.name === 'goal') {
+                        this.encouragementTarget = { toId: form.elements.to.value, goalId: e.target.value };
+                    } else {
+                        return;
+                    }
+                    this.renderEncouragementWall();
+                };
+                form.onsubmit = (e) => {
+                    e.preventDefault();
+                    try {
+                        Encouragement.send(profile, to, goal, form.elements.text.value);
+                        this.renderEncouragementWall();
+                        View.showNotification(`${to.name}님에게 응원을 보냈습니다!`, 'success');
+                    } catch (err) {
+                        View.showNotification(err.constructor === Error ? err.message : '응원을 보내지 못했습니다.', 'warning');
+                    }
+                };
+                form.querySelectorAll('.reaction-btn').forEach(btn => {
+                    btn.onclick = () => {
+                        try {
+                            Encouragement.react(profile, to, goal, btn.dataset.emoji);
+                            this.renderEncouragementWall();
+                        } catch (err) {
+                            View.showNotification(err.constructor === Error ? err.message : '반응을 남기지 못했습니다.', 'warning');
+                        }
+                    };
+                });
             }
 
-            // 감정 패턴
-            const dominantEmotion = this.getDominantEmotion(profile.bucketList);
-            if (dominantEmotion) {
-                insights.push(`목표 달성 시 주로 ${CONFIG.EMOTIONS[dominantEmotion].name}을 느끼시는군요!`);
-            }
+            container.querySelector('.encouragement-list').onclick = (e) => {
+                const btn = e.target.closest('.encouragement-delete');
+                if (!btn || !confirm('이 응원을 삭제하시겠습니까?')) return;
+                Encouragement.remove(btn.dataset.entryId);
+                this.renderEncouragementWall();
+            };
+        },
 
-            container.innerHTML = insights.map(insight => 
-                `<div class="insight-item">${insight}</div>`
-            ).join('');
+        // 특정 목표를 응원하러 응원 벽으로
+        encourageGoal(toId, goalId) {
+            this.encouragementTarget = { toId, goalId };
+            this.renderEncouragementWall();
+            document.getElementById('encouragementWall')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
         },
 
-        // 평균 달성 시간 계산
-        calculateAverageCompletionTime(completedGoals) {
-            const times = completedGoals
-                .filter(g => g.createdAt && g.completedAt)
-                .map(g => {
-                    const created = new Date(g.createdAt);
-                    const completed = new Date(g.completedAt);
-                    return (completed - created) / (1000 * 60 * 60 * 24); // 일 단위
-                });
+        // 로그인했을 때 새 응원 알림
+        notifyEncouragements() {
+            const profile = DataModel.state.currentProfile;
+            if (!profile || profile.isGuest) return;
 
-            if (times.length === 0) return 0;
-            
-            const avg = times.reduce((sum, time) => sum + time, 0) / times.length;
-            return Math.round(avg);
-        },
+            const unread = Encouragement.unreadCount(profile.id);
+            if (unread === 0) return;
 
-        // 주요 감정 파악
-        getDominantEmotion(bucketList) {
-            const emotionCounts = {};
-            
-            bucketList.forEach(goal => {
-                if (goal.completionEmotion) {
-                    emotionCounts[goal.completionEmotion] = (emotionCounts[goal.completionEmotion] || 0) + 1;
-                }
+            View.showNotification(`💌 새 응원 ${unread}개가 도착했어요!`, 'info', {
+                label: '보기',
+                onClick: () => this.showEncouragementWall()
             });
-
-            const sorted = Object.entries(emotionCounts).sort((a, b) => b[1] - a[1]);
-            return sorted.length > 0 ? sorted[0][0] : null;
         },
 
-        // 소셜 탭 초기화
-        initSocialTab() {
-            // 소셜 기능 구현
-            const shareStats = document.getElementById('shareStats');
-            if (shareStats) {
-                const stats = DataModel.getStats();
-                shareStats.innerHTML = `
-                    <h3>나의 버킷리스트 현황</h3>
-                    <p>총 ${stats.total}개 목표 중 ${stats.completed}개 달성 (${stats.percentage}%)</p>
-                    <button class="btn-share-stats">공유하기</button>
-                `;
-            }
+        // 소셜 탭의 응원 벽으로 이동
+        showEncouragementWall() {
+            View.switchTab('social');
+            document.getElementById('encouragementWall')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
         },
 
         // 데이터 탭 초기화
         initDataTab() {
             // 스토리지 사용량
-            const storageSize = Storage.getStorageSize();
             const storageSizeEl = document.getElementById('storageSize');
             if (storageSizeEl) {
-                storageSizeEl.textContent = `${storageSize} MB`;
+                Database.estimateUsage().then(storageSize => {
+                    storageSizeEl.textContent = `${storageSize} MB`;
+                });
             }
 
             // 내보내기 버튼
             const exportBtn = document.getElementById('exportBtn');
             if (exportBtn) {
-                exportBtn.onclick = () => {
-                    const data = DataModel.exportData();
+                exportBtn.onclick = async () => {
+                    const data = await DataModel.exportData();
                     const blob = new Blob([data], { type: 'application/json' });
                     const url = URL.createObjectURL(blob);
                     const link = document.createElement('a');
-                    link.download = `bucketlist-backup-${new Date().toISOString().split('T')[0]}.json`;
+                    link.download = `bucketlist-backup-${Utils.toDateKey()}.json`;
                     link.href = url;
                     link.click();
                     URL.revokeObjectURL(url);
@@ -4996,54 +14187,354 @@
                 };
             }
 
+            // 암호화하여 내보내기
+            const exportEncryptedBtn = document.getElementById('exportEncryptedBtn');
+            if (exportEncryptedBtn) {
+                exportEncryptedBtn.hidden = !Vault.isAvailable();
+                exportEncryptedBtn.onclick = async () => {
+                    const passphrase = await View.promptPassphrase({
+                        title: '🔐 암호화하여 내보내기',
+                        message: '백업 파일을 열 때 입력할 비밀번호를 정해주세요. 잊어버리면 파일을 되살릴 수 없습니다.',
+                        confirm: true,
+                        minLength: CONFIG.PIN_MIN_LENGTH
+                    });
+                    if (passphrase === null) return;
+
+                    View.showLoading('암호화하는 중...');
+                    try {
+                        const data = await DataModel.exportData(null, passphrase);
+                        if (!data) return;
+                        const blob = new Blob([data], { type: 'application/json' });
+                        const url = URL.createObjectURL(blob);
+                        const link = document.createElement('a');
+                        link.download = `bucketlist-backup-encrypted-${Utils.toDateKey()}.json`;
+                        link.href = url;
+                        link.click();
+                        URL.revokeObjectURL(url);
+                        View.showNotification('암호화된 백업이 내보내졌습니다.', 'success');
+                    } catch (err) {
+                        console.error('Encrypted export error:', err);
+                        View.showNotification('암호화 내보내기에 실패했습니다.', 'error');
+                    } finally {
+                        View.hideLoading();
+                    }
+                };
+            }
+
             // 가져오기
+            const importBtn = document.getElementById('importBtn');
             const importFile = document.getElementById('importFile');
+            if (importBtn && importFile) {
+                importBtn.onclick = () => importFile.click();
+            }
             if (importFile) {
                 importFile.onchange = (e) => {
                     const file = e.target.files[0];
                     if (!file) return;
 
                     const reader = new FileReader();
-                    reader.onload = (e) => {
-                        try {
-                            if (DataModel.importData(e.target.result)) {
-                                View.showNotification('데이터를 성공적으로 가져왔습니다.', 'success');
-                                this.render();
-                            } else {
-                                View.showNotification('데이터 가져오기에 실패했습니다.', 'error');
-                            }
-                        } catch (err) {
-                            View.showNotification('잘못된 파일 형식입니다.', 'error');
-                        }
-                    };
+                    reader.onload = (e) => this.handleImportFile(e.target.result);
                     reader.readAsText(file);
+                    // 같은 파일을 다시 고를 수 있도록
+                    importFile.value = '';
+                };
+            }
+
+            // 휴지통
+            this.renderTrash();
+
+            // CSV / Markdown 내보내기
+            const exportCsvBtn = document.getElementById('exportCsvBtn');
+            if (exportCsvBtn) {
+                exportCsvBtn.onclick = () => this.handleListExport('csv');
+            }
+            const exportMarkdownBtn = document.getElementById('exportMarkdownBtn');
+            if (exportMarkdownBtn) {
+                exportMarkdownBtn.onclick = () => this.handleListExport('markdown');
+            }
+
+            // 캘린더 내보내기
+            const exportCalendarBtn = document.getElementById('exportCalendarBtn');
+            if (exportCalendarBtn) {
+                exportCalendarBtn.onclick = () => this.handleCalendarExport();
+            }
+
+            // CSV / Markdown 가져오기
+            const listImportBtn = document.getElementById('listImportBtn');
+            const listImportFile = document.getElementById('listImportFile');
+            if (listImportBtn && listImportFile) {
+                listImportBtn.onclick = () => listImportFile.click();
+                listImportFile.onchange = (e) => {
+                    const files = [...e.target.files];
+                    if (files.length > 0) this.handleListImport(files);
+                    listImportFile.value = '';
                 };
             }
 
             // PDF 다운로드
             const downloadPdfBtn = document.getElementById('downloadPdfBtn');
             if (downloadPdfBtn) {
-                downloadPdfBtn.onclick = async () => {
-                    try {
-                        View.showLoading('PDF 생성중...');
-                        
-                        const goals = DataModel.state.currentProfile.bucketList;
-                        const pdf = await PDFGenerator.generatePDF(
-                            goals,
-                            DataModel.state.currentProfile.name
-                        );
-                        
-                        pdf.save(`bucketlist-${DataModel.state.currentProfile.name}.pdf`);
-                        
-                        View.hideLoading();
-                        View.showNotification('PDF가 다운로드되었습니다.', 'success');
-                    } catch (err) {
-                        View.hideLoading();
-                        View.showNotification('PDF 생성에 실패했습니다.', 'error');
-                        console.error(err);
+                downloadPdfBtn.onclick = () => this.handlePdfReport();
+            }
+        },
+
+        // PDF 리포트 (쪽 크기와 넣을 내용을 고른 뒤 생성)
+        handlePdfReport() {
+            const profile = DataModel.state.currentProfile;
+            if (!profile) return;
+
+            const modal = View.renderPdfOptions(PDFGenerator.SECTIONS, PDFGenerator.PAGE_SIZES);
+            const close = () => modal.remove();
+            modal.querySelector('.close-btn').onclick = close;
+            modal.querySelector('.import-cancel').onclick = close;
+
+            // 목표를 빼면 목표에 딸린 항목도 뺌
+            const goalsToggle = modal.querySelector('input[name="goals"]');
+            const updateDependents = () => {
+                modal.querySelectorAll('.pdf-option-sub input').forEach(input => {
+                    input.disabled = !goalsToggle.checked;
+                });
+            };
+            goalsToggle.onchange = updateDependents;
+            updateDependents();
+
+            modal.querySelector('.import-confirm').onclick = async () => {
+                const sections = {};
+                modal.querySelectorAll('.pdf-sections input').forEach(input => {
+                    sections[input.name] = input.checked && !input.disabled;
+                });
+                const pageSize = modal.querySelector('select[name="pageSize"]').value;
+                close();
+
+                try {
+                    View.showLoading('PDF 생성중...');
+                    const pdf = await PDFGenerator.generatePDF(profile.bucketList, profile.name, {
+                        pageSize,
+                        sections,
+                        charts: sections.charts ? this.buildReportCharts() : []
+                    });
+                    pdf.save(`bucketlist-${profile.name}.pdf`);
+                    View.showNotification('PDF가 다운로드되었습니다.', 'success');
+                } catch (err) {
+                    // 직접 만든 오류만 사용자에게 그대로 보여줌
+                    View.showNotification(err.constructor === Error ? err.message : 'PDF 생성에 실패했습니다.', 'error');
+                    console.error(err);
+                } finally {
+                    View.hideLoading();
+                }
+            };
+        },
+
+        // 월간 회고 열기 (기본: 이번 달)
+        handleMonthlyReflection(month = this.reflectionMonth || Reflection.monthKey()) {
+            const profile = DataModel.state.currentProfile;
+            if (!profile) return;
+
+            this.reflectionMonth = month;
+            View.renderReflection(
+                Reflection.summarize(profile, month),
+                Reflection.get(profile, month),
+                Reflection.months(profile)
+            );
+
+            const container = document.getElementById('reflectionContent');
+            container.onchange = (e) => {
+                if (e.target.id === 'reflectionMonth') this.handleMonthlyReflection(e.target.value);
+            };
+            container.onsubmit = (e) => {
+                e.preventDefault();
+                const answers = {};
+                Reflection.PROMPTS.forEach(prompt => {
+                    answers[prompt.id] = e.target.elements[prompt.id].value;
+                });
+                DataModel.saveReflection(month, answers);
+                this.handleMonthlyReflection(month);
+                this.notifyUndoable('회고가 저장되었습니다.', 'success');
+            };
+
+            if (document.getElementById('monthlyReflectionModal').style.display !== 'block') {
+                View.showModal('monthlyReflectionModal');
+            }
+        },
+
+        // 월간 회고 내보내기 (저장하지 않은 답변은 넣지 않음)
+        async handleReflectionExport(format) {
+            const profile = DataModel.state.currentProfile;
+            const month = this.reflectionMonth;
+            if (!profile || !month) return;
+
+            const summary = Reflection.summarize(profile, month);
+            const reflection = Reflection.get(profile, month);
+
+            if (format === 'markdown') {
+                Utils.downloadFile(Reflection.toMarkdown(summary, reflection, profile.name), `reflection-${month}.md`, 'text/markdown');
+                View.showNotification('회고를 Markdown으로 내보냈습니다.', 'success');
+                return;
+            }
+
+            try {
+                View.showLoading('PDF 생성중...');
+                const pdf = await PDFGenerator.generateReflectionPDF(summary, reflection, profile.name);
+                pdf.save(`reflection-${month}.pdf`);
+                View.showNotification('PDF가 다운로드되었습니다.', 'success');
+            } catch (err) {
+                View.showNotification(err.constructor === Error ? err.message : 'PDF 생성에 실패했습니다.', 'error');
+                console.error(err);
+            } finally {
+                View.hideLoading();
+            }
+        },
+
+        // 리포트에 넣을 차트 이미지 (인사이트 탭과 같은 데이터)
+        buildReportCharts() {
+            const bucketList = DataModel.state.currentProfile?.bucketList || [];
+            const stats = DataModel.getStats();
+            const timeData = this.getTimePatternData();
+            const hasEmotions = bucketList.some(goal => goal.completionEmotion || goal.emotionalJourney?.length);
+
+            return [
+                stats.total > 0 && { title: '달성률', image: ChartManager.toImage(ChartManager.createAchievementChart, stats) },
+                stats.total > 0 && { title: '카테고리 분포', image: ChartManager.toImage(ChartManager.createCategoryChart, stats.byCategory) },
+                timeData.values.length > 0 && { title: '월별 달성', image: ChartManager.toImage(ChartManager.createTimePatternChart, timeData) },
+                hasEmotions && { title: '감정 패턴', image: ChartManager.toImage(ChartManager.createEmotionChart, this.analyzeEmotionData(bucketList)) }
+            ].filter(chart => chart && chart.image);
+        },
+
+        // 휴지통 렌더링
+        renderTrash() {
+            const container = document.getElementById('trashList');
+            if (!container) return;
+
+            const profile = DataModel.state.currentProfile;
+            if (DataModel.purgeExpiredTrash() > 0) {
+                DataModel.saveProfiles();
+            }
+
+            // 보관 기간 선택
+            const retentionSelect = document.getElementById('trashRetentionSelect');
+            if (retentionSelect) {
+                const current = DataModel.getTrashRetentionDays(profile);
+                retentionSelect.innerHTML = CONFIG.TRASH_RETENTION_OPTIONS.map(days => `
+                    <option value="${days}" ${days === current ? 'selected' : ''}>${days}일</option>
+                `).join('');
+                retentionSelect.disabled = !profile;
+                retentionSelect.onchange = () => {
+                    DataModel.setTrashRetentionDays(parseInt(retentionSelect.value, 10));
+                    this.renderTrash();
+                    View.showNotification('휴지통 보관 기간이 변경되었습니다.', 'success');
+                };
+            }
+
+            const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+            if (emptyTrashBtn) {
+                emptyTrashBtn.disabled = !profile?.trash?.length;
+                emptyTrashBtn.onclick = () => {
+                    if (confirm('휴지통의 목표와 태스크를 모두 영구 삭제하시겠습니까?')) {
+                        DataModel.emptyTrash();
+                        this.renderTrash();
+                        View.showNotification('휴지통을 비웠습니다.', 'info');
                     }
                 };
             }
+
+            const retentionDays = DataModel.getTrashRetentionDays(profile);
+            const daysLeft = (deletedAt, days) => {
+                const expires = new Date(deletedAt).getTime() + days * 24 * 60 * 60 * 1000;
+                return Math.max(0, Math.ceil((expires - Date.now()) / (24 * 60 * 60 * 1000)));
+            };
+
+            const items = (profile?.trash || []).map(item => {
+                const isGoal = item.type === 'goal';
+                const title = isGoal ? item.goal.text : item.task.text;
+                const parent = isGoal ? null : profile.bucketList.find(g => g.id === item.goalId);
+                const detail = isGoal
+                    ? `${CONFIG.CATEGORIES[item.goal.category]?.icon || '✨'} 목표`
+                    : `📋 태스크${parent ? ` · ${Utils.escapeHtml(parent.text)}` : ''}`;
+
+                return `
+                    <div class="trash-item" data-trash-id="${item.id}">
+                        <div class="trash-info">
+                            <span class="trash-title">${Utils.escapeHtml(title)}</span>
+                            <span class="trash-meta">${detail} · ${daysLeft(item.deletedAt, retentionDays)}일 후 영구 삭제</span>
+                        </div>
+                        <div class="trash-actions">
+                            <button class="btn-trash-restore" data-trash-type="${item.type}" data-trash-id="${item.id}">복원</button>
+                            <button class="btn-trash-purge" data-trash-type="${item.type}" data-trash-id="${item.id}">영구 삭제</button>
+                        </div>
+                    </div>
+                `;
+            });
+
+            // 삭제된 프로필은 현재 프로필과 관계없이 표시
+            DataModel.state.deletedProfiles.forEach(deleted => {
+                items.push(`
+                    <div class="trash-item" data-trash-id="${deleted.id}">
+                        <div class="trash-info">
+                            <span class="trash-title">${Utils.escapeHtml(deleted.name)}</span>
+                            <span class="trash-meta">👤 프로필 · 목표 ${(deleted.bucketList || []).length}개 · ${daysLeft(deleted.deletedAt, DataModel.getTrashRetentionDays(deleted))}일 후 영구 삭제</span>
+                        </div>
+                        <div class="trash-actions">
+                            <button class="btn-trash-restore" data-trash-type="profile" data-trash-id="${deleted.id}">복원</button>
+                            <button class="btn-trash-purge" data-trash-type="profile" data-trash-id="${deleted.id}">영구 삭제</button>
+                        </div>
+                    </div>
+                `);
+            });
+
+            container.innerHTML = items.length > 0
+                ? items.join('')
+                : '<p class="trash-empty">휴지통이 비어 있습니다.</p>';
+
+            container.onclick = (e) => {
+                const button = e.target.closest('.btn-trash-restore, .btn-trash-purge');
+                if (!button) return;
+
+                const { trashType, trashId } = button.dataset;
+                if (button.classList.contains('btn-trash-restore')) {
+                    this.handleTrashRestore(trashType, trashId);
+                } else {
+                    this.handleTrashPurge(trashType, trashId);
+                }
+            };
+        },
+
+        // 휴지통 항목 복원
+        handleTrashRestore(type, id) {
+            if (type === 'profile') {
+                const profile = DataModel.restoreProfile(id);
+                if (profile) {
+                    DataModel.saveProfiles();
+                    View.showNotification(`"${profile.name}" 프로필을 복원했습니다.`, 'success');
+                }
+            } else {
+                const result = DataModel.restoreTrashItem(id);
+                if (!result.success) {
+                    View.showNotification(
+                        result.reason === 'missing-goal'
+                            ? '이 태스크의 목표를 먼저 복원해주세요.'
+                            : '복원할 항목을 찾을 수 없습니다.',
+                        'warning'
+                    );
+                    return;
+                }
+                this.render();
+                this.notifyUndoable(type === 'goal' ? '목표를 복원했습니다.' : '태스크를 복원했습니다.', 'success');
+            }
+            this.renderTrash();
+        },
+
+        // 휴지통 항목 영구 삭제
+        handleTrashPurge(type, id) {
+            if (!confirm('영구 삭제하면 다시 복원할 수 없습니다. 계속하시겠습니까?')) return;
+
+            if (type === 'profile') {
+                DataModel.purgeProfile(id);
+                View.showNotification('프로필을 영구 삭제했습니다.', 'info');
+            } else {
+                DataModel.purgeTrashItem(id);
+                View.showNotification('영구 삭제했습니다.', 'info');
+            }
+            this.renderTrash();
         },
 
         // 자동 로그아웃 설정
@@ -5094,6 +14585,15 @@
             } else if (window.location.protocol === 'file:') {
                 console.log('Service Worker는 file:// 프로토콜에서 지원되지 않습니다.');
             }
+
+            // 이미 열린 창에서 알림을 누른 경우
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.addEventListener('message', event => {
+                    if (event.data?.type === 'OPEN_GOAL') {
+                        this.openGoal(event.data.profileId, event.data.goalId);
+                    }
+                });
+            }
         }
     };
 
@@ -5127,17 +14627,42 @@
     }
 
     // 전역 객체로 노출 (디버깅/테스트/확장용)
+    // 템플릿의 인라인 핸들러(onclick="Controller.…")에서 사용
+    window.Controller = Controller;
+
     window.BucketDreams = {
-        version: '2.0.0',
+        version: CONFIG.APP_VERSION,
         CONFIG,
         Utils,
         Storage,
+        Database,
+        AttachmentStore,
+        SharedData,
         ImageProcessor,
+        Recurrence,
+        Streaks,
         DataModel,
+        History,
+        Reminders,
+        ShareLink,
+        ShareTarget,
+        Backup,
+        Vault,
+        ListFormats,
+        Calendar,
+        Reflection,
+        EmotionJourney,
+        Household,
+        Challenges,
+        Encouragement,
+        Forecast,
+        Tags,
         AIRecommendation,
         PDFGenerator,
         ChartManager,
         View,
+        Router,
+        JourneyInsights,
         Controller
     };
 
@@ -1,6 +1,16 @@
-const CACHE_NAME = 'bucket-dreams-v1.5';
-const CACHE_STATIC = 'bucket-dreams-static-v1.5';
-const CACHE_DYNAMIC = 'bucket-dreams-dynamic-v1.5';
+const CACHE_NAME = 'bucket-dreams-v1.7';
+const CACHE_STATIC = 'bucket-dreams-static-v1.7';
+const CACHE_DYNAMIC = 'bucket-dreams-dynamic-v1.7';
+
+// 알림 일정 (앱의 Reminders 모듈이 기록)
+const CACHE_REMINDERS = 'bucket-dreams-reminders';
+const REMINDER_STORE_URL = './reminders.json';
+const REMINDER_GRACE_MS = 2 * 24 * 60 * 60 * 1000;
+
+// 다른 앱에서 공유받은 콘텐츠 (앱의 ShareTarget 모듈이 꺼내감)
+const CACHE_SHARE_TARGET = 'bucket-dreams-share-target';
+const SHARE_TARGET_META_URL = './share-target.json';
+const SHARE_TARGET_FILE_URL = './share-target-file';
 
 // 핵심 파일들 (항상 캐시)
 const coreFiles = [
@@ -11,6 +21,12 @@ const coreFiles = [
     './manifest.json'
 ];
 
+// PDF 리포트용 한글 폰트 (오프라인에서도 PDF를 만들 수 있도록 항상 캐시)
+const fontFiles = [
+    './fonts/NanumGothic-subset.ttf',
+    './fonts/NanumGothicBold-subset.ttf'
+];
+
 // 아이콘 파일들 (선택적 캐시)
 const iconFiles = [
     './icons/icon-192.png',
@@ -48,6 +64,10 @@ self.addEventListener('install', event => {
                 console.log('SW: Caching core files');
                 return cache.addAll(coreFiles);
             }),
+            caches.open(CACHE_STATIC).then(cache => {
+                console.log('SW: Caching PDF fonts');
+                return cache.addAll(fontFiles);
+            }),
             // 아이콘 파일 캐시 (선택적)
             caches.open(CACHE_STATIC).then(cache => {
                 console.log('SW: Attempting to cache icon files');
@@ -86,7 +106,8 @@ self.addEventListener('activate', event => {
                 return Promise.all(
                     cacheNames.map(cacheName => {
                         if (!cacheName.includes('bucket-dreams-') || 
-                            (cacheName !== CACHE_STATIC && cacheName !== CACHE_DYNAMIC)) {
+                            (cacheName !== CACHE_STATIC && cacheName !== CACHE_DYNAMIC &&
+                             cacheName !== CACHE_REMINDERS && cacheName !== CACHE_SHARE_TARGET)) {
                             console.log('SW: Deleting old cache:', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -251,8 +272,45 @@ function createOfflineFallback(request) {
     });
 }
 
+// 공유 시트로 받은 내용 보관 후 앱의 선택 화면으로 이동
+function receiveShare(request) {
+    return request.formData()
+        .then(formData => {
+            const file = formData.getAll('image').find(item => item instanceof File && item.size > 0);
+            const meta = {
+                title: formData.get('title') || '',
+                text: formData.get('text') || '',
+                url: formData.get('url') || '',
+                fileName: file ? file.name : null,
+                fileType: file ? file.type : null,
+                receivedAt: new Date().toISOString()
+            };
+
+            return caches.open(CACHE_SHARE_TARGET).then(cache => Promise.all([
+                cache.put(SHARE_TARGET_META_URL, new Response(JSON.stringify(meta), {
+                    headers: { 'Content-Type': 'application/json' }
+                })),
+                file
+                    ? cache.put(SHARE_TARGET_FILE_URL, new Response(file, { headers: { 'Content-Type': file.type } }))
+                    : cache.delete(SHARE_TARGET_FILE_URL)
+            ]));
+        })
+        .then(() => Response.redirect(new URL('./#/received', self.registration.scope).href, 303))
+        .catch(err => {
+            console.error('SW: Share target failed:', err);
+            return Response.redirect(new URL('./', self.registration.scope).href, 303);
+        });
+}
+
 // 페치 이벤트
 self.addEventListener('fetch', event => {
+    // 공유 시트 (Web Share Target)
+    if (event.request.method === 'POST' &&
+        new URL(event.request.url).pathname.endsWith('/share-target')) {
+        event.respondWith(receiveShare(event.request));
+        return;
+    }
+
     // GET 요청만 처리하고, 같은 origin만 처리
     if (event.request.method !== 'GET' || 
         !event.request.url.startsWith(self.location.origin)) {
@@ -280,31 +338,99 @@ self.addEventListener('sync', event => {
     }
 });
 
-// 푸시 알림 (향후 확장 가능)
+// 목표로 바로 가는 주소
+function getGoalUrl(profileId, goalId) {
+    if (!goalId) return './';
+    return `./?profile=${encodeURIComponent(profileId || '')}&goal=${encodeURIComponent(goalId)}`;
+}
+
+// 알림 표시
+function showReminder(reminder) {
+    return self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        icon: './icons/icon-192.png',
+        badge: './icons/icon-192.png',
+        tag: reminder.id,
+        data: {
+            url: getGoalUrl(reminder.profileId, reminder.goalId),
+            profileId: reminder.profileId,
+            goalId: reminder.goalId
+        }
+    });
+}
+
+// 때가 된 알림 표시 (앱이 닫혀 있을 때)
+function checkReminders() {
+    return caches.open(CACHE_REMINDERS).then(cache => {
+        return cache.match(REMINDER_STORE_URL).then(response => {
+            if (!response) return;
+
+            return response.json().then(store => {
+                const now = Date.now();
+                const delivered = store.delivered || {};
+                const due = (store.reminders || []).filter(reminder =>
+                    reminder.fireAt <= now &&
+                    now - reminder.fireAt < REMINDER_GRACE_MS &&
+                    !delivered[reminder.id]
+                );
+                if (due.length === 0) return;
+
+                return Promise.all(due.map(showReminder)).then(() => {
+                    due.forEach(reminder => { delivered[reminder.id] = now; });
+                    return cache.put(REMINDER_STORE_URL, new Response(
+                        JSON.stringify({ ...store, delivered }),
+                        { headers: { 'Content-Type': 'application/json' } }
+                    ));
+                });
+            });
+        });
+    }).catch(err => console.error('SW: Reminder check failed:', err));
+}
+
+// 주기적 백그라운드 확인
+self.addEventListener('periodicsync', event => {
+    if (event.tag === 'reminder-check') {
+        event.waitUntil(checkReminders());
+    }
+});
+
+// 푸시 알림
 self.addEventListener('push', event => {
     if (event.data) {
         const data = event.data.json();
         console.log('SW: Push notification received:', data);
-        
-        const options = {
-            body: data.body,
-            icon: './icons/icon-192.png',
-            badge: './icons/icon-192.png',
-            data: data.data || {}
-        };
-        
+
+        const extra = data.data || {};
         event.waitUntil(
-            self.registration.showNotification(data.title, options)
+            showReminder({
+                id: extra.id || data.tag,
+                title: data.title,
+                body: data.body,
+                profileId: extra.profileId,
+                goalId: extra.goalId
+            })
         );
     }
 });
 
-// 알림 클릭 처리
+// 알림 클릭 처리 (해당 목표로 이동)
 self.addEventListener('notificationclick', event => {
     event.notification.close();
-    
+
+    const { url = './', profileId, goalId } = event.notification.data || {};
+
     event.waitUntil(
-        clients.openWindow('./')
+        clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+            // 이미 열린 창이 있으면 그 창에서 이동
+            const client = windowClients.find(c => c.url.startsWith(self.registration.scope));
+            if (client) {
+                if (goalId) {
+                    client.postMessage({ type: 'OPEN_GOAL', profileId, goalId });
+                }
+                return client.focus();
+            }
+            return clients.openWindow(new URL(url, self.registration.scope).href);
+        })
     );
 });
 